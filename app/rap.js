@@ -204,7 +204,7 @@ const sessionSecret = cfg.auth?.sessionSecret || 'aide-rap-default-secret';
 if (sessionSecret.includes('default') || sessionSecret.includes('change')) {
     console.warn('WARNING: Using default session secret! Set auth.sessionSecret in config.json');
 }
-const { authMiddleware, requireRole } = require('./server/middleware');
+const { authMiddleware, requireRole, resolveSessionUser } = require('./server/middleware');
 const authEnabled = cfg.auth?.enabled === true && !opts.noauth;
 
 // Viewer auth: redirect to app root (login page) if not authenticated
@@ -217,8 +217,11 @@ function viewerPageAuth(req, res, next) {
         try {
             const sessionData = typeof session === 'string' ? JSON.parse(session) : session;
             if (!sessionData.expires || Date.now() <= sessionData.expires) {
-                req.user = { role: sessionData.role };
-                return next();
+                const user = resolveSessionUser(sessionData);
+                if (user) {
+                    req.user = user;
+                    return next();
+                }
             }
         } catch (e) { /* invalid session */ }
     }
@@ -287,7 +290,7 @@ app.use(helmet({
 
 // Rate limiting — protect against brute-force and flooding
 const rateLimit = require('express-rate-limit');
-app.use('/api/auth/login', rateLimit({
+app.use(['/api/auth/login', '/api/auth/oidc'], rateLimit({
     windowMs: 60 * 1000,   // 1 minute
     max: 5,                 // 5 login attempts per minute per IP
     standardHeaders: true,
@@ -453,7 +456,7 @@ if (enabledEntitiesRaw.length > 0) {
 
         // Only user/admin can CREATE, UPDATE, DELETE (but allow export routes for all)
         app.use('/api/entities', (req, res, next) => {
-            if (['POST', 'PUT', 'DELETE'].includes(req.method)) {
+            if (['POST', 'PUT', 'PATCH', 'DELETE'].includes(req.method)) {
                 // Allow export routes for all authenticated users (they use POST but are read-only)
                 const isExportRoute = req.path.includes('/export-pdf') ||
                                       req.path.includes('/export-tree-pdf') ||
@@ -506,6 +509,7 @@ if (enabledEntitiesRaw.length > 0) {
 // =============================================================================
 
 const GenericService = require('./server/services/GenericService');
+const PermissionService = require('./server/services/PermissionService');
 const { buildViewSummary, buildViewSchema } = require('./server/routers/UserViewRouter');
 const { buildProcessData } = require('./server/routers/ProcessRouter');
 const ImportManager = require('./server/utils/ImportManager');
@@ -518,15 +522,20 @@ app.get('/api/meta/version', (req, res) => {
 app.get('/api/meta', (req, res) => {
     try {
         const schema = getSchema();
+        const role = req.user?.role;
 
-        // Entity list with counts and areas
-        const { entities, areas } = GenericService.getEnabledEntitiesWithAreas();
+        // Entity list with counts and areas (restricted to entities the role may read)
+        const enabled = GenericService.getEnabledEntitiesWithAreas();
+        const entities = PermissionService.filterEntityList(enabled.entities, role);
+        const { areas } = enabled;
 
-        // All extended schemas
+        // All extended schemas (hidden fields removed, readonly fields marked)
         const schemas = {};
         for (const e of entities) {
             if (e.name) {
-                try { schemas[e.name] = GenericService.getExtendedSchema(e.name); } catch {}
+                try {
+                    schemas[e.name] = PermissionService.filterExtendedSchema(e.name, GenericService.getExtendedSchema(e.name), role);
+                } catch {}
             }
         }
         // System entities (AuditTrail etc.) register their schemas via SystemEntityRegistry
@@ -548,7 +557,9 @@ app.get('/api/meta', (req, res) => {
         }
 
         // Views: list, groups, and all view schemas
-        const userViews = schema.userViews || [];
+        const userViews = (schema.userViews || [])
+            .map(v => PermissionService.restrictView(v, role))
+            .filter(Boolean);
         const viewGroups = schema.userViewGroups || [];
         const viewSchemas = {};
         for (const v of userViews) {
@@ -601,6 +612,10 @@ app.use('/shared', require('express').static(path.join(APP_DIR, 'shared')));
 // the /api/admin/db-file endpoint is protected above)
 app.use('/sql-browser', require('express').static(path.join(APP_DIR, 'static', 'rap', 'sql-browser')));
 
+// API docs — Swagger UI for the generated /api/openapi.json (the document itself is
+// protected by the blanket /api auth and cut to the caller's role)
+app.use('/api-docs', require('express').static(path.join(APP_DIR, 'static', 'rap', 'api-docs')));
+
 // Favicon — inline SVG with primary area color
 app.get('/favicon.ico', (req, res) => {
     let color = '#3b82f6';
@@ -1,10 +1,14 @@
 /**
  * Database Configuration and Initialization
  *
- * Simplified approach for development:
- * - Compare overall schema hash
- * - If changed: drop all tables and recreate
- * - No complex migration logic
+ * Schema changes are detected by comparing the overall schema hash:
+ * - If changed: plan an incremental migration against the stored structure
+ *   snapshot (SchemaMigrator) and apply it in place
+ * - If the plan is destructive (or no snapshot is stored yet):
+ *   auto-backup, drop all tables and recreate
+ *
+ * Every applied schema version is recorded in _schema_history (SchemaHistory)
+ * and can be rolled back to (rollbackSchema).
  */
 
 const Database = require('better-sqlite3');
@@ -13,9 +17,13 @@ const fs = require('fs');
 const crypto = require('crypto');
 const logger = require('../utils/logger');
 const eventBus = require('../utils/EventBus');
-const { generateSchema, generateCreateTableSQL, generateViewSQL, generatePairsSQL } = require('../utils/SchemaGenerator');
+const { generateSchema, generateCreateTableSQL, generateSearchSQL, generateViewSQL, generatePairsSQL } = require('../utils/SchemaGenerator');
 const { getTypeRegistry } = require('../../shared/types/TypeRegistry');
 const { parseAllUserViews, generateUserViewSQL } = require('../utils/UserViewGenerator');
+const SchemaMigrator = require('../utils/SchemaMigrator');
+const SchemaHistory = require('../utils/SchemaHistory');
+const { ConflictError } = require('../errors/ConflictError');
+const { NotFoundError } = require('../errors/NotFoundError');
 
 let db = null;
 let schema = null;
@@ -126,50 +134,90 @@ function getStoredSchemaHash() {
 }
 
 /**
- * Save schema hash
+ * Get the structure snapshot stored with the schema hash (basis for migrations)
+ * @returns {Object|null} Snapshot from SchemaMigrator.snapshotSchema(), null if none
+ */
+function getStoredSchemaSnapshot() {
+  try {
+    const result = db.prepare(
+      "SELECT snapshot FROM _schema_hash WHERE id = 1"
+    ).get();
+    return result?.snapshot ? JSON.parse(result.snapshot) : null;
+  } catch {
+    return null; // Table or column doesn't exist yet
+  }
+}
+
+/**
+ * Save schema hash together with the structure snapshot of the current schema
  */
 function saveSchemaHash(hash) {
   db.exec(`
     CREATE TABLE IF NOT EXISTS _schema_hash (
       id INTEGER PRIMARY KEY,
       hash TEXT NOT NULL,
+      snapshot TEXT,
       updated_at TEXT DEFAULT CURRENT_TIMESTAMP
     )
   `);
+
+  // Migration: add snapshot column if missing (for existing databases)
+  const columns = db.prepare('PRAGMA table_info(_schema_hash)').all();
+  if (!columns.some(c => c.name === 'snapshot')) {
+    db.exec('ALTER TABLE _schema_hash ADD COLUMN snapshot TEXT');
+  }
+
+  const snapshot = JSON.stringify(SchemaMigrator.snapshotSchema(schema));
   db.prepare(`
-    INSERT INTO _schema_hash (id, hash, updated_at)
-    VALUES (1, ?, CURRENT_TIMESTAMP)
-    ON CONFLICT(id) DO UPDATE SET hash = excluded.hash, updated_at = CURRENT_TIMESTAMP
-  `).run(hash);
+    INSERT INTO _schema_hash (id, hash, snapshot, updated_at)
+    VALUES (1, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(id) DO UPDATE SET hash = excluded.hash, snapshot = excluded.snapshot, updated_at = CURRENT_TIMESTAMP
+  `).run(hash, snapshot);
 }
 
 /**
  * Auto-backup all entity data before dropping tables on schema change.
  * Delegates to BackupManager.backupAll() for consistent FK label resolution.
  * Only runs when there is existing data and schema has changed.
+ * The backup files are also archived per schema version (data/backup-history/)
+ * for rollbacks, as the backup directory is overwritten by the next backup.
  * Emits: db:backup:before, db:backup:after
+ * @returns {string|null} Archive directory relative to the data directory (null: no data)
  */
 function autoBackupBeforeDrop(orderedEntities) {
   const BackupManager = require('../utils/seed/BackupManager');
-  const backupDir = path.join(path.dirname(storedDbPath), 'backup');
+  const dataDir = path.dirname(storedDbPath);
+  const backupDir = path.join(dataDir, 'backup');
 
   eventBus.emit('db:backup:before', { path: backupDir, reason: 'schema-change' });
 
   try {
-    const result = BackupManager.backupAll(db, schema, backupDir, { legacyFallback: true });
+    // Tables of entities that are new in this schema do not exist yet
+    const existing = orderedEntities.filter(entity => tableExists(entity.tableName));
+    const result = BackupManager.backupAll(db, { ...schema, orderedEntities: existing }, backupDir, { legacyFallback: true });
     const totalRecords = Object.values(result.entities).reduce((sum, n) => sum + n, 0);
 
     if (totalRecords === 0) {
       logger.info('Auto-backup: no data to backup');
-      return;
+      return null;
+    }
+
+    const archiveDir = path.join('backup-history', new Date().toISOString().replace(/[:.]/g, '-'));
+    fs.mkdirSync(path.join(dataDir, archiveDir), { recursive: true });
+    for (const [entityName, n] of Object.entries(result.entities)) {
+      if (n > 0) {
+        fs.copyFileSync(path.join(backupDir, `${entityName}.json`), path.join(dataDir, archiveDir, `${entityName}.json`));
+      }
     }
 
     logger.info(`Auto-backup: saved ${totalRecords} records from ${Object.keys(result.entities).length} entities before schema drop`);
     eventBus.emit('db:backup:after', {
       path: backupDir,
+      archive: path.join(dataDir, archiveDir),
       totalRecords,
       entityCount: Object.keys(result.entities).length
     });
+    return archiveDir;
   } catch (err) {
     logger.error('Auto-backup failed', { error: err.message });
     eventBus.emit('db:backup:error', { error: err.message });
@@ -178,28 +226,30 @@ function autoBackupBeforeDrop(orderedEntities) {
 }
 
 /**
- * Drop all entity tables and views (in reverse dependency order)
+ * Drop user views (uv_*) and entity views.
+ * Also drops the views of entities no longer in the schema: a table rebuild
+ * fails while any view refers to a table that is being replaced.
  */
-function dropAllTables(orderedEntities) {
-  // Drop user views (uv_*) first
-  const uvViews = db.prepare(
-    "SELECT name FROM sqlite_master WHERE type='view' AND name LIKE 'uv_%'"
+function dropAllViews() {
+  const views = db.prepare(
+    "SELECT name FROM sqlite_master WHERE type='view' AND (name LIKE 'uv_%' OR name LIKE '%\\_view' ESCAPE '\\')"
   ).all();
-  for (const { name } of uvViews) {
+  for (const { name } of views) {
     db.exec(`DROP VIEW IF EXISTS ${name}`);
   }
+}
 
-  // Drop entity views
-  for (const entity of orderedEntities) {
-    const viewName = entity.tableName + '_view';
-    if (viewExists(viewName)) {
-      db.exec(`DROP VIEW IF EXISTS ${viewName}`);
-    }
-  }
+/**
+ * Drop all entity tables and views (in reverse dependency order)
+ */
+function dropAllTables(orderedEntities) {
+  // Drop views first
+  dropAllViews();
 
   // Drop tables in reverse order (to respect FK constraints)
   const reversed = [...orderedEntities].reverse();
   for (const entity of reversed) {
+    db.exec(`DROP TABLE IF EXISTS ${entity.tableName}_fts`);
     if (tableExists(entity.tableName)) {
       db.exec(`DROP TABLE IF EXISTS ${entity.tableName}`);
       logger.debug(`Dropped table ${entity.tableName}`);
@@ -333,6 +383,40 @@ function ensureNullRecords(orderedEntities) {
   }
 }
 
+/**
+ * Create or update the full-text index of an entity (<table>_fts + sync triggers).
+ * [SEARCH] is not part of the schema hash, so this runs on every start:
+ * the index is rebuilt only when it is new or its columns changed.
+ */
+function syncSearchIndex(entity) {
+  const ftsTable = `${entity.tableName}_fts`;
+  const search = generateSearchSQL(entity);
+
+  for (const suffix of ['ai', 'ad', 'au']) {
+    db.exec(`DROP TRIGGER IF EXISTS ${ftsTable}_${suffix}`);
+  }
+
+  let exists = tableExists(ftsTable);
+  if (exists) {
+    const indexed = db.prepare(`PRAGMA table_info(${ftsTable})`).all().map(c => c.name);
+    if (!search || indexed.join(',') !== search.columns.join(',')) {
+      db.exec(`DROP TABLE ${ftsTable}`);
+      exists = false;
+      logger.debug(`Dropped search index ${ftsTable}`);
+    }
+  }
+  if (!search) return;
+
+  if (!exists) {
+    db.exec(search.createTable);
+    db.exec(`INSERT INTO ${ftsTable}(${ftsTable}) VALUES ('rebuild')`);
+    logger.debug(`Created search index ${ftsTable}`, { columns: search.columns });
+  }
+  for (const triggerSql of search.triggers) {
+    db.exec(triggerSql);
+  }
+}
+
 /**
  * Create all tables
  */
@@ -346,6 +430,8 @@ function createAllTables(orderedEntities) {
     for (const indexSql of createIndexes) {
       db.exec(indexSql);
     }
+
+    syncSearchIndex(entity);
   }
 }
 
@@ -443,6 +529,133 @@ function initMediaTables() {
   logger.debug('Media tables initialized');
 }
 
+/**
+ * Plan how the tables get from the stored schema to a target schema (dry run).
+ * Diffs the structure snapshot stored with the hash; without a snapshot
+ * (initial setup, databases from before migrations) all tables are recreated.
+ * @param {Object} targetSchema - Schema from generateSchema()
+ * @returns {{ changed: boolean, fromHash: string|null, toHash: string,
+ *   strategy: 'none'|'incremental'|'rebuild', operations: Array<Object>, destructive: boolean, reason?: string }}
+ */
+function buildMigrationPlan(targetSchema) {
+  const fromHash = getStoredSchemaHash();
+  const toHash = computeSchemaHash(targetSchema);
+  const plan = { changed: fromHash !== toHash, fromHash, toHash, strategy: 'none', operations: [], destructive: false };
+
+  if (!plan.changed) return plan;
+  if (!fromHash) {
+    return { ...plan, strategy: 'rebuild', reason: 'initial schema setup' };
+  }
+
+  const snapshot = getStoredSchemaSnapshot();
+  if (!snapshot) {
+    return { ...plan, strategy: 'rebuild', destructive: true, reason: 'no schema snapshot stored' };
+  }
+
+  const { operations, destructive } = SchemaMigrator.planMigration(db, snapshot, targetSchema);
+  return {
+    ...plan,
+    strategy: destructive ? 'rebuild' : 'incremental',
+    operations,
+    destructive,
+    reason: destructive ? 'destructive changes' : undefined
+  };
+}
+
+/**
+ * Bring the tables to the current schema according to a plan:
+ * incremental migration, or auto-backup + drop + recreate (strategy 'rebuild').
+ * Recreates all views, stores the new hash and records the version in _schema_history.
+ * Expects foreign_keys OFF.
+ * Emits: db:migrate:after (incremental)
+ * @param {Object} plan - From buildMigrationPlan()
+ * @param {Array} viewsConfig - User view definitions
+ * @param {Object} [context] - { triggeredBy, strategy } for the history ('rollback' overrides the plan strategy)
+ * @returns {{ backupDir: string|null }} Archived auto-backup (strategy 'rebuild' with data)
+ */
+function applySchemaChange(plan, viewsConfig, context = {}) {
+  let backupDir = null;
+
+  if (plan.strategy === 'incremental') {
+    logger.info('Schema changed - migrating tables', { operations: plan.operations.length });
+
+    // Views refer to the tables that are rebuilt
+    dropAllViews();
+    const result = SchemaMigrator.applyMigration(db, plan, schema);
+    if (result.foreignKeyViolations > 0) {
+      logger.warn(`Schema migration: ${result.foreignKeyViolations} foreign key violation(s) in existing data`);
+    }
+
+    // New tables' search indexes, indexes of rebuilt tables
+    createAllTables(schema.orderedEntities);
+    eventBus.emit('db:migrate:after', { operations: plan.operations, fromHash: plan.fromHash, toHash: plan.toHash });
+  } else {
+    if (plan.fromHash) {
+      logger.info('Schema changed - recreating all tables', { reason: plan.reason });
+      // Auto-backup existing data before dropping tables
+      backupDir = autoBackupBeforeDrop(schema.orderedEntities);
+    } else {
+      logger.info('Initial schema setup');
+    }
+
+    // Drop and recreate everything
+    dropAllTables(schema.orderedEntities);
+    createAllTables(schema.orderedEntities);
+  }
+
+  createAllViews(schema.orderedEntities);
+  createUserViews(viewsConfig);
+  saveSchemaHash(plan.toHash);
+  SchemaHistory.record(db, {
+    hash: plan.toHash,
+    previousHash: plan.fromHash,
+    schema,
+    strategy: context.strategy || (plan.fromHash ? plan.strategy : 'initial'),
+    operations: plan.operations,
+    backupDir,
+    triggeredBy: context.triggeredBy
+  });
+
+  logger.info('Schema initialized', {
+    tables: schema.orderedEntities.length,
+    strategy: plan.strategy,
+    hash: plan.toHash.substring(0, 8) + '...'
+  });
+  return { backupDir };
+}
+
+/**
+ * Switch to a new schema and change the tables with foreign_keys OFF.
+ * If the change throws, the previous schema and view definitions are restored together
+ * with their views (the incremental migration is one transaction, so the tables are
+ * unchanged); foreign keys are switched on again in any case.
+ * @param {Object} newSchema - Schema the tables are changed to
+ * @param {Function} change - Applies the change, returns the result
+ * @returns {*} Result of change()
+ */
+function runSchemaChange(newSchema, change) {
+  const previousSchema = schema;
+  const previousViewsConfig = storedViewsConfig;
+
+  db.pragma('foreign_keys = OFF');
+  schema = newSchema;
+  try {
+    return change();
+  } catch (err) {
+    schema = previousSchema;
+    storedViewsConfig = previousViewsConfig;
+    try {
+      createAllViews(schema.orderedEntities);
+      createUserViews(storedViewsConfig);
+    } catch (viewErr) {
+      logger.error('Could not recreate the views after a failed schema change', { error: viewErr.message });
+    }
+    throw err;
+  } finally {
+    db.pragma('foreign_keys = ON');
+  }
+}
+
 /**
  * Initialize database
  * @param {string} dbPath - Path to SQLite database file
@@ -474,6 +687,7 @@ function initDatabase(dbPath, dataModelPath, enabledEntities, viewsConfig, entit
   db = new Database(dbPath);
   db.pragma('foreign_keys = OFF'); // Disable during setup
   db.pragma('journal_mode = WAL'); // Enable WAL for better concurrency
+  db.pragma('recursive_triggers = ON'); // INSERT OR REPLACE fires the delete triggers of search indexes
 
   logger.info('Database opened', { path: dbPath });
 
@@ -492,7 +706,7 @@ function initDatabase(dbPath, dataModelPath, enabledEntities, viewsConfig, entit
   if (forceReinit) {
     logger.info('Force reinitialization requested (--reinit)');
     // Auto-backup existing data before dropping tables
-    autoBackupBeforeDrop(schema.orderedEntities);
+    const backupDir = autoBackupBeforeDrop(schema.orderedEntities);
 
     // Drop and recreate everything
     dropAllTables(schema.orderedEntities);
@@ -500,37 +714,34 @@ function initDatabase(dbPath, dataModelPath, enabledEntities, viewsConfig, entit
     createAllViews(schema.orderedEntities);
     createUserViews(viewsConfig);
     saveSchemaHash(currentHash);
+    SchemaHistory.record(db, {
+      hash: currentHash, previousHash: storedHash, schema, strategy: 'forced', backupDir, triggeredBy: 'startup (--reinit)'
+    });
 
     logger.info('Schema reinitialized (forced)', {
       tables: schema.orderedEntities.length,
       hash: currentHash.substring(0, 8) + '...'
     });
   } else if (storedHash !== currentHash) {
-    if (storedHash) {
-      logger.info('Schema changed - recreating all tables');
-      // Auto-backup existing data before dropping tables
-      autoBackupBeforeDrop(schema.orderedEntities);
-    } else {
-      logger.info('Initial schema setup');
-    }
-
-    // Drop and recreate everything
-    dropAllTables(schema.orderedEntities);
-    createAllTables(schema.orderedEntities);
-    createAllViews(schema.orderedEntities);
-    createUserViews(viewsConfig);
-    saveSchemaHash(currentHash);
-
-    logger.info('Schema initialized', {
-      tables: schema.orderedEntities.length,
-      hash: currentHash.substring(0, 8) + '...'
-    });
+    applySchemaChange(buildMigrationPlan(schema), viewsConfig, { triggeredBy: 'startup' });
   } else {
     logger.info('Schema unchanged', { hash: currentHash.substring(0, 8) + '...' });
 
+    // Tables exist (IF NOT EXISTS), but [SEARCH] changes are not part of the hash
+    createAllTables(schema.orderedEntities);
+
     // Still recreate views (they might reference label columns that changed)
     createAllViews(schema.orderedEntities);
     createUserViews(viewsConfig);
+
+    // Databases from before migrations: store the snapshot of the unchanged tables
+    if (!getStoredSchemaSnapshot()) {
+      saveSchemaHash(currentHash);
+    }
+    // Databases from before the schema history: record the running version
+    if (SchemaHistory.count(db) === 0) {
+      SchemaHistory.record(db, { hash: currentHash, schema, strategy: 'baseline', triggeredBy: 'startup' });
+    }
   }
 
   // Migrate: ensure system columns exist and have values
@@ -628,47 +839,179 @@ function forceRebuild() {
 }
 
 /**
- * Reinitialize views from markdown.
- * Re-reads Views.md and recreates all views (entity + user views).
- * Preserves all table data — does NOT touch tables or schema.
- * For DataModel.md / Types.md changes, use forceRebuild() or restart the server.
+ * Dry run of reinitialize(): plan the migration to the current markdown
+ * without changing the database.
+ * @returns {Object} Plan (see buildMigrationPlan)
  */
-function reinitialize() {
+function planSchemaMigration() {
+  if (!db || !storedDataModelPath) {
+    throw new Error('Cannot plan migration: database was never initialized');
+  }
+  return buildMigrationPlan(generateSchema(storedDataModelPath, storedEnabledEntities));
+}
+
+/**
+ * Reinitialize from markdown.
+ * Re-reads DataModel.md and Views.md, migrates the tables to the new schema
+ * (incrementally, data is preserved) and recreates all views.
+ * Destructive changes (backup + drop + recreate) need options.allowDestructive.
+ * @param {Object} [options]
+ * @param {boolean} [options.allowDestructive] - Allow the drop/recreate fallback
+ * @param {string} [options.triggeredBy] - User recorded in the schema history
+ * @returns {{ success: boolean, entities: number, plan: Object }}
+ */
+function reinitialize(options = {}) {
   if (!db || !schema || !storedDataModelPath) {
     throw new Error('Cannot reinitialize: database was never initialized');
   }
 
-  db.pragma('foreign_keys = OFF');
-
   // Re-read DataModel.md and regenerate schema (picks up new entities/columns)
-  schema = generateSchema(storedDataModelPath, storedEnabledEntities);
+  const newSchema = generateSchema(storedDataModelPath, storedEnabledEntities);
+  const plan = buildMigrationPlan(newSchema);
+
+  if (plan.strategy === 'rebuild' && !options.allowDestructive) {
+    throw new ConflictError(
+      `Schema change cannot be applied in place: ${plan.reason}`,
+      plan.operations.filter(op => op.destructive)
+    );
+  }
 
-  // Create any new tables (IF NOT EXISTS — safe for existing data)
-  createAllTables(schema.orderedEntities);
+  runSchemaChange(newSchema, () => {
+    // Re-read views from Views.md (so view changes take effect without restart)
+    const requirementsDir = path.dirname(storedDataModelPath);
+    const UISpecLoader = require('../utils/UISpecLoader');
+    const mdViews = UISpecLoader.loadViewsConfig(requirementsDir);
+    if (mdViews) {
+      storedViewsConfig = mdViews;
+      logger.info('Views reloaded from markdown');
+    }
 
-  // Ensure system columns (_ql, _qd, etc.) exist
-  migrateSystemColumns(schema.orderedEntities);
+    if (plan.changed) {
+      applySchemaChange(plan, storedViewsConfig, { triggeredBy: options.triggeredBy });
+    } else {
+      // Create any new tables (IF NOT EXISTS — safe for existing data), refresh views
+      createAllTables(schema.orderedEntities);
+      createAllViews(schema.orderedEntities);
+      createUserViews(storedViewsConfig);
+    }
 
-  // Ensure null reference records at id=1 (in canonical dependency order)
-  ensureNullRecords(schema.orderedEntities);
+    // Ensure system columns (_ql, _qd, etc.) exist
+    migrateSystemColumns(schema.orderedEntities);
 
-  // Re-read views from Views.md (so view changes take effect without restart)
-  const requirementsDir = path.dirname(storedDataModelPath);
-  const UISpecLoader = require('../utils/UISpecLoader');
-  const mdViews = UISpecLoader.loadViewsConfig(requirementsDir);
-  if (mdViews) {
-    storedViewsConfig = mdViews;
-    logger.info('Views reloaded from markdown');
+    // Ensure null reference records at id=1 (in canonical dependency order)
+    ensureNullRecords(schema.orderedEntities);
+  });
+
+  logger.info('Database reinitialized', { entities: schema.orderedEntities.length, strategy: plan.strategy });
+  return { success: true, entities: schema.orderedEntities.length, plan };
+}
+
+/**
+ * Applied schema versions, newest first (without schema JSON)
+ * @returns {Array<Object>} Rows of _schema_history, the running version marked `current`
+ */
+function getSchemaHistory() {
+  if (!db) {
+    throw new Error('Database not initialized');
   }
+  return SchemaHistory.list(db, getStoredSchemaHash());
+}
 
-  // Refresh views
-  createAllViews(schema.orderedEntities);
-  createUserViews(storedViewsConfig);
+/**
+ * A schema version including its schema JSON and the backup of its data
+ * @param {number} id - _schema_history id
+ * @returns {Object} Row with schema, operations and dataBackup (relative to the data directory)
+ */
+function getSchemaVersion(id) {
+  const version = SchemaHistory.get(db, id);
+  if (!version) {
+    throw new NotFoundError('Schema version', id);
+  }
+  return { ...version, dataBackup: SchemaHistory.getReplacementBackup(db, id) };
+}
 
-  db.pragma('foreign_keys = ON');
+/**
+ * Plan the migration from the current tables to the stored schema of a version
+ * @returns {{ version: Object, targetSchema: Object, plan: Object }}
+ */
+function buildRollbackPlan(id) {
+  const version = getSchemaVersion(id);
+  const fromHash = getStoredSchemaHash();
+  if (version.hash === fromHash) {
+    throw new ConflictError(`Schema version ${id} is the current version`);
+  }
+
+  // JSON copies: entities and orderedEntities must share the entity objects again
+  const targetSchema = version.schema;
+  targetSchema.orderedEntities = targetSchema.orderedEntities.map(e => targetSchema.entities[e.className]);
+
+  // Renames applied since that version are undone, not planned as removal plus addition
+  SchemaMigrator.declareReverseRenames(targetSchema, SchemaHistory.getOperationsSince(db, id));
+
+  // The stored hash identifies the version (types are not part of the stored schema)
+  const plan = { ...buildMigrationPlan(targetSchema), changed: true, toHash: version.hash };
+  return { version, targetSchema, plan };
+}
+
+/**
+ * Dry run of rollbackSchema()
+ * @param {number} id - _schema_history id
+ * @returns {Object} Plan (see buildMigrationPlan) with dataBackup of the version
+ */
+function planSchemaRollback(id) {
+  if (!db) {
+    throw new Error('Cannot plan rollback: database was never initialized');
+  }
+  const { version, plan } = buildRollbackPlan(id);
+  return { ...plan, dataBackup: version.dataBackup };
+}
+
+/**
+ * Roll the tables back to a previous schema version.
+ * Plans the migration from the current tables to the stored schema of that version:
+ * where it can be applied in place the data is kept; otherwise (options.allowDestructive)
+ * the tables are backed up, dropped and recreated, and the caller restores `restoreFrom` -
+ * the backup written when that version was replaced, or else the auto-backup of the
+ * current data (if there was any) with the renames since that version undone.
+ * The markdown files are not changed: the next restart or reinitialize migrates
+ * to the data model in the markdown again.
+ * @param {number} id - _schema_history id
+ * @param {Object} [options] - { allowDestructive, triggeredBy }
+ * @returns {{ success: boolean, entities: number, plan: Object, restoreFrom: string|null }}
+ *   restoreFrom: absolute backup directory to restore (strategy 'rebuild' only)
+ */
+function rollbackSchema(id, options = {}) {
+  if (!db || !schema || !storedDbPath) {
+    throw new Error('Cannot roll back: database was never initialized');
+  }
+
+  const { version, targetSchema, plan } = buildRollbackPlan(id);
+
+  if (plan.strategy === 'rebuild' && !options.allowDestructive) {
+    throw new ConflictError(
+      `Rollback cannot be applied in place: ${plan.reason}`,
+      { operations: plan.operations.filter(op => op.destructive), dataBackup: version.dataBackup }
+    );
+  }
+
+  const { backupDir } = runSchemaChange(targetSchema, () => {
+    const result = applySchemaChange(plan, storedViewsConfig, { triggeredBy: options.triggeredBy, strategy: 'rollback' });
+    migrateSystemColumns(schema.orderedEntities);
+    ensureNullRecords(schema.orderedEntities);
+    return result;
+  });
+
+  let restoreFrom = null;
+  if (plan.strategy === 'rebuild' && (version.dataBackup || backupDir)) {
+    restoreFrom = path.join(path.dirname(storedDbPath), version.dataBackup || backupDir);
+    // The auto-backup of the current data uses the current names: rename them back like the tables
+    if (!version.dataBackup) {
+      require('../utils/seed/BackupManager').renameInDataFiles(restoreFrom, plan.operations);
+    }
+  }
 
-  logger.info('Database reinitialized', { entities: schema.orderedEntities.length });
-  return { success: true, entities: schema.orderedEntities.length };
+  logger.info('Schema rolled back', { version: id, strategy: plan.strategy, hash: version.hash.substring(0, 8) + '...' });
+  return { success: true, entities: schema.orderedEntities.length, plan, restoreFrom };
 }
 
 /**
@@ -882,6 +1225,11 @@ module.exports = {
   closeDatabase,
   forceRebuild,
   reinitialize,
+  planSchemaMigration,
+  getSchemaHistory,
+  getSchemaVersion,
+  planSchemaRollback,
+  rollbackSchema,
   tableExists,
   viewExists,
   migrateSystemColumns,
@@ -4,8 +4,12 @@
 const AppError = require('./AppError');
 
 class ConflictError extends AppError {
-  constructor(message = 'Resource conflict') {
-    super(message, 409, 'ConflictError');
+  /**
+   * @param {string} message - Error message
+   * @param {Array|null} details - Individual conflicts (e.g. FK/UNIQUE checks before a restore)
+   */
+  constructor(message = 'Resource conflict', details = null) {
+    super(message, 409, 'ConflictError', details);
   }
 }
 
@@ -47,7 +51,7 @@ class UniqueConstraintError extends ConflictError {
  */
 class VersionConflictError extends ConflictError {
   constructor(entityType, id, expectedVersion, currentRecord) {
-    super(`${entityType} #${id} was modified by another user (expected version ${expectedVersion}, current ${currentRecord.version})`);
+    super(`${entityType} #${id} was modified by another user (expected version ${expectedVersion}, current ${currentRecord._version})`);
     this.entityType = entityType;
     this.id = id;
     this.expectedVersion = expectedVersion;
@@ -0,0 +1,16 @@
+/**
+ * ForbiddenError - For operations the current role may not perform (HTTP 403)
+ */
+const AppError = require('./AppError');
+
+class ForbiddenError extends AppError {
+  /**
+   * @param {string} message - Error message
+   * @param {any} details - Additional details (e.g. denied fields)
+   */
+  constructor(message = 'Forbidden', details = null) {
+    super(message, 403, 'ForbiddenError', details);
+  }
+}
+
+module.exports = { ForbiddenError };
@@ -5,6 +5,7 @@ const AppError = require('./AppError');
 const { ValidationError, InvalidInputError, SchemaValidationError } = require('./ValidationError');
 const { NotFoundError, EntityNotFoundError } = require('./NotFoundError');
 const { ConflictError, ForeignKeyConstraintError, UniqueConstraintError, VersionConflictError } = require('./ConflictError');
+const { ForbiddenError } = require('./ForbiddenError');
 
 module.exports = {
   // Base
@@ -15,6 +16,9 @@ module.exports = {
   InvalidInputError,
   SchemaValidationError,
 
+  // Forbidden (403)
+  ForbiddenError,
+
   // Not Found (404)
   NotFoundError,
   EntityNotFoundError,
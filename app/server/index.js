@@ -13,10 +13,21 @@ const GenericCrudRouter = require('./routers/GenericCrudRouter');
 const AuditRouter = require('./routers/audit.router');
 const mediaRouter = require('./routers/media.router');
 const adminRouter = require('./routers/admin.router');
+const usersRouter = require('./routers/users.router');
+const webhooksRouter = require('./routers/webhooks.router');
+const eventsRouter = require('./routers/events.router');
+const openapiRouter = require('./routers/openapi.router');
+const graphqlRouter = require('./routers/graphql.router');
+const searchRouter = require('./routers/search.router');
+const savedViewsRouter = require('./routers/saved-views.router');
 const ComputedFieldService = require('./services/ComputedFieldService');
 const CalculationService = require('./services/CalculationService');
 const AuditService = require('./services/AuditService');
+const UserService = require('./services/UserService');
 const MediaService = require('./services/MediaService');
+const WebhookService = require('./services/WebhookService');
+const ChangeFeedService = require('./services/ChangeFeedService');
+const SavedViewService = require('./services/SavedViewService');
 const SeedManager = require('./utils/SeedManager');
 const logger = require('./utils/logger');
 
@@ -49,6 +60,18 @@ function init(app, config) {
   // Initialize audit trail (after database)
   AuditService.init();
 
+  // Initialize user accounts (after database)
+  UserService.init();
+
+  // Initialize saved table layouts (after database)
+  SavedViewService.init();
+
+  // Initialize outbound webhooks (after database)
+  WebhookService.init(systemConfig);
+
+  // Initialize live change feed (Server-Sent Events)
+  ChangeFeedService.init();
+
   // Initialize media service (after database)
   const mediaPath = paths?.media || path.join(paths?.data || path.join(appDir, 'data'), 'media');
   const mediaService = new MediaService(mediaPath, config);
@@ -75,7 +98,7 @@ function init(app, config) {
   app.use(requestLogger);
 
   // JSON body parser for API routes
-  app.use('/api/entities', express.json());
+  app.use('/api/entities', express.json({ type: ['application/json', 'application/merge-patch+json'] }));
   app.use('/api/audit', express.json());
   app.use('/api/media', express.json());
 
@@ -91,6 +114,27 @@ function init(app, config) {
   // Mount Admin router (development tools)
   app.use(adminRouter(systemConfig));
 
+  // Mount Users router (account management, admin only)
+  app.use(usersRouter());
+
+  // Mount Webhooks router (subscriptions and delivery log, admin only)
+  app.use(webhooksRouter());
+
+  // Mount Events router (live change feed)
+  app.use(eventsRouter());
+
+  // Mount OpenAPI router (generated API description)
+  app.use(openapiRouter(systemConfig));
+
+  // Mount GraphQL router (read-only queries over the data model)
+  app.use(graphqlRouter());
+
+  // Mount Search router (full-text search across entities)
+  app.use(searchRouter());
+
+  // Mount Saved Views router (per-user table layouts and filters)
+  app.use(savedViewsRouter());
+
   // Error handler (after routes)
   app.use('/api', errorHandler);
 
@@ -147,12 +191,16 @@ function init(app, config) {
   process.on('SIGTERM', () => {
     logger.info('SIGTERM received, closing database');
     ComputedFieldService.stopScheduler();
+    WebhookService.stop();
+    ChangeFeedService.stop();
     closeDatabase();
   });
 
   process.on('SIGINT', () => {
     logger.info('SIGINT received, closing database');
     ComputedFieldService.stopScheduler();
+    WebhookService.stop();
+    ChangeFeedService.stop();
     closeDatabase();
   });
 
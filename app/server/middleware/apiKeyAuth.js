@@ -55,7 +55,7 @@ function apiKeyAuth(apiKeysConfig) {
     if (origin && config.cors && config.cors.includes(origin)) {
       res.setHeader('Access-Control-Allow-Origin', origin);
       res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key, X-User-Id, If-Match, X-Correlation-ID');
-      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
       res.setHeader('Access-Control-Expose-Headers', 'ETag, X-Correlation-ID');
       res.setHeader('Vary', 'Origin');
     }
@@ -71,7 +71,8 @@ function apiKeyAuth(apiKeysConfig) {
 function checkEntityScope(req, res, next) {
   if (req.user?.allowedEntities) {
     const entity = req.params.entity;
-    if (entity && !req.user.allowedEntities.includes(entity)) {
+    // _batch checks the entity of every operation itself
+    if (entity && entity !== '_batch' && !req.user.allowedEntities.includes(entity)) {
       return res.status(403).json({ error: `API key does not have access to entity '${entity}'` });
     }
   }
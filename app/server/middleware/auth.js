@@ -3,9 +3,44 @@
  * Handles session validation and role-based access control
  */
 
+/**
+ * Build req.user from parsed session data
+ * Role sessions: { role }. OIDC sessions: { role, username } (role mapped from IdP groups at login).
+ * User sessions: { role, userId, username, attributes } with role, attributes and active flag
+ * re-read from _users, so changes and deactivation apply immediately.
+ * @param {Object} sessionData - Parsed rap-session cookie
+ * @returns {Object|null} req.user value, or null if the account no longer exists / is inactive
+ */
+function resolveSessionUser(sessionData) {
+    if (!sessionData.userId) {
+        return sessionData.username
+            ? { role: sessionData.role, username: sessionData.username }
+            : { role: sessionData.role };
+    }
+    const UserService = require('../services/UserService');
+    const user = UserService.getActiveUser(sessionData.userId);
+    if (!user) return null;
+    return { role: user.role, userId: user.id, username: user.username, attributes: user.attributes };
+}
+
+/**
+ * Describe the acting user for the audit trail (changed_by)
+ * - API key: "<X-User-Id> (via <key name>)" or the key name
+ * - User session: username
+ * @returns {string|null} null for role sessions / no auth (caller falls back to IP)
+ */
+function getChangedBy(req) {
+    const user = req.user;
+    if (!user) return null;
+    if (user.apiKey) {
+        return user.userId ? `${user.userId} (via ${user.apiKey})` : user.apiKey;
+    }
+    return user.username || null;
+}
+
 /**
  * Parse and validate session from signed cookie
- * Sets req.user = { role: 'admin'|'user'|'guest' } if valid
+ * Sets req.user = { role: 'admin'|'user'|'guest', userId?, username? } if valid
  */
 function authMiddleware(req, res, next) {
     // If already authenticated (e.g. via API key), skip session check
@@ -27,7 +62,13 @@ function authMiddleware(req, res, next) {
             return res.status(401).json({ error: 'Session expired' });
         }
 
-        req.user = { role: sessionData.role };
+        const user = resolveSessionUser(sessionData);
+        if (!user) {
+            res.clearCookie('rap-session');
+            return res.status(401).json({ error: 'Account disabled' });
+        }
+
+        req.user = user;
         next();
     } catch (e) {
         res.clearCookie('rap-session');
@@ -46,7 +87,7 @@ function optionalAuth(req, res, next) {
         try {
             const sessionData = typeof session === 'string' ? JSON.parse(session) : session;
             if (!sessionData.expires || Date.now() <= sessionData.expires) {
-                req.user = { role: sessionData.role };
+                req.user = resolveSessionUser(sessionData) || undefined;
             }
         } catch (e) {
             // Invalid session, just continue without user
@@ -78,5 +119,7 @@ function requireRole(...roles) {
 module.exports = {
     authMiddleware,
     optionalAuth,
-    requireRole
+    requireRole,
+    resolveSessionUser,
+    getChangedBy
 };
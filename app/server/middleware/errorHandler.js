@@ -64,7 +64,9 @@ function errorHandler(err, req, res, next) {
       code: errorCode,
       message: errorMessage,
       correlationId,
-      ...(errorDetails && { details: errorDetails })
+      ...(errorDetails && { details: errorDetails }),
+      // Batch requests: index of the operation that caused the rollback
+      ...(err.operationIndex !== undefined && { operationIndex: err.operationIndex })
     }
   };
 
@@ -4,7 +4,7 @@
 const errorHandler = require('./errorHandler');
 const requestLogger = require('./requestLogger');
 const correlationId = require('./correlationId');
-const { authMiddleware, optionalAuth, requireRole } = require('./auth');
+const { authMiddleware, optionalAuth, requireRole, resolveSessionUser, getChangedBy } = require('./auth');
 
 module.exports = {
   errorHandler,
@@ -13,4 +13,6 @@ module.exports = {
   authMiddleware,
   optionalAuth,
   requireRole,
+  resolveSessionUser,
+  getChangedBy,
 };
@@ -8,13 +8,20 @@
  */
 
 const { getDatabase, getSchema, getEntityPrefilters, getRequiredFilters, getTableOptions } = require('../config/database');
-const { ObjectValidator } = require('../../shared/validation');
+const { ObjectValidator, ValidationError: FieldValidationError } = require('../../shared/validation');
 const { getTypeRegistry } = require('../../shared/types/TypeRegistry');
 const ColumnUtils = require('../../static/rap/utils/ColumnUtils');
 const { EntityNotFoundError } = require('../errors/NotFoundError');
 const { ForeignKeyConstraintError, UniqueConstraintError } = require('../errors/ConflictError');
 const { parseFilter, buildWhereClause } = require('../utils/FilterParser');
+const { parseFilterExpression } = require('../utils/FilterExpression');
+const { decodeCursor, buildSeekCondition, buildOrderBy, finishPage } = require('../utils/KeysetCursor');
+const { parseSort } = require('../utils/SortParser');
+const { buildAggregateQuery } = require('../utils/AggregateQuery');
+const { resolveColumnPath } = require('../utils/UserViewGenerator');
 const { COLUMN_BREAK } = require('../utils/UISpecLoader');
+const { scopedFrom } = require('../utils/RowScope');
+const RecordRules = require('../utils/RecordRules');
 const logger = require('../utils/logger');
 
 // Shared validator instance
@@ -47,27 +54,47 @@ function createLookupFn(db) {
 
 /**
  * Create an exists function for cross-entity constraints.
- * Returns a function(entityName, conditions) that checks if a matching record exists.
+ * Returns a function(entityName, conditions, excludeId) that checks if a matching record exists
+ * (excludeId: the record being validated, used by UniqueWithinParent).
  * Cache lives for one validation batch (create/update call).
  */
 function createExistsFn(db) {
   const cache = new Map();
-  return (entityName, conditions) => {
+  return (entityName, conditions, excludeId = null) => {
     if (!conditions || typeof conditions !== 'object') return false;
     const schema = getSchema();
     const entity = schema.entities[entityName];
     if (!entity) return false;
     const keys = Object.keys(conditions).sort();
-    const cacheKey = `${entityName}:${keys.map(k => `${k}=${conditions[k]}`).join(',')}`;
+    const cacheKey = `${entityName}:${keys.map(k => `${k}=${conditions[k]}`).join(',')}:${excludeId ?? ''}`;
     if (cache.has(cacheKey)) return cache.get(cacheKey);
-    const where = keys.map(k => `${k} = ?`).join(' AND ');
+    let where = keys.map(k => `${k} = ?`).join(' AND ');
     const values = keys.map(k => conditions[k]);
+    if (excludeId != null) {
+      where += ' AND id != ?';
+      values.push(excludeId);
+    }
     const result = !!db.prepare(`SELECT 1 FROM ${entity.tableName} WHERE ${where} LIMIT 1`).get(...values);
     cache.set(cacheKey, result);
     return result;
   };
 }
 
+/**
+ * Check the cross-record rules (## Record Rules) of a record before it is written.
+ * Runs inside the caller's transaction (GenericService), so the checked state
+ * cannot change before the write.
+ * @param {Object} record - Complete record as it will be saved (id = null for new records)
+ * @throws {FieldValidationError} On violations
+ */
+function checkRecordRules(db, entity, record) {
+  if (!entity.recordRules) return;
+  const errors = RecordRules.check(db, entity, record);
+  if (errors.length > 0) {
+    throw new FieldValidationError(errors);
+  }
+}
+
 /**
  * Compute FK dependencies for an entity from PAIRS annotations.
  * Scans all entities for PAIRS that reference entityName as sourceEntity.
@@ -205,12 +232,6 @@ function handleSqliteError(err, entityName, operation, data = {}) {
   throw err;
 }
 
-/**
- * Find all records of an entity
- * Uses the View (with FK labels) for reading
- * @param {string} entityName - Entity name (e.g., 'Aircraft')
- * @param {Object} options - { sort, order, filter, limit, offset }
- */
 /**
  * Get filtered FK options based on PAIRS dependencies.
  * Follows FK chains to build a SQL query that filters the target entity
@@ -220,9 +241,10 @@ function handleSqliteError(err, entityName, operation, data = {}) {
  * @param {string} targetField - The FK field to filter (e.g., "aircraft_id")
  * @param {string} sourceField - The FK field that was selected (e.g., "engine_id")
  * @param {number} sourceValue - The selected ID value
+ * @param {Object|null} rowScope - Row-level security scope (PermissionService.getRowScope)
  * @returns {{ data: Array }} Filtered records from the target entity
  */
-function findFilteredFkOptions(entityName, targetField, sourceField, sourceValue) {
+function findFilteredFkOptions(entityName, targetField, sourceField, sourceValue, rowScope = null) {
   const schema = getSchema();
   const db = getDatabase();
 
@@ -320,99 +342,193 @@ function findFilteredFkOptions(entityName, targetField, sourceField, sourceValue
 
   // Build the complete query
   const pairsSubquery = `SELECT ${targetPairsCol} FROM ${pairsEntity.tableName} WHERE ${sourcePairsCol} IN (${sourceSubquery})`;
-  const viewName = targetEntity.tableName + '_view';
-  const sql = `SELECT * FROM ${viewName} WHERE ${targetFilterCol} IN (${pairsSubquery}) ORDER BY id ASC`;
+  const from = scopedFrom(targetEntity.tableName + '_view', rowScope);
+  const sql = `SELECT * FROM ${from.sql} WHERE ${targetFilterCol} IN (${pairsSubquery}) ORDER BY id ASC`;
 
-  const rows = db.prepare(sql).all(parseInt(sourceValue, 10));
+  const rows = db.prepare(sql).all(...from.params, parseInt(sourceValue, 10));
   return { data: rows, total: rows.length };
 }
 
-function findAll(entityName, options = {}) {
-  const entity = getEntityMeta(entityName);
-  const db = getDatabase();
+/**
+ * Resolve a column of an entity's view (<table>_view) by name.
+ * Accepts the implicit id, all schema columns (incl. system columns),
+ * FK label columns (<fk>_label) and computed _label/_label2.
+ * @returns {{ sqlName: string, jsType: string }|null}
+ */
+function resolveViewColumn(entity, colName) {
+  // Handle implicit id column (always present but not in entity.columns)
+  if (colName === 'id') {
+    return { sqlName: 'id', jsType: 'number' };
+  }
+  const col = entity.columns.find(c => c.name === colName);
+  if (col) return { sqlName: col.name, jsType: col.jsType };
 
-  // Read from View (includes _label fields for FKs)
-  const viewName = entity.tableName + '_view';
+  if ((colName === '_label' && entity.labelExpression) || (colName === '_label2' && entity.label2Expression)) {
+    return { sqlName: colName, jsType: 'string' };
+  }
+  const fk = (entity.foreignKeys || []).find(f =>
+    f.displayName + '_label' === colName && (f.labelFields?.primary || f.labelFields?.expression)
+  );
+  return fk ? { sqlName: colName, jsType: 'string' } : null;
+}
 
-  // Parse filter using shared FilterParser
-  const { conditions, params } = parseFilter(options.filter, {
+/**
+ * Build the column resolution callbacks shared by FilterParser and FilterExpression
+ * @param {Object} entity - Entity schema
+ * @param {Set<string>} [hiddenKeys] - View columns the caller may not see (field permissions);
+ *   they are not resolvable and excluded from the global text search
+ */
+function buildFilterOptions(entity, hiddenKeys = new Set()) {
+  return {
     // For ~, =, @Y, @M: use column name directly (view has all columns)
-    resolveColumn: (colName) => ({ sqlName: colName, jsType: 'string' }),
-    // For plain "column:value": validate against entity schema
-    validateEntityColumn: (colName) => {
-      // Handle implicit id column (always present but not in entity.columns)
-      if (colName === 'id') {
-        return { sqlName: 'id', jsType: 'number' };
-      }
-      const col = entity.columns.find(c => c.name === colName);
-      return col ? { sqlName: col.name, jsType: col.jsType } : null;
-    },
+    resolveColumn: (colName) => hiddenKeys.has(colName) ? null : { sqlName: colName, jsType: 'string' },
+    // For plain "column:value" and filter expressions: validate against entity schema
+    validateEntityColumn: (colName) => hiddenKeys.has(colName) ? null : resolveViewColumn(entity, colName),
     // For global text search: use entity's string columns
     getStringColumns: () => entity.columns
-      .filter(c => c.jsType === 'string' && c.name !== 'id')
+      .filter(c => c.jsType === 'string' && c.name !== 'id' && !hiddenKeys.has(c.name))
       .map(c => c.name)
-  });
+  };
+}
+
+/**
+ * Resolve a sort key to a view column
+ * Besides the view columns of resolveViewColumn, the conceptual FK name sorts
+ * by the FK label (building → building_label), or by the FK id without a label.
+ * @returns {string|null} View column, null if unknown or hidden
+ */
+function resolveSortColumn(entity, name, hiddenKeys) {
+  const fk = (entity.foreignKeys || []).find(f => f.displayName === name);
+  if (fk && !entity.columns.some(c => c.name === name)) {
+    if (hiddenKeys.has(fk.column)) return null;
+    const label = `${fk.displayName}_label`;
+    return resolveViewColumn(entity, label) ? label : fk.column;
+  }
+  if (hiddenKeys.has(name)) return null;
+  return resolveViewColumn(entity, name)?.sqlName || null;
+}
+
+/**
+ * WHERE conditions and sorting of a list query (findAll, findAllByParents)
+ * @returns {{ conditions: string[], params: any[], sortKeys: Object[], order: string }}
+ *   sortKeys: [{ sql, key, order }] for KeysetCursor
+ */
+function buildListQuery(entity, options) {
+  // Parse shorthand filter and structured expression with the same column rules
+  const hiddenKeys = options.hiddenKeys || new Set();
+  const filterOptions = buildFilterOptions(entity, hiddenKeys);
+  const { conditions, params } = parseFilter(options.filter, filterOptions);
+  const expr = parseFilterExpression(options.where, filterOptions);
+  conditions.push(...expr.conditions);
+  params.push(...expr.params);
 
   // Quality filter: exclude defective and system records
   conditions.unshift(qlCondition());
 
-  const whereClause = buildWhereClause(conditions);
+  // Sorting: ordered sort keys, unknown and hidden columns are ignored.
+  // id breaks ties in the direction of the last key (an explicit id key ends the list).
+  let order = options.order === 'desc' ? 'desc' : 'asc';
+  const sortKeys = [];
+  for (const key of parseSort(options.sort, order)) {
+    const sqlName = resolveSortColumn(entity, key.column, hiddenKeys);
+    if (sqlName === 'id') {
+      order = key.order;
+      break;
+    }
+    if (!sqlName || sortKeys.some(k => k.key === sqlName)) continue;
+    sortKeys.push({ sql: `"${sqlName}"`, key: sqlName, order: key.order });
+    order = key.order;
+  }
 
-  // Build data query with WHERE, ORDER BY, and pagination
-  let sql = `SELECT * FROM ${viewName}${whereClause}`;
-
-  // Sorting
-  if (options.sort) {
-    const validColumn = entity.columns.find(c => c.name === options.sort);
-    if (validColumn) {
-      const order = options.order === 'desc' ? 'DESC' : 'ASC';
-      sql += ` ORDER BY ${options.sort} ${order}`;
+  return { conditions, params, sortKeys, order };
+}
+
+/**
+ * Find all records of an entity
+ * Uses the View (with FK labels) for reading
+ * @param {string} entityName - Entity name (e.g., 'Aircraft')
+ * @param {Object} options - { sort, order, filter, where, limit, offset, cursor, hiddenKeys, rowScope }
+ *   filter: "&&"-joined shorthand (FilterParser), where: filter expression (FilterExpression)
+ *   cursor: keyset pagination ('' = first page, else next_cursor of the previous page);
+ *     replaces offset and adds next_cursor to the result
+ *   hiddenKeys: Set of view columns that may not be filtered or sorted on (field permissions)
+ *   rowScope: row-level security scope (PermissionService.getRowScope)
+ */
+function findAll(entityName, options = {}) {
+  const entity = getEntityMeta(entityName);
+  const db = getDatabase();
+
+  // Read from View (includes _label fields for FKs), restricted to the visible rows
+  const from = scopedFrom(entity.tableName + '_view', options.rowScope);
+
+  const { conditions, params, sortKeys, order } = buildListQuery(entity, options);
+  const whereClause = buildWhereClause(conditions);
+  const useCursor = options.cursor !== undefined;
+
+  // Keyset pagination: continue after the position encoded in the cursor
+  const pageConditions = [...conditions];
+  const queryParams = [...from.params, ...params];
+  if (useCursor) {
+    const position = decodeCursor(options.cursor, sortKeys, order);
+    const seek = buildSeekCondition(sortKeys, order, position);
+    if (seek.condition) {
+      pageConditions.push(seek.condition);
+      queryParams.push(...seek.params);
     }
-  } else {
-    sql += ' ORDER BY id ASC';
   }
 
+  // Build data query with WHERE, ORDER BY, and pagination
+  let sql = `SELECT * FROM ${from.sql}${buildWhereClause(pageConditions)}`;
+  sql += buildOrderBy(sortKeys, order);
+
   // Pagination params (separate from filter params)
-  const queryParams = [...params];
   if (options.limit) {
     sql += ' LIMIT ?';
-    queryParams.push(options.limit);
+    // Cursor mode fetches one look-ahead row to know whether a next page exists
+    queryParams.push(useCursor ? options.limit + 1 : options.limit);
   }
-  if (options.offset) {
+  if (options.offset && !useCursor) {
     sql += ' OFFSET ?';
     queryParams.push(options.offset);
   }
 
-  const rows = db.prepare(sql).all(...queryParams);
+  let rows = db.prepare(sql).all(...queryParams);
+  let nextCursor = null;
+  if (useCursor) {
+    ({ rows, nextCursor } = finishPage(rows, options.limit, sortKeys, order));
+  }
 
   // Enrich with enum display values
   const enrichedRows = enrichRecords(entityName, rows);
 
   // Get total count using the SAME WHERE clause (without LIMIT/OFFSET)
-  const countSql = `SELECT COUNT(*) as count FROM ${viewName}${whereClause}`;
-  const { count: totalCount } = db.prepare(countSql).get(...params);
+  const countSql = `SELECT COUNT(*) as count FROM ${from.sql}${whereClause}`;
+  const { count: totalCount } = db.prepare(countSql).get(...from.params, ...params);
 
-  return {
+  const result = {
     data: enrichedRows,
     totalCount,
     limit: options.limit || null,
-    offset: options.offset || 0
+    offset: useCursor ? null : (options.offset || 0)
   };
+  if (useCursor) result.next_cursor = nextCursor;
+  return result;
 }
 
 /**
  * Find a single record by ID
  * Uses the View (with FK labels) for reading unless enrich=false (internal use)
+ * @param {Object|null} rowScope - Row-level security scope; rows outside it are not found
  */
-function findById(entityName, id, enrich = true) {
+function findById(entityName, id, enrich = true, rowScope = null) {
   const entity = getEntityMeta(entityName);
   const db = getDatabase();
 
   // Read from View (includes _label fields for FKs) unless enrich=false
-  const source = enrich ? entity.tableName + '_view' : entity.tableName;
+  const from = scopedFrom(enrich ? entity.tableName + '_view' : entity.tableName, rowScope);
   // Filter null/defective records for external access (enrich=true), but allow internal lookups
   const qlFilter = enrich ? ` AND ${qlCondition()}` : '';
-  const row = db.prepare(`SELECT * FROM ${source} WHERE id = ?${qlFilter}`).get(id);
+  const row = db.prepare(`SELECT * FROM ${from.sql} WHERE id = ?${qlFilter}`).get(...from.params, id);
 
   if (!row) {
     throw new EntityNotFoundError(entityName, id);
@@ -422,11 +538,81 @@ function findById(entityName, id, enrich = true) {
   return enrich ? enrichRecord(entityName, row) : row;
 }
 
+/**
+ * Find several records by ID with one query (batch loading of FK targets)
+ * @param {number[]} ids - Record ids (duplicates are ignored)
+ * @param {Object|null} rowScope - Row-level security scope; rows outside it are left out
+ * @returns {Object[]} Enriched records in no particular order; unknown ids are left out
+ */
+function findByIds(entityName, ids, rowScope = null) {
+  const entity = getEntityMeta(entityName);
+  const unique = [...new Set(ids)];
+  if (unique.length === 0) return [];
+
+  const from = scopedFrom(entity.tableName + '_view', rowScope);
+  const placeholders = unique.map(() => '?').join(', ');
+  const rows = getDatabase()
+    .prepare(`SELECT * FROM ${from.sql} WHERE id IN (${placeholders}) AND ${qlCondition()}`)
+    .all(...from.params, ...unique);
+  return enrichRecords(entityName, rows);
+}
+
+/**
+ * Find the records that reference any of several parent records, with two queries
+ * for all parents (batch loading of back-references)
+ * @param {string} column - FK column pointing to the parents (e.g. 'building_id')
+ * @param {number[]} parentIds - Parent record ids
+ * @param {Object} options - { sort, order, filter, where, limit, offset, hiddenKeys, rowScope } as in
+ *   findAll; limit and offset apply to each parent separately
+ * @returns {Map<number, { data: Object[], totalCount: number }>} Per parent id (parents without
+ *   matching records are missing)
+ */
+function findAllByParents(entityName, column, parentIds, options = {}) {
+  const entity = getEntityMeta(entityName);
+  const db = getDatabase();
+  const unique = [...new Set(parentIds)];
+  const result = new Map();
+  if (unique.length === 0) return result;
+
+  const from = scopedFrom(entity.tableName + '_view', options.rowScope);
+  const { conditions, params, sortKeys, order } = buildListQuery(entity, options);
+  conditions.push(`"${column}" IN (${unique.map(() => '?').join(', ')})`);
+  params.push(...unique);
+  const whereClause = buildWhereClause(conditions);
+
+  const counts = db.prepare(`SELECT "${column}" AS parent, COUNT(*) AS count FROM ${from.sql}${whereClause} GROUP BY "${column}"`)
+    .all(...from.params, ...params);
+  for (const { parent, count } of counts) {
+    result.set(parent, { data: [], totalCount: count });
+  }
+
+  // Number the rows per parent in sort order, then cut out the requested page of each parent
+  const first = options.offset || 0;
+  const pageParams = [first];
+  let pageCondition = '_rn > ?';
+  if (options.limit) {
+    pageCondition += ' AND _rn <= ?';
+    pageParams.push(first + options.limit);
+  }
+  const orderBy = buildOrderBy(sortKeys, order).replace(' ORDER BY ', '');
+  const sql = `SELECT * FROM (
+      SELECT *, ROW_NUMBER() OVER (PARTITION BY "${column}" ORDER BY ${orderBy}) AS _rn
+      FROM ${from.sql}${whereClause}
+    ) WHERE ${pageCondition} ORDER BY _rn`;
+
+  for (const row of db.prepare(sql).all(...from.params, ...params, ...pageParams)) {
+    const { _rn, ...record } = row;
+    result.get(record[column]).data.push(enrichRecord(entityName, record));
+  }
+  return result;
+}
+
 /**
  * Create a new record
  * System columns (_created_at, _updated_at, _version) use SQLite DEFAULTs
+ * @param {number|null} id - Explicit id (re-creating a deleted record), null = auto-increment
  */
-function create(entityName, data) {
+function create(entityName, data, id = null) {
   const entity = ensureValidationRules(entityName);
   const db = getDatabase();
 
@@ -435,24 +621,29 @@ function create(entityName, data) {
   validator.existsFn = createExistsFn(db);
   const validated = validator.validate(entityName, data);
   convertForSql(entity, validated);
+  checkRecordRules(db, entity, { ...validated, id });
 
   // Build INSERT statement (system columns use SQLite DEFAULTs)
   const columns = entity.columns
     .filter(c => c.name !== 'id' && !c.system && validated[c.name] !== undefined)
     .map(c => c.name);
 
-  const placeholders = columns.map(() => '?');
   const values = columns.map(col => validated[col]);
+  if (id !== null) {
+    columns.unshift('id');
+    values.unshift(id);
+  }
+  const placeholders = columns.map(() => '?');
 
   const sql = `INSERT INTO ${entity.tableName} (${columns.join(', ')}) VALUES (${placeholders.join(', ')})`;
 
   try {
     const result = db.prepare(sql).run(...values);
-    const id = result.lastInsertRowid;
+    const newId = id !== null ? id : result.lastInsertRowid;
 
-    logger.info(`Created ${entityName}`, { id });
+    logger.info(`Created ${entityName}`, { id: newId });
 
-    return findById(entityName, id);
+    return findById(entityName, newId);
   } catch (err) {
     handleSqliteError(err, entityName, 'create', validated);
   }
@@ -485,11 +676,14 @@ function update(entityName, id, data, expectedVersion = null) {
     throw new VersionConflictError(entityName, id, expectedVersion, currentRecord);
   }
 
-  // Validate and transform (partial — with cross-entity lookup/exists for custom constraints)
+  // Validate and transform (partial — with cross-entity lookup/exists for custom constraints;
+  // built-in rules see the stored values of the fields not sent, the id lets
+  // UniqueWithinParent skip the record itself)
   validator.lookupFn = createLookupFn(db);
   validator.existsFn = createExistsFn(db);
-  const validated = validator.validatePartial(entityName, data);
+  const validated = validator.validatePartial(entityName, { ...data, id }, existing);
   convertForSql(entity, validated);
+  checkRecordRules(db, entity, { ...existing, ...validated });
 
   // Set system columns (update timestamp)
   validated._updated_at = new Date().toISOString();
@@ -525,6 +719,178 @@ function update(entityName, id, data, expectedVersion = null) {
   }
 }
 
+/**
+ * Find FK and UNIQUE conflicts that would block writing data as record #id.
+ * Checked up front (e.g. before restoring an audit snapshot) so that all
+ * conflicts can be reported at once instead of failing on the first one.
+ * @param {string} entityName - Entity name
+ * @param {number} id - Record ID the data will be written to (excluded from UNIQUE checks)
+ * @param {Object} data - Column values
+ * @returns {Array<{type: 'foreignKey'|'unique', field: string, value: any, message: string}>}
+ */
+function findWriteConflicts(entityName, id, data) {
+  const entity = getEntityMeta(entityName);
+  const db = getDatabase();
+  const conflicts = [];
+
+  for (const fk of entity.foreignKeys) {
+    const value = data[fk.column];
+    if (value === null || value === undefined) continue;
+    const exists = db.prepare(`SELECT 1 FROM ${fk.references.table} WHERE ${fk.references.column} = ?`).get(value);
+    if (!exists) {
+      conflicts.push({
+        type: 'foreignKey',
+        field: fk.column,
+        value,
+        entity: fk.references.entity,
+        message: `${fk.references.entity} #${value} (${fk.column}) does not exist`
+      });
+    }
+  }
+
+  for (const { columns: cols } of getNaturalKeys(entityName)) {
+    const values = cols.map(c => data[c]);
+    if (values.some(v => v === null || v === undefined)) continue;
+    const where = cols.map(c => `${c} = ?`).join(' AND ');
+    const row = db.prepare(`SELECT id FROM ${entity.tableName} WHERE ${where} AND id != ?`).get(...values, id);
+    if (row) {
+      conflicts.push({
+        type: 'unique',
+        field: cols.join(', '),
+        value: values.join(', '),
+        conflictingId: row.id,
+        message: `${entityName} #${row.id} already has ${cols.join(', ')} '${values.join(', ')}'`
+      });
+    }
+  }
+
+  return conflicts;
+}
+
+/**
+ * Natural keys of an entity: UNIQUE columns and composite keys (UK1, UK2, ...)
+ * @returns {Object[]} [{ name, columns }] - name is the column name or the UKn name
+ */
+function getNaturalKeys(entityName) {
+  const entity = getEntityMeta(entityName);
+  return [
+    ...entity.columns.filter(c => c.unique).map(c => ({ name: c.name, columns: [c.name] })),
+    ...Object.entries(entity.uniqueKeys || {}).map(([name, columns]) => ({ name, columns }))
+  ];
+}
+
+/**
+ * Find the record with the given natural key values (ignores row rules)
+ * The system record (id=1) never matches; defective records do.
+ * @param {string[]} columns - Key columns
+ * @param {Array} values - Key values in column order
+ * @returns {number|null} Record id
+ */
+function findIdByKey(entityName, columns, values) {
+  const entity = getEntityMeta(entityName);
+  const where = [...columns.map(c => `${c} = ?`), 'id != 1'].join(' AND ');
+  const params = values.map(v => typeof v === 'boolean' ? (v ? 1 : 0) : v);
+  const row = getDatabase().prepare(`SELECT id FROM ${entity.tableName} WHERE ${where}`).get(...params);
+  return row ? row.id : null;
+}
+
+/**
+ * Apply an RFC 7386 merge patch to a plain value (used for JSON columns)
+ */
+function applyMergePatch(target, patch) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) return patch;
+  const result = (target && typeof target === 'object' && !Array.isArray(target)) ? { ...target } : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) delete result[key];
+    else result[key] = applyMergePatch(result[key], value);
+  }
+  return result;
+}
+
+/** Columns a merge patch may not touch (id, OCC version and timestamps are managed by the server) */
+const PATCH_IGNORED = new Set(['id', '_version', '_created_at', '_updated_at']);
+
+/**
+ * Convert an RFC 7386 merge-patch document into flat update data for update()
+ * - Omitted members stay unchanged, null clears the column
+ * - Aggregate members (e.g. address, geo) are merged per sub-field: { geo: { latitude: 1 } }
+ *   only touches geo_latitude; { geo: null } clears all sub-fields. Flat sub-field names
+ *   (geo_latitude) are accepted as well.
+ * - JSON columns are merged recursively with the stored value
+ * @param {string} entityName - Entity name
+ * @param {number} id - Record ID (stored values are needed for JSON columns)
+ * @param {Object} patch - Merge-patch document
+ * @returns {Object} Flat column data
+ * @throws {ValidationError} For non-object documents, unknown members or objects on scalar columns
+ */
+function mergePatchToUpdate(entityName, id, patch) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    throw new FieldValidationError({ field: null, code: 'INVALID_PATCH', message: 'Merge patch must be a JSON object' });
+  }
+
+  const entity = getEntityMeta(entityName);
+  const columnsByName = new Map(entity.columns.map(c => [c.name, c]));
+  const aggregates = new Map();
+  for (const col of entity.columns) {
+    if (!col.aggregateSource) continue;
+    if (!aggregates.has(col.aggregateSource)) aggregates.set(col.aggregateSource, new Map());
+    aggregates.get(col.aggregateSource).set(col.aggregateField, col.name);
+  }
+
+  const data = {};
+  const errors = [];
+  let existing = null;
+
+  for (const [key, value] of Object.entries(patch)) {
+    if (PATCH_IGNORED.has(key)) continue;
+
+    // Aggregate member: merge sub-fields into their flat columns
+    const subFields = aggregates.get(key);
+    if (subFields && !columnsByName.has(key)) {
+      if (value === null) {
+        for (const colName of subFields.values()) data[colName] = null;
+      } else if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push({ field: key, code: 'INVALID_TYPE', message: `Field "${key}" must be an object or null`, value });
+      } else {
+        for (const [subKey, subValue] of Object.entries(value)) {
+          const colName = subFields.get(subKey);
+          if (colName) data[colName] = subValue;
+          else errors.push({ field: `${key}.${subKey}`, code: 'UNKNOWN_FIELD', message: `Unknown field "${key}.${subKey}"` });
+        }
+      }
+      continue;
+    }
+
+    const col = columnsByName.get(key);
+    if (!col) {
+      errors.push({ field: key, code: 'UNKNOWN_FIELD', message: `Unknown field "${key}"` });
+      continue;
+    }
+
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      if (col.customType !== 'json') {
+        errors.push({ field: key, code: 'INVALID_TYPE', message: `Field "${key}" does not accept an object`, value });
+        continue;
+      }
+      // JSON column: nested merge with the stored document
+      existing = existing || findById(entityName, id, false);
+      let stored = existing[key];
+      if (typeof stored === 'string') {
+        try { stored = JSON.parse(stored); } catch { stored = null; }
+      }
+      data[key] = applyMergePatch(stored, value);
+      continue;
+    }
+
+    data[key] = value;
+  }
+
+  if (errors.length > 0) {
+    throw new FieldValidationError(errors);
+  }
+  return data;
+}
+
 /**
  * Delete a record
  */
@@ -567,13 +933,15 @@ function remove(entityName, id) {
 
 /**
  * Count records
+ * @param {Object|null} rowScope - Row-level security scope (only visible rows are counted)
  */
-function count(entityName, filter = null) {
+function count(entityName, filter = null, rowScope = null) {
   const entity = getEntityMeta(entityName);
   const db = getDatabase();
 
-  let sql = `SELECT COUNT(*) as count FROM ${entity.tableName} WHERE ${qlCondition()}`;
-  const params = [];
+  const from = scopedFrom(entity.tableName, rowScope);
+  let sql = `SELECT COUNT(*) as count FROM ${from.sql} WHERE ${qlCondition()}`;
+  const params = [...from.params];
 
   if (filter) {
     const stringColumns = entity.columns
@@ -592,6 +960,83 @@ function count(entityName, filter = null) {
   return total;
 }
 
+/**
+ * Resolve a group-by or aggregate column of an entity for AggregateQuery
+ * Plain names are view columns (as for sorting: building → building_label).
+ * Dot-paths follow FKs (meter.building.name); a path ending in an FK uses the
+ * referenced record's label (meter.building). Every entity and field on the path
+ * must be readable.
+ * @param {Function} canRead - (entityName, column|null) => boolean
+ * @returns {{ expr: string, jsType: string, joins?: Object[] }|null} null if unknown or hidden
+ */
+function resolveAggregateColumn(entity, name, hiddenKeys, canRead) {
+  if (!name.includes('.')) {
+    const sqlName = resolveSortColumn(entity, name, hiddenKeys);
+    return sqlName ? { expr: `b."${sqlName}"`, jsType: resolveViewColumn(entity, sqlName).jsType } : null;
+  }
+
+  const schema = getSchema();
+  const segments = name.split('.');
+  let current = entity;
+  let path = name;
+  for (const [i, segment] of segments.entries()) {
+    if (segment === '_label' && i === segments.length - 1) break;
+    const col = current.columns.find(c => c.name === segment || c.displayName === segment);
+    if (!col) return null;
+    if (i === 0 ? hiddenKeys.has(col.name) : !canRead(current.className, col.name)) return null;
+    if (!col.foreignKey) {
+      if (i < segments.length - 1) return null;
+      break;
+    }
+
+    current = schema.entities[col.foreignKey.entity];
+    if (!current || !canRead(current.className, null)) return null;
+    if (i === segments.length - 1) {
+      // Path ends in an FK: group by the referenced record's label
+      const labelCol = current.columns.find(c => c.ui?.label);
+      if (current.labelExpression) path += '._label';
+      else if (labelCol) path += `.${labelCol.name}`;
+    }
+  }
+
+  try {
+    const resolved = resolveColumnPath(path, entity.className, schema);
+    return resolved.isAggregate ? null : { expr: resolved.selectExpr, jsType: resolved.jsType, joins: resolved.joins };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Grouped aggregates of an entity (group by, count/sum/avg/min/max, see AggregateQuery)
+ * Filters as in findAll; FK joins of dot-paths only see rows inside the row scope.
+ * @param {Object} options - { group, agg, sort, limit, filter, where, hiddenKeys, rowScope, canRead }
+ *   canRead: (entityName, column|null) => boolean for entities and fields reached via dot-paths
+ * @returns {{ groups: string[], aggregates: string[], data: Object[] }}
+ */
+function aggregate(entityName, options = {}) {
+  const entity = getEntityMeta(entityName);
+  const db = getDatabase();
+  const hiddenKeys = options.hiddenKeys || new Set();
+  const canRead = options.canRead || (() => true);
+
+  const from = scopedFrom(entity.tableName + '_view', options.rowScope);
+  const { conditions, params } = buildListQuery(entity, { filter: options.filter, where: options.where, hiddenKeys });
+  const query = buildAggregateQuery(options, {
+    source: `(SELECT * FROM ${from.sql}${buildWhereClause(conditions)}) b`,
+    params: [...from.params, ...params],
+    resolveColumn: (name) => resolveAggregateColumn(entity, name, hiddenKeys, canRead)
+  });
+
+  // The row scope's WITH clause also shadows the tables joined for dot-paths
+  const scope = options.rowScope;
+  const data = scope
+    ? db.prepare(`${scope.with} ${query.sql}`).all(...scope.params, ...query.params)
+    : db.prepare(query.sql).all(...query.params);
+
+  return { groups: query.groups, aggregates: query.aggregates, data };
+}
+
 /**
  * Get schema info for an entity (for API)
  */
@@ -750,6 +1195,8 @@ function getExtendedSchemaInfo(entityName) {
     selfRefFK: (entity.foreignKeys || []).find(
       fk => (fk.references?.entity || entityName) === entityName
     )?.column || null,
+    // Full-text search: entity has [SEARCH] columns (GET /api/search)
+    search: !!entity.searchColumns,
     // API Refresh: entity can be updated from external API
     apiRefresh: entity.apiRefresh || null,
     apiRefreshOnLoad: entity.apiRefreshOnLoad || null,
@@ -863,13 +1310,14 @@ function getEnabledEntitiesWithAreas() {
 
 /**
  * Get back-references to a specific record (other records that reference this one)
+ * @param {Object|null} rowScope - Row-level security scope (record and references)
  */
-function getBackReferences(entityName, id) {
+function getBackReferences(entityName, id, rowScope = null) {
   const schema = getSchema();
   const db = getDatabase();
 
   // First check if the record exists
-  findById(entityName, id); // Throws if not found
+  findById(entityName, id, true, rowScope); // Throws if not found
 
   const inverseRels = schema.inverseRelationships[entityName] || [];
   const references = {};
@@ -879,9 +1327,9 @@ function getBackReferences(entityName, id) {
     if (!refEntity) continue;
 
     // Get referencing records from View (includes _label fields)
-    const viewName = refEntity.tableName + '_view';
-    const sql = `SELECT * FROM ${viewName} WHERE ${rel.column} = ? AND ${qlCondition()} ORDER BY id ASC`;
-    const rows = db.prepare(sql).all(id);
+    const from = scopedFrom(refEntity.tableName + '_view', rowScope);
+    const sql = `SELECT * FROM ${from.sql} WHERE ${rel.column} = ? AND ${qlCondition()} ORDER BY id ASC`;
+    const rows = db.prepare(sql).all(...from.params, id);
 
     if (rows.length > 0) {
       // Enrich with enum display values
@@ -900,6 +1348,52 @@ function getBackReferences(entityName, id) {
   return references;
 }
 
+/**
+ * Full-text search in the FTS5 index of an entity ([SEARCH] columns)
+ * @param {string} match - FTS5 query (e.g. '"meter"* "north"*')
+ * @param {Object} options
+ *   columns: indexed columns to search (default: all); snippets are taken from these only
+ *   marks: [open, close] strings around matched terms in snippets
+ *   limit: maximum number of hits
+ *   rowScope: row-level security scope (PermissionService.getRowScope)
+ * @returns {Object[]} [{ record, snippet, rank }] best first; rank is bm25 (lower = better)
+ */
+function searchFullText(entityName, match, options = {}) {
+  const entity = getEntityMeta(entityName);
+  const searchColumns = entity.searchColumns || [];
+  const columns = (options.columns || searchColumns).filter(c => searchColumns.includes(c));
+  if (columns.length === 0) return [];
+
+  const ftsTable = `${entity.tableName}_fts`;
+  const viewName = `${entity.tableName}_view`;
+  const from = scopedFrom(viewName, options.rowScope);
+  const [open, close] = options.marks || ['<b>', '</b>'];
+  const snippets = columns.map((c, i) =>
+    `snippet(${ftsTable}, ${searchColumns.indexOf(c)}, ?, ?, '…', 12) AS _snippet${i}`
+  );
+
+  // Column filter: terms in other (hidden) columns neither match nor show in snippets
+  const sql = `SELECT "${viewName}".*, bm25(${ftsTable}) AS _rank, ${snippets.join(', ')}
+    FROM ${ftsTable} JOIN ${from.sql} ON "${viewName}".id = ${ftsTable}.rowid
+    WHERE ${ftsTable} MATCH ? AND "${viewName}".${qlCondition()}
+    ORDER BY _rank LIMIT ?`;
+  const markParams = columns.flatMap(() => [open, close]);
+  const rows = getDatabase().prepare(sql).all(
+    ...markParams, ...from.params, `{${columns.join(' ')}} : (${match})`, options.limit || 20
+  );
+
+  return rows.map(row => {
+    const { _rank: rank, ...record } = row;
+    let snippet = null;
+    columns.forEach((c, i) => {
+      const text = record[`_snippet${i}`];
+      delete record[`_snippet${i}`];
+      if (!snippet && text && text.includes(open)) snippet = text;
+    });
+    return { record: enrichRecord(entityName, record), snippet, rank };
+  });
+}
+
 /**
  * Get distinct values for a column (for prefilter dropdowns)
  * Supports:
@@ -907,11 +1401,13 @@ function getBackReferences(entityName, id) {
  *   - Regular column: "status" → uses "status" from view
  *   - Nested FK path: "meter.building" → uses "meter_building" (not fully supported)
  *   - Date extraction: type='year' → extracts distinct years, type='month' → distinct year-months
+ * Only values of rows inside the row scope (row-level security) are returned.
  */
-function getDistinctValues(entityName, columnPath, extractType = 'select') {
+function getDistinctValues(entityName, columnPath, extractType = 'select', rowScope = null) {
   const entity = getEntityMeta(entityName);
   const db = getDatabase();
-  const viewName = entity.tableName + '_view';
+  const from = scopedFrom(entity.tableName + '_view', rowScope);
+  const viewName = from.sql;
 
   // Determine the view column name
   let column;
@@ -946,7 +1442,7 @@ function getDistinctValues(entityName, columnPath, extractType = 'select') {
       valueKey = column;
     }
 
-    const rows = db.prepare(sql).all();
+    const rows = db.prepare(sql).all(...from.params);
     return rows.map(r => r[valueKey]);
   } catch (e) {
     // Fallback: try without _label suffix
@@ -962,7 +1458,7 @@ function getDistinctValues(entityName, columnPath, extractType = 'select') {
         sql = `SELECT DISTINCT "${columnPath}" FROM ${viewName} WHERE "${columnPath}" IS NOT NULL AND ${qlCondition()} ORDER BY "${columnPath}"`;
         valueKey = columnPath;
       }
-      const rows = db.prepare(sql).all();
+      const rows = db.prepare(sql).all(...from.params);
       return rows.map(r => r[valueKey]);
     } catch (e2) {
       console.error(`Failed to get distinct values for ${entityName}.${columnPath}:`, e2.message);
@@ -981,15 +1477,23 @@ function getValidator() {
 module.exports = {
   findAll,
   findById,
+  findByIds,
+  findAllByParents,
   create,
   update,
+  mergePatchToUpdate,
   remove,
+  findWriteConflicts,
+  getNaturalKeys,
+  findIdByKey,
   count,
+  aggregate,
   getSchemaInfo,
   getExtendedSchemaInfo,
   getEnabledEntities,
   getEnabledEntitiesWithAreas,
   getBackReferences,
+  searchFullText,
   getDistinctValues,
   getEntityMeta,
   getValidator,
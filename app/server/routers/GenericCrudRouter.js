@@ -4,18 +4,27 @@
  * Endpoints:
  * GET    /api/entities                    - List all entity types
  * GET    /api/entities/:entity            - List all records
- * GET    /api/entities/:entity/:id        - Get single record
+ * GET    /api/entities/:entity/:id        - Get single record (?asOf=<timestamp>: as of that time)
+ * GET    /api/entities/:entity/:id/history - Field-by-field change history from the audit trail
  * POST   /api/entities/:entity            - Create record
  * PUT    /api/entities/:entity/:id        - Update record
+ * PATCH  /api/entities/:entity/:id        - Partial update (JSON Merge Patch, RFC 7386)
  * DELETE /api/entities/:entity/:id        - Delete record
+ * POST   /api/entities/:entity/:id/restore - Re-create a deleted record or roll back to an audit version
+ * POST   /api/entities/_batch             - Create/update/delete across entities in one transaction
  * GET    /api/entities/:entity/schema     - Get schema info
+ * GET    /api/entities/:entity/aggregate  - Grouped aggregates (group by, count/sum/avg/min/max)
  */
 
 const express = require('express');
 const service = require('../services/GenericService');
 const { EntityNotFoundError } = require('../errors/NotFoundError');
+const { ValidationError } = require('../errors/ValidationError');
 const calculationService = require('../services/CalculationService');
 const { getDatabase } = require('../config/database');
+const { getChangedBy } = require('../middleware/auth');
+const permissions = require('../services/PermissionService');
+const { scopedFrom } = require('../utils/RowScope');
 
 const router = express.Router();
 
@@ -70,7 +79,7 @@ router.get('/:entity/distinct/:column', validateEntity, (req, res, next) => {
   try {
     const { entity, column } = req.params;
     const extractType = req.query.type || 'select';
-    const values = service.getDistinctValues(entity, column, extractType);
+    const values = service.getDistinctValues(entity, column, extractType, buildContext(req));
 
     res.json(values);
   } catch (err) {
@@ -78,13 +87,33 @@ router.get('/:entity/distinct/:column', validateEntity, (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/entities/:entity/aggregate - Grouped aggregates (see AggregateQuery)
+ * Query params:
+ *   group: columns or FK dot-paths to group by, @Y/@M prefix buckets dates ("meter.building,@Yreading_at")
+ *   agg: aggregates ("count,sum(usage)", default count)
+ *   sort: group or aggregate keys ("sum(usage):desc", default: groups), limit: max groups
+ *   filter (shorthand), where (filter expression): as for the list
+ */
+router.get('/:entity/aggregate', validateEntity, (req, res, next) => {
+  try {
+    const { entity } = req.params;
+    const { group, agg, sort, limit, filter, where } = req.query;
+    const result = service.aggregateEntities(entity, { group, agg, sort, limit, filter, where }, buildContext(req));
+
+    res.json({ entity, ...result });
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * GET /api/entities/:entity/:id/references - Get back-references to this record
  */
 router.get('/:entity/:id/references', validateEntity, (req, res, next) => {
   try {
     const { entity, id } = req.params;
-    const references = service.getBackReferences(entity, parseInt(id, 10), req.correlationId);
+    const references = service.getBackReferences(entity, parseInt(id, 10), buildContext(req));
 
     res.json(references);
   } catch (err) {
@@ -92,6 +121,20 @@ router.get('/:entity/:id/references', validateEntity, (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/entities/:entity/:id/history - Change history with field diffs (newest first)
+ */
+router.get('/:entity/:id/history', validateEntity, (req, res, next) => {
+  try {
+    const { entity, id } = req.params;
+    const history = service.getEntityHistory(entity, parseInt(id, 10), buildContext(req));
+
+    res.json({ entity, id: parseInt(id, 10), history });
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * GET /api/entities/:entity/hierarchy/roots - Get root nodes for hierarchy view
  * Returns records where the self-referential FK is NULL
@@ -115,7 +158,7 @@ router.get('/:entity/hierarchy/roots', validateEntity, (req, res, next) => {
     const result = service.listEntities(entity, {
       filter: `${schema.selfRefFK}:null`,
       sort: schema.ui?.labelFields?.[0] || 'id'
-    }, req.correlationId);
+    }, buildContext(req));
 
     res.json(result);
   } catch (err) {
@@ -145,7 +188,7 @@ router.get('/:entity/hierarchy/children/:parentId', validateEntity, (req, res, n
     const result = service.listEntities(entity, {
       filter: `${schema.selfRefFK}:${parentId}`,
       sort: schema.ui?.labelFields?.[0] || 'id'
-    }, req.correlationId);
+    }, buildContext(req));
 
     res.json(result);
   } catch (err) {
@@ -173,17 +216,19 @@ router.get('/:entity/:id/lineage', validateEntity, (req, res, next) => {
       return res.json({ ids: [numId] });
     }
 
+    // Walk only through rows inside the user's row rules
     const db = getDatabase();
+    const from = scopedFrom(schema.tableName, permissions.getRowScope(req.user));
     const rows = db.prepare(`
       WITH RECURSIVE lineage(id) AS (
-        SELECT id FROM "${schema.tableName}" WHERE id = ?
+        SELECT id FROM ${from.sql} WHERE id = ?
         UNION ALL
-        SELECT t."${schema.selfRefFK}" FROM "${schema.tableName}" t
-        JOIN lineage l ON l.id = t.id
-        WHERE t."${schema.selfRefFK}" IS NOT NULL
+        SELECT "${schema.tableName}"."${schema.selfRefFK}" FROM ${from.sql}
+        JOIN lineage l ON l.id = "${schema.tableName}".id
+        WHERE "${schema.tableName}"."${schema.selfRefFK}" IS NOT NULL
       )
       SELECT id FROM lineage
-    `).all(numId);
+    `).all(...from.params, numId, ...from.params);
 
     res.json({ ids: rows.map(r => r.id) });
   } catch (err) {
@@ -213,9 +258,9 @@ router.get('/:entity/fk-options/:targetField', validateEntity, (req, res, next)
       if (!targetCol || !targetCol.foreignKey) {
         return res.status(400).json({ error: `${targetField} is not a FK column` });
       }
-      return res.json(service.listEntities(targetCol.foreignKey.entity, {}, req.correlationId));
+      return res.json(service.listEntities(targetCol.foreignKey.entity, {}, buildContext(req)));
     }
-    const result = service.getFilteredFkOptions(entity, targetField, dep.triggerField, sourceValue, req.correlationId);
+    const result = service.getFilteredFkOptions(entity, targetField, dep.triggerField, sourceValue, buildContext(req));
     res.json(result);
   } catch (err) {
     next(err);
@@ -224,11 +269,13 @@ router.get('/:entity/fk-options/:targetField', validateEntity, (req, res, next)
 
 /**
  * GET /api/entities/:entity - List all records
+ * Query params: filter (shorthand), where (filter expression), sort, order, limit, offset
+ *   cursor: keyset pagination instead of offset ('' for the first page, then next_cursor)
  */
 router.get('/:entity', validateEntity, (req, res, next) => {
   try {
     const { entity } = req.params;
-    const { sort, order, filter, field, value, limit, offset } = req.query;
+    const { sort, order, filter, where, field, value, limit, offset, cursor } = req.query;
 
     // Support ?field=X&value=Y as alternative to ?filter= (for external tools like HCL Leap)
     const effectiveFilter = (field && value !== undefined)
@@ -239,10 +286,12 @@ router.get('/:entity', validateEntity, (req, res, next) => {
     if (sort) options.sort = sort;
     if (order) options.order = order;
     if (effectiveFilter) options.filter = effectiveFilter;
+    if (where) options.where = where;
     if (limit) options.limit = parseInt(limit, 10);
     if (offset) options.offset = parseInt(offset, 10);
+    if (cursor !== undefined) options.cursor = cursor;
 
-    const result = service.listEntities(entity, options, req.correlationId);
+    const result = service.listEntities(entity, options, buildContext(req));
 
     res.json(result);
   } catch (err) {
@@ -252,11 +301,18 @@ router.get('/:entity', validateEntity, (req, res, next) => {
 
 /**
  * GET /api/entities/:entity/:id - Get single record
+ * Query params:
+ *   asOf: timestamp - record as it was at that time, rebuilt from the audit trail (no ETag)
  */
 router.get('/:entity/:id', validateEntity, (req, res, next) => {
   try {
     const { entity, id } = req.params;
-    const record = service.getEntity(entity, parseInt(id, 10), req.correlationId);
+
+    if (req.query.asOf) {
+      return res.json(service.getEntityAsOf(entity, parseInt(id, 10), req.query.asOf, buildContext(req)));
+    }
+
+    const record = service.getEntity(entity, parseInt(id, 10), buildContext(req));
 
     // Set ETag for OCC
     if (record._version !== undefined) {
@@ -270,15 +326,70 @@ router.get('/:entity/:id', validateEntity, (req, res, next) => {
 });
 
 /**
- * Build request context for audit trail
+ * Build request context for audit trail and permission checks
+ * changedBy: logged-in username or API key identity (audit falls back to clientIp)
+ * role: role of the session/API key (undefined without auth = unrestricted)
+ * user: req.user (attributes for row-level security rules)
  */
 function buildContext(req) {
   return {
     correlationId: req.correlationId,
-    clientIp: req.ip || req.connection?.remoteAddress
+    clientIp: req.ip || req.connection?.remoteAddress,
+    changedBy: getChangedBy(req),
+    role: req.user?.role,
+    user: req.user
   };
 }
 
+/**
+ * POST /api/entities/_batch - Run several operations in one transaction
+ * Body: { operations: [{ op, entity, id?, data?, ifMatch?, ref? }, ...] }
+ *   ifMatch: ETag of the record ("Entity:id:version"), alternatively data._version
+ *   ref/{ "$ref": name }: placeholder IDs for records created earlier in the batch
+ * Must be registered before POST /:entity.
+ */
+router.post('/_batch', (req, res, next) => {
+  try {
+    const operations = req.body?.operations;
+
+    // API key entity scope applies to every operation
+    if (req.user?.allowedEntities && Array.isArray(operations)) {
+      const denied = operations.find(op => op && !req.user.allowedEntities.includes(op.entity));
+      if (denied) {
+        return res.status(403).json({ error: `API key does not have access to entity '${denied.entity}'` });
+      }
+    }
+
+    // Expected version per operation from ifMatch or data._version (same rule as PUT)
+    const normalized = Array.isArray(operations) ? operations.map(op => {
+      if (!op || typeof op !== 'object') return op;
+      const bodyVersion = op.data?._version !== undefined ? parseInt(op.data._version, 10) : null;
+      return { ...op, expectedVersion: parseIfMatch(op.ifMatch) ?? bodyVersion };
+    }) : operations;
+
+    const results = service.executeBatch(normalized, buildContext(req));
+
+    // Run ONCHANGE calculations after commit (async, don't block response)
+    setImmediate(() => {
+      for (const result of results) {
+        calculationService.runOnChangeServerCalculations(result.entity, result.record);
+      }
+    });
+
+    res.json({
+      correlationId: req.correlationId,
+      results: results.map(result => ({
+        ...result,
+        ...(result.op !== 'delete' && result.record._version !== undefined
+          ? { etag: buildETag(result.entity, result.id, result.record._version) }
+          : {})
+      }))
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * POST /api/entities/:entity - Create record
  */
@@ -340,6 +451,43 @@ router.put('/:entity/:id', validateEntity, (req, res, next) => {
   }
 });
 
+/**
+ * PATCH /api/entities/:entity/:id - Partial update with JSON Merge Patch (RFC 7386)
+ * Content-Type: application/merge-patch+json (application/json is accepted too)
+ * Omitted members stay unchanged, null clears a field, aggregate members
+ * (e.g. { "geo": { "latitude": 50.1 } }) are merged per sub-field.
+ * Supports OCC via If-Match header or _version in body
+ */
+router.patch('/:entity/:id', validateEntity, (req, res, next) => {
+  try {
+    const { entity, id } = req.params;
+    const patch = req.body;
+
+    // Get expected version from If-Match header or body._version
+    const ifMatchVersion = parseIfMatch(req.get('If-Match'));
+    const bodyVersion = patch && patch._version !== undefined && patch._version !== null
+      ? parseInt(patch._version, 10)
+      : null;
+    const expectedVersion = ifMatchVersion ?? bodyVersion;
+
+    const updated = service.patchEntity(entity, parseInt(id, 10), patch, expectedVersion, buildContext(req));
+
+    // Run ONCHANGE calculations (async, don't block response)
+    setImmediate(() => {
+      calculationService.runOnChangeServerCalculations(entity, updated);
+    });
+
+    // Set ETag for OCC
+    if (updated._version !== undefined) {
+      res.set('ETag', buildETag(entity, updated.id, updated._version));
+    }
+
+    res.json(updated);
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * DELETE /api/entities/:entity/:id - Delete record
  */
@@ -369,4 +517,47 @@ router.delete('/:entity/:id', validateEntity, (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/entities/:entity/:id/restore - Restore a record from the audit trail
+ * Body: { auditId?: number, _version?: number }
+ *   auditId: audit entry whose state to restore (omitted: the deleted record)
+ * A deleted record is re-created with its original id (201), an existing record is
+ * rolled back (200, OCC via If-Match header or _version in body).
+ * FK/UNIQUE conflicts: 409 with one details entry per conflict
+ */
+router.post('/:entity/:id/restore', validateEntity, (req, res, next) => {
+  try {
+    const { entity, id } = req.params;
+    const body = req.body || {};
+
+    let auditId = null;
+    if (body.auditId !== undefined && body.auditId !== null) {
+      auditId = parseInt(body.auditId, 10);
+      if (isNaN(auditId)) {
+        throw new ValidationError([{ field: 'auditId', message: 'Must be a number' }], 'Invalid auditId');
+      }
+    }
+
+    const ifMatchVersion = parseIfMatch(req.get('If-Match'));
+    const bodyVersion = body._version !== undefined && body._version !== null ? parseInt(body._version, 10) : null;
+    const expectedVersion = ifMatchVersion ?? bodyVersion;
+
+    const result = service.restoreEntity(entity, parseInt(id, 10), auditId, expectedVersion, buildContext(req));
+
+    // Run ONCHANGE calculations (async, don't block response)
+    setImmediate(() => {
+      calculationService.runOnChangeServerCalculations(entity, result.record);
+    });
+
+    // Set ETag for OCC
+    if (result.record._version !== undefined) {
+      res.set('ETag', buildETag(entity, result.record.id, result.record._version));
+    }
+
+    res.status(result.action === 'recreated' ? 201 : 200).json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
 module.exports = router;
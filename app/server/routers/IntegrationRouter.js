@@ -6,8 +6,9 @@
  *
  * Endpoints:
  * GET    /api/integrate/:entity/options   - Picklist: id + label for dropdowns
- * GET    /api/integrate/:entity/lookup    - Lookup records by field value
+ * GET    /api/integrate/:entity/lookup    - Lookup records by field value or filter expression
  * POST   /api/integrate/:entity           - Create record with FK label resolution
+ * POST   /api/integrate/:entity/upsert    - Insert/update many records by natural key (one transaction)
  * PUT    /api/integrate/:entity/:id       - Update record with FK label resolution
  */
 
@@ -17,6 +18,9 @@ const { buildLabelLookup, resolveConceptualFKs } = require('../utils/SeedManager
 const calculationService = require('../services/CalculationService');
 const { getSchema, getDatabase } = require('../config/database');
 const { EntityNotFoundError } = require('../errors/NotFoundError');
+const { getChangedBy } = require('../middleware/auth');
+const permissions = require('../services/PermissionService');
+const { scopedFrom } = require('../utils/RowScope');
 
 const router = express.Router();
 
@@ -40,18 +44,18 @@ function validateEntity(req, res, next) {
 }
 
 /**
- * Build request context for audit trail
- * Includes user identity from Trusted Subsystem (X-User-Id header)
+ * Build request context for audit trail and permission checks
+ * Includes user identity from Trusted Subsystem (X-User-Id header) or the session user
  */
 function buildContext(req) {
-  const changedBy = req.user?.userId
-    ? `${req.user.userId} (via ${req.user.apiKey})`
-    : req.user?.apiKey || req.ip || req.connection?.remoteAddress;
+  const changedBy = getChangedBy(req) || req.ip || req.connection?.remoteAddress;
 
   return {
     correlationId: req.correlationId,
     clientIp: req.ip || req.connection?.remoteAddress,
-    changedBy
+    changedBy,
+    role: req.user?.role,
+    user: req.user
   };
 }
 
@@ -72,23 +76,27 @@ function parseIfMatch(header) {
 }
 
 /**
- * Resolve FK labels in a data object for a given entity.
- * E.g. { "engine": "CF34-10-12345" } → { "engine_id": 42 }
+ * Build label lookups for all FK target entities of an entity
  */
-function resolveLabels(entityName, data) {
-  const schema = getSchema();
-  const entity = schema.entities[entityName];
-  if (!entity) return { resolved: data, fkWarnings: [], fuzzyMatches: [] };
-
-  // Build label lookups for all FK target entities
+function buildLookups(entityName) {
+  const entity = getSchema().entities[entityName];
   const lookups = {};
-  for (const fk of (entity.foreignKeys || [])) {
+  for (const fk of (entity?.foreignKeys || [])) {
     const targetEntity = fk.references?.entity || entityName;
     if (!lookups[targetEntity]) {
       lookups[targetEntity] = buildLabelLookup(targetEntity);
     }
   }
+  return lookups;
+}
 
+/**
+ * Resolve FK labels in a data object for a given entity.
+ * E.g. { "engine": "CF34-10-12345" } → { "engine_id": 42 }
+ * Pass lookups (buildLookups) to reuse them for several records.
+ */
+function resolveLabels(entityName, data, lookups = buildLookups(entityName)) {
+  if (!getSchema().entities[entityName]) return { resolved: data, fkWarnings: [], fuzzyMatches: [] };
   return resolveConceptualFKs(entityName, data, lookups);
 }
 
@@ -108,7 +116,10 @@ router.get('/:entity/options', validateEntity, (req, res, next) => {
     const entityMeta = schema.entities[entity];
     const db = getDatabase();
 
-    const viewName = entityMeta.tableName + '_view';
+    permissions.assertCan(entity, req.user?.role, 'read');
+
+    // Only rows inside the user's row rules
+    const from = scopedFrom(entityMeta.tableName + '_view', permissions.getRowScope(req.user));
     const hasComputedLabel = !!entityMeta.labelExpression;
 
     // Determine label column(s)
@@ -139,10 +150,11 @@ router.get('/:entity/options', validateEntity, (req, res, next) => {
 
     // Build optional filter
     let whereClause = '';
-    const params = [];
+    const params = [...from.params];
 
     if (field && value !== undefined) {
-      const col = entityMeta.columns.find(c => c.name === field);
+      const hidden = permissions.getHiddenColumns(entity, req.user?.role);
+      const col = entityMeta.columns.find(c => c.name === field && !hidden.has(c.name));
       if (col) {
         whereClause = ` WHERE _ql = 0 AND "${field}" = ?`;
         params.push(col.jsType === 'number' ? parseInt(value, 10) : value);
@@ -153,7 +165,7 @@ router.get('/:entity/options', validateEntity, (req, res, next) => {
       whereClause = ' WHERE _ql = 0';
     }
 
-    const sql = `SELECT ${selectCols} FROM ${viewName}${whereClause} ORDER BY label`;
+    const sql = `SELECT ${selectCols} FROM ${from.sql}${whereClause} ORDER BY label`;
     const rows = db.prepare(sql).all(...params);
 
     res.json(rows);
@@ -164,23 +176,30 @@ router.get('/:entity/options', validateEntity, (req, res, next) => {
 
 // ---------------------------------------------------------------------------
 // GET /api/integrate/:entity/lookup?field=serial_number&value=GE-123456
+// GET /api/integrate/:entity/lookup?where=state = 'ACTIVE' AND tsn > 1000
 //
 // Supports FK label resolution: if "field" is a FK name (e.g. "type"),
 // "value" is resolved via label lookup against the referenced entity.
 // Example: ?field=type&value=CFM56-7B27 → filters by type_id=<resolved id>
+// A filter expression (?where=) may be given instead of or in addition to field/value.
 // ---------------------------------------------------------------------------
 
 router.get('/:entity/lookup', validateEntity, (req, res, next) => {
   try {
     const { entity } = req.params;
-    const { field, value } = req.query;
+    const { field, value, where } = req.query;
+    const hasFieldValue = field && value !== undefined && value !== '';
 
-    if (!field || value === undefined || value === '') {
+    if (!hasFieldValue && !where) {
       return res.status(400).json({
-        error: { code: 'MISSING_PARAMS', message: 'Query params "field" and "value" are required' }
+        error: { code: 'MISSING_PARAMS', message: 'Query params "field" and "value" (or "where") are required' }
       });
     }
 
+    if (!hasFieldValue) {
+      return res.json(service.listEntities(entity, { where, limit: 50 }, buildContext(req)));
+    }
+
     // Check if field is a FK column (e.g. "type" → "type_id" exists)
     const schema = getSchema();
     const entityMeta = schema.entities[entity];
@@ -212,8 +231,9 @@ router.get('/:entity/lookup', validateEntity, (req, res, next) => {
 
     const result = service.listEntities(entity, {
       filter: filterString,
+      where,
       limit: 50
-    }, req.correlationId);
+    }, buildContext(req));
 
     res.json(result);
   } catch (err) {
@@ -221,6 +241,61 @@ router.get('/:entity/lookup', validateEntity, (req, res, next) => {
   }
 });
 
+// ---------------------------------------------------------------------------
+// POST /api/integrate/:entity/upsert - Insert or update by natural key
+//
+// Body: { key?, records: [...], deleteMissing?, where? }
+// Matches records on a UNIQUE column or UKn key, resolves FK labels per record
+// and answers a per-record report. All or nothing: if any record fails, nothing
+// is saved and the report comes with 422 UPSERT_FAILED.
+// Must be registered before POST /:entity.
+// ---------------------------------------------------------------------------
+
+router.post('/:entity/upsert', validateEntity, (req, res, next) => {
+  try {
+    const { entity } = req.params;
+    const body = req.body;
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return res.status(400).json({
+        error: { code: 'INVALID_BODY', message: 'Request body must be a JSON object with "records"' }
+      });
+    }
+
+    const lookups = buildLookups(entity);
+    const report = service.upsertEntities(entity, body.records, {
+      key: body.key,
+      deleteMissing: body.deleteMissing === true,
+      where: body.where,
+      resolve: (record) => resolveLabels(entity, record, lookups)
+    }, buildContext(req));
+
+    const { committed, records, ...response } = report;
+
+    if (!committed) {
+      return res.status(422).json({
+        error: {
+          code: 'UPSERT_FAILED',
+          message: `${response.summary.failed} record(s) failed, nothing was saved`,
+          correlationId: req.correlationId,
+          details: response
+        }
+      });
+    }
+
+    // Run ONCHANGE calculations (async, don't block response)
+    setImmediate(() => {
+      for (const record of records) {
+        calculationService.runOnChangeServerCalculations(entity, record);
+      }
+    });
+
+    res.json({ entity, ...response });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // ---------------------------------------------------------------------------
 // POST /api/integrate/:entity - Create with FK label resolution
 // ---------------------------------------------------------------------------
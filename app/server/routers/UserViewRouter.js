@@ -3,12 +3,60 @@
  *
  * GET /api/views                  - List views with groups/colors
  * GET /api/views/:name            - Query view data (filter, sort, pagination)
+ * GET /api/views/:name/aggregate  - Grouped aggregates (group by, count/sum/avg/min/max)
+ * GET /api/views/:name/pivot      - Crosstab of a pivot view with row and column totals
  * GET /api/views/:name/schema     - Column metadata for UI rendering
  */
 
 const express = require('express');
 const logger = require('../utils/logger');
 const { parseFilter, buildWhereClause } = require('../utils/FilterParser');
+const { parseFilterExpression } = require('../utils/FilterExpression');
+const { decodeCursor, buildSeekCondition, buildOrderBy, finishPage } = require('../utils/KeysetCursor');
+const { parseSort } = require('../utils/SortParser');
+const { buildAggregateQuery } = require('../utils/AggregateQuery');
+const { queryPivot } = require('../utils/PivotQuery');
+const { NotFoundError } = require('../errors/NotFoundError');
+const { ForbiddenError } = require('../errors/ForbiddenError');
+const { ValidationError } = require('../errors/ValidationError');
+const permissions = require('../services/PermissionService');
+const { scopedFrom } = require('../utils/RowScope');
+
+/**
+ * Find a view column by SQL alias, label or column path
+ */
+function findViewColumn(view, name) {
+  return view.columns.find(c => c.sqlAlias === name || c.label === name) ||
+    view.columns.find(c => c.path === name);
+}
+
+/**
+ * Parse shorthand filter and filter expression of a view query with the same column rules
+ * @returns {{ conditions: string[], params: any[] }} Conditions on the view columns
+ */
+function buildViewFilter(view, filter, where) {
+  const filterOptions = {
+    // Resolve column by sqlAlias or label
+    resolveColumn: (colName) => {
+      if (colName === 'id') return { sqlName: 'id', jsType: 'number' };
+      const col = view.columns.find(c => c.sqlAlias === colName || c.label === colName);
+      if (col) return { sqlName: col.sqlAlias, jsType: col.jsType };
+      // Also resolve FK ID columns (e.g., "_fk_Engine Type") for IN-filter support
+      const fkCol = view.columns.find(c => c.fkIdColumn === colName);
+      if (fkCol) return { sqlName: fkCol.fkIdColumn, jsType: 'number' };
+      return null;
+    },
+    // For global text search: use view's string columns
+    getStringColumns: () => view.columns
+      .filter(c => c.jsType === 'string')
+      .map(c => c.sqlAlias)
+  };
+  const { conditions, params } = parseFilter(filter, filterOptions);
+  const expr = parseFilterExpression(where, filterOptions);
+  conditions.push(...expr.conditions);
+  params.push(...expr.params);
+  return { conditions, params };
+}
 
 /**
  * Build view summary for list response
@@ -31,6 +79,7 @@ function buildViewSummary(v) {
     columns: v.columns.map(c => c.label),
     ...(v.description ? { description: v.description } : {}),
     ...(v.detail ? { detail: true } : {}),
+    ...(v.pivot ? { pivot: true } : {}),
     ...(requiredFilterEntities.length > 0 ? { requiredFilterEntities } : {})
   };
 }
@@ -65,10 +114,41 @@ function buildViewSchema(view) {
     ...(view.defaultSort ? { defaultSort: view.defaultSort } : {}),
     ...(view.chart ? { chart: view.chart } : {}),
     ...(view.description ? { description: view.description } : {}),
-    ...(view.detail ? { detail: true, template: view.template } : {})
+    ...(view.detail ? { detail: true, template: view.template } : {}),
+    ...(view.pivot ? { pivot: view.pivot } : {})
   };
 }
 
+/**
+ * Compute the crosstab of a pivot view for a user (shared with the export router).
+ * Entity/field permissions and row-level security apply as for the view data.
+ * @param {string} name - View name
+ * @param {Object|undefined} user - Request user (role, row scope)
+ * @param {Object} [query] - { filter, where } as for the view data
+ * @returns {Object} Crosstab (see PivotQuery), with the view name
+ * @throws {NotFoundError|ForbiddenError|ValidationError}
+ */
+function queryPivotView(name, user, { filter, where } = {}) {
+  const { getSchema, getDatabase } = require('../config/database');
+  const fullView = (getSchema().userViews || []).find(v => v.name === name);
+  if (!fullView) throw new NotFoundError(`View "${name}"`);
+  if (!fullView.pivot) throw new ValidationError([`View "${name}" is not a pivot view`], 'Not a pivot view');
+
+  // A hidden key or value column would change the crosstab: deny instead of dropping it
+  const view = permissions.restrictView(fullView, user?.role);
+  if (!view || view.columns.length !== fullView.columns.length) {
+    throw new ForbiddenError(`View "${name}" is not accessible for role '${user?.role}'`);
+  }
+
+  const from = scopedFrom(view.sqlName, permissions.getRowScope(user));
+  const { conditions, params } = buildViewFilter(view, filter, where);
+  const pivot = queryPivot(getDatabase(), view, {
+    source: `(SELECT * FROM ${from.sql}${buildWhereClause(conditions)}) b`,
+    params: [...from.params, ...params]
+  });
+  return { view: view.name, ...pivot };
+}
+
 /**
  * Resolve an attribute value from an entity view row.
  * FK display names (e.g., "type") are resolved to their _label column.
@@ -79,11 +159,22 @@ function resolveAttr(entity, row, attr) {
   return row[attr] ?? null;
 }
 
+/**
+ * Check whether a template attribute shows a field hidden from the role
+ */
+function isHiddenAttr(entity, attr, role) {
+  const hidden = permissions.getHiddenColumns(entity.className, role);
+  if (hidden.size === 0) return false;
+  const fk = entity.foreignKeys.find(fk => fk.displayName === attr);
+  return hidden.has(fk ? fk.column : attr);
+}
+
 /**
  * Query a detail view template and return nested JSON.
  * Uses entity SQL views (vw_*) for automatic FK label resolution.
+ * role/rowScope restrict fields and rows (entity permissions, row-level security).
  */
-function queryDetailView(view, field, value, schema, db) {
+function queryDetailView(view, field, value, schema, db, role, rowScope) {
   const tpl = view.template;
   const baseEntity = schema.entities[tpl.base];
   if (!baseEntity) return { error: `Base entity "${tpl.base}" not found`, status: 500 };
@@ -93,22 +184,23 @@ function queryDetailView(view, field, value, schema, db) {
   const fk = baseEntity.foreignKeys.find(fk => fk.displayName === field);
   if (fk) sqlField = field + '_label';
 
-  const viewName = `${baseEntity.tableName}_view`;
-  const baseRow = db.prepare(`SELECT * FROM ${viewName} WHERE "${sqlField}" = ?`).get(value);
+  const from = scopedFrom(`${baseEntity.tableName}_view`, rowScope);
+  const baseRow = db.prepare(`SELECT * FROM ${from.sql} WHERE "${sqlField}" = ?`).get(...from.params, value);
   if (!baseRow) return { error: `No ${tpl.base} found with ${field} = ${value}`, status: 404 };
 
   // Build root record from template attributes
   const result = { id: baseRow.id };
   for (const attr of (tpl.rootAttributes || [])) {
+    if (isHiddenAttr(baseEntity, attr, role)) continue;
     result[attr] = resolveAttr(baseEntity, baseRow, attr);
   }
 
   // Process children (back-refs and FK drill-downs)
   for (const child of (tpl.children || [])) {
     if (child.type === 'backref') {
-      result[child.entity] = queryBackRefNode(child, baseRow.id, tpl.base, schema, db);
+      result[child.entity] = queryBackRefNode(child, baseRow.id, tpl.base, schema, db, role, rowScope);
     } else if (child.type === 'fk') {
-      const fkData = queryFkNode(child, baseRow, baseEntity, schema, db);
+      const fkData = queryFkNode(child, baseRow, baseEntity, schema, db, role, rowScope);
       // Preserve attribute label on FK drill-down object (attribute may already exist)
       if (fkData && result[child.field] !== undefined) {
         fkData._label = result[child.field];
@@ -120,67 +212,71 @@ function queryDetailView(view, field, value, schema, db) {
   return { data: result };
 }
 
-function queryBackRefNode(node, parentId, parentEntityName, schema, db) {
+function queryBackRefNode(node, parentId, parentEntityName, schema, db, role, rowScope) {
   const childEntity = schema.entities[node.entity];
-  if (!childEntity) return [];
+  if (!childEntity || !permissions.can(node.entity, role, 'read')) return [];
 
   const fkToParent = childEntity.foreignKeys.find(fk => fk.references.entity === parentEntityName);
   if (!fkToParent) return [];
 
   // Build SQL with optional ORDER BY / LIMIT from template params
-  let sql = `SELECT * FROM ${childEntity.tableName}_view WHERE "${fkToParent.column}" = ?`;
+  const from = scopedFrom(`${childEntity.tableName}_view`, rowScope);
+  let sql = `SELECT * FROM ${from.sql} WHERE "${fkToParent.column}" = ?`;
   if (node.params) {
     // Template params: "ORDER BY start_date DESC, LIMIT 5" → fix comma before LIMIT
     sql += ' ' + node.params.replace(/,\s*LIMIT/i, ' LIMIT');
   }
 
-  const rows = db.prepare(sql).all(parentId);
+  const rows = db.prepare(sql).all(...from.params, parentId);
   return rows.map(row => {
     const record = { id: row.id };
     for (const attr of (node.attributes || [])) {
+      if (isHiddenAttr(childEntity, attr, role)) continue;
       record[attr] = resolveAttr(childEntity, row, attr);
     }
     for (const child of (node.children || [])) {
       if (child.type === 'fk') {
-        const fkData = queryFkNode(child, row, childEntity, schema, db);
+        const fkData = queryFkNode(child, row, childEntity, schema, db, role, rowScope);
         if (fkData && record[child.field] !== undefined) {
           fkData._label = record[child.field];
         }
         record[child.field] = fkData;
       } else if (child.type === 'backref') {
-        record[child.entity] = queryBackRefNode(child, row.id, node.entity, schema, db);
+        record[child.entity] = queryBackRefNode(child, row.id, node.entity, schema, db, role, rowScope);
       }
     }
     return record;
   });
 }
 
-function queryFkNode(node, parentRow, parentEntity, schema, db) {
+function queryFkNode(node, parentRow, parentEntity, schema, db, role, rowScope) {
   const fk = parentEntity.foreignKeys.find(fk => fk.displayName === node.field);
-  if (!fk) return null;
+  if (!fk || isHiddenAttr(parentEntity, node.field, role)) return null;
 
   const fkId = parentRow[fk.column];
   if (!fkId) return null;
 
   const refEntity = schema.entities[fk.references.entity];
-  if (!refEntity) return null;
+  if (!refEntity || !permissions.can(refEntity.className, role, 'read')) return null;
 
-  const row = db.prepare(`SELECT * FROM ${refEntity.tableName}_view WHERE id = ?`).get(fkId);
+  const from = scopedFrom(`${refEntity.tableName}_view`, rowScope);
+  const row = db.prepare(`SELECT * FROM ${from.sql} WHERE id = ?`).get(...from.params, fkId);
   if (!row) return null;
 
   const record = { id: row.id };
   for (const attr of (node.attributes || [])) {
+    if (isHiddenAttr(refEntity, attr, role)) continue;
     record[attr] = resolveAttr(refEntity, row, attr);
   }
   for (const child of (node.children || [])) {
     if (child.type === 'fk') {
-      const fkData = queryFkNode(child, row, refEntity, schema, db);
+      const fkData = queryFkNode(child, row, refEntity, schema, db, role, rowScope);
       if (fkData && record[child.field] !== undefined) {
         fkData._label = record[child.field];
       }
       record[child.field] = fkData;
     } else if (child.type === 'backref') {
-      record[child.entity] = queryBackRefNode(child, row.id, fk.references.entity, schema, db);
+      record[child.entity] = queryBackRefNode(child, row.id, fk.references.entity, schema, db, role, rowScope);
     }
   }
   return record;
@@ -199,6 +295,30 @@ module.exports = function() {
     return schema.userViews.find(v => v.name === name) || null;
   }
 
+  /**
+   * Find a view and restrict it to the role of the request (entity/field permissions)
+   * Sends 404/403 and returns null if the view is not available.
+   * @returns {{ view: Object, removedKeys: Set<string>, rowScope: Object|null }|null}
+   *   Restricted view, row keys to strip and the row-level security scope
+   */
+  function findViewForRequest(req, res) {
+    const fullView = findView(req.params.name);
+    if (!fullView) {
+      res.status(404).json({ error: `View "${req.params.name}" not found` });
+      return null;
+    }
+    const view = permissions.restrictView(fullView, req.user?.role);
+    if (!view) {
+      res.status(403).json({ error: `View "${req.params.name}" is not accessible for role '${req.user.role}'` });
+      return null;
+    }
+    return {
+      view,
+      removedKeys: permissions.getRemovedViewKeys(fullView, view),
+      rowScope: permissions.getRowScope(req.user)
+    };
+  }
+
   /**
    * GET /api/views/:name/distinct/:column - Get distinct values for a column
    * Query params:
@@ -206,12 +326,12 @@ module.exports = function() {
    */
   router.get('/api/views/:name/distinct/:column', (req, res) => {
     try {
-      const view = findView(req.params.name);
-      if (!view) {
-        return res.status(404).json({ error: `View "${req.params.name}" not found` });
-      }
+      const found = findViewForRequest(req, res);
+      if (!found) return;
+      const { view, rowScope } = found;
 
       const db = getDatabase();
+      const from = scopedFrom(view.sqlName, rowScope);
       const colName = req.params.column;
       const extractType = req.query.type || 'select';
 
@@ -224,19 +344,19 @@ module.exports = function() {
       let sql, valueKey;
       if (extractType === 'year') {
         // Extract distinct years from date column
-        sql = `SELECT DISTINCT strftime('%Y', "${col.sqlAlias}") as year FROM ${view.sqlName} WHERE "${col.sqlAlias}" IS NOT NULL ORDER BY year DESC`;
+        sql = `SELECT DISTINCT strftime('%Y', "${col.sqlAlias}") as year FROM ${from.sql} WHERE "${col.sqlAlias}" IS NOT NULL ORDER BY year DESC`;
         valueKey = 'year';
       } else if (extractType === 'month') {
         // Extract distinct year-months from date column
-        sql = `SELECT DISTINCT strftime('%Y-%m', "${col.sqlAlias}") as month FROM ${view.sqlName} WHERE "${col.sqlAlias}" IS NOT NULL ORDER BY month DESC`;
+        sql = `SELECT DISTINCT strftime('%Y-%m', "${col.sqlAlias}") as month FROM ${from.sql} WHERE "${col.sqlAlias}" IS NOT NULL ORDER BY month DESC`;
         valueKey = 'month';
       } else {
         // Default: distinct values
-        sql = `SELECT DISTINCT "${col.sqlAlias}" FROM ${view.sqlName} WHERE "${col.sqlAlias}" IS NOT NULL ORDER BY "${col.sqlAlias}"`;
+        sql = `SELECT DISTINCT "${col.sqlAlias}" FROM ${from.sql} WHERE "${col.sqlAlias}" IS NOT NULL ORDER BY "${col.sqlAlias}"`;
         valueKey = col.sqlAlias;
       }
 
-      const rows = db.prepare(sql).all();
+      const rows = db.prepare(sql).all(...from.params);
       const values = rows.map(r => r[valueKey]);
 
       res.json({ values, column: col.sqlAlias, label: col.label, extractType });
@@ -246,25 +366,81 @@ module.exports = function() {
     }
   });
 
+  /**
+   * GET /api/views/:name/aggregate - Grouped aggregates of view rows (see AggregateQuery)
+   *
+   * Query params:
+   *   group   - Columns (labels, SQL aliases or paths) to group by; @Y/@M prefix buckets dates
+   *   agg     - Aggregates, e.g. "count,sum(Usage)" (default: count)
+   *   sort    - Group or aggregate keys, e.g. "sum(Usage):desc" (default: groups)
+   *   limit   - Max groups
+   *   filter, where - As for the view data
+   */
+  router.get('/api/views/:name/aggregate', (req, res) => {
+    try {
+      const found = findViewForRequest(req, res);
+      if (!found) return;
+      const { view, rowScope } = found;
+
+      if (view.detail) {
+        return res.status(400).json({ error: 'Detail views cannot be aggregated' });
+      }
+
+      const from = scopedFrom(view.sqlName, rowScope);
+      const { conditions, params } = buildViewFilter(view, req.query.filter, req.query.where);
+      const query = buildAggregateQuery(req.query, {
+        source: `(SELECT * FROM ${from.sql}${buildWhereClause(conditions)}) b`,
+        params: [...from.params, ...params],
+        resolveColumn: (name) => {
+          if (name === 'id') return { expr: 'b."id"', jsType: 'number' };
+          const col = findViewColumn(view, name);
+          return col ? { expr: `b."${col.sqlAlias}"`, jsType: col.jsType } : null;
+        }
+      });
+
+      const data = getDatabase().prepare(query.sql).all(...query.params);
+      res.json({ view: view.name, groups: query.groups, aggregates: query.aggregates, data });
+    } catch (err) {
+      logger.error('Failed to aggregate view', { view: req.params.name, error: err.message });
+      res.status(err.statusCode || 500).json({ error: err.message, ...(err.details ? { details: err.details } : {}) });
+    }
+  });
+
+  /**
+   * GET /api/views/:name/pivot - Crosstab of a pivot view (see PivotQuery)
+   *
+   * Query params:
+   *   filter, where - As for the view data (applied to the records before grouping)
+   */
+  router.get('/api/views/:name/pivot', (req, res) => {
+    try {
+      res.json(queryPivotView(req.params.name, req.user, req.query));
+    } catch (err) {
+      if (!err.statusCode) logger.error('Failed to query pivot view', { view: req.params.name, error: err.message });
+      res.status(err.statusCode || 500).json({ error: err.message, ...(err.details ? { details: err.details } : {}) });
+    }
+  });
+
   /**
    * GET /api/views/:name - Query view data
    *
    * Query params:
    *   filter  - "column:value" or "text" (global LIKE search)
-   *   sort    - Column label to sort by
-   *   order   - "asc" or "desc"
+   *   where   - Filter expression (see FilterExpression), ANDed with filter
+   *   sort    - Column labels (SQL aliases or column paths) to sort by, e.g. "building,Reading At:desc"
+   *   order   - "asc" or "desc" for sort keys without a direction (default: asc)
    *   limit   - Max rows
    *   offset  - Skip rows
+   *   cursor  - Keyset pagination instead of offset ('' for the first page, then next_cursor)
    */
   router.get('/api/views/:name', (req, res) => {
     try {
-      const view = findView(req.params.name);
-      if (!view) {
-        return res.status(404).json({ error: `View "${req.params.name}" not found` });
-      }
+      const found = findViewForRequest(req, res);
+      if (!found) return;
+      const { view, removedKeys, rowScope } = found;
 
       const db = getDatabase();
-      const { sort, order, filter, field, value, limit, offset } = req.query;
+      const { sort, order, filter, where, field, value, limit, offset, cursor } = req.query;
 
       // Detail views: assemble tree from template
       if (view.detail) {
@@ -272,7 +448,7 @@ module.exports = function() {
           return res.status(400).json({ error: 'Detail views require ?field=...&value=... parameters' });
         }
         const schema = getSchema();
-        const result = queryDetailView(view, field, value, schema, db);
+        const result = queryDetailView(view, field, value, schema, db, req.user?.role, rowScope);
         if (result.error) return res.status(result.status).json({ error: result.error });
         return res.json({ ...result, view: view.name, detail: true });
       }
@@ -282,57 +458,63 @@ module.exports = function() {
         ? `=${field}:${value}`
         : filter;
 
-      // Parse filter using shared FilterParser
-      const { conditions, params } = parseFilter(effectiveFilter, {
-        // Resolve column by sqlAlias or label
-        resolveColumn: (colName) => {
-          if (colName === 'id') return { sqlName: 'id', jsType: 'number' };
-          const col = view.columns.find(c => c.sqlAlias === colName || c.label === colName);
-          if (col) return { sqlName: col.sqlAlias, jsType: col.jsType };
-          // Also resolve FK ID columns (e.g., "_fk_Engine Type") for IN-filter support
-          const fkCol = view.columns.find(c => c.fkIdColumn === colName);
-          if (fkCol) return { sqlName: fkCol.fkIdColumn, jsType: 'number' };
-          return null;
-        },
-        // For global text search: use view's string columns
-        getStringColumns: () => view.columns
-          .filter(c => c.jsType === 'string')
-          .map(c => c.sqlAlias)
-      });
-
-      let sql = `SELECT * FROM ${view.sqlName}${buildWhereClause(conditions)}`;
-
-      // Sort
-      if (sort) {
-        const col = view.columns.find(c => c.sqlAlias === sort || c.label === sort);
-        if (col) {
-          const dir = order === 'desc' ? 'DESC' : 'ASC';
-          sql += ` ORDER BY "${col.sqlAlias}" ${dir}`;
+      const from = scopedFrom(view.sqlName, rowScope);
+      const { conditions, params } = buildViewFilter(view, effectiveFilter, where);
+      params.unshift(...from.params);
+
+      // Sort keys by alias, label or path (unknown columns are ignored), id breaks ties
+      let dir = order === 'desc' ? 'desc' : 'asc';
+      const sortKeys = [];
+      for (const key of parseSort(sort, dir)) {
+        const sortCol = findViewColumn(view, key.column);
+        if (!sortCol || sortKeys.some(k => k.key === sortCol.sqlAlias)) continue;
+        sortKeys.push({ sql: `"${sortCol.sqlAlias}"`, key: sortCol.sqlAlias, order: key.order });
+        dir = key.order;
+      }
+      const useCursor = cursor !== undefined;
+      const pageLimit = limit ? parseInt(limit, 10) : null;
+
+      // Keyset pagination: continue after the position encoded in the cursor
+      if (useCursor) {
+        const seek = buildSeekCondition(sortKeys, dir, decodeCursor(cursor, sortKeys, dir));
+        if (seek.condition) {
+          conditions.push(seek.condition);
+          params.push(...seek.params);
         }
-      } else {
-        sql += ' ORDER BY id ASC';
       }
 
-      // Pagination
-      if (limit) {
+      let sql = `SELECT * FROM ${from.sql}${buildWhereClause(conditions)}`;
+      sql += buildOrderBy(sortKeys, dir);
+
+      // Pagination (cursor mode fetches one look-ahead row)
+      if (pageLimit !== null) {
         sql += ' LIMIT ?';
-        params.push(parseInt(limit, 10));
+        params.push(useCursor ? pageLimit + 1 : pageLimit);
       }
-      if (offset) {
+      if (offset && !useCursor) {
         sql += ' OFFSET ?';
         params.push(parseInt(offset, 10));
       }
 
-      const rows = db.prepare(sql).all(...params);
+      let rows = db.prepare(sql).all(...params);
+      let nextCursor = null;
+      if (useCursor) {
+        ({ rows, nextCursor } = finishPage(rows, pageLimit, sortKeys, dir));
+      }
+
+      // Strip columns hidden from the role (SELECT * returns all view columns)
+      if (removedKeys.size > 0) {
+        rows = rows.map(row => Object.fromEntries(Object.entries(row).filter(([key]) => !removedKeys.has(key))));
+      }
 
       // Total count
-      const countSql = `SELECT COUNT(*) as count FROM ${view.sqlName}`;
-      const { count } = db.prepare(countSql).get();
+      const countSql = `SELECT COUNT(*) as count FROM ${from.sql}`;
+      const { count } = db.prepare(countSql).get(...from.params);
 
-      res.json({ data: rows, total: count, view: view.name });
+      res.json({ data: rows, total: count, view: view.name, ...(useCursor ? { next_cursor: nextCursor } : {}) });
     } catch (err) {
       logger.error('Failed to query view', { view: req.params.name, error: err.message });
-      res.status(500).json({ error: err.message });
+      res.status(err.statusCode || 500).json({ error: err.message, ...(err.details ? { details: err.details } : {}) });
     }
   });
 
@@ -342,3 +524,6 @@ module.exports = function() {
 // Exported for /api/meta consolidation
 module.exports.buildViewSummary = buildViewSummary;
 module.exports.buildViewSchema = buildViewSchema;
+
+// Exported for the pivot export (export.router.js)
+module.exports.queryPivotView = queryPivotView;
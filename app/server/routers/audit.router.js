@@ -5,10 +5,42 @@
 
 const express = require('express');
 const AuditService = require('../services/AuditService');
-const { getDatabase } = require('../config/database');
+const { getDatabase, getSchema } = require('../config/database');
+const permissions = require('../services/PermissionService');
 
 const router = express.Router();
 
+/**
+ * Check whether the audited record is visible under the user's row rules.
+ * Records outside the rule (or no longer existing) are treated as invisible.
+ */
+function isRowVisible(entry, user) {
+  const condition = permissions.getRowCondition(entry.entity_name, user);
+  if (!condition) return true;
+  const entity = getSchema().entities[entry.entity_name];
+  if (!entity) return false;
+  const sql = `SELECT 1 FROM "${entity.tableName}" WHERE id = ? AND (${condition.sql})`;
+  return !!getDatabase().prepare(sql).get(entry.entity_id, ...condition.params);
+}
+
+/**
+ * Parse the JSON snapshots of an audit entry for the response.
+ * Snapshots of entities the role may not read and of rows outside its row rules
+ * are withheld, hidden fields removed.
+ */
+function toResponse(entry, user) {
+  const role = user?.role;
+  const readable = permissions.can(entry.entity_name, role, 'read') && isRowVisible(entry, user);
+  const parse = (json) => json && readable
+    ? permissions.filterRecord(entry.entity_name, role, JSON.parse(json))
+    : null;
+  return {
+    ...entry,
+    before_data: parse(entry.before_data),
+    after_data: parse(entry.after_data)
+  };
+}
+
 /**
  * GET /api/audit - List audit entries with filtering
  */
@@ -25,11 +57,7 @@ router.get('/', (req, res, next) => {
     });
 
     // Parse JSON fields for response
-    const data = entries.map(entry => ({
-      ...entry,
-      before_data: entry.before_data ? JSON.parse(entry.before_data) : null,
-      after_data: entry.after_data ? JSON.parse(entry.after_data) : null
-    }));
+    const data = entries.map(entry => toResponse(entry, req.user));
 
     // Get total count
     const db = getDatabase();
@@ -76,11 +104,7 @@ router.get('/:id', (req, res, next) => {
       });
     }
 
-    res.json({
-      ...entry,
-      before_data: entry.before_data ? JSON.parse(entry.before_data) : null,
-      after_data: entry.after_data ? JSON.parse(entry.after_data) : null
-    });
+    res.json(toResponse(entry, req.user));
   } catch (err) {
     next(err);
   }
@@ -3,6 +3,13 @@
  * Handles login, logout, and session management
  * Emits: auth:login:after, auth:login:failed, auth:logout:after
  *
+ * Three login modes:
+ * - User login: { username, hash } checked against _users (bcrypt of the SHA-256 hash)
+ * - Role login: { role, hash } checked against the shared role hashes in config.json
+ *   (can be switched off with auth.roleLogin: false once user accounts exist)
+ * - OIDC login (auth.oidc): authorization code flow with PKCE against the company IdP,
+ *   IdP groups mapped to roles; the session cookie carries { role, username }
+ *
  * Password verification uses SHA-256:
  * - Client hashes password with SHA-256 before sending
  * - Server compares received hash against stored hash
@@ -10,6 +17,9 @@
  */
 const express = require('express');
 const eventBus = require('../utils/EventBus');
+const UserService = require('../services/UserService');
+const { resolveSessionUser } = require('../middleware/auth');
+const OidcService = require('../services/OidcService');
 
 module.exports = function(cfg) {
     const router = express.Router();
@@ -19,6 +29,30 @@ module.exports = function(cfg) {
     const passwords = authConfig.passwords || {};
     const sessionTimeout = authConfig.sessionTimeout || 86400; // 24h default
     const sessionSecret = authConfig.sessionSecret || 'change-me-in-production';
+    const roleLogin = authConfig.roleLogin !== false;
+    const oidcConfig = authConfig.oidc;
+    const basePath = (cfg.basePath || '').replace(/\/$/, '');
+
+    /**
+     * Set the signed session cookie
+     * @param {Object} session - { role, userId?, username? }
+     */
+    function setSessionCookie(req, res, session) {
+        const data = {
+            ...session,
+            created: Date.now(),
+            expires: Date.now() + (sessionTimeout * 1000)
+        };
+
+        res.cookie('rap-session', JSON.stringify(data), {
+            httpOnly: true,
+            signed: true,
+            secure: req.secure || req.headers['x-forwarded-proto'] === 'https',
+            maxAge: sessionTimeout * 1000,
+            sameSite: 'strict',
+            path: cfg.basePath || '/'
+        });
+    }
 
     /**
      * GET /api/auth/config
@@ -49,6 +83,9 @@ module.exports = function(cfg) {
         // admin always needs password, others only if hash is set
         res.json({
             enabled: true,
+            users: UserService.hasUsers(),
+            roleLogin,
+            oidc: OidcService.isEnabled(oidcConfig) ? { label: oidcConfig.label || 'Single Sign-On' } : null,
             roles: {
                 admin: true, // admin always requires password
                 user: !!passwords.user,
@@ -59,12 +96,29 @@ module.exports = function(cfg) {
 
     /**
      * POST /api/auth/login
-     * Body: { role: 'admin'|'user'|'guest', hash: string }
+     * Body: { username: string, hash: string } or { role: 'admin'|'user'|'guest', hash: string }
      * Client sends SHA-256 hash of password (not plaintext)
      * Sets session cookie on success
      */
     router.post('/api/auth/login', express.json(), async (req, res) => {
-        const { role, hash: receivedHash } = req.body;
+        const { username, role, hash: receivedHash } = req.body;
+
+        // User login
+        if (username) {
+            const user = await UserService.verifyLogin(username, receivedHash);
+            if (!user) {
+                eventBus.emit('auth:login:failed', { username, reason: 'invalid_credentials', ip: req.ip });
+                return res.status(401).json({ error: 'Invalid username or password' });
+            }
+
+            setSessionCookie(req, res, { role: user.role, userId: user.id, username: user.username });
+            eventBus.emit('auth:login:after', { role: user.role, username: user.username, ip: req.ip });
+            return res.json({ success: true, role: user.role, username: user.username, displayName: user.display_name });
+        }
+
+        if (!roleLogin) {
+            return res.status(400).json({ error: 'Username required' });
+        }
 
         // Validate role
         if (!['admin', 'user', 'guest'].includes(role)) {
@@ -96,21 +150,7 @@ module.exports = function(cfg) {
         }
 
         // Create session
-        const session = {
-            role,
-            created: Date.now(),
-            expires: Date.now() + (sessionTimeout * 1000)
-        };
-
-        // Set signed cookie
-        res.cookie('rap-session', JSON.stringify(session), {
-            httpOnly: true,
-            signed: true,
-            secure: req.secure || req.headers['x-forwarded-proto'] === 'https',
-            maxAge: sessionTimeout * 1000,
-            sameSite: 'strict',
-            path: cfg.basePath || '/'
-        });
+        setSessionCookie(req, res, { role });
 
         // Emit success event
         eventBus.emit('auth:login:after', { role, ip: req.ip });
@@ -118,6 +158,101 @@ module.exports = function(cfg) {
         res.json({ success: true, role });
     });
 
+    /**
+     * Callback URL registered at the IdP (configured, or derived from the request)
+     */
+    function oidcRedirectUri(req) {
+        if (oidcConfig.redirectUri) return oidcConfig.redirectUri;
+        const proto = req.headers['x-forwarded-proto'] || req.protocol;
+        return `${proto}://${req.get('host')}${basePath}/api/auth/oidc/callback`;
+    }
+
+    /**
+     * Redirect back to the app, optionally with an error for the login dialog
+     */
+    function redirectToApp(res, returnTo, error) {
+        const target = typeof returnTo === 'string' && returnTo.startsWith('/') && !returnTo.startsWith('//') ? returnTo : `${basePath}/`;
+        res.redirect(error ? `${basePath}/?loginError=${encodeURIComponent(error)}` : target);
+    }
+
+    /**
+     * GET /api/auth/oidc/login[?returnTo=/path]
+     * Starts the OIDC authorization code flow (PKCE): state, nonce and code verifier
+     * are kept in a short-lived signed cookie, then the browser is sent to the IdP
+     */
+    router.get('/api/auth/oidc/login', async (req, res) => {
+        if (!authConfig.enabled || cfg.noauth || !OidcService.isEnabled(oidcConfig)) {
+            return res.status(404).json({ error: 'OIDC login not configured' });
+        }
+
+        try {
+            const redirectUri = oidcRedirectUri(req);
+            const { url, state, nonce, verifier } = await OidcService.createAuthorizationRequest(oidcConfig, redirectUri);
+
+            // sameSite lax: the cookie must survive the top-level redirect back from the IdP
+            res.cookie('rap-oidc', JSON.stringify({ state, nonce, verifier, redirectUri, returnTo: req.query.returnTo }), {
+                httpOnly: true,
+                signed: true,
+                secure: req.secure || req.headers['x-forwarded-proto'] === 'https',
+                maxAge: 10 * 60 * 1000,
+                sameSite: 'lax',
+                path: cfg.basePath || '/'
+            });
+            res.redirect(url);
+        } catch (err) {
+            eventBus.emit('auth:login:failed', { method: 'oidc', reason: err.reason || 'oidc_error', ip: req.ip });
+            redirectToApp(res, null, err.message);
+        }
+    });
+
+    /**
+     * GET /api/auth/oidc/callback?code=...&state=...
+     * Completes the flow: checks state, exchanges the code, verifies the ID token,
+     * maps IdP groups to a role and sets the regular rap-session cookie
+     */
+    router.get('/api/auth/oidc/callback', async (req, res) => {
+        if (!authConfig.enabled || cfg.noauth || !OidcService.isEnabled(oidcConfig)) {
+            return res.status(404).json({ error: 'OIDC login not configured' });
+        }
+
+        let pending = null;
+        try {
+            const raw = req.signedCookies?.['rap-oidc'];
+            pending = typeof raw === 'string' ? JSON.parse(raw) : null;
+        } catch { /* handled below */ }
+        res.clearCookie('rap-oidc', { path: cfg.basePath || '/' });
+
+        const fail = (reason, message) => {
+            eventBus.emit('auth:login:failed', { method: 'oidc', reason, ip: req.ip });
+            redirectToApp(res, null, message);
+        };
+
+        if (req.query.error) {
+            return fail('idp_error', `Login was cancelled or rejected: ${req.query.error_description || req.query.error}`);
+        }
+        if (!pending || !req.query.state || req.query.state !== pending.state) {
+            return fail('invalid_state', 'Login session expired, please try again');
+        }
+        if (!req.query.code) {
+            return fail('missing_code', 'Identity provider returned no authorization code');
+        }
+
+        try {
+            const user = await OidcService.completeAuthorization(oidcConfig, {
+                code: req.query.code,
+                verifier: pending.verifier,
+                nonce: pending.nonce,
+                redirectUri: pending.redirectUri
+            });
+
+            setSessionCookie(req, res, { role: user.role, username: user.username });
+            eventBus.emit('auth:login:after', { role: user.role, username: user.username, method: 'oidc', ip: req.ip });
+            redirectToApp(res, pending.returnTo);
+        } catch (err) {
+            fail(err.reason || 'oidc_error', err.message);
+        }
+    });
+
     /**
      * POST /api/auth/logout
      * Clears session cookie
@@ -126,22 +261,24 @@ module.exports = function(cfg) {
         // Get role before clearing cookie
         const session = req.signedCookies?.['rap-session'];
         let role = null;
+        let username = null;
         try {
             const sessionData = typeof session === 'string' ? JSON.parse(session) : session;
             role = sessionData?.role;
+            username = sessionData?.username || null;
         } catch { /* ignore */ }
 
         res.clearCookie('rap-session', { path: cfg.basePath || '/' });
 
         // Emit logout event
-        eventBus.emit('auth:logout:after', { role, ip: req.ip });
+        eventBus.emit('auth:logout:after', { role, username, ip: req.ip });
 
         res.json({ success: true });
     });
 
     /**
      * GET /api/auth/me
-     * Returns current user's role, or 401 if not logged in
+     * Returns current user's role (plus userId/username for user sessions), or 401 if not logged in
      */
     router.get('/api/auth/me', (req, res) => {
         const session = req.signedCookies?.['rap-session'];
@@ -159,10 +296,17 @@ module.exports = function(cfg) {
                 return res.status(401).json({ error: 'Session expired' });
             }
 
+            // Account may have been deactivated or deleted since login
+            const user = resolveSessionUser(sessionData);
+            if (!user) {
+                res.clearCookie('rap-session', { path: cfg.basePath || '/' });
+                return res.status(401).json({ error: 'Account disabled' });
+            }
+
             // Get client IP (prefer X-Forwarded-For for reverse proxy setups)
             const ip = req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.ip || 'unknown';
 
-            res.json({ role: sessionData.role, ip });
+            res.json({ ...user, ip });
         } catch (e) {
             res.clearCookie('rap-session', { path: cfg.basePath || '/' });
             return res.status(401).json({ error: 'Invalid session' });
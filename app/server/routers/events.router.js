@@ -0,0 +1,32 @@
+/**
+ * Events Router
+ * Live change feed for the UI and integrations (Server-Sent Events)
+ *
+ * GET /api/events/stream   - text/event-stream with entity and schema events (see ChangeFeedService)
+ *
+ * Access follows the blanket /api guard in rap.js; events are filtered per caller
+ * (API key entity scope, role permissions, row rules).
+ */
+
+const express = require('express');
+const ChangeFeedService = require('../services/ChangeFeedService');
+
+module.exports = function() {
+  const router = express.Router();
+
+  router.get('/api/events/stream', (req, res) => {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      // Disable response buffering in nginx
+      'X-Accel-Buffering': 'no'
+    });
+    req.socket.setTimeout(0);
+
+    const remove = ChangeFeedService.addClient(res, req.user);
+    req.on('close', remove);
+  });
+
+  return router;
+};
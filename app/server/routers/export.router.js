@@ -1,6 +1,7 @@
 /**
  * Export Router (PDF, CSV, DOCX, XLSX)
  * Routes: /api/entities/:entity/export-pdf, export-tree-pdf, export-csv, export-docx, export-xlsx
+ *         /api/views/:name/pivot/export-csv, export-xlsx (crosstab computed on the server)
  * Emits: export:start, export:complete, export:error
  */
 
@@ -13,6 +14,23 @@ const PrintService = require('../services/PrintService');
 const CsvService = require('../services/CsvService');
 const XlsxService = require('../services/XlsxService');
 const eventBus = require('../utils/EventBus');
+const PermissionService = require('../services/PermissionService');
+const { queryPivotView } = require('./UserViewRouter');
+const { pivotToTable } = require('../utils/PivotQuery');
+
+/**
+ * Restrict export columns to those the user's role may read.
+ * Sends 403 and returns null if the entity/view is not readable.
+ */
+function restrictColumns(req, res, columns) {
+    try {
+        return PermissionService.filterExportColumns(req.params.entity, req.user?.role, columns);
+    } catch (err) {
+        if (err.statusCode !== 403) throw err;
+        res.status(403).json({ error: err.message });
+        return null;
+    }
+}
 
 /**
  * Generate Entity Cards PDF for printing and cutting out.
@@ -476,13 +494,16 @@ function createRouter(cfg) {
                 return res.status(400).json({ error: 'columns and records arrays are required' });
             }
 
+            const allowedColumns = restrictColumns(req, res, columns);
+            if (!allowedColumns) return;
+
             eventBus.emit('export:start', { format, entity, recordCount: records.length });
 
             res.setHeader('Content-Type', 'application/pdf');
             res.setHeader('Content-Disposition', `attachment; filename="${entity}.pdf"`);
 
             const printService = new PrintService();
-            printService.generatePdf({ title, columns, records, entityColor, filters }, res);
+            printService.generatePdf({ title, columns: allowedColumns, records, entityColor, filters }, res);
 
             eventBus.emit('export:complete', { format, entity, recordCount: records.length });
 
@@ -505,6 +526,8 @@ function createRouter(cfg) {
                 return res.status(400).json({ error: 'nodes array is required' });
             }
 
+            if (!restrictColumns(req, res, [])) return;
+
             eventBus.emit('export:start', { format, entity, nodeCount: nodes.length });
 
             res.setHeader('Content-Type', 'application/pdf');
@@ -534,13 +557,16 @@ function createRouter(cfg) {
                 return res.status(400).json({ error: 'columns and records arrays are required' });
             }
 
+            const allowedColumns = restrictColumns(req, res, columns);
+            if (!allowedColumns) return;
+
             eventBus.emit('export:start', { format, entity, recordCount: records.length });
 
             res.setHeader('Content-Type', 'text/csv; charset=utf-8');
             res.setHeader('Content-Disposition', `attachment; filename="${entity}.csv"`);
 
             const csvService = new CsvService();
-            csvService.generateCsv({ columns, records }, res);
+            csvService.generateCsv({ columns: allowedColumns, records }, res);
 
             eventBus.emit('export:complete', { format, entity, recordCount: records.length });
 
@@ -563,10 +589,13 @@ function createRouter(cfg) {
                 return res.status(400).json({ error: 'columns and records arrays are required' });
             }
 
+            const allowedColumns = restrictColumns(req, res, columns);
+            if (!allowedColumns) return;
+
             eventBus.emit('export:start', { format, entity, recordCount: records.length });
 
             const xlsxService = new XlsxService();
-            const buffer = xlsxService.generateXlsx({ columns, records });
+            const buffer = xlsxService.generateXlsx({ columns: allowedColumns, records });
 
             res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
             res.setHeader('Content-Disposition', `attachment; filename="${entity}.xlsx"`);
@@ -581,6 +610,44 @@ function createRouter(cfg) {
         }
     });
 
+    // Export pivot view crosstab to CSV or XLSX.
+    // Body: { filter, where, totalLabel }; the crosstab is computed here (not sent by
+    // the client), so permissions, row scope and the totals match GET /api/views/:name/pivot
+    const exportPivot = (format) => (req, res) => {
+        const entity = req.params.name;
+
+        try {
+            const { filter, where, totalLabel } = req.body || {};
+            const pivot = queryPivotView(entity, req.user, { filter, where });
+            const { columns, records } = pivotToTable(pivot, totalLabel || 'Total');
+
+            eventBus.emit('export:start', { format, entity, recordCount: records.length });
+
+            if (format === 'csv') {
+                res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+                res.setHeader('Content-Disposition', `attachment; filename="${entity}.csv"`);
+                new CsvService().generateCsv({ columns, records }, res);
+                eventBus.emit('export:complete', { format, entity, recordCount: records.length });
+            } else {
+                const buffer = new XlsxService().generateXlsx({ columns, records });
+                res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+                res.setHeader('Content-Disposition', `attachment; filename="${entity}.xlsx"`);
+                res.send(buffer);
+                eventBus.emit('export:complete', { format, entity, recordCount: records.length, size: buffer.length });
+            }
+
+        } catch (error) {
+            eventBus.emit('export:error', { format, entity, error: error.message });
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({ error: error.message, ...(error.details ? { details: error.details } : {}) });
+            }
+            console.error('Pivot export error:', error);
+            res.status(500).json({ error: `${format.toUpperCase()} generation failed` });
+        }
+    };
+    router.post('/api/views/:name/pivot/export-csv', exportPivot('csv'));
+    router.post('/api/views/:name/pivot/export-xlsx', exportPivot('xlsx'));
+
     // Export entity table to DOCX (Word)
     router.post('/api/entities/:entity/export-docx', async (req, res) => {
         const entity = req.params.entity;
@@ -593,10 +660,13 @@ function createRouter(cfg) {
                 return res.status(400).json({ error: 'columns and records arrays are required' });
             }
 
+            const allowedColumns = restrictColumns(req, res, columns);
+            if (!allowedColumns) return;
+
             eventBus.emit('export:start', { format, entity, recordCount: records.length });
 
             const printService = new PrintService();
-            const buffer = await printService.generateDocx({ title, columns, records, entityColor, filters });
+            const buffer = await printService.generateDocx({ title, columns: allowedColumns, records, entityColor, filters });
 
             const filename = (title || entity).replace(/[^a-z0-9]/gi, '_');
             res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
@@ -624,6 +694,8 @@ function createRouter(cfg) {
                 return res.status(400).json({ error: 'nodes array is required' });
             }
 
+            if (!restrictColumns(req, res, [])) return;
+
             eventBus.emit('export:start', { format, entity, nodeCount: nodes.length });
 
             const printService = new PrintService();
@@ -0,0 +1,159 @@
+/**
+ * GraphQL Router
+ * Read-only GraphQL API over the data model (see GraphQLSchemaBuilder)
+ *
+ * POST /api/graphql   - { query, variables?, operationName? }
+ * GET  /api/graphql   - ?query=...&variables=<JSON>&operationName=...
+ *
+ * Responses follow the GraphQL over HTTP conventions: { data, errors? }. Request
+ * errors (syntax, validation, depth) answer 400 without data; errors of single fields
+ * (e.g. an invalid filter expression) answer 200 with the field set to null and an
+ * entry in errors whose extensions.code is the REST error code.
+ *
+ * Access follows the blanket /api guard in rap.js; the schema and all resolvers are
+ * restricted to the caller's role, row rules and API key entity scope.
+ */
+
+const express = require('express');
+const { parse, validate, execute, Kind, GraphQLError } = require('graphql');
+const { getSchemaFor, createLoaders } = require('../utils/GraphQLSchemaBuilder');
+const { getChangedBy } = require('../middleware/auth');
+const { AppError } = require('../errors');
+const logger = require('../utils/logger');
+
+/** Maximum nesting of fields (FK and back-reference chains), introspection excluded */
+const MAX_DEPTH = 12;
+
+/**
+ * Nesting depth of a selection set (fragments resolved, __ fields ignored)
+ */
+function selectionDepth(selectionSet, fragments, depth = 0) {
+  let max = depth;
+  for (const selection of selectionSet?.selections || []) {
+    if (selection.kind === Kind.FIELD) {
+      if (selection.name.value.startsWith('__')) continue;
+      max = Math.max(max, selection.selectionSet
+        ? selectionDepth(selection.selectionSet, fragments, depth + 1)
+        : depth + 1);
+    } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+      max = Math.max(max, selectionDepth(selection.selectionSet, fragments, depth));
+    } else if (selection.kind === Kind.FRAGMENT_SPREAD) {
+      const fragment = fragments[selection.name.value];
+      if (fragment) max = Math.max(max, selectionDepth(fragment.selectionSet, fragments, depth));
+    }
+  }
+  return max;
+}
+
+/**
+ * Reject operations nested deeper than MAX_DEPTH
+ * Runs after validation, which already rejects fragment cycles.
+ */
+function checkDepth(document) {
+  const fragments = {};
+  for (const definition of document.definitions) {
+    if (definition.kind === Kind.FRAGMENT_DEFINITION) fragments[definition.name.value] = definition;
+  }
+  for (const definition of document.definitions) {
+    if (definition.kind !== Kind.OPERATION_DEFINITION) continue;
+    const depth = selectionDepth(definition.selectionSet, fragments);
+    if (depth > MAX_DEPTH) {
+      return new GraphQLError(`Query is nested ${depth} levels deep, maximum is ${MAX_DEPTH}`, { nodes: [definition] });
+    }
+  }
+  return null;
+}
+
+/**
+ * GraphQL error entry with the REST error code; unexpected errors are logged
+ * and reported without internals (like errorHandler)
+ */
+function formatError(err, correlationId) {
+  const original = err.originalError;
+  const json = err.toJSON();
+  if (!original) return json;
+
+  if (original.isValidationError) {
+    return { ...json, extensions: { code: 'VALIDATION_ERROR', details: original.errors } };
+  }
+  if (original instanceof AppError || original.isOperational) {
+    return { ...json, extensions: { code: original.type, ...(original.details ? { details: original.details } : {}) } };
+  }
+
+  logger.error('GraphQL resolver failed', { correlationId, error: original.message, stack: original.stack, path: err.path });
+  return { ...json, message: 'An internal error occurred', extensions: { code: 'INTERNAL_ERROR' } };
+}
+
+/**
+ * Build request context for permission checks (same as the REST routers)
+ */
+function buildContext(req) {
+  return {
+    correlationId: req.correlationId,
+    clientIp: req.ip || req.connection?.remoteAddress,
+    changedBy: getChangedBy(req),
+    role: req.user?.role,
+    user: req.user
+  };
+}
+
+module.exports = function() {
+  const router = express.Router();
+
+  async function handle(req, res, params) {
+    const { query, operationName } = params;
+    let variables = params.variables;
+
+    if (!query || typeof query !== 'string') {
+      return res.status(400).json({ errors: [{ message: 'Missing "query"' }] });
+    }
+    if (typeof variables === 'string') {
+      try {
+        variables = JSON.parse(variables);
+      } catch {
+        return res.status(400).json({ errors: [{ message: '"variables" is not valid JSON' }] });
+      }
+    }
+
+    let document;
+    try {
+      document = parse(query);
+    } catch (err) {
+      return res.status(400).json({ errors: [err.toJSON()] });
+    }
+
+    const schema = getSchemaFor(req.user);
+    const validationErrors = validate(schema, document);
+    const depthError = validationErrors.length === 0 ? checkDepth(document) : null;
+    if (validationErrors.length > 0 || depthError) {
+      const errors = depthError ? [depthError] : validationErrors;
+      return res.status(400).json({ errors: errors.map(err => err.toJSON()) });
+    }
+
+    const context = buildContext(req);
+    const result = await execute({
+      schema,
+      document,
+      variableValues: variables || undefined,
+      operationName: operationName || undefined,
+      contextValue: { context, loaders: createLoaders(context) }
+    });
+
+    const response = { data: result.data ?? null };
+    if (result.errors) {
+      response.errors = result.errors.map(err => formatError(err, req.correlationId));
+    }
+    // No data at all: the request itself failed (e.g. unknown operationName, bad variables)
+    res.status(result.data === undefined ? 400 : 200).json(response);
+  }
+
+  router.get('/api/graphql', (req, res, next) => {
+    handle(req, res, req.query).catch(next);
+  });
+
+  router.post('/api/graphql', express.json(), (req, res, next) => {
+    handle(req, res, req.body || {}).catch(next);
+  });
+
+  return router;
+};
@@ -0,0 +1,39 @@
+/**
+ * OpenAPI Router
+ * Machine-readable API description for integrators (Power Automate, HCL Leap, code generators)
+ *
+ * GET /api/openapi.json   - OpenAPI 3 document of /api/entities, /api/views and /api/integrate
+ *
+ * The document is generated per request from the current schema and cut to the caller
+ * (role permissions, hidden fields, API key entity scope). Access follows the blanket
+ * /api guard in rap.js. The browsable page is served from static/rap/api-docs (/api-docs/).
+ */
+
+const express = require('express');
+const { getSchemaHash } = require('../config/database');
+const service = require('../services/GenericService');
+const { generateOpenApi } = require('../utils/OpenApiGenerator');
+
+module.exports = function(systemConfig = {}) {
+  const router = express.Router();
+
+  router.get('/api/openapi.json', (req, res, next) => {
+    try {
+      const doc = generateOpenApi({
+        user: req.user,
+        enabledEntities: service.getEnabledEntities(),
+        title: systemConfig.pwa?.name || `AIDE RAP [${systemConfig.systemName}]`,
+        description: systemConfig.pwa?.description,
+        // Changes whenever the data model changes
+        version: getSchemaHash().slice(0, 12),
+        basePath: systemConfig.basePath,
+        authEnabled: systemConfig.auth?.enabled === true && !systemConfig.noauth
+      });
+      res.json(doc);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+};
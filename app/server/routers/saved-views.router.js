@@ -0,0 +1,71 @@
+/**
+ * Saved Views Router
+ * Named table layouts and filters per user (_saved_views system table)
+ *
+ * GET    /api/saved-views?type=entity|view&target=<name>  - Own and shared saved views,
+ *                                                          with the default to restore
+ * GET    /api/saved-views/:id     - Get a saved view
+ * POST   /api/saved-views         - Create { targetType, target, name, state, sharedRoles, isDefault }
+ * PUT    /api/saved-views/:id     - Update (only provided fields; owner or admin)
+ * DELETE /api/saved-views/:id     - Delete (owner or admin)
+ *
+ * `state` holds { hiddenColumns, filters, sort, prefilter, viewMode } of the table.
+ * `sharedRoles` makes a saved view visible (read-only) to other users of these roles.
+ * Access follows the blanket /api guard in rap.js.
+ */
+
+const express = require('express');
+const SavedViewService = require('../services/SavedViewService');
+
+module.exports = function() {
+  const router = express.Router();
+
+  router.use('/api/saved-views', express.json());
+
+  router.get('/api/saved-views', (req, res, next) => {
+    try {
+      res.json(SavedViewService.listSavedViews(req.user, req.query.type, req.query.target));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/api/saved-views/:id', (req, res, next) => {
+    try {
+      res.json(SavedViewService.getSavedView(parseInt(req.params.id, 10), req.user));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post('/api/saved-views', (req, res, next) => {
+    try {
+      const { targetType, target, name, state, sharedRoles, isDefault } = req.body || {};
+      const view = SavedViewService.createSavedView(req.user, { targetType, target, name, state, sharedRoles, isDefault });
+      res.status(201).json(view);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.put('/api/saved-views/:id', (req, res, next) => {
+    try {
+      const { name, state, sharedRoles, isDefault } = req.body || {};
+      const view = SavedViewService.updateSavedView(parseInt(req.params.id, 10), req.user, { name, state, sharedRoles, isDefault });
+      res.json(view);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.delete('/api/saved-views/:id', (req, res, next) => {
+    try {
+      const deleted = SavedViewService.deleteSavedView(parseInt(req.params.id, 10), req.user);
+      res.json({ message: `Saved view '${deleted.name}' deleted`, deleted });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+};
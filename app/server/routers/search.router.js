@@ -0,0 +1,68 @@
+/**
+ * Search Router
+ * Ranked full-text search across all entities with [SEARCH] columns (SQLite FTS5)
+ *
+ * GET /api/search?q=<text>&entity=<Entity>&limit=<n>
+ *   q:      search words; each word is prefix matched, all words must occur
+ *   entity: restrict the search to one entity (optional)
+ *   limit:  maximum number of hits (default 20, max 100)
+ *
+ * Response: { query, hits: [{ entity, id, label, snippet, rank }] }, best hit first.
+ * snippet is HTML-escaped text with the matched terms in <mark> elements.
+ *
+ * Access follows the blanket /api guard in rap.js; hits are restricted to the caller's
+ * readable entities, visible columns, row rules and API key entity scope.
+ */
+
+const express = require('express');
+const service = require('../services/GenericService');
+const { getChangedBy } = require('../middleware/auth');
+
+/**
+ * Build request context for permission checks (same as the REST routers)
+ */
+function buildContext(req) {
+  return {
+    correlationId: req.correlationId,
+    clientIp: req.ip || req.connection?.remoteAddress,
+    changedBy: getChangedBy(req),
+    role: req.user?.role,
+    user: req.user
+  };
+}
+
+module.exports = function() {
+  const router = express.Router();
+
+  router.get('/api/search', (req, res, next) => {
+    try {
+      const { q, entity, limit } = req.query;
+
+      if (typeof q !== 'string' || !q.trim()) {
+        return res.status(400).json({
+          error: {
+            code: 'MISSING_PARAMS',
+            message: 'Query parameter "q" is required',
+            correlationId: req.correlationId
+          }
+        });
+      }
+      if (entity && !service.getEnabledEntities().includes(entity)) {
+        return res.status(404).json({
+          error: {
+            code: 'ENTITY_NOT_FOUND',
+            message: `Entity '${entity}' not found or not enabled`,
+            correlationId: req.correlationId
+          }
+        });
+      }
+
+      const hits = service.searchEntities(q, { entity, limit }, buildContext(req));
+      res.json({ query: q, hits });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+};
@@ -1,11 +1,14 @@
 /**
  * Seed Data Management Router
- * Routes: /api/seed/* (status, content, load, clear, validate, upload)
+ * Routes: /api/seed/* (status, content, load, clear, validate, upload,
+ * reinitialize, backup/restore, schema history and rollback)
  */
 
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
+const { getChangedBy } = require('../middleware/auth');
+const logger = require('../utils/logger');
 
 module.exports = function(cfg) {
     const router = express.Router();
@@ -15,6 +18,10 @@ module.exports = function(cfg) {
 
     // Initialize SeedManager with system-specific seed directory
     SeedManager.init(cfg.paths.seed);
+    const startupRenames = SeedManager.takeRenamedFiles();
+    if (startupRenames.length > 0) {
+        logger.info('Schema migration renames applied to data files', { files: startupRenames });
+    }
 
     // JSON body parser for seed routes
     router.use(express.json());
@@ -244,31 +251,132 @@ module.exports = function(cfg) {
         }
     });
 
-    // Reinitialize: re-read DataModel.md, rebuild schema, tables, views
+    // Computed fields, seed lookups and diagrams follow the new schema
+    function afterSchemaChange() {
+        const { clearDiagramCache } = require('./schema.router');
+
+        // Re-run computed field setup
+        ComputedFieldService.applyDefaults();
+        populateComputedEntities();
+        ComputedFieldService.runAll();
+        ComputedFieldService.stopScheduler();
+        ComputedFieldService.scheduleDailyRun();
+
+        // Re-initialize SeedManager with fresh schema
+        SeedManager.init(cfg.paths.seed);
+
+        // Clear diagram cache (schema changed)
+        if (clearDiagramCache) clearDiagramCache();
+    }
+
+    // Dry run of reinitialize: migration plan from the current tables to DataModel.md
+    router.get('/api/seed/reinitialize/plan', (req, res) => {
+        try {
+            const { planSchemaMigration } = require('../config/database');
+            res.json(planSchemaMigration());
+        } catch (e) {
+            console.error('Failed to plan schema migration:', e);
+            res.status(500).json({ error: e.message });
+        }
+    });
+
+    // Reinitialize: re-read DataModel.md, migrate tables, rebuild views
+    // Body: { allowDestructive: true } permits backup + drop + recreate for destructive changes
     router.post('/api/seed/reinitialize', (req, res) => {
         try {
             const { reinitialize } = require('../config/database');
-            const { clearDiagramCache } = require('./schema.router');
 
-            const result = reinitialize();
+            const result = reinitialize({
+                allowDestructive: req.body?.allowDestructive === true,
+                triggeredBy: getChangedBy(req) || req.ip
+            });
+            afterSchemaChange();
+            const renamedFiles = SeedManager.takeRenamedFiles();
+
+            const changes = result.plan.operations.filter(op => op.action !== 'regenerateViews').length;
+            const applied = result.plan.strategy === 'rebuild'
+                ? ', all tables recreated'
+                : (changes > 0 ? `, ${changes} schema change(s) applied` : '');
+            const renamed = renamedFiles.length > 0 ? `, renamed in ${renamedFiles.join(', ')}` : '';
+            res.json({
+                success: true,
+                message: `Reinitialized with ${result.entities} entities${applied}${renamed}`,
+                strategy: result.plan.strategy,
+                operations: result.plan.operations,
+                renamedFiles
+            });
+        } catch (e) {
+            console.error('Failed to reinitialize:', e);
+            res.status(e.statusCode || 500).json({ success: false, error: e.message, details: e.details });
+        }
+    });
 
-            // Re-run computed field setup
-            ComputedFieldService.applyDefaults();
-            populateComputedEntities();
-            ComputedFieldService.runAll();
-            ComputedFieldService.stopScheduler();
-            ComputedFieldService.scheduleDailyRun();
+    // Applied schema versions, newest first
+    router.get('/api/seed/schema-history', (req, res) => {
+        try {
+            const { getSchemaHistory } = require('../config/database');
+            res.json({ data: getSchemaHistory() });
+        } catch (e) {
+            console.error('Failed to read schema history:', e);
+            res.status(500).json({ error: e.message });
+        }
+    });
+
+    // Single schema version with its schema JSON and the backup of its data
+    router.get('/api/seed/schema-history/:id', (req, res) => {
+        try {
+            const { getSchemaVersion } = require('../config/database');
+            res.json(getSchemaVersion(parseInt(req.params.id, 10)));
+        } catch (e) {
+            res.status(e.statusCode || 500).json({ error: e.message });
+        }
+    });
+
+    // Dry run of a rollback: migration plan from the current tables to the version
+    router.get('/api/seed/schema-history/:id/plan', (req, res) => {
+        try {
+            const { planSchemaRollback } = require('../config/database');
+            res.json(planSchemaRollback(parseInt(req.params.id, 10)));
+        } catch (e) {
+            res.status(e.statusCode || 500).json({ error: e.message });
+        }
+    });
 
-            // Re-initialize SeedManager with fresh schema
-            SeedManager.init(cfg.paths.seed);
+    // Roll the tables back to a schema version; restores that version's backup if the tables were recreated
+    // Body: { allowDestructive: true } permits backup + drop + recreate
+    router.post('/api/seed/schema-history/:id/rollback', async (req, res) => {
+        try {
+            const { rollbackSchema } = require('../config/database');
 
-            // Clear diagram cache (schema changed)
-            if (clearDiagramCache) clearDiagramCache();
+            const result = rollbackSchema(parseInt(req.params.id, 10), {
+                allowDestructive: req.body?.allowDestructive === true,
+                triggeredBy: getChangedBy(req) || req.ip
+            });
+            afterSchemaChange();
+            const renamedFiles = SeedManager.takeRenamedFiles();
+
+            let restored = null;
+            if (result.restoreFrom) {
+                restored = await SeedManager.restoreBackup(result.restoreFrom);
+                populateComputedEntities();
+                ComputedFieldService.runAll();
+            }
 
-            res.json({ success: true, message: `Reinitialized with ${result.entities} entities` });
+            res.json({
+                success: true,
+                message: result.plan.strategy === 'rebuild'
+                    ? `Rolled back with ${result.entities} entities, tables recreated${restored ? ' and data restored' : ''}`
+                    : `Rolled back with ${result.entities} entities` +
+                      (renamedFiles.length > 0 ? `, renamed in ${renamedFiles.join(', ')}` : ''),
+                strategy: result.plan.strategy,
+                operations: result.plan.operations,
+                renamedFiles,
+                restoredFrom: result.restoreFrom,
+                restored
+            });
         } catch (e) {
-            console.error('Failed to reinitialize:', e);
-            res.status(500).json({ success: false, error: e.message });
+            console.error('Failed to roll back schema:', e);
+            res.status(e.statusCode || 500).json({ success: false, error: e.message, details: e.details });
         }
     });
 
@@ -0,0 +1,61 @@
+/**
+ * Users Router
+ * Admin endpoints for managing per-user accounts (_users system table)
+ *
+ * GET    /api/admin/users       - List users
+ * POST   /api/admin/users       - Create user { username, displayName, role, hash, active, attributes }
+ * PUT    /api/admin/users/:id   - Update user (only provided fields; hash resets the password)
+ * DELETE /api/admin/users/:id   - Delete user
+ *
+ * `hash` is the SHA-256 hex digest of the password, as sent by the login dialog.
+ * `attributes` are key/value pairs for row-level security rules (:user.<key>).
+ * Access is restricted to admins by the /api/admin guard in rap.js.
+ */
+
+const express = require('express');
+const UserService = require('../services/UserService');
+
+module.exports = function() {
+  const router = express.Router();
+
+  router.use('/api/admin/users', express.json());
+
+  router.get('/api/admin/users', (req, res, next) => {
+    try {
+      res.json({ data: UserService.listUsers() });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post('/api/admin/users', async (req, res, next) => {
+    try {
+      const { username, displayName, role, hash, active, attributes } = req.body || {};
+      const user = await UserService.createUser({ username, displayName, role, hash, active, attributes });
+      res.status(201).json(user);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.put('/api/admin/users/:id', async (req, res, next) => {
+    try {
+      const { username, displayName, role, hash, active, attributes } = req.body || {};
+      const user = await UserService.updateUser(parseInt(req.params.id, 10), { username, displayName, role, hash, active, attributes });
+      res.json(user);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.delete('/api/admin/users/:id', (req, res, next) => {
+    try {
+      const deleted = UserService.deleteUser(parseInt(req.params.id, 10));
+      res.json({ message: `User '${deleted.username}' deleted`, deleted });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,65 @@
+/**
+ * Webhooks Router
+ * Admin endpoints for the outbound webhooks (subscriptions from config.json "webhooks")
+ *
+ * GET  /api/admin/webhooks                        - Subscriptions (without secrets) with delivery counts
+ * POST /api/admin/webhooks/:name/test             - Queue a test delivery (event webhook:test)
+ * GET  /api/admin/webhooks/deliveries             - Delivery log (?webhook=&status=&event=&limit=&offset=)
+ * GET  /api/admin/webhooks/deliveries/:id         - Single delivery with payload
+ * POST /api/admin/webhooks/deliveries/:id/retry   - Re-queue a dead-lettered or pending delivery
+ *
+ * Access is restricted to admins by the /api/admin guard in rap.js.
+ */
+
+const express = require('express');
+const WebhookService = require('../services/WebhookService');
+
+module.exports = function() {
+  const router = express.Router();
+
+  router.get('/api/admin/webhooks', (req, res, next) => {
+    try {
+      res.json({ events: WebhookService.EVENTS, data: WebhookService.listSubscriptions() });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/api/admin/webhooks/deliveries', (req, res, next) => {
+    try {
+      const { webhook, status, event } = req.query;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+      const offset = parseInt(req.query.offset, 10) || 0;
+      const result = WebhookService.listDeliveries({ webhook, status, event, limit, offset });
+      res.json({ ...result, limit, offset });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/api/admin/webhooks/deliveries/:id', (req, res, next) => {
+    try {
+      res.json(WebhookService.getDelivery(parseInt(req.params.id, 10)));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post('/api/admin/webhooks/deliveries/:id/retry', (req, res, next) => {
+    try {
+      res.json(WebhookService.retryDelivery(parseInt(req.params.id, 10)));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post('/api/admin/webhooks/:name/test', (req, res, next) => {
+    try {
+      res.status(201).json(WebhookService.sendTest(req.params.name));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+};
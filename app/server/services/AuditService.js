@@ -3,12 +3,18 @@
  *
  * Listens to entity events and stores before/after snapshots in _audit_trail table.
  * The audit table is a system table, not defined in DataModel.md.
+ *
+ * The snapshots also serve as record history: field-by-field diffs per change
+ * (getRecordHistory), the state of a record at a point in time (getRecordAsOf)
+ * and the source for restoring deleted or earlier versions (getRestoreSnapshot).
  */
 
-const { getDatabase } = require('../config/database');
+const { getDatabase, getSchema } = require('../config/database');
 const eventBus = require('../utils/EventBus');
 const logger = require('../utils/logger');
 const systemEntityRegistry = require('../utils/SystemEntityRegistry');
+const { NotFoundError, EntityNotFoundError } = require('../errors/NotFoundError');
+const { ValidationError } = require('../errors/ValidationError');
 
 // In-memory store for "before" records (keyed by correlationId + entityName + id)
 const pendingUpdates = new Map();
@@ -224,6 +230,192 @@ function queryAuditTrail(options = {}) {
   return db.prepare(sql).all(...params);
 }
 
+/**
+ * Parse a JSON snapshot; boolean columns are normalized to true/false
+ * (before-snapshots are raw table rows with 0/1)
+ */
+function parseSnapshot(entity, json) {
+  if (!json) return null;
+  const record = JSON.parse(json);
+  for (const col of entity.columns) {
+    if (col.jsType === 'boolean' && record[col.name] !== null && record[col.name] !== undefined) {
+      record[col.name] = record[col.name] === true || record[col.name] === 1;
+    }
+  }
+  return record;
+}
+
+/**
+ * Key of the FK label in view records (building_id → building_label)
+ */
+function fkLabelKey(col) {
+  return `${col.name.replace(/_id$/, '')}_label`;
+}
+
+/**
+ * Compare two snapshots column by column
+ * @param {Object} entity - Schema entity
+ * @param {Object|null} before - Snapshot before the change (null for CREATE)
+ * @param {Object|null} after - Snapshot after the change (null for DELETE)
+ * @param {Object} labels - Last known FK labels per column (fills gaps of raw before-snapshots)
+ * @returns {Array<{ field, from, to, fromLabel?, toLabel? }>}
+ */
+function diffSnapshots(entity, before, after, labels) {
+  const changes = [];
+  for (const col of entity.columns) {
+    // id and system columns (_version, _updated_at, ...) are not part of the diff
+    if (col.name === 'id' || col.name.startsWith('_')) continue;
+    const from = before ? before[col.name] ?? null : null;
+    const to = after ? after[col.name] ?? null : null;
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+    const change = { field: col.name, from, to };
+    if (col.foreignKey) {
+      const key = fkLabelKey(col);
+      const fromLabel = before?.[key] ?? (from !== null ? labels[col.name]?.[from] : undefined);
+      const toLabel = after?.[key];
+      if (fromLabel != null) change.fromLabel = fromLabel;
+      if (toLabel != null) change.toLabel = toLabel;
+    }
+    changes.push(change);
+  }
+  return changes;
+}
+
+/**
+ * Field-by-field change history of a record
+ * @param {string} entityName - Entity name
+ * @param {number} entityId - Record ID
+ * @returns {Array<{ auditId, action, changedAt, changedBy, version, changes }>} Newest first
+ */
+function getRecordHistory(entityName, entityId) {
+  const entity = getSchema().entities[entityName];
+  const entries = getDatabase()
+    .prepare('SELECT * FROM _audit_trail WHERE entity_name = ? AND entity_id = ? ORDER BY id')
+    .all(entityName, entityId);
+
+  // FK labels seen so far (id → label per column), collected from view snapshots
+  const labels = {};
+  const history = entries.map(entry => {
+    const before = parseSnapshot(entity, entry.before_data);
+    const after = parseSnapshot(entity, entry.after_data);
+    const changes = diffSnapshots(entity, before, after, labels);
+
+    for (const col of entity.columns.filter(c => c.foreignKey)) {
+      const value = after?.[col.name];
+      if (value != null && after[fkLabelKey(col)] != null) {
+        labels[col.name] = { ...labels[col.name], [value]: after[fkLabelKey(col)] };
+      }
+    }
+
+    return {
+      auditId: entry.id,
+      action: entry.action,
+      changedAt: entry.changed_at,
+      changedBy: entry.changed_by,
+      version: (after || before)?._version ?? null,
+      changes
+    };
+  });
+
+  return history.reverse();
+}
+
+/**
+ * Rebuild a record as it was at a point in time
+ * Uses the last audit entry at or before the timestamp; before the first entry the
+ * first entry's before-snapshot (or, without any entries, the current record) applies
+ * if the record already existed (_created_at).
+ * @param {string} entityName - Entity name
+ * @param {number} entityId - Record ID
+ * @param {string} timestamp - UTC timestamp 'YYYY-MM-DD HH:MM:SS' (as in changed_at)
+ * @returns {Object|null} Snapshot, or null if the record did not exist at that time
+ */
+function getRecordAsOf(entityName, entityId, timestamp) {
+  const entity = getSchema().entities[entityName];
+  const db = getDatabase();
+
+  const last = db.prepare(`
+    SELECT * FROM _audit_trail WHERE entity_name = ? AND entity_id = ? AND changed_at <= ?
+    ORDER BY changed_at DESC, id DESC LIMIT 1
+  `).get(entityName, entityId, timestamp);
+  if (last) {
+    return last.action === 'DELETE' ? null : parseSnapshot(entity, last.after_data);
+  }
+
+  // No change up to the timestamp: the state before the next change, if the record existed
+  const next = db.prepare(`
+    SELECT * FROM _audit_trail WHERE entity_name = ? AND entity_id = ?
+    ORDER BY changed_at, id LIMIT 1
+  `).get(entityName, entityId);
+
+  let record;
+  if (next) {
+    record = next.action === 'CREATE' ? null : parseSnapshot(entity, next.before_data);
+  } else {
+    record = db.prepare(`SELECT * FROM "${entity.tableName}_view" WHERE id = ?`).get(entityId);
+    record = record ? parseSnapshot(entity, JSON.stringify(record)) : null;
+  }
+
+  const createdAt = record?._created_at;
+  return createdAt && normalizeTimestamp(createdAt) <= timestamp ? record : null;
+}
+
+/**
+ * Snapshot to restore a record from
+ * - auditId given: the state right after that entry; for a DELETE entry the deleted record
+ * - no auditId: the record as it was deleted (the latest entry must be a DELETE)
+ * @param {string} entityName - Entity name
+ * @param {number} entityId - Record ID
+ * @param {number|null} auditId - Audit entry ID
+ * @returns {{ auditId: number, action: string, snapshot: Object }}
+ * @throws {NotFoundError} If the audit entry does not exist or belongs to another record
+ *   (EntityNotFoundError without auditId if the record has no audit entries)
+ * @throws {ValidationError} If there is nothing to restore
+ */
+function getRestoreSnapshot(entityName, entityId, auditId = null) {
+  const entity = getSchema().entities[entityName];
+  const db = getDatabase();
+
+  const entry = auditId !== null
+    ? db.prepare('SELECT * FROM _audit_trail WHERE id = ? AND entity_name = ? AND entity_id = ?').get(auditId, entityName, entityId)
+    : db.prepare('SELECT * FROM _audit_trail WHERE entity_name = ? AND entity_id = ? ORDER BY id DESC LIMIT 1').get(entityName, entityId);
+
+  if (!entry) {
+    throw auditId !== null ? new NotFoundError('Audit entry', auditId) : new EntityNotFoundError(entityName, entityId);
+  }
+  if (auditId === null && entry.action !== 'DELETE') {
+    throw new ValidationError(
+      [{ field: 'auditId', message: 'Record is not deleted: pass the audit entry of the version to restore' }],
+      `${entityName} #${entityId} is not deleted`
+    );
+  }
+
+  const snapshot = parseSnapshot(entity, entry.action === 'DELETE' ? entry.before_data : entry.after_data);
+  if (!snapshot) {
+    throw new ValidationError([{ field: 'auditId', message: `Audit entry ${entry.id} has no snapshot` }], 'Nothing to restore');
+  }
+
+  return { auditId: entry.id, action: entry.action, snapshot };
+}
+
+/**
+ * Normalize a timestamp to the changed_at format (UTC 'YYYY-MM-DD HH:MM:SS')
+ * Accepts ISO 8601 ('2024-05-01', '2024-05-01T12:00:00Z', '2024-05-01T14:00:00+02:00')
+ * and SQLite datetime values (treated as UTC)
+ * @returns {string|null} null if the value is not a valid timestamp
+ */
+function normalizeTimestamp(value) {
+  let text = String(value).trim();
+  // SQLite datetime('now') values carry no zone: treat as UTC
+  if (/^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(text)) {
+    text = text.replace(' ', 'T') + 'Z';
+  }
+  const date = new Date(text);
+  if (isNaN(date.getTime())) return null;
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
 /**
  * Static schema definition for the AuditTrail system entity.
  */
@@ -267,5 +459,9 @@ function init() {
 module.exports = {
   init,
   queryAuditTrail,
-  writeAuditEntry
+  writeAuditEntry,
+  getRecordHistory,
+  getRecordAsOf,
+  getRestoreSnapshot,
+  normalizeTimestamp
 };
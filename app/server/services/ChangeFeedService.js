@@ -0,0 +1,274 @@
+/**
+ * ChangeFeedService - Live change notifications via Server-Sent Events
+ *
+ * Relays entity:*:after, entity:changed (seed/import) and schema:reload:after from the
+ * EventBus to the clients of GET /api/events/stream. Each client only receives changes
+ * it could also read through the API: API key entity scope, role read permission,
+ * row rules and hidden fields.
+ *
+ * Events are sent on the next tick and checked against the database first, so changes
+ * emitted inside a transaction that was rolled back afterwards (batches, merge patches)
+ * never reach a client.
+ *
+ * Stream format:
+ *   event: entity
+ *   data: {"action":"update","entity":"Meter","id":3,"version":4,"record":{...},"changedBy":"alice"}
+ *
+ *   action: create | update (record, version) | delete | batch (ids) | refresh (reload the list)
+ *   A row that leaves a client's row rules through an update is sent as delete.
+ *
+ *   event: schema
+ *   data: {"action":"reload","changed":true}
+ */
+
+const { getDatabase, getSchema } = require('../config/database');
+const eventBus = require('../utils/EventBus');
+const logger = require('../utils/logger');
+const permissions = require('./PermissionService');
+
+/** Comment line sent to keep proxies from closing idle streams */
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+/** Reconnect delay suggested to the browser */
+const RETRY_MS = 5000;
+
+const clients = new Map();
+let nextClientId = 1;
+let unsubscribers = [];
+let heartbeatTimer = null;
+
+/**
+ * Clients with row rules that could see a record before its update/delete
+ * Key: "<entity>:<id>", value: Set of client ids. Only lives for the current tick.
+ */
+const visibleBefore = new Map();
+
+/**
+ * Write one event to a client; broken connections are dropped
+ */
+function send(client, event, data) {
+  try {
+    client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  } catch (err) {
+    logger.debug('Change feed: write failed, dropping client', { client: client.id, error: err.message });
+    clients.delete(client.id);
+  }
+}
+
+/**
+ * API key entity scope and role read permission
+ */
+function canRead(client, entityName) {
+  if (client.user?.allowedEntities && !client.user.allowedEntities.includes(entityName)) return false;
+  return permissions.can(entityName, client.user?.role, 'read');
+}
+
+/**
+ * Filter record ids by the client's row rules
+ * @returns {number[]} Visible ids (all ids if no rule applies)
+ */
+function visibleIds(client, entityName, ids) {
+  const condition = permissions.getRowCondition(entityName, client.user);
+  if (!condition || ids.length === 0) return ids;
+
+  const entity = getSchema().entities[entityName];
+  const placeholders = ids.map(() => '?').join(', ');
+  const rows = getDatabase()
+    .prepare(`SELECT id FROM "${entity.tableName}" WHERE id IN (${placeholders}) AND (${condition.sql})`)
+    .all(...ids, ...condition.params);
+  return rows.map(r => r.id);
+}
+
+/**
+ * entity:update:before / entity:delete:before
+ * Remember which row-ruled clients see the record while it still has its old values.
+ */
+function rememberVisibility(entityName, id) {
+  if (clients.size === 0) return;
+  const key = `${entityName}:${id}`;
+  const visible = new Set();
+  for (const client of clients.values()) {
+    if (!canRead(client, entityName)) continue;
+    if (!permissions.getRowCondition(entityName, client.user)) continue;
+    if (visibleIds(client, entityName, [id]).length > 0) visible.add(client.id);
+  }
+  visibleBefore.set(key, visible);
+  setImmediate(() => visibleBefore.delete(key));
+}
+
+/**
+ * Check that a change was committed: the record exists (create/update, with at
+ * least the event's version) or is gone (delete)
+ */
+function isCommitted(action, entityName, id, version) {
+  const entity = getSchema().entities[entityName];
+  if (!entity) return false;
+  const row = getDatabase().prepare(`SELECT _version FROM "${entity.tableName}" WHERE id = ?`).get(id);
+  if (action === 'delete') return !row;
+  return !!row && (version == null || row._version >= version);
+}
+
+/**
+ * entity:create:after / entity:update:after / entity:delete:after
+ */
+function relayRecordChange(action, entityName, id, record, context) {
+  if (clients.size === 0 || entityName.startsWith('_')) return;
+
+  const before = visibleBefore.get(`${entityName}:${id}`) || new Set();
+  const version = record?._version ?? null;
+  const changedBy = context?.changedBy || null;
+
+  setImmediate(() => {
+    try {
+      if (!isCommitted(action, entityName, id, version)) return;
+
+      for (const client of clients.values()) {
+        if (!canRead(client, entityName)) continue;
+
+        const hasRule = !!permissions.getRowCondition(entityName, client.user);
+        const visibleNow = action !== 'delete' && visibleIds(client, entityName, [id]).length > 0;
+        const visibleThen = !hasRule || before.has(client.id);
+
+        if (action === 'delete' || !visibleNow) {
+          if (visibleThen && action !== 'create') {
+            send(client, 'entity', { action: 'delete', entity: entityName, id, changedBy });
+          }
+          continue;
+        }
+
+        send(client, 'entity', {
+          action: action === 'update' && !visibleThen ? 'create' : action,
+          entity: entityName,
+          id,
+          version,
+          record: permissions.filterRecord(entityName, client.user?.role, record),
+          changedBy
+        });
+      }
+    } catch (err) {
+      logger.warn('Change feed: could not relay change', { entity: entityName, id, error: err.message });
+    }
+  });
+}
+
+/**
+ * entity:batch:after - only the visible ids; clients reload what they show
+ */
+function relayBatch(entityName, records) {
+  if (clients.size === 0 || entityName.startsWith('_')) return;
+  const ids = (records || []).map(r => r.id);
+
+  setImmediate(() => {
+    try {
+      const entity = getSchema().entities[entityName];
+      if (!entity || ids.length === 0) return;
+      // Rolled back: the records are gone again
+      if (!isCommitted('create', entityName, ids[0], null)) return;
+
+      for (const client of clients.values()) {
+        if (!canRead(client, entityName)) continue;
+        const visible = visibleIds(client, entityName, ids);
+        if (visible.length > 0) send(client, 'entity', { action: 'batch', entity: entityName, ids: visible });
+      }
+    } catch (err) {
+      logger.warn('Change feed: could not relay batch', { entity: entityName, error: err.message });
+    }
+  });
+}
+
+/**
+ * entity:changed - bulk changes without per-record events (seed, import, clear)
+ */
+function relayRefresh(entityName) {
+  for (const client of clients.values()) {
+    if (canRead(client, entityName)) send(client, 'entity', { action: 'refresh', entity: entityName });
+  }
+}
+
+/**
+ * schema:reload:after
+ */
+function relaySchemaReload(schema, info = {}) {
+  for (const client of clients.values()) {
+    send(client, 'schema', { action: 'reload', changed: info.changed !== false });
+  }
+}
+
+/**
+ * Register an open event stream
+ * The response must already carry the text/event-stream headers.
+ * @param {Object} res - Express response
+ * @param {Object|undefined} user - req.user (undefined without auth = unrestricted)
+ * @returns {Function} Removes the client (call on connection close)
+ */
+function addClient(res, user) {
+  const client = { id: nextClientId++, res, user };
+  clients.set(client.id, client);
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  logger.debug('Change feed: client connected', { client: client.id, role: user?.role, clients: clients.size });
+  return () => {
+    clients.delete(client.id);
+    logger.debug('Change feed: client disconnected', { client: client.id, clients: clients.size });
+  };
+}
+
+/**
+ * Number of connected clients
+ */
+function getClientCount() {
+  return clients.size;
+}
+
+/**
+ * Close all streams and unsubscribe from the EventBus (shutdown)
+ */
+function stop() {
+  if (heartbeatTimer) clearInterval(heartbeatTimer);
+  heartbeatTimer = null;
+  unsubscribers.forEach(unsubscribe => unsubscribe());
+  unsubscribers = [];
+  for (const client of clients.values()) {
+    client.res.end();
+  }
+  clients.clear();
+}
+
+/**
+ * Subscribe to the EventBus and start the heartbeat
+ */
+function init() {
+  stop();
+
+  unsubscribers = [
+    eventBus.on('entity:update:before', (entityName, id) => rememberVisibility(entityName, id)),
+    eventBus.on('entity:delete:before', (entityName, id) => rememberVisibility(entityName, id)),
+    eventBus.on('entity:create:after', (entityName, record, context) =>
+      relayRecordChange('create', entityName, record.id, record, context)),
+    eventBus.on('entity:update:after', (entityName, record, context) =>
+      relayRecordChange('update', entityName, record.id, record, context)),
+    eventBus.on('entity:delete:after', (entityName, id, context) =>
+      relayRecordChange('delete', entityName, id, null, context)),
+    eventBus.on('entity:batch:after', relayBatch),
+    eventBus.on('entity:changed', relayRefresh),
+    eventBus.on('schema:reload:after', relaySchemaReload)
+  ];
+
+  heartbeatTimer = setInterval(() => {
+    for (const client of clients.values()) {
+      try {
+        client.res.write(': heartbeat\n\n');
+      } catch {
+        clients.delete(client.id);
+      }
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeatTimer.unref();
+}
+
+module.exports = {
+  init,
+  stop,
+  addClient,
+  getClientCount
+};
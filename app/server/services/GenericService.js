@@ -11,12 +11,48 @@
  *   entity:update:after  (entityName, record)
  *   entity:delete:before (entityName, id)
  *   entity:delete:after  (entityName, id)
+ *
+ * Role permissions (## Permissions in the class Markdown) are enforced via
+ * PermissionService when the context carries a role (see GenericCrudRouter.buildContext).
+ * Row rules restrict reads to the visible rows; updates and deletes of other
+ * rows fail with EntityNotFoundError.
+ *
+ * restoreEntity re-creates deleted records and rolls records back from audit
+ * snapshots; it emits the regular create/update events, so restores are audited too.
+ * upsertEntities matches records on a natural key (UNIQUE column or UKn) and creates,
+ * updates or deletes them in one transaction, with the same events and checks.
+ * searchEntities runs a ranked full-text search over the [SEARCH] columns of all entities.
  */
 
 const { getDatabase } = require('../config/database');
 const repository = require('../repositories/GenericRepository');
 const logger = require('../utils/logger');
 const eventBus = require('../utils/EventBus');
+const permissions = require('./PermissionService');
+const ColumnUtils = require('../../static/rap/utils/ColumnUtils');
+const { getTypeRegistry } = require('../../shared/types/TypeRegistry');
+const { flattenAggregates } = require('../utils/seed/MediaResolver');
+const AuditService = require('./AuditService');
+const { ValidationError } = require('../errors/ValidationError');
+const { ConflictError, VersionConflictError } = require('../errors/ConflictError');
+const { ForbiddenError } = require('../errors/ForbiddenError');
+const { EntityNotFoundError } = require('../errors/NotFoundError');
+
+/** Maximum number of operations in one batch request */
+const MAX_BATCH_OPERATIONS = 500;
+
+const BATCH_OPS = ['create', 'update', 'delete'];
+
+/** Maximum number of records in one upsert request */
+const MAX_UPSERT_RECORDS = 5000;
+
+/** Full-text search: default and maximum number of hits */
+const SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 100;
+
+/** Snippet markers (control characters, replaced by <mark> after HTML escaping) */
+const MARK_OPEN = '\u0002';
+const MARK_CLOSE = '\u0003';
 
 /**
  * Run operations within a transaction
@@ -32,35 +68,197 @@ function runInTransaction(fn) {
   return transaction();
 }
 
+/**
+ * Normalize the context parameter (legacy callers pass a correlationId string)
+ * @returns {Object} { correlationId, clientIp, changedBy, role, user }
+ */
+function normalizeContext(context) {
+  if (typeof context === 'string') return { correlationId: context };
+  return context || {};
+}
+
+/**
+ * Row-level security scope of the context's user (null = all rows)
+ */
+function getRowScope(context) {
+  return permissions.getRowScope(context.user || (context.role ? { role: context.role } : undefined));
+}
+
+/**
+ * Throw EntityNotFoundError if a record lies outside the context's row rules
+ */
+function assertRowVisible(entityName, id, context) {
+  const rowScope = getRowScope(context);
+  if (rowScope) repository.findById(entityName, id, false, rowScope);
+}
+
 /**
  * List all entities with optional filtering and pagination
+ * Applies the role's read permission and hides restricted fields.
+ * @param {Object} context - Request context { correlationId, role, user } (or legacy correlationId)
  */
-function listEntities(entityName, options = {}, correlationId = null) {
-  const log = correlationId ? logger.withCorrelation(correlationId) : logger;
+function listEntities(entityName, options = {}, context = {}) {
+  context = normalizeContext(context);
+  const log = context.correlationId ? logger.withCorrelation(context.correlationId) : logger;
 
   log.debug(`Listing ${entityName}`, { options });
 
-  return repository.findAll(entityName, options);
+  permissions.assertCan(entityName, context.role, 'read');
+  const hiddenKeys = permissions.getHiddenKeys(entityName, context.role);
+  const result = repository.findAll(entityName, { ...options, hiddenKeys, rowScope: getRowScope(context) });
+  if (hiddenKeys.size === 0) return result;
+
+  return { ...result, data: permissions.filterRecords(entityName, context.role, result.data) };
+}
+
+/**
+ * Grouped aggregates of an entity (group by, count/sum/avg/min/max)
+ * Hidden fields cannot be grouped or aggregated; FK dot-paths need read access to every
+ * entity and field on the path (and the API key's entity scope); row rules apply.
+ * @param {Object} query - { group, agg, sort, limit, filter, where } (see AggregateQuery)
+ * @param {Object} context - Request context { correlationId, role, user } (or legacy correlationId)
+ * @returns {{ groups: string[], aggregates: string[], data: Object[] }}
+ */
+function aggregateEntities(entityName, query = {}, context = {}) {
+  context = normalizeContext(context);
+  const log = context.correlationId ? logger.withCorrelation(context.correlationId) : logger;
+
+  log.debug(`Aggregating ${entityName}`, { query });
+
+  permissions.assertCan(entityName, context.role, 'read');
+  const allowed = context.user?.allowedEntities;
+  const canRead = (name, column) =>
+    (!allowed || allowed.includes(name)) &&
+    permissions.can(name, context.role, 'read') &&
+    (!column || !permissions.getHiddenColumns(name, context.role).has(column));
+
+  return repository.aggregate(entityName, {
+    ...query,
+    hiddenKeys: permissions.getHiddenKeys(entityName, context.role),
+    rowScope: getRowScope(context),
+    canRead
+  });
+}
+
+/**
+ * List the records referencing several parent records (batch loading of back-references)
+ * Same filter/sort options as listEntities; limit and offset apply to each parent.
+ * @param {string} column - FK column pointing to the parents (e.g. 'building_id')
+ * @param {Object} context - Request context { correlationId, role, user } (or legacy correlationId)
+ * @returns {Map<number, { data: Object[], totalCount: number }>} Per parent id
+ */
+function listEntitiesByParents(entityName, column, parentIds, options = {}, context = {}) {
+  context = normalizeContext(context);
+  const log = context.correlationId ? logger.withCorrelation(context.correlationId) : logger;
+
+  log.debug(`Listing ${entityName} by ${column}`, { parents: parentIds.length, options });
+
+  permissions.assertCan(entityName, context.role, 'read');
+  const hiddenKeys = permissions.getHiddenKeys(entityName, context.role);
+  const result = repository.findAllByParents(entityName, column, parentIds, { ...options, hiddenKeys, rowScope: getRowScope(context) });
+  if (hiddenKeys.size === 0) return result;
+
+  for (const page of result.values()) {
+    page.data = permissions.filterRecords(entityName, context.role, page.data);
+  }
+  return result;
 }
 
 /**
  * Get filtered FK options based on PAIRS dependencies
+ * @param {Object} context - Request context { correlationId, role, user } (or legacy correlationId)
  */
-function getFilteredFkOptions(entityName, targetField, sourceField, sourceValue, correlationId = null) {
-  const log = correlationId ? logger.withCorrelation(correlationId) : logger;
+function getFilteredFkOptions(entityName, targetField, sourceField, sourceValue, context = {}) {
+  context = normalizeContext(context);
+  const log = context.correlationId ? logger.withCorrelation(context.correlationId) : logger;
   log.debug(`FK filter: ${entityName}.${targetField} where ${sourceField}=${sourceValue}`);
-  return repository.findFilteredFkOptions(entityName, targetField, sourceField, sourceValue);
+  return repository.findFilteredFkOptions(entityName, targetField, sourceField, sourceValue, getRowScope(context));
 }
 
 /**
  * Get a single entity by ID
+ * @param {Object} context - Request context { correlationId, role, user } (or legacy correlationId)
  */
-function getEntity(entityName, id, correlationId = null) {
-  const log = correlationId ? logger.withCorrelation(correlationId) : logger;
+function getEntity(entityName, id, context = {}) {
+  context = normalizeContext(context);
+  const log = context.correlationId ? logger.withCorrelation(context.correlationId) : logger;
 
   log.debug(`Getting ${entityName}`, { id });
 
-  return repository.findById(entityName, id);
+  permissions.assertCan(entityName, context.role, 'read');
+  const record = repository.findById(entityName, id, true, getRowScope(context));
+  return permissions.filterRecord(entityName, context.role, record);
+}
+
+/**
+ * Get several records by ID (batch loading of FK targets)
+ * Unknown ids and records outside the row rules are left out instead of failing.
+ * @param {Object} context - Request context { correlationId, role, user } (or legacy correlationId)
+ * @returns {Object[]} Records in no particular order
+ */
+function getEntitiesByIds(entityName, ids, context = {}) {
+  context = normalizeContext(context);
+  const log = context.correlationId ? logger.withCorrelation(context.correlationId) : logger;
+
+  log.debug(`Getting ${entityName} by ids`, { count: ids.length });
+
+  permissions.assertCan(entityName, context.role, 'read');
+  const records = repository.findByIds(entityName, ids, getRowScope(context));
+  return permissions.filterRecords(entityName, context.role, records);
+}
+
+/**
+ * Get the field-by-field change history of a record from the audit trail
+ * Also works for deleted records (unless a row rule applies). Changes of hidden fields are omitted.
+ * @param {Object} context - Request context { correlationId, role, user } (or legacy correlationId)
+ * @returns {Array<{ auditId, action, changedAt, changedBy, version, changes }>} Newest first
+ */
+function getEntityHistory(entityName, id, context = {}) {
+  context = normalizeContext(context);
+  const log = context.correlationId ? logger.withCorrelation(context.correlationId) : logger;
+
+  log.debug(`Getting history of ${entityName}`, { id });
+
+  permissions.assertCan(entityName, context.role, 'read');
+  assertRowVisible(entityName, id, context);
+
+  const history = AuditService.getRecordHistory(entityName, id);
+  if (history.length === 0) {
+    // Unknown id (or never changed since seeding): 404 vs. empty history
+    repository.findById(entityName, id, false);
+  }
+
+  const hidden = permissions.getHiddenColumns(entityName, context.role);
+  if (hidden.size === 0) return history;
+  return history.map(entry => ({ ...entry, changes: entry.changes.filter(c => !hidden.has(c.field)) }));
+}
+
+/**
+ * Get a record as it was at a point in time, rebuilt from the audit trail
+ * @param {string} asOf - Timestamp (ISO 8601 or 'YYYY-MM-DD HH:MM:SS', UTC unless a zone is given)
+ * @param {Object} context - Request context { correlationId, role, user } (or legacy correlationId)
+ * @returns {Object} Record snapshot with _asOf (normalized timestamp)
+ * @throws {EntityNotFoundError} If the record did not exist at that time
+ */
+function getEntityAsOf(entityName, id, asOf, context = {}) {
+  context = normalizeContext(context);
+  const log = context.correlationId ? logger.withCorrelation(context.correlationId) : logger;
+
+  const timestamp = AuditService.normalizeTimestamp(asOf);
+  if (!timestamp) {
+    throw new ValidationError([{ field: 'asOf', message: `Invalid timestamp '${asOf}'` }], 'Invalid asOf parameter');
+  }
+
+  log.debug(`Getting ${entityName} as of ${timestamp}`, { id });
+
+  permissions.assertCan(entityName, context.role, 'read');
+  assertRowVisible(entityName, id, context);
+
+  const record = AuditService.getRecordAsOf(entityName, id, timestamp);
+  if (!record) {
+    throw new EntityNotFoundError(entityName, id);
+  }
+  return { ...permissions.filterRecord(entityName, context.role, record), _asOf: timestamp };
 }
 
 /**
@@ -68,7 +266,7 @@ function getEntity(entityName, id, correlationId = null) {
  * Emits: entity:create:before, entity:create:after
  * @param {string} entityName - Entity name
  * @param {Object} data - Record data
- * @param {Object} context - Request context { correlationId, clientIp }
+ * @param {Object} context - Request context { correlationId, clientIp, changedBy, role, user }
  */
 function createEntity(entityName, data, context = {}) {
   // Support legacy correlationId parameter
@@ -79,17 +277,24 @@ function createEntity(entityName, data, context = {}) {
 
   log.debug(`Creating ${entityName}`, { data });
 
+  // Role permissions (throws ForbiddenError)
+  permissions.assertCan(entityName, context.role, 'create');
+  data = permissions.checkWriteData(entityName, context.role, data);
+
   // Before hook (can throw to abort)
   eventBus.emit('entity:create:before', entityName, data, context);
 
   const result = runInTransaction(() => {
-    return repository.create(entityName, data);
+    const record = repository.create(entityName, data);
+    // Row rules: the new record must be visible to the user (rolls back otherwise)
+    assertRowVisible(entityName, record.id, context);
+    return record;
   });
 
   // After hook (informational, includes context for audit)
   eventBus.emit('entity:create:after', entityName, result, context);
 
-  return result;
+  return permissions.filterRecord(entityName, context.role, result);
 }
 
 /**
@@ -99,7 +304,7 @@ function createEntity(entityName, data, context = {}) {
  * @param {number} id - Record ID
  * @param {Object} data - Update data
  * @param {number|null} expectedVersion - Expected version for OCC (null = skip check)
- * @param {Object} context - Request context { correlationId, clientIp }
+ * @param {Object} context - Request context { correlationId, clientIp, changedBy, role, user }
  */
 function updateEntity(entityName, id, data, expectedVersion = null, context = {}) {
   // Support legacy correlationId parameter
@@ -110,17 +315,58 @@ function updateEntity(entityName, id, data, expectedVersion = null, context = {}
 
   log.debug(`Updating ${entityName}`, { id, data, expectedVersion });
 
+  // Role permissions (throws ForbiddenError) and row rules (throws EntityNotFoundError)
+  permissions.assertCan(entityName, context.role, 'update');
+  assertRowVisible(entityName, id, context);
+  data = permissions.checkWriteData(entityName, context.role, data, () => repository.findById(entityName, id, false));
+
   // Before hook (can throw to abort, includes context for audit)
   eventBus.emit('entity:update:before', entityName, id, data, context);
 
-  const result = runInTransaction(() => {
-    return repository.update(entityName, id, data, expectedVersion);
-  });
+  let result;
+  try {
+    result = runInTransaction(() => {
+      const record = repository.update(entityName, id, data, expectedVersion);
+      // Row rules: the record must stay visible to the user (rolls back otherwise)
+      assertRowVisible(entityName, id, context);
+      return record;
+    });
+  } catch (err) {
+    // The conflict response carries the current record: hide restricted fields
+    if (err instanceof VersionConflictError) {
+      err.currentRecord = permissions.filterRecord(entityName, context.role, err.currentRecord);
+    }
+    throw err;
+  }
 
   // After hook (informational, includes context for audit)
   eventBus.emit('entity:update:after', entityName, result, context);
 
-  return result;
+  return permissions.filterRecord(entityName, context.role, result);
+}
+
+/**
+ * Apply an RFC 7386 merge patch to an existing entity
+ * The patch is converted to flat column data (aggregates, JSON columns) and then
+ * handled like updateEntity, inside one transaction so JSON merges see the stored value.
+ * Emits: entity:update:before, entity:update:after
+ * @param {string} entityName - Entity name
+ * @param {number} id - Record ID
+ * @param {Object} patch - Merge-patch document
+ * @param {number|null} expectedVersion - Expected version for OCC (null = skip check)
+ * @param {Object} context - Request context { correlationId, clientIp, changedBy, role, user }
+ */
+function patchEntity(entityName, id, patch, expectedVersion = null, context = {}) {
+  context = normalizeContext(context);
+
+  // Role permissions and row rules before the merge reads the stored record
+  permissions.assertCan(entityName, context.role, 'update');
+  assertRowVisible(entityName, id, context);
+
+  return runInTransaction(() => {
+    const data = repository.mergePatchToUpdate(entityName, id, patch);
+    return updateEntity(entityName, id, data, expectedVersion, context);
+  });
 }
 
 /**
@@ -128,7 +374,7 @@ function updateEntity(entityName, id, data, expectedVersion = null, context = {}
  * Emits: entity:delete:before, entity:delete:after
  * @param {string} entityName - Entity name
  * @param {number} id - Record ID
- * @param {Object} context - Request context { correlationId, clientIp }
+ * @param {Object} context - Request context { correlationId, clientIp, changedBy, role, user }
  */
 function deleteEntity(entityName, id, context = {}) {
   // Support legacy correlationId parameter
@@ -139,6 +385,10 @@ function deleteEntity(entityName, id, context = {}) {
 
   log.debug(`Deleting ${entityName}`, { id });
 
+  // Role permissions (throws ForbiddenError) and row rules (throws EntityNotFoundError)
+  permissions.assertCan(entityName, context.role, 'delete');
+  assertRowVisible(entityName, id, context);
+
   // Before hook (can throw to abort, includes context for audit)
   eventBus.emit('entity:delete:before', entityName, id, context);
 
@@ -152,6 +402,83 @@ function deleteEntity(entityName, id, context = {}) {
   return result;
 }
 
+/**
+ * Restore a record from an audit snapshot
+ * - Deleted record: re-created with its original id (needs 'create' permission)
+ * - Existing record: rolled back to the snapshot via updateEntity (needs 'update', OCC applies)
+ * FK targets and UNIQUE values are checked first; all conflicts are reported in one ConflictError.
+ * Emits: entity:create:before/after or entity:update:before/after
+ * @param {string} entityName - Entity name
+ * @param {number} id - Record ID
+ * @param {number|null} auditId - Audit entry to restore (null = the deletion of the record)
+ * @param {number|null} expectedVersion - Expected version for OCC on rollback (null = skip check)
+ * @param {Object} context - Request context { correlationId, clientIp, changedBy, role, user }
+ * @returns {{ record: Object, action: 'recreated'|'rolledBack', auditId: number }}
+ * @throws {ConflictError} With details [{ type, field, value, message }] on FK/UNIQUE conflicts
+ */
+function restoreEntity(entityName, id, auditId = null, expectedVersion = null, context = {}) {
+  context = normalizeContext(context);
+  const log = context.correlationId ? logger.withCorrelation(context.correlationId) : logger;
+
+  const entity = repository.getEntityMeta(entityName);
+  const source = AuditService.getRestoreSnapshot(entityName, id, auditId);
+
+  // Writable columns only: id and system columns (_version, _created_at, ...) are managed by the database
+  const data = {};
+  for (const col of entity.columns) {
+    if (col.name === 'id' || col.system) continue;
+    data[col.name] = source.snapshot[col.name] ?? null;
+  }
+
+  let existing = null;
+  try {
+    existing = repository.findById(entityName, id, false);
+  } catch (err) {
+    if (!(err instanceof EntityNotFoundError)) throw err;
+  }
+
+  log.info(`Restoring ${entityName}`, { id, auditId: source.auditId, recreate: !existing });
+
+  const assertNoConflicts = () => {
+    const conflicts = repository.findWriteConflicts(entityName, id, data);
+    if (conflicts.length > 0) {
+      throw new ConflictError(`Cannot restore ${entityName} #${id}: ${conflicts.map(c => c.message).join('; ')}`, conflicts);
+    }
+  };
+
+  if (existing && source.action === 'DELETE') {
+    // SQLite reuses the highest rowid: the id may belong to a newer record by now
+    throw new ConflictError(`Cannot restore ${entityName} #${id}: the id is in use by another record`, [
+      { type: 'id', field: 'id', value: id, message: `${entityName} #${id} exists` }
+    ]);
+  }
+
+  if (existing) {
+    permissions.assertCan(entityName, context.role, 'update');
+    assertRowVisible(entityName, id, context);
+    assertNoConflicts();
+    const record = updateEntity(entityName, id, data, expectedVersion, context);
+    return { record, action: 'rolledBack', auditId: source.auditId };
+  }
+
+  permissions.assertCan(entityName, context.role, 'create');
+  const createData = permissions.checkWriteData(entityName, context.role, data);
+  assertNoConflicts();
+
+  eventBus.emit('entity:create:before', entityName, createData, context);
+
+  const result = runInTransaction(() => {
+    const record = repository.create(entityName, createData, id);
+    // Row rules: the restored record must be visible to the user (rolls back otherwise)
+    assertRowVisible(entityName, id, context);
+    return record;
+  });
+
+  eventBus.emit('entity:create:after', entityName, result, context);
+
+  return { record: permissions.filterRecord(entityName, context.role, result), action: 'recreated', auditId: source.auditId };
+}
+
 /**
  * Get schema information for an entity
  */
@@ -175,13 +502,107 @@ function getEnabledEntities() {
 
 /**
  * Get back-references to a specific record
+ * References from entities the role may not read are omitted.
+ * @param {Object} context - Request context { correlationId, role, user } (or legacy correlationId)
  */
-function getBackReferences(entityName, id, correlationId = null) {
-  const log = correlationId ? logger.withCorrelation(correlationId) : logger;
+function getBackReferences(entityName, id, context = {}) {
+  context = normalizeContext(context);
+  const log = context.correlationId ? logger.withCorrelation(context.correlationId) : logger;
 
   log.debug(`Getting back-references for ${entityName}`, { id });
 
-  return repository.getBackReferences(entityName, id);
+  permissions.assertCan(entityName, context.role, 'read');
+  const references = repository.getBackReferences(entityName, id, getRowScope(context));
+  if (!context.role) return references;
+
+  const result = {};
+  for (const [key, ref] of Object.entries(references)) {
+    if (!permissions.can(ref.entity, context.role, 'read')) continue;
+    result[key] = { ...ref, records: permissions.filterRecords(ref.entity, context.role, ref.records) };
+  }
+  return result;
+}
+
+/**
+ * Turn user input into an FTS5 query: every word becomes a quoted prefix term,
+ * all terms must match ("north meter" -> '"north"* "meter"*'). FTS5 operators
+ * and syntax characters in the input are treated as plain text.
+ * @returns {string|null} null if the input contains no words
+ */
+function toMatchQuery(text) {
+  const words = String(text || '').match(/[\p{L}\p{N}_]+/gu) || [];
+  return words.length > 0 ? words.map(w => `"${w}"*`).join(' ') : null;
+}
+
+/**
+ * HTML-escape a snippet and turn its markers into <mark> elements
+ */
+function formatSnippet(snippet) {
+  if (!snippet) return null;
+  return snippet
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+    .split(MARK_OPEN).join('<mark>')
+    .split(MARK_CLOSE).join('</mark>');
+}
+
+/**
+ * Full-text search across all entities with [SEARCH] columns
+ * Only entities the role may read (and the API key's entity scope allows) are searched,
+ * hidden columns neither match nor appear in snippets, row rules apply.
+ * @param {string} text - Search input (words, prefix matched, all must occur)
+ * @param {Object} options - { entity?: restrict to one entity, limit?: max hits (default 20, max 100) }
+ * @param {Object} context - Request context { correlationId, role, user } (or legacy correlationId)
+ * @returns {Object[]} [{ entity, id, label, snippet, rank }] best first; snippet is HTML
+ *   with matched terms in <mark>
+ */
+function searchEntities(text, options = {}, context = {}) {
+  context = normalizeContext(context);
+  const log = context.correlationId ? logger.withCorrelation(context.correlationId) : logger;
+
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || SEARCH_LIMIT, 1), MAX_SEARCH_LIMIT);
+  const match = toMatchQuery(text);
+  if (!match) return [];
+
+  const allowed = context.user?.allowedEntities;
+  const entityNames = repository.getEnabledEntities().filter(name =>
+    (!options.entity || name === options.entity) &&
+    repository.getEntityMeta(name).searchColumns &&
+    (!allowed || allowed.includes(name)) &&
+    permissions.can(name, context.role, 'read')
+  );
+
+  log.debug('Full-text search', { match, entities: entityNames.length });
+
+  const rowScope = getRowScope(context);
+  const hits = [];
+  for (const name of entityNames) {
+    const entity = repository.getEntityMeta(name);
+    const hidden = permissions.getHiddenColumns(name, context.role);
+    const columns = entity.searchColumns.filter(c => !hidden.has(c));
+    if (columns.length === 0) continue;
+
+    const schema = {
+      ui: {
+        hasComputedLabel: !!entity.labelExpression,
+        labelFields: ColumnUtils.buildLabelFields(entity.columns)
+      }
+    };
+    const rows = repository.searchFullText(name, match, {
+      columns, rowScope, limit, marks: [MARK_OPEN, MARK_CLOSE]
+    });
+    for (const { record, snippet, rank } of rows) {
+      const visible = permissions.filterRecord(name, context.role, record);
+      hits.push({
+        entity: name,
+        id: record.id,
+        label: ColumnUtils.getRecordLabel(visible, schema).title,
+        snippet: formatSnippet(snippet),
+        rank
+      });
+    }
+  }
+
+  return hits.sort((a, b) => a.rank - b.rank).slice(0, limit);
 }
 
 /**
@@ -210,6 +631,366 @@ function batchCreate(entityName, records, correlationId = null) {
   return result;
 }
 
+/**
+ * Check batch operations before anything is executed
+ * @throws {ValidationError} With one message per invalid operation
+ */
+function validateBatchOperations(operations) {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw new ValidationError('operations must be a non-empty array', 'Invalid batch request');
+  }
+  if (operations.length > MAX_BATCH_OPERATIONS) {
+    throw new ValidationError(`At most ${MAX_BATCH_OPERATIONS} operations per batch`, 'Invalid batch request');
+  }
+
+  const enabled = repository.getEnabledEntities();
+  const refs = new Set();
+  const errors = [];
+
+  operations.forEach((op, i) => {
+    const prefix = `operations[${i}]`;
+    if (!op || typeof op !== 'object') {
+      errors.push(`${prefix}: must be an object`);
+      return;
+    }
+    if (!enabled.includes(op.entity)) {
+      errors.push(`${prefix}: entity '${op.entity}' not found or not enabled`);
+    }
+    if (!BATCH_OPS.includes(op.op)) {
+      errors.push(`${prefix}: op must be one of ${BATCH_OPS.join(', ')}`);
+      return;
+    }
+    if (op.op !== 'create' && (op.id === undefined || op.id === null)) {
+      errors.push(`${prefix}: id is required for ${op.op}`);
+    }
+    if (op.op !== 'delete' && (!op.data || typeof op.data !== 'object' || Array.isArray(op.data))) {
+      errors.push(`${prefix}: data must be an object`);
+    }
+    if (op.ref !== undefined) {
+      if (op.op !== 'create') errors.push(`${prefix}: ref is only allowed on create`);
+      else if (typeof op.ref !== 'string' || !op.ref) errors.push(`${prefix}: ref must be a non-empty string`);
+      else if (refs.has(op.ref)) errors.push(`${prefix}: duplicate ref '${op.ref}'`);
+      else refs.add(op.ref);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors, 'Invalid batch request');
+  }
+}
+
+/**
+ * Replace { "$ref": "name" } placeholders with IDs created earlier in the batch
+ */
+function resolveBatchRef(value, refIds, index) {
+  if (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 1 && '$ref' in value) {
+    if (!refIds.has(value.$ref)) {
+      throw new ValidationError(`operations[${index}]: unknown ref '${value.$ref}' (refs must be created by an earlier operation)`, 'Invalid batch request');
+    }
+    return refIds.get(value.$ref);
+  }
+  return value;
+}
+
+/**
+ * Execute create/update/delete operations across entities in one transaction
+ *
+ * Each operation: { op: 'create'|'update'|'delete', entity, id?, data?, expectedVersion?, ref? }
+ * - ref (create only) names the new record; later operations may use { "$ref": name }
+ *   as id or as any data value (e.g. an FK column)
+ * - expectedVersion enables the OCC check (also for delete)
+ *
+ * Entity events are emitted per operation inside the transaction, so audit entries
+ * share the context's correlation id and are rolled back together with the data.
+ * If any operation fails, nothing is committed; the error carries operationIndex.
+ *
+ * @param {Object[]} operations - Operations in execution order
+ * @param {Object} context - Request context { correlationId, clientIp }
+ * @returns {Object[]} One result per operation: { op, entity, id, ref?, record }
+ */
+function executeBatch(operations, context = {}) {
+  const log = context.correlationId ? logger.withCorrelation(context.correlationId) : logger;
+
+  validateBatchOperations(operations);
+  log.debug(`Executing batch of ${operations.length} operations`);
+
+  const results = runInTransaction(() => {
+    const refIds = new Map();
+    return operations.map((op, i) => {
+      try {
+        const id = op.op === 'create' ? null : parseInt(resolveBatchRef(op.id, refIds, i), 10);
+        const data = {};
+        for (const [key, value] of Object.entries(op.data || {})) {
+          if (key !== '_version') data[key] = resolveBatchRef(value, refIds, i);
+        }
+        const expectedVersion = op.expectedVersion ?? null;
+        const visible = (record) => permissions.filterRecord(op.entity, context.role, record);
+
+        permissions.assertCan(op.entity, context.role, op.op);
+        if (id !== null) assertRowVisible(op.entity, id, context);
+
+        if (op.op === 'create') {
+          const allowed = permissions.checkWriteData(op.entity, context.role, data);
+          eventBus.emit('entity:create:before', op.entity, allowed, context);
+          const record = repository.create(op.entity, allowed);
+          assertRowVisible(op.entity, record.id, context);
+          eventBus.emit('entity:create:after', op.entity, record, context);
+          if (op.ref) refIds.set(op.ref, record.id);
+          return { op: op.op, entity: op.entity, id: record.id, ...(op.ref ? { ref: op.ref } : {}), record: visible(record) };
+        }
+
+        if (op.op === 'update') {
+          const allowed = permissions.checkWriteData(op.entity, context.role, data, () => repository.findById(op.entity, id, false));
+          eventBus.emit('entity:update:before', op.entity, id, allowed, context);
+          const record = repository.update(op.entity, id, allowed, expectedVersion);
+          assertRowVisible(op.entity, id, context);
+          eventBus.emit('entity:update:after', op.entity, record, context);
+          return { op: op.op, entity: op.entity, id, record: visible(record) };
+        }
+
+        // delete: repository.remove has no OCC check, so compare versions here
+        if (expectedVersion !== null) {
+          const current = repository.findById(op.entity, id, false);
+          if (current._version !== expectedVersion) {
+            throw new VersionConflictError(op.entity, id, expectedVersion, visible(repository.findById(op.entity, id)));
+          }
+        }
+        eventBus.emit('entity:delete:before', op.entity, id, context);
+        const record = repository.remove(op.entity, id);
+        eventBus.emit('entity:delete:after', op.entity, id, context);
+        return { op: op.op, entity: op.entity, id, record: visible(record) };
+      } catch (err) {
+        err.operationIndex = i;
+        err.message = `Operation ${i} (${op.op} ${op.entity}) failed: ${err.message}`;
+        throw err;
+      }
+    });
+  });
+
+  log.info(`Batch committed: ${results.length} operations`);
+  return results;
+}
+
+/**
+ * Pick the natural key for an upsert
+ * @param {string|string[]|undefined} key - Key name (UNIQUE column or UKn), the key
+ *   columns (FK columns also by their conceptual name), or undefined for the only declared key
+ * @returns {Object} { name, columns }
+ * @throws {ValidationError} If the entity has no such key (or several and none was chosen)
+ */
+function resolveUpsertKey(entityName, key) {
+  const keys = repository.getNaturalKeys(entityName);
+  const declared = keys.map(k => k.name).join(', ') || 'none';
+
+  if (key === undefined || key === null) {
+    if (keys.length === 1) return keys[0];
+    throw new ValidationError(keys.length === 0
+      ? `${entityName} declares no natural key (UNIQUE column or UKn)`
+      : `${entityName} has several natural keys, choose one with "key": ${declared}`, 'Invalid upsert request');
+  }
+
+  const entity = repository.getEntityMeta(entityName);
+  const toColumn = (name) => entity.foreignKeys.find(fk => fk.displayName === name)?.column || name;
+  const names = (Array.isArray(key) ? key : [key]).map(toColumn);
+  const match = keys.find(k => names.length === 1 && k.name === names[0]) ||
+    keys.find(k => k.columns.length === names.length && k.columns.every(c => names.includes(c)));
+  if (!match) {
+    throw new ValidationError(`${JSON.stringify(key)} is not a natural key of ${entityName} (declared: ${declared})`, 'Invalid upsert request');
+  }
+  return match;
+}
+
+/**
+ * Comparable form of key values (5 and "5", true and 1 are the same key)
+ */
+function keyString(values) {
+  return JSON.stringify(values.map(v => typeof v === 'boolean' ? String(Number(v)) : String(v)));
+}
+
+/**
+ * Report entry for the error of a single upsert row; unexpected errors are rethrown
+ */
+function upsertError(err) {
+  if (err.isValidationError) {
+    return { code: 'VALIDATION_ERROR', message: err.message, details: err.errors };
+  }
+  if (err.isOperational) {
+    return { code: err.type, message: err.message, ...(err.details ? { details: err.details } : {}) };
+  }
+  throw err;
+}
+
+/**
+ * Insert or update records matched by a natural key, in one transaction
+ *
+ * Each record is looked up by the key columns (a UNIQUE column or UKn): a match is
+ * updated (or reported as unchanged if no sent value differs), otherwise a record is
+ * created. With deleteMissing, the visible records whose key is not in the payload are
+ * deleted, optionally only those matching the filter expression `where`.
+ *
+ * All records are processed and reported. If any of them fails, nothing is committed
+ * and the report shows what would have happened to the others.
+ * Entity events are emitted per record inside the transaction (as in executeBatch).
+ *
+ * @param {string} entityName - Entity name
+ * @param {Object[]} records - Records by column name, aggregates flat or nested (id and _version are ignored)
+ * @param {Object} options - { key, deleteMissing, where, resolve }
+ *   resolve(record) -> { resolved, fkWarnings, fuzzyMatches }: FK label resolution per record
+ * @param {Object} context - Request context { correlationId, clientIp, changedBy, role, user }
+ * @returns {Object} { committed, key, summary, results, deleted, records }
+ *   results: per record { index, action: created|updated|unchanged|error, id?, key, error?, fuzzyMatches? }
+ *   deleted: per missing record { id, key, action: deleted|error, error? }
+ *   records: the saved records (empty if not committed)
+ */
+function upsertEntities(entityName, records, options = {}, context = {}) {
+  context = normalizeContext(context);
+  const log = context.correlationId ? logger.withCorrelation(context.correlationId) : logger;
+
+  if (!Array.isArray(records) || records.length === 0) {
+    throw new ValidationError('records must be a non-empty array', 'Invalid upsert request');
+  }
+  if (records.length > MAX_UPSERT_RECORDS) {
+    throw new ValidationError(`At most ${MAX_UPSERT_RECORDS} records per upsert`, 'Invalid upsert request');
+  }
+  const invalid = records.findIndex(record => !record || typeof record !== 'object' || Array.isArray(record));
+  if (invalid !== -1) {
+    throw new ValidationError(`records[${invalid}]: must be an object`, 'Invalid upsert request');
+  }
+  if (options.where && !options.deleteMissing) {
+    throw new ValidationError('where only applies together with deleteMissing', 'Invalid upsert request');
+  }
+
+  const key = resolveUpsertKey(entityName, options.key);
+  const entity = repository.getEntityMeta(entityName);
+  const columnNames = new Set(entity.columns.map(c => c.name));
+  if (options.deleteMissing) permissions.assertCan(entityName, context.role, 'delete');
+
+  log.debug(`Upserting ${records.length} ${entityName} records by ${key.name}`);
+
+  const keyOf = (data) => Object.fromEntries(key.columns.map(c => [c, data[c] ?? null]));
+  const rollback = new Error('Upsert rolled back');
+  let report;
+
+  try {
+    runInTransaction(() => {
+      const seen = new Map(); // key string -> record index
+      const saved = [];
+
+      const results = records.map((record, index) => {
+        // Nested aggregates ({ geo: { latitude, longitude } }) as in seed files
+        const input = flattenAggregates(entity, record, getTypeRegistry());
+        delete input.id;
+        delete input._version;
+        const { resolved: data, fkWarnings = [], fuzzyMatches = [] } = options.resolve
+          ? options.resolve(input)
+          : { resolved: input };
+        const result = { index, key: keyOf(data), ...(fuzzyMatches.length > 0 ? { fuzzyMatches } : {}) };
+        const fail = (error) => ({ ...result, action: 'error', error });
+
+        if (fkWarnings.length > 0) {
+          return fail({ code: 'FK_RESOLUTION_FAILED', message: 'Could not resolve some foreign key references', details: fkWarnings });
+        }
+        const values = key.columns.map(c => data[c]);
+        if (values.some(v => v === null || v === undefined || v === '')) {
+          return fail({ code: 'MISSING_KEY', message: `Key ${key.columns.join(', ')} is required` });
+        }
+        const keyValue = keyString(values);
+        if (seen.has(keyValue)) {
+          return fail({ code: 'DUPLICATE_KEY', message: `Same key as record ${seen.get(keyValue)}` });
+        }
+        seen.set(keyValue, index);
+
+        try {
+          const id = repository.findIdByKey(entityName, key.columns, values);
+
+          if (id === null) {
+            permissions.assertCan(entityName, context.role, 'create');
+            const allowed = permissions.checkWriteData(entityName, context.role, data);
+            eventBus.emit('entity:create:before', entityName, allowed, context);
+            const created = repository.create(entityName, allowed);
+            assertRowVisible(entityName, created.id, context);
+            eventBus.emit('entity:create:after', entityName, created, context);
+            saved.push(created);
+            return { ...result, action: 'created', id: created.id };
+          }
+
+          permissions.assertCan(entityName, context.role, 'update');
+          assertRowVisible(entityName, id, context);
+          const existing = repository.findById(entityName, id, false);
+          const allowed = permissions.checkWriteData(entityName, context.role, data, () => existing);
+          const unchanged = Object.entries(allowed).every(([column, value]) =>
+            columnNames.has(column) && permissions.sameValue(existing[column], value)
+          );
+          if (unchanged) return { ...result, action: 'unchanged', id };
+
+          eventBus.emit('entity:update:before', entityName, id, allowed, context);
+          const updated = repository.update(entityName, id, allowed);
+          assertRowVisible(entityName, id, context);
+          eventBus.emit('entity:update:after', entityName, updated, context);
+          saved.push(updated);
+          return { ...result, action: 'updated', id };
+        } catch (err) {
+          return fail(upsertError(err));
+        }
+      });
+
+      // Records in scope whose key was not sent
+      const deleted = [];
+      if (options.deleteMissing) {
+        const { data: candidates } = repository.findAll(entityName, {
+          where: options.where,
+          hiddenKeys: permissions.getHiddenKeys(entityName, context.role),
+          rowScope: getRowScope(context)
+        });
+        for (const row of candidates) {
+          if (seen.has(keyString(key.columns.map(c => row[c])))) continue;
+          const entry = { id: row.id, key: keyOf(row) };
+          try {
+            eventBus.emit('entity:delete:before', entityName, row.id, context);
+            repository.remove(entityName, row.id);
+            eventBus.emit('entity:delete:after', entityName, row.id, context);
+            deleted.push({ ...entry, action: 'deleted' });
+          } catch (err) {
+            deleted.push({ ...entry, action: 'error', error: upsertError(err) });
+          }
+        }
+      }
+
+      const failed = [...results, ...deleted].filter(r => r.action === 'error').length;
+      report = { results, deleted, saved, failed };
+      if (failed > 0) throw rollback;
+    });
+  } catch (err) {
+    if (err !== rollback) throw err;
+  }
+
+  const committed = report.failed === 0;
+  const count = (list, action) => list.filter(r => r.action === action).length;
+  const summary = {
+    created: count(report.results, 'created'),
+    updated: count(report.results, 'updated'),
+    unchanged: count(report.results, 'unchanged'),
+    deleted: count(report.deleted, 'deleted'),
+    failed: report.failed
+  };
+
+  if (committed) {
+    log.info(`Upsert ${entityName} committed`, summary);
+  } else {
+    log.info(`Upsert ${entityName} rolled back: ${report.failed} failed`, summary);
+  }
+
+  return {
+    committed,
+    key: { name: key.name, columns: key.columns },
+    summary,
+    // Ids of records created in a rolled back transaction do not exist
+    results: committed ? report.results : report.results.map(r => r.action === 'created' ? { ...r, id: undefined } : r),
+    deleted: report.deleted,
+    records: committed ? report.saved.map(record => permissions.filterRecord(entityName, context.role, record)) : []
+  };
+}
+
 /**
  * Get list of all enabled entities with area information
  */
@@ -222,23 +1003,39 @@ function getEnabledEntitiesWithAreas() {
  * @param {string} entityName - Entity name
  * @param {string} columnPath - Column path
  * @param {string} extractType - 'select' (default), 'year', or 'month'
+ * @param {Object} context - Request context { correlationId, role, user }
  */
-function getDistinctValues(entityName, columnPath, extractType = 'select') {
-  return repository.getDistinctValues(entityName, columnPath, extractType);
+function getDistinctValues(entityName, columnPath, extractType = 'select', context = {}) {
+  permissions.assertCan(entityName, context.role, 'read');
+  const hiddenKeys = permissions.getHiddenKeys(entityName, context.role);
+  if ([columnPath, `${columnPath}_id`, `${columnPath}_label`].some(key => hiddenKeys.has(key))) {
+    throw new ForbiddenError(`Role '${context.role}' may not read ${entityName}.${columnPath}`);
+  }
+  return repository.getDistinctValues(entityName, columnPath, extractType, getRowScope(context));
 }
 
 module.exports = {
   listEntities,
+  listEntitiesByParents,
+  aggregateEntities,
   getEntity,
+  getEntitiesByIds,
+  getEntityHistory,
+  getEntityAsOf,
   createEntity,
   updateEntity,
+  patchEntity,
   deleteEntity,
+  restoreEntity,
   getSchema,
   getExtendedSchema,
   getEnabledEntities,
   getEnabledEntitiesWithAreas,
   getBackReferences,
+  searchEntities,
   batchCreate,
+  executeBatch,
+  upsertEntities,
   runInTransaction,
   getDistinctValues,
   getFilteredFkOptions
@@ -0,0 +1,293 @@
+/**
+ * OidcService - OpenID Connect login (authorization code flow with PKCE)
+ *
+ * Configured via auth.oidc in config.json:
+ *   {
+ *     "issuer": "https://idp.example.com/realms/corp",
+ *     "clientId": "aide-rap",
+ *     "clientSecret": "",                 // optional (public clients use PKCE only)
+ *     "redirectUri": "https://rap.example.com/api/auth/oidc/callback",
+ *     "scopes": "openid profile email",
+ *     "groupsClaim": "groups",            // dot path, e.g. "realm_access.roles"
+ *     "roles": { "admin": ["rap-admins"], "user": ["rap-users"], "guest": ["*"] },
+ *     "label": "Company Login"
+ *   }
+ *
+ * Endpoints come from the issuer's discovery document. ID tokens are verified
+ * against the issuer's JWKS (RS*, PS*, ES*) with node:crypto; iss, aud, exp and
+ * nonce are checked. The highest role whose group list matches wins ("*" matches
+ * every authenticated user).
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const TIMEOUT_MS = 10000;
+const CLOCK_SKEW_S = 60;
+const ROLE_ORDER = ['admin', 'user', 'guest'];
+
+/** Signature parameters per JWS algorithm */
+const ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS384: { hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS512: { hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { hash: 'sha512', dsaEncoding: 'ieee-p1363' }
+};
+
+/** Discovery documents and key sets per issuer */
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * Error during the OIDC flow (message is safe to show to the user)
+ */
+class OidcError extends Error {
+  constructor(message, reason = 'oidc_error') {
+    super(message);
+    this.name = 'OidcError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Check whether OIDC login is configured
+ * @param {Object} oidcConfig - auth.oidc section
+ */
+function isEnabled(oidcConfig) {
+  return !!(oidcConfig && oidcConfig.issuer && oidcConfig.clientId && oidcConfig.enabled !== false);
+}
+
+/**
+ * Fetch JSON with timeout
+ */
+async function fetchJson(url, options = {}) {
+  let response;
+  try {
+    response = await fetch(url, { ...options, signal: AbortSignal.timeout(TIMEOUT_MS) });
+  } catch (err) {
+    throw new OidcError(`Identity provider not reachable: ${err.message}`, 'idp_unreachable');
+  }
+
+  let data;
+  try {
+    data = await response.json();
+  } catch {
+    throw new OidcError(`Identity provider returned invalid JSON (HTTP ${response.status})`, 'idp_error');
+  }
+
+  if (!response.ok) {
+    const detail = data.error_description || data.error || `HTTP ${response.status}`;
+    throw new OidcError(`Identity provider rejected the request: ${detail}`, 'idp_error');
+  }
+  return data;
+}
+
+/**
+ * Load (and cache) the issuer's discovery document
+ */
+async function getDiscovery(oidcConfig) {
+  const issuer = oidcConfig.issuer.replace(/\/$/, '');
+  if (!discoveryCache.has(issuer)) {
+    const doc = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+    if (!doc.authorization_endpoint || !doc.token_endpoint || !doc.jwks_uri) {
+      throw new OidcError('Identity provider discovery document is incomplete', 'idp_error');
+    }
+    discoveryCache.set(issuer, doc);
+  }
+  return discoveryCache.get(issuer);
+}
+
+/**
+ * Load the issuer's signing keys (refetched once when a kid is unknown, for key rotation)
+ */
+async function getSigningKey(discovery, kid) {
+  const find = keys => keys.find(k => (kid ? k.kid === kid : true) && (!k.use || k.use === 'sig'));
+
+  let keys = jwksCache.get(discovery.jwks_uri);
+  let key = keys && find(keys);
+  if (!key) {
+    keys = (await fetchJson(discovery.jwks_uri)).keys || [];
+    jwksCache.set(discovery.jwks_uri, keys);
+    key = find(keys);
+  }
+  if (!key) {
+    throw new OidcError('ID token signed with an unknown key', 'invalid_token');
+  }
+  return key;
+}
+
+function base64url(buffer) {
+  return buffer.toString('base64url');
+}
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch {
+    throw new OidcError('Malformed ID token', 'invalid_token');
+  }
+}
+
+/**
+ * Start a login: build the authorization URL plus the values to keep until the callback
+ * @param {Object} oidcConfig - auth.oidc section
+ * @param {string} redirectUri - Callback URL registered at the IdP
+ * @returns {Promise<{ url: string, state: string, nonce: string, verifier: string }>}
+ */
+async function createAuthorizationRequest(oidcConfig, redirectUri) {
+  const discovery = await getDiscovery(oidcConfig);
+
+  const state = base64url(crypto.randomBytes(16));
+  const nonce = base64url(crypto.randomBytes(16));
+  const verifier = base64url(crypto.randomBytes(32));
+  const challenge = base64url(crypto.createHash('sha256').update(verifier).digest());
+
+  const url = new URL(discovery.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', oidcConfig.clientId);
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('scope', oidcConfig.scopes || 'openid profile email');
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', challenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+
+  return { url: url.toString(), state, nonce, verifier };
+}
+
+/**
+ * Verify an ID token's signature and claims
+ * @returns {Promise<Object>} Token claims
+ */
+async function verifyIdToken(idToken, oidcConfig, discovery, nonce) {
+  const parts = String(idToken || '').split('.');
+  if (parts.length !== 3) {
+    throw new OidcError('Malformed ID token', 'invalid_token');
+  }
+
+  const header = decodeSegment(parts[0]);
+  const alg = ALGORITHMS[header.alg];
+  if (!alg) {
+    throw new OidcError(`Unsupported ID token algorithm: ${header.alg}`, 'invalid_token');
+  }
+
+  const jwk = await getSigningKey(discovery, header.kid);
+  let valid;
+  try {
+    const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    valid = crypto.verify(alg.hash, Buffer.from(`${parts[0]}.${parts[1]}`),
+      { key, padding: alg.padding, dsaEncoding: alg.dsaEncoding }, Buffer.from(parts[2], 'base64url'));
+  } catch (err) {
+    throw new OidcError(`ID token signature check failed: ${err.message}`, 'invalid_token');
+  }
+  if (!valid) {
+    throw new OidcError('ID token signature is invalid', 'invalid_token');
+  }
+
+  const claims = decodeSegment(parts[1]);
+  const now = Math.floor(Date.now() / 1000);
+  const audience = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+  if (claims.iss !== discovery.issuer) {
+    throw new OidcError('ID token issuer mismatch', 'invalid_token');
+  }
+  if (!audience.includes(oidcConfig.clientId)) {
+    throw new OidcError('ID token audience mismatch', 'invalid_token');
+  }
+  if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_S < now) {
+    throw new OidcError('ID token expired', 'invalid_token');
+  }
+  if (claims.nonce !== nonce) {
+    throw new OidcError('ID token nonce mismatch', 'invalid_token');
+  }
+  return claims;
+}
+
+/**
+ * Read a (dot-path) claim as a list of groups
+ */
+function readGroups(claims, claimPath) {
+  const value = claimPath.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), claims);
+  if (value == null) return null;
+  return Array.isArray(value) ? value.map(String) : String(value).split(/[\s,]+/).filter(Boolean);
+}
+
+/**
+ * Map IdP groups to the highest matching RAP role
+ * @param {string[]} groups - Groups of the user
+ * @param {Object} roleMapping - { admin: [...], user: [...], guest: [...] }
+ * @returns {string|null} Role, or null if no group matches
+ */
+function mapGroupsToRole(groups, roleMapping = {}) {
+  for (const role of ROLE_ORDER) {
+    const allowed = [].concat(roleMapping[role] || []);
+    if (allowed.includes('*') || allowed.some(g => groups.includes(g))) {
+      return role;
+    }
+  }
+  return null;
+}
+
+/**
+ * Finish a login: exchange the code, verify the ID token and map groups to a role
+ * @param {Object} oidcConfig - auth.oidc section
+ * @param {Object} params - { code, verifier, nonce, redirectUri }
+ * @returns {Promise<{ role: string, username: string, displayName: string|null, groups: string[] }>}
+ */
+async function completeAuthorization(oidcConfig, { code, verifier, nonce, redirectUri }) {
+  const discovery = await getDiscovery(oidcConfig);
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    client_id: oidcConfig.clientId,
+    code_verifier: verifier
+  });
+  if (oidcConfig.clientSecret) {
+    body.set('client_secret', oidcConfig.clientSecret);
+  }
+
+  const tokens = await fetchJson(discovery.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body
+  });
+
+  const claims = await verifyIdToken(tokens.id_token, oidcConfig, discovery, nonce);
+
+  // Groups from the ID token, falling back to the userinfo endpoint
+  const claimPath = oidcConfig.groupsClaim || 'groups';
+  let groups = readGroups(claims, claimPath);
+  if (!groups && discovery.userinfo_endpoint && tokens.access_token) {
+    const userinfo = await fetchJson(discovery.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` }
+    });
+    if (userinfo.sub === claims.sub) {
+      groups = readGroups(userinfo, claimPath);
+    }
+  }
+  groups = groups || [];
+
+  const username = claims.preferred_username || claims.email || claims.sub;
+  const role = mapGroupsToRole(groups, oidcConfig.roles);
+  if (!role) {
+    logger.warn('OIDC login without matching role', { username, groups });
+    throw new OidcError('Your account is not assigned to any role in this application', 'no_role');
+  }
+
+  return { role, username, displayName: claims.name || null, groups };
+}
+
+module.exports = {
+  OidcError,
+  isEnabled,
+  createAuthorizationRequest,
+  completeAuthorization,
+  mapGroupsToRole
+};
@@ -0,0 +1,375 @@
+/**
+ * PermissionService - Role-based entity and field permissions
+ *
+ * Permissions are declared in the ## Permissions section of an entity's class
+ * Markdown and stored by SchemaGenerator as
+ *   entity.permissions = { role: { read, create, update, delete, hidden: [columns], readonly: [columns], rows } }
+ *
+ * Resolution:
+ * - A role without its own row uses the "*" row (if present)
+ * - Entities without a section, roles without a matching row and calls without
+ *   a role (auth disabled, internal services, imports) are unrestricted
+ *
+ * Hidden columns are removed from records, schemas, views and exports and can
+ * neither be filtered/sorted on nor written. Readonly columns can be read but
+ * writes are only accepted if the value does not change.
+ *
+ * Row rules (Rows column) are filter expressions with :user.<attr> parameters.
+ * getRowScope() compiles them into a WITH clause that utils/RowScope applies to
+ * every read; rows outside the rule behave as if they did not exist.
+ */
+
+const { getSchema } = require('../config/database');
+const { ForbiddenError } = require('../errors/ForbiddenError');
+const { parseExpression, compileExpression } = require('../utils/FilterExpression');
+const logger = require('../utils/logger');
+
+const UNRESTRICTED = Object.freeze({
+  read: true, create: true, update: true, delete: true, hidden: [], readonly: [], rows: null
+});
+
+/**
+ * Get the effective permissions of a role for an entity
+ * @param {string} entityName - Entity name
+ * @param {string|undefined} role - Role of the current user (undefined = unrestricted)
+ * @returns {{ read, create, update, delete, hidden: string[], readonly: string[] }}
+ */
+function getPermissions(entityName, role) {
+  if (!role) return UNRESTRICTED;
+  const permissions = getSchema().entities[entityName]?.permissions;
+  if (!permissions) return UNRESTRICTED;
+  return permissions[role] || permissions['*'] || UNRESTRICTED;
+}
+
+/**
+ * Check whether a role may perform an action on an entity
+ * @param {string} action - 'read' | 'create' | 'update' | 'delete'
+ */
+function can(entityName, role, action) {
+  return getPermissions(entityName, role)[action] !== false;
+}
+
+/**
+ * Throw ForbiddenError if a role may not perform an action on an entity
+ */
+function assertCan(entityName, role, action) {
+  if (!can(entityName, role, action)) {
+    throw new ForbiddenError(`Role '${role}' may not ${action} ${entityName}`);
+  }
+}
+
+/**
+ * Get the DB columns hidden from a role
+ * @returns {Set<string>}
+ */
+function getHiddenColumns(entityName, role) {
+  return new Set(getPermissions(entityName, role).hidden);
+}
+
+/**
+ * Get all record keys derived from hidden columns:
+ * the column itself, its enum _display value and the FK _label column of the view
+ * @returns {Set<string>}
+ */
+function getHiddenKeys(entityName, role) {
+  const hidden = getHiddenColumns(entityName, role);
+  if (hidden.size === 0) return hidden;
+
+  const entity = getSchema().entities[entityName];
+  const keys = new Set();
+  for (const column of hidden) {
+    keys.add(column);
+    keys.add(`${column}_display`);
+    const fk = (entity?.foreignKeys || []).find(f => f.column === column);
+    if (fk?.displayName) keys.add(`${fk.displayName}_label`);
+  }
+  return keys;
+}
+
+/**
+ * Remove hidden keys from a record
+ */
+function filterRecord(entityName, role, record) {
+  const keys = getHiddenKeys(entityName, role);
+  if (!record || keys.size === 0) return record;
+
+  const result = {};
+  for (const [key, value] of Object.entries(record)) {
+    if (!keys.has(key)) result[key] = value;
+  }
+  return result;
+}
+
+/**
+ * Remove hidden keys from a list of records
+ */
+function filterRecords(entityName, role, records) {
+  if (getHiddenKeys(entityName, role).size === 0) return records;
+  return records.map(record => filterRecord(entityName, role, record));
+}
+
+/**
+ * Compare a stored value with an incoming value (booleans as 0/1, '' as null)
+ */
+function sameValue(stored, incoming) {
+  const normalize = (v) => {
+    if (v === undefined || v === '') return null;
+    if (typeof v === 'boolean') return v ? 1 : 0;
+    if (v !== null && typeof v === 'object') return JSON.stringify(v);
+    return v;
+  };
+  const a = normalize(stored);
+  const b = normalize(incoming);
+  return a === null || b === null ? a === b : String(a) === String(b);
+}
+
+/**
+ * Check write data against hidden and readonly columns.
+ * - Hidden columns may not be sent (on create, empty values are tolerated)
+ * - Readonly columns may only be sent unchanged (create: empty)
+ * Tolerated values are removed so they do not reach the repository.
+ *
+ * @param {string} entityName - Entity name
+ * @param {string|undefined} role - Role of the current user
+ * @param {Object} data - Create/update data (column names)
+ * @param {Function|null} getExisting - Returns the stored row for updates (called only
+ *   when a restricted column is sent), null for creates
+ * @returns {Object} Data without tolerated hidden/readonly keys
+ * @throws {ForbiddenError} If a hidden or readonly column would be written
+ */
+function checkWriteData(entityName, role, data, getExisting = null) {
+  const { hidden, readonly } = getPermissions(entityName, role);
+  if (hidden.length === 0 && readonly.length === 0) return data;
+
+  const result = { ...data };
+  const denied = [];
+  let existing;
+  const check = (column, allowUnchanged) => {
+    if (!(column in data)) return;
+    if (getExisting && existing === undefined) existing = getExisting();
+    const unchanged = getExisting
+      ? allowUnchanged && sameValue(existing[column], data[column])
+      : sameValue(null, data[column]);
+    if (unchanged) delete result[column];
+    else denied.push(column);
+  };
+  hidden.forEach(column => check(column, false));
+  readonly.forEach(column => check(column, true));
+
+  if (denied.length > 0) {
+    throw new ForbiddenError(
+      `Role '${role}' may not modify ${entityName} field(s): ${denied.join(', ')}`,
+      { fields: denied }
+    );
+  }
+  return result;
+}
+
+/**
+ * Permission flags sent to the UI
+ */
+function getActionFlags(entityName, role) {
+  const permissions = getPermissions(entityName, role);
+  return { create: permissions.create, update: permissions.update, delete: permissions.delete };
+}
+
+/**
+ * Filter an extended schema (GenericRepository.getExtendedSchemaInfo) for a role:
+ * hidden columns are removed, readonly columns marked ui.readonly, back-references
+ * to unreadable entities dropped, and the action flags added as `permissions`.
+ */
+function filterExtendedSchema(entityName, schemaInfo, role) {
+  const { hidden, readonly } = getPermissions(entityName, role);
+  const result = { ...schemaInfo, permissions: getActionFlags(entityName, role) };
+
+  if (schemaInfo.backReferences) {
+    result.backReferences = schemaInfo.backReferences.filter(ref => can(ref.entity, role, 'read'));
+  }
+  if (hidden.length === 0 && readonly.length === 0) return result;
+
+  const hiddenSet = new Set(hidden);
+  const hiddenKeys = getHiddenKeys(entityName, role);
+  const readonlySet = new Set(readonly);
+  const omitHidden = (obj) => obj && Object.fromEntries(Object.entries(obj).filter(([key]) => !hiddenSet.has(key)));
+
+  result.columns = schemaInfo.columns
+    .filter(col => !hiddenSet.has(col.name))
+    .map(col => readonlySet.has(col.name) ? { ...col, ui: { ...(col.ui || {}), readonly: true } } : col);
+  result.ui = {
+    ...schemaInfo.ui,
+    readonlyFields: [...new Set([...(schemaInfo.ui?.readonlyFields || []), ...readonly])],
+    ...(schemaInfo.ui?.labelFields ? { labelFields: schemaInfo.ui.labelFields.filter(f => !hiddenKeys.has(f)) } : {})
+  };
+  result.validationRules = omitHidden(schemaInfo.validationRules);
+  result.enumFields = omitHidden(schemaInfo.enumFields);
+  return result;
+}
+
+/**
+ * Filter the entity list of /api/meta: unreadable entities are removed,
+ * readable ones get their action flags as `permissions`
+ */
+function filterEntityList(entities, role) {
+  if (!role) return entities;
+  return entities
+    .filter(e => !e.name || can(e.name, role, 'read'))
+    .map(e => e.name ? { ...e, permissions: getActionFlags(e.name, role) } : e);
+}
+
+/**
+ * Check whether a view column shows a field hidden from the role
+ */
+function isHiddenViewColumn(col, role) {
+  return !!col.source && getHiddenColumns(col.source.entity, role).has(col.source.column);
+}
+
+/**
+ * Restrict a parsed user view (UserViewGenerator) to a role.
+ * A view is only readable if the role may read its base entity and every entity
+ * its columns are taken from; columns showing hidden fields are removed.
+ * @returns {Object|null} The view (or a copy with fewer columns), null if not readable
+ */
+function restrictView(view, role) {
+  if (!view || !role) return view;
+
+  const entities = new Set([view.base]);
+  for (const col of view.columns || []) {
+    if (col.entityName) entities.add(col.entityName);
+    if (col.fkEntity) entities.add(col.fkEntity);
+  }
+  for (const entityName of entities) {
+    if (!can(entityName, role, 'read')) return null;
+  }
+
+  const columns = (view.columns || []).filter(col => !isHiddenViewColumn(col, role));
+  return columns.length === (view.columns || []).length ? view : { ...view, columns };
+}
+
+/**
+ * Get the row keys of a view that a restricted copy no longer exposes
+ * (column aliases and their hidden FK id columns)
+ * @returns {Set<string>}
+ */
+function getRemovedViewKeys(view, restricted) {
+  const keys = new Set();
+  if (!view || view === restricted) return keys;
+  const kept = new Set(restricted.columns);
+  for (const col of view.columns) {
+    if (kept.has(col)) continue;
+    keys.add(col.sqlAlias);
+    if (col.fkIdColumn) keys.add(col.fkIdColumn);
+  }
+  return keys;
+}
+
+/**
+ * Restrict export columns ({ key, label }) of an entity or view to a role
+ * @param {string} name - Entity or view name (export route parameter)
+ * @param {string|undefined} role - Role of the current user
+ * @param {Array} columns - Export columns
+ * @returns {Array} Allowed columns
+ * @throws {ForbiddenError} If the role may not read the entity/view
+ */
+function filterExportColumns(name, role, columns) {
+  if (!role) return columns;
+  const schema = getSchema();
+
+  if (schema.entities[name]) {
+    assertCan(name, role, 'read');
+    const keys = getHiddenKeys(name, role);
+    return columns.filter(col => !keys.has(col.key));
+  }
+
+  const view = (schema.userViews || []).find(v => v.name === name);
+  if (!view) return columns;
+  const restricted = restrictView(view, role);
+  if (!restricted) {
+    throw new ForbiddenError(`Role '${role}' may not read view ${name}`);
+  }
+  const removed = getRemovedViewKeys(view, restricted);
+  return columns.filter(col => !removed.has(col.key));
+}
+
+/**
+ * Resolve a :user.<name> rule parameter from the request user.
+ * id, username and role come from the session, everything else from the
+ * account attributes. Missing values resolve to null, which matches no row.
+ * @returns {*} Value, or undefined for names outside the user namespace
+ */
+function resolveUserParam(user, name) {
+  if (!name.startsWith('user.')) return undefined;
+  const key = name.slice('user.'.length);
+  if (key === 'id') return user?.userId ?? null;
+  if (key === 'username' || key === 'role') return user?.[key] ?? null;
+  return user?.attributes?.[key] ?? null;
+}
+
+/**
+ * Compile the row rule of an entity for a user into a SQL condition on its table.
+ * Invalid rules deny all rows (logged).
+ * @param {string} entityName - Entity name
+ * @param {Object|undefined} user - Request user { role, userId?, username?, attributes? }
+ * @returns {{ sql: string, params: any[] }|null} null if the user sees all rows
+ */
+function getRowCondition(entityName, user) {
+  const rule = getPermissions(entityName, user?.role).rows;
+  if (!rule) return null;
+
+  const entity = getSchema().entities[entityName];
+  try {
+    return compileExpression(parseExpression(rule), {
+      // Columns by DB name or conceptual FK name (department → department_id)
+      resolveColumn: (name) => {
+        if (name === 'id') return { sqlName: 'id', jsType: 'number' };
+        const col = entity.columns.find(c => c.name === name) ||
+          entity.columns.find(c => c.foreignKey && c.name === `${name}_id`);
+        return col ? { sqlName: col.name, jsType: col.jsType } : null;
+      },
+      resolveParam: (name) => resolveUserParam(user, name)
+    });
+  } catch (err) {
+    logger.warn('Invalid row rule, denying all rows', {
+      entity: entityName, role: user.role, rule, error: err.details?.[0] || err.message
+    });
+    return { sql: '0', params: [] };
+  }
+}
+
+/**
+ * Build the row scope of a user: a WITH clause shadowing every table that has
+ * a row rule for the user's role (see utils/RowScope.scopedFrom)
+ * @param {Object|undefined} user - Request user (undefined = unrestricted)
+ * @returns {{ with: string, params: any[] }|null} null if no rule applies
+ */
+function getRowScope(user) {
+  if (!user?.role) return null;
+
+  const ctes = [];
+  const params = [];
+  for (const [entityName, entity] of Object.entries(getSchema().entities)) {
+    const condition = getRowCondition(entityName, user);
+    if (!condition) continue;
+    ctes.push(`"${entity.tableName}" AS (SELECT * FROM main."${entity.tableName}" WHERE ${condition.sql})`);
+    params.push(...condition.params);
+  }
+  return ctes.length > 0 ? { with: `WITH ${ctes.join(', ')}`, params } : null;
+}
+
+module.exports = {
+  getPermissions,
+  can,
+  assertCan,
+  getHiddenColumns,
+  getHiddenKeys,
+  filterRecord,
+  filterRecords,
+  checkWriteData,
+  sameValue,
+  filterExtendedSchema,
+  filterEntityList,
+  restrictView,
+  getRemovedViewKeys,
+  filterExportColumns,
+  getRowCondition,
+  getRowScope
+};
@@ -0,0 +1,383 @@
+/**
+ * SavedViewService - Named table layouts and filters per user ("saved views")
+ *
+ * Stores the table state of an entity or user view in the _saved_views system
+ * table: hidden columns, column filters, sort keys, prefilter choices and the
+ * view mode. A saved view belongs to its owner; sharedRoles make it visible
+ * (read-only) to all users of these roles.
+ *
+ * One saved view per owner and target can be the default, which the UI restores
+ * when the entity or view is opened. The owner's own default wins over a shared one.
+ *
+ * Owner: username for user accounts, "role:<role>" for role logins, "key:<name>" for
+ * API keys and "*" when authentication is disabled.
+ */
+
+const { getDatabase, getSchema } = require('../config/database');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../errors/ValidationError');
+const { NotFoundError } = require('../errors/NotFoundError');
+const { ForbiddenError } = require('../errors/ForbiddenError');
+const { ConflictError } = require('../errors/ConflictError');
+const { ROLES } = require('./UserService');
+
+const TARGET_TYPES = ['entity', 'view'];
+const VIEW_MODES = ['table', 'tree-h', 'tree-v', 'map', 'chart', 'hierarchy'];
+const MAX_NAME_LENGTH = 100;
+
+/** Maximum size of the serialized state (characters) */
+const MAX_STATE_LENGTH = 20000;
+
+/**
+ * Initialize the saved views table (system table)
+ */
+function initSavedViewsTable() {
+  const db = getDatabase();
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS _saved_views (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      owner TEXT NOT NULL,
+      target_type TEXT NOT NULL CHECK(target_type IN ('entity', 'view')),
+      target TEXT NOT NULL,
+      name TEXT NOT NULL,
+      state TEXT NOT NULL,
+      shared_roles TEXT,
+      is_default INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+      UNIQUE(owner, target_type, target, name)
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_saved_views_target ON _saved_views(target_type, target)');
+
+  logger.info('Saved views table initialized');
+}
+
+/**
+ * Owner key of the requesting user (see module doc)
+ * @param {Object|undefined} user - req.user
+ */
+function ownerOf(user) {
+  if (!user) return '*';
+  if (user.username) return user.username;
+  if (user.apiKey) return `key:${user.apiKey}`;
+  return `role:${user.role}`;
+}
+
+/**
+ * Role used for sharing (no authentication = full access)
+ */
+function roleOf(user) {
+  return user ? user.role : 'admin';
+}
+
+/**
+ * Convert a DB row to the public representation
+ */
+function toPublic(row, user) {
+  if (!row) return null;
+  return {
+    ...row,
+    state: JSON.parse(row.state),
+    shared_roles: row.shared_roles ? JSON.parse(row.shared_roles) : [],
+    is_default: !!row.is_default,
+    own: row.owner === ownerOf(user)
+  };
+}
+
+/**
+ * Check that a value is an object with string values
+ */
+function isStringMap(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value) &&
+    Object.values(value).every(v => typeof v === 'string');
+}
+
+/**
+ * Check prefilter choices: field → value, or field → { value, type, viewColumn, entityColumn }
+ */
+function isPrefilterMap(value) {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) return false;
+  return Object.values(value).every(v => typeof v === 'string' ||
+    (typeof v === 'object' && v !== null && !Array.isArray(v) &&
+      Object.values(v).every(x => x === null || ['string', 'number', 'boolean'].includes(typeof x))));
+}
+
+/**
+ * Validate the table state and keep only the known keys
+ * @returns {Object} { hiddenColumns?, filters?, sort?, prefilter?, viewMode? }
+ */
+function normalizeState(state, errors) {
+  if (typeof state !== 'object' || state === null || Array.isArray(state)) {
+    errors.push('state must be an object');
+    return null;
+  }
+
+  const result = {};
+  if (state.hiddenColumns !== undefined) {
+    if (!Array.isArray(state.hiddenColumns) || !state.hiddenColumns.every(c => typeof c === 'string')) {
+      errors.push('state.hiddenColumns must be an array of column names');
+    } else {
+      result.hiddenColumns = state.hiddenColumns;
+    }
+  }
+  if (state.filters !== undefined) {
+    if (!isStringMap(state.filters)) {
+      errors.push('state.filters must map column names to filter text');
+    } else {
+      result.filters = state.filters;
+    }
+  }
+  if (state.sort !== undefined) {
+    const valid = Array.isArray(state.sort) && state.sort.every(k =>
+      k && typeof k.column === 'string' && ['asc', 'desc'].includes(k.order));
+    if (!valid) {
+      errors.push('state.sort must be an array of { column, order: asc|desc }');
+    } else {
+      result.sort = state.sort.map(k => ({ column: k.column, order: k.order }));
+    }
+  }
+  if (state.prefilter !== undefined) {
+    if (!isPrefilterMap(state.prefilter)) {
+      errors.push('state.prefilter must map prefilter fields to values');
+    } else {
+      result.prefilter = state.prefilter;
+    }
+  }
+  if (state.viewMode !== undefined) {
+    if (!VIEW_MODES.includes(state.viewMode)) {
+      errors.push(`state.viewMode must be one of ${VIEW_MODES.join(', ')}`);
+    } else {
+      result.viewMode = state.viewMode;
+    }
+  }
+
+  if (JSON.stringify(result).length > MAX_STATE_LENGTH) {
+    errors.push(`state must not exceed ${MAX_STATE_LENGTH} characters`);
+  }
+  return result;
+}
+
+/**
+ * Check that the target entity or user view exists
+ */
+function targetExists(targetType, target) {
+  const schema = getSchema();
+  if (targetType === 'entity') return !!schema.entities[target];
+  return (schema.userViews || []).some(v => v.name === target);
+}
+
+/**
+ * Validate saved view fields; partial=true skips required checks (update)
+ */
+function validateInput(input, partial) {
+  const errors = [];
+  if (!partial) {
+    if (!TARGET_TYPES.includes(input.targetType)) {
+      errors.push(`targetType must be one of ${TARGET_TYPES.join(', ')}`);
+    } else if (typeof input.target !== 'string' || !targetExists(input.targetType, input.target)) {
+      errors.push(`Unknown ${input.targetType} '${input.target}'`);
+    }
+  }
+  if (!partial || input.name !== undefined) {
+    if (typeof input.name !== 'string' || !input.name.trim() || input.name.trim().length > MAX_NAME_LENGTH) {
+      errors.push(`name must be 1-${MAX_NAME_LENGTH} characters`);
+    }
+  }
+  let state;
+  if (!partial || input.state !== undefined) {
+    state = normalizeState(input.state, errors);
+  }
+  if (input.sharedRoles !== undefined && input.sharedRoles !== null) {
+    if (!Array.isArray(input.sharedRoles) || !input.sharedRoles.every(r => ROLES.includes(r))) {
+      errors.push(`sharedRoles must be an array of ${ROLES.join(', ')}`);
+    }
+  }
+  if (input.isDefault !== undefined && typeof input.isDefault !== 'boolean') {
+    errors.push('isDefault must be a boolean');
+  }
+  if (errors.length > 0) {
+    throw new ValidationError(errors, 'Invalid saved view');
+  }
+  return state;
+}
+
+/**
+ * Serialize shared roles for storage (empty = NULL)
+ */
+function rolesToJson(roles) {
+  return roles && roles.length > 0 ? JSON.stringify([...new Set(roles)]) : null;
+}
+
+/**
+ * Check whether a row is visible to the user (own or shared with the user's role)
+ */
+function isVisible(row, user) {
+  if (row.owner === ownerOf(user)) return true;
+  const roles = row.shared_roles ? JSON.parse(row.shared_roles) : [];
+  return roles.includes(roleOf(user));
+}
+
+/**
+ * Load a row the user may see
+ * @throws {NotFoundError} If it does not exist or is neither own nor shared
+ */
+function getVisibleRow(id, user) {
+  const db = getDatabase();
+  const row = db.prepare('SELECT * FROM _saved_views WHERE id = ?').get(id);
+  if (!row || !isVisible(row, user)) throw new NotFoundError('Saved view', id);
+  return row;
+}
+
+/**
+ * Load a row the user may change (owner, or any admin)
+ * @throws {NotFoundError|ForbiddenError}
+ */
+function getWritableRow(id, user) {
+  const db = getDatabase();
+  const row = db.prepare('SELECT * FROM _saved_views WHERE id = ?').get(id);
+  const isAdmin = roleOf(user) === 'admin';
+  if (!row || (!isAdmin && !isVisible(row, user))) throw new NotFoundError('Saved view', id);
+  if (!isAdmin && row.owner !== ownerOf(user)) {
+    throw new ForbiddenError('Shared saved views can only be changed by their owner');
+  }
+  return row;
+}
+
+/**
+ * Reject a second saved view with the same name for the same owner and target
+ */
+function assertUniqueName(owner, targetType, target, name, exceptId = null) {
+  const db = getDatabase();
+  const existing = db.prepare(
+    'SELECT id FROM _saved_views WHERE owner = ? AND target_type = ? AND target = ? AND name = ?'
+  ).get(owner, targetType, target, name);
+  if (existing && existing.id !== exceptId) {
+    throw new ConflictError(`Saved view '${name}' already exists`);
+  }
+}
+
+/**
+ * Clear the default flag of the other saved views of an owner and target
+ */
+function clearDefault(owner, targetType, target, exceptId) {
+  const db = getDatabase();
+  db.prepare(
+    'UPDATE _saved_views SET is_default = 0 WHERE owner = ? AND target_type = ? AND target = ? AND id != ? AND is_default = 1'
+  ).run(owner, targetType, target, exceptId);
+}
+
+/**
+ * List the saved views of an entity or user view: own ones and those shared
+ * with the user's role
+ * @param {Object|undefined} user - req.user
+ * @param {string} targetType - 'entity' or 'view'
+ * @param {string} target - Entity or view name
+ * @returns {{ data: Object[], defaultId: number|null }}
+ */
+function listSavedViews(user, targetType, target) {
+  if (!TARGET_TYPES.includes(targetType) || typeof target !== 'string' || !target) {
+    throw new ValidationError([`type must be one of ${TARGET_TYPES.join(', ')} and target is required`], 'Invalid saved view query');
+  }
+  const db = getDatabase();
+  const rows = db.prepare(
+    'SELECT * FROM _saved_views WHERE target_type = ? AND target = ? ORDER BY name COLLATE NOCASE, owner'
+  ).all(targetType, target).filter(row => isVisible(row, user));
+
+  const data = rows.map(row => toPublic(row, user));
+  const defaultView = data.find(v => v.own && v.is_default) || data.find(v => v.is_default);
+  return { data, defaultId: defaultView ? defaultView.id : null };
+}
+
+/**
+ * Get a saved view (own or shared)
+ */
+function getSavedView(id, user) {
+  return toPublic(getVisibleRow(id, user), user);
+}
+
+/**
+ * Create a saved view owned by the user
+ * @param {Object} user - req.user
+ * @param {Object} input - { targetType, target, name, state, sharedRoles?, isDefault? }
+ */
+function createSavedView(user, input) {
+  const state = validateInput(input, false);
+  const db = getDatabase();
+  const owner = ownerOf(user);
+  const name = input.name.trim();
+  assertUniqueName(owner, input.targetType, input.target, name);
+
+  const id = db.transaction(() => {
+    const result = db.prepare(`
+      INSERT INTO _saved_views (owner, target_type, target, name, state, shared_roles, is_default)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(owner, input.targetType, input.target, name, JSON.stringify(state),
+      rolesToJson(input.sharedRoles), input.isDefault ? 1 : 0);
+    if (input.isDefault) clearDefault(owner, input.targetType, input.target, result.lastInsertRowid);
+    return result.lastInsertRowid;
+  })();
+
+  logger.info('Saved view created', { id, owner, target: `${input.targetType}:${input.target}`, name });
+  return getSavedView(id, user);
+}
+
+/**
+ * Update a saved view (only provided fields change)
+ * @param {number} id - Saved view id
+ * @param {Object} user - req.user (owner or admin)
+ * @param {Object} input - { name?, state?, sharedRoles?, isDefault? }
+ */
+function updateSavedView(id, user, input) {
+  const state = validateInput(input, true);
+  const db = getDatabase();
+  const existing = getWritableRow(id, user);
+  const name = input.name !== undefined ? input.name.trim() : undefined;
+  if (name !== undefined) assertUniqueName(existing.owner, existing.target_type, existing.target, name, existing.id);
+
+  const sets = [];
+  const values = [];
+  if (name !== undefined) { sets.push('name = ?'); values.push(name); }
+  if (state !== undefined) { sets.push('state = ?'); values.push(JSON.stringify(state)); }
+  if (input.sharedRoles !== undefined) { sets.push('shared_roles = ?'); values.push(rolesToJson(input.sharedRoles)); }
+  if (input.isDefault !== undefined) { sets.push('is_default = ?'); values.push(input.isDefault ? 1 : 0); }
+
+  if (sets.length > 0) {
+    sets.push("updated_at = datetime('now')");
+    db.transaction(() => {
+      db.prepare(`UPDATE _saved_views SET ${sets.join(', ')} WHERE id = ?`).run(...values, existing.id);
+      if (input.isDefault) clearDefault(existing.owner, existing.target_type, existing.target, existing.id);
+    })();
+    logger.info('Saved view updated', { id: existing.id, fields: Object.keys(input).filter(k => input[k] !== undefined) });
+  }
+  return toPublic(db.prepare('SELECT * FROM _saved_views WHERE id = ?').get(existing.id), user);
+}
+
+/**
+ * Delete a saved view (owner or admin)
+ */
+function deleteSavedView(id, user) {
+  const db = getDatabase();
+  const existing = getWritableRow(id, user);
+  db.prepare('DELETE FROM _saved_views WHERE id = ?').run(existing.id);
+  logger.info('Saved view deleted', { id: existing.id, owner: existing.owner, name: existing.name });
+  return toPublic(existing, user);
+}
+
+/**
+ * Initialize the saved view service
+ */
+function init() {
+  initSavedViewsTable();
+}
+
+module.exports = {
+  init,
+  TARGET_TYPES,
+  listSavedViews,
+  getSavedView,
+  createSavedView,
+  updateSavedView,
+  deleteSavedView
+};
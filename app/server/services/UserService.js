@@ -0,0 +1,295 @@
+/**
+ * UserService - Per-user accounts for login and audit attribution
+ *
+ * Stores accounts in the _users system table (not defined in DataModel.md).
+ * Passwords arrive SHA-256 hashed from the client (same as role login) and are
+ * stored as bcrypt(sha256). The bcrypt hash never leaves this module.
+ *
+ * `attributes` holds free key/value pairs (e.g. { department_id: 3 }) that
+ * row-level security rules reference as :user.<key>.
+ */
+
+const bcrypt = require('bcrypt');
+const { getDatabase } = require('../config/database');
+const logger = require('../utils/logger');
+const systemEntityRegistry = require('../utils/SystemEntityRegistry');
+const { ValidationError } = require('../errors/ValidationError');
+const { NotFoundError } = require('../errors/NotFoundError');
+const { ConflictError } = require('../errors/ConflictError');
+
+const BCRYPT_ROUNDS = 10;
+const ROLES = ['admin', 'user', 'guest'];
+const USERNAME_PATTERN = /^[A-Za-z0-9._@-]{2,64}$/;
+const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+
+/** Compared against when no active account matches, so unknown usernames take as long as wrong passwords */
+const DUMMY_HASH = bcrypt.hashSync('0'.repeat(64), BCRYPT_ROUNDS);
+
+/** Columns returned to callers (everything except password_hash) */
+const PUBLIC_COLUMNS = 'id, username, display_name, role, active, attributes, created_at, updated_at, last_login_at';
+
+/**
+ * Initialize the users table (system table)
+ */
+function initUsersTable() {
+  const db = getDatabase();
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS _users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      display_name TEXT,
+      role TEXT NOT NULL CHECK(role IN ('admin', 'user', 'guest')),
+      password_hash TEXT NOT NULL,
+      active INTEGER NOT NULL DEFAULT 1,
+      attributes TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+      last_login_at TEXT
+    )
+  `);
+
+  logger.info('Users table initialized');
+}
+
+/**
+ * Convert a DB row to the public representation
+ */
+function toPublic(row) {
+  return row ? { ...row, active: !!row.active, attributes: row.attributes ? JSON.parse(row.attributes) : {} } : null;
+}
+
+/**
+ * Validate user fields; partial=true skips required checks (update)
+ */
+function validateUserInput(input, partial) {
+  const errors = [];
+  if (!partial || input.username !== undefined) {
+    if (typeof input.username !== 'string' || !USERNAME_PATTERN.test(input.username)) {
+      errors.push('username must be 2-64 characters (letters, digits, . _ @ -)');
+    }
+  }
+  if (!partial || input.role !== undefined) {
+    if (!ROLES.includes(input.role)) {
+      errors.push(`role must be one of ${ROLES.join(', ')}`);
+    }
+  }
+  if (!partial || input.hash !== undefined) {
+    if (typeof input.hash !== 'string' || !SHA256_PATTERN.test(input.hash)) {
+      errors.push('hash must be the SHA-256 hex digest of the password');
+    }
+  }
+  if (input.displayName !== undefined && input.displayName !== null && typeof input.displayName !== 'string') {
+    errors.push('displayName must be a string');
+  }
+  if (input.attributes !== undefined && input.attributes !== null) {
+    const valid = typeof input.attributes === 'object' && !Array.isArray(input.attributes) &&
+      Object.values(input.attributes).every(v => v === null || ['string', 'number', 'boolean'].includes(typeof v));
+    if (!valid) errors.push('attributes must be an object with scalar values');
+  }
+  if (errors.length > 0) {
+    throw new ValidationError(errors, 'Invalid user data');
+  }
+}
+
+/**
+ * Count active admins other than the given user
+ */
+function countOtherActiveAdmins(id) {
+  const db = getDatabase();
+  return db.prepare("SELECT COUNT(*) as count FROM _users WHERE role = 'admin' AND active = 1 AND id != ?").get(id).count;
+}
+
+/**
+ * Check whether any user accounts exist (enables username login)
+ */
+function hasUsers() {
+  try {
+    const db = getDatabase();
+    return db.prepare('SELECT COUNT(*) as count FROM _users').get().count > 0;
+  } catch {
+    return false; // Database not initialized (no entities enabled)
+  }
+}
+
+/**
+ * List all users (without password hashes)
+ */
+function listUsers() {
+  const db = getDatabase();
+  return db.prepare(`SELECT ${PUBLIC_COLUMNS} FROM _users ORDER BY username`).all().map(toPublic);
+}
+
+/**
+ * Get a user by id
+ * @returns {Object|null}
+ */
+function getUser(id) {
+  const db = getDatabase();
+  return toPublic(db.prepare(`SELECT ${PUBLIC_COLUMNS} FROM _users WHERE id = ?`).get(id));
+}
+
+/**
+ * Serialize attributes for storage (empty object = NULL)
+ */
+function attributesToJson(attributes) {
+  return attributes && Object.keys(attributes).length > 0 ? JSON.stringify(attributes) : null;
+}
+
+/**
+ * Create a user
+ * @param {Object} input - { username, displayName, role, hash (SHA-256 hex of password), active, attributes }
+ */
+async function createUser(input) {
+  validateUserInput(input, false);
+  const db = getDatabase();
+
+  if (db.prepare('SELECT 1 FROM _users WHERE username = ?').get(input.username)) {
+    throw new ConflictError(`User '${input.username}' already exists`);
+  }
+
+  const passwordHash = await bcrypt.hash(input.hash, BCRYPT_ROUNDS);
+  const result = db.prepare(`
+    INSERT INTO _users (username, display_name, role, password_hash, active, attributes)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(input.username, input.displayName || null, input.role, passwordHash, input.active === false ? 0 : 1,
+    attributesToJson(input.attributes));
+
+  logger.info('User created', { username: input.username, role: input.role });
+  return getUser(result.lastInsertRowid);
+}
+
+/**
+ * Update a user (only provided fields change)
+ * @param {number} id - User id
+ * @param {Object} input - { username?, displayName?, role?, hash?, active?, attributes? }
+ */
+async function updateUser(id, input) {
+  validateUserInput(input, true);
+  const db = getDatabase();
+  const existing = getUser(id);
+  if (!existing) throw new NotFoundError('User', id);
+
+  // Keep at least one active admin account
+  const losesAdmin = existing.role === 'admin' && existing.active &&
+    ((input.role !== undefined && input.role !== 'admin') || input.active === false);
+  if (losesAdmin && countOtherActiveAdmins(id) === 0) {
+    throw new ConflictError('Cannot demote or deactivate the last active admin');
+  }
+
+  if (input.username !== undefined && input.username.toLowerCase() !== existing.username.toLowerCase() &&
+      db.prepare('SELECT 1 FROM _users WHERE username = ?').get(input.username)) {
+    throw new ConflictError(`User '${input.username}' already exists`);
+  }
+
+  const sets = [];
+  const values = [];
+  if (input.username !== undefined) { sets.push('username = ?'); values.push(input.username); }
+  if (input.displayName !== undefined) { sets.push('display_name = ?'); values.push(input.displayName || null); }
+  if (input.role !== undefined) { sets.push('role = ?'); values.push(input.role); }
+  if (input.active !== undefined) { sets.push('active = ?'); values.push(input.active ? 1 : 0); }
+  if (input.attributes !== undefined) { sets.push('attributes = ?'); values.push(attributesToJson(input.attributes)); }
+  if (input.hash !== undefined) {
+    sets.push('password_hash = ?');
+    values.push(await bcrypt.hash(input.hash, BCRYPT_ROUNDS));
+  }
+
+  if (sets.length > 0) {
+    sets.push("updated_at = datetime('now')");
+    db.prepare(`UPDATE _users SET ${sets.join(', ')} WHERE id = ?`).run(...values, id);
+    logger.info('User updated', { id, fields: Object.keys(input).filter(k => input[k] !== undefined && k !== 'hash') });
+  }
+  return getUser(id);
+}
+
+/**
+ * Delete a user
+ */
+function deleteUser(id) {
+  const db = getDatabase();
+  const existing = getUser(id);
+  if (!existing) throw new NotFoundError('User', id);
+
+  if (existing.role === 'admin' && existing.active && countOtherActiveAdmins(id) === 0) {
+    throw new ConflictError('Cannot delete the last active admin');
+  }
+
+  db.prepare('DELETE FROM _users WHERE id = ?').run(id);
+  logger.info('User deleted', { id, username: existing.username });
+  return existing;
+}
+
+/**
+ * Verify username + client-side SHA-256 hash
+ * @returns {Promise<Object|null>} Public user on success, null otherwise
+ */
+async function verifyLogin(username, hash) {
+  if (typeof username !== 'string' || typeof hash !== 'string') return null;
+  const db = getDatabase();
+  const row = db.prepare('SELECT * FROM _users WHERE username = ?').get(username);
+  const active = !!(row && row.active);
+
+  const ok = await bcrypt.compare(hash, active ? row.password_hash : DUMMY_HASH);
+  if (!active || !ok) return null;
+
+  db.prepare("UPDATE _users SET last_login_at = datetime('now') WHERE id = ?").run(row.id);
+  const { password_hash: _omit, ...user } = row;
+  return toPublic(user);
+}
+
+/**
+ * Resolve the current state of a session user (role changes and deactivation apply immediately)
+ * @returns {Object|null} Active public user or null
+ */
+function getActiveUser(id) {
+  const user = getUser(id);
+  return user && user.active ? user : null;
+}
+
+/**
+ * Static schema definition for the UserAccount system entity.
+ */
+function getUserSchema() {
+  return {
+    name: 'UserAccount',
+    tableName: '_users',
+    readonly: true,
+    system: true,
+    columns: [
+      { name: 'id', type: 'number', required: true, ui: { readonly: true } },
+      { name: 'username', type: 'string', required: true, ui: { readonly: true } },
+      { name: 'display_name', type: 'string', required: false, ui: { readonly: true } },
+      { name: 'role', type: 'string', required: true, enumValues: ROLES.map(r => ({ value: r, label: r })), ui: { readonly: true } },
+      { name: 'active', type: 'boolean', required: true, ui: { readonly: true } },
+      { name: 'attributes', type: 'string', customType: 'json', required: false, ui: { readonly: true } },
+      { name: 'created_at', type: 'string', required: true, ui: { readonly: true } },
+      { name: 'updated_at', type: 'string', required: true, ui: { readonly: true } },
+      { name: 'last_login_at', type: 'string', required: false, ui: { readonly: true } }
+    ],
+    ui: {
+      labelFields: ['username'],
+      readonly: true
+    }
+  };
+}
+
+/**
+ * Initialize the user service
+ */
+function init() {
+  initUsersTable();
+  systemEntityRegistry.register('UserAccount', getUserSchema());
+}
+
+module.exports = {
+  init,
+  ROLES,
+  hasUsers,
+  listUsers,
+  getUser,
+  getActiveUser,
+  createUser,
+  updateUser,
+  deleteUser,
+  verifyLogin
+};
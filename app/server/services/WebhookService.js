@@ -0,0 +1,443 @@
+/**
+ * WebhookService - Outbound webhooks for EventBus events
+ *
+ * Subscriptions are configured per system (config.json "webhooks"). Matching events
+ * are queued in the _webhook_deliveries system table and POSTed by a background
+ * worker, so slow or unreachable receivers never block a request. Events emitted
+ * inside a transaction (batches, merge patches) are queued in that transaction and
+ * rolled back with it.
+ *
+ * Failed deliveries are retried with exponential backoff (retryDelay * 2^(attempt-1),
+ * capped at maxRetryDelay). After maxAttempts the delivery is dead-lettered
+ * (status 'dead'); admins can re-queue it from the delivery log.
+ *
+ * Request headers:
+ *   X-RAP-Event: entity:update:after
+ *   X-RAP-Delivery: <delivery id>
+ *   X-RAP-Signature: sha256=<hex HMAC-SHA256 of the raw body, keyed with the secret>
+ */
+
+const crypto = require('crypto');
+const { getDatabase } = require('../config/database');
+const eventBus = require('../utils/EventBus');
+const logger = require('../utils/logger');
+const { NotFoundError } = require('../errors/NotFoundError');
+
+/** Events that can be subscribed to */
+const EVENTS = [
+  'entity:create:after',
+  'entity:update:after',
+  'entity:delete:after',
+  'entity:batch:after',
+  'export:complete',
+  'auth:login:failed'
+];
+
+/** Event of the test delivery sent from the admin UI */
+const TEST_EVENT = 'webhook:test';
+
+const STATUSES = ['pending', 'delivered', 'dead'];
+
+/** Per-subscription defaults (seconds, except maxAttempts) */
+const DEFAULTS = {
+  maxAttempts: 8,
+  retryDelay: 30,
+  maxRetryDelay: 3600,
+  timeout: 10
+};
+
+/** Worker poll interval for due retries */
+const POLL_INTERVAL_MS = 5000;
+
+/** Deliveries sent per worker run */
+const BATCH_SIZE = 20;
+
+/** Delivered entries are removed after this many days */
+const RETENTION_DAYS = 30;
+
+let subscriptions = [];
+let unsubscribers = [];
+let pollTimer = null;
+let running = false;
+let rerun = false;
+
+/**
+ * Initialize the deliveries table (system table)
+ */
+function initDeliveriesTable() {
+  const db = getDatabase();
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS _webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      webhook TEXT NOT NULL,
+      event TEXT NOT NULL,
+      entity_name TEXT,
+      entity_id INTEGER,
+      url TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'delivered', 'dead')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TEXT NOT NULL DEFAULT (datetime('now')),
+      last_status INTEGER,
+      last_error TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      delivered_at TEXT,
+      correlation_id TEXT
+    )
+  `);
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON _webhook_deliveries(status, next_attempt_at)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON _webhook_deliveries(webhook)');
+
+  const removed = db.prepare(`
+    DELETE FROM _webhook_deliveries WHERE status = 'delivered' AND delivered_at < datetime('now', ?)
+  `).run(`-${RETENTION_DAYS} days`);
+  if (removed.changes > 0) {
+    logger.info(`Webhooks: removed ${removed.changes} delivered entries older than ${RETENTION_DAYS} days`);
+  }
+}
+
+/**
+ * Validate the "webhooks" section of the system config
+ * Invalid subscriptions are skipped with a warning.
+ * @param {Array} config - [{ name, url, secret, events, entities?, enabled?, maxAttempts?, retryDelay?, maxRetryDelay?, timeout? }]
+ * @returns {Array} Normalized subscriptions
+ */
+function normalizeSubscriptions(config) {
+  if (!config) return [];
+  if (!Array.isArray(config)) {
+    logger.warn('Webhooks: "webhooks" must be an array, ignored');
+    return [];
+  }
+
+  const result = [];
+  const names = new Set();
+  config.forEach((sub, i) => {
+    const label = sub?.name || `webhooks[${i}]`;
+    const problems = [];
+    if (!sub || typeof sub.name !== 'string' || !sub.name) problems.push('name is required');
+    else if (names.has(sub.name)) problems.push('duplicate name');
+    if (!/^https?:\/\//.test(sub?.url || '')) problems.push('url must start with http:// or https://');
+    const events = Array.isArray(sub?.events) ? sub.events : [];
+    if (events.length === 0) problems.push('events must be a non-empty array');
+    const unknown = events.filter(e => e !== '*' && !EVENTS.includes(e));
+    if (unknown.length > 0) problems.push(`unknown events: ${unknown.join(', ')}`);
+    if (!sub?.secret) problems.push('secret is required');
+
+    if (problems.length > 0) {
+      logger.warn(`Webhooks: subscription '${label}' ignored (${problems.join('; ')})`);
+      return;
+    }
+
+    names.add(sub.name);
+    result.push({
+      name: sub.name,
+      url: sub.url,
+      secret: String(sub.secret),
+      events: events.includes('*') ? [...EVENTS] : events,
+      entities: Array.isArray(sub.entities) && sub.entities.length > 0 ? sub.entities : null,
+      enabled: sub.enabled !== false,
+      maxAttempts: sub.maxAttempts ?? DEFAULTS.maxAttempts,
+      retryDelay: sub.retryDelay ?? DEFAULTS.retryDelay,
+      maxRetryDelay: sub.maxRetryDelay ?? DEFAULTS.maxRetryDelay,
+      timeout: sub.timeout ?? DEFAULTS.timeout
+    });
+  });
+  return result;
+}
+
+/**
+ * Map the listener arguments of an event to { entity, entityId, data, context }
+ */
+function describeEvent(event, args) {
+  switch (event) {
+    case 'entity:create:after':
+    case 'entity:update:after': {
+      const [entity, record, context] = args;
+      return { entity, entityId: record?.id ?? null, data: record, context };
+    }
+    case 'entity:delete:after': {
+      const [entity, id, context] = args;
+      return { entity, entityId: id, data: null, context };
+    }
+    case 'entity:batch:after': {
+      const [entity, records] = args;
+      return { entity, entityId: null, data: records, context: {} };
+    }
+    default: {
+      // export:complete, auth:login:failed: a single info object
+      const [info] = args;
+      return { entity: info?.entity || null, entityId: null, data: info ?? null, context: {} };
+    }
+  }
+}
+
+/**
+ * Queue one delivery per matching subscription
+ * Never throws: a webhook problem must not break the operation that emitted the event.
+ */
+function enqueue(event, args, only = null) {
+  try {
+    const { entity, entityId, data, context = {} } = describeEvent(event, args);
+    // System tables (_users, _audit_trail, ...) are not published
+    if (entity && entity.startsWith('_')) return;
+
+    const matching = subscriptions.filter(sub =>
+      (only ? sub.name === only : sub.enabled && sub.events.includes(event)) &&
+      (!entity || !sub.entities || sub.entities.includes(entity))
+    );
+    if (matching.length === 0) return;
+
+    const insert = getDatabase().prepare(`
+      INSERT INTO _webhook_deliveries (webhook, event, entity_name, entity_id, url, payload, correlation_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    const payload = JSON.stringify({
+      event,
+      timestamp: new Date().toISOString(),
+      entity,
+      entityId,
+      data,
+      changedBy: context.changedBy || null,
+      correlationId: context.correlationId || null
+    });
+    for (const sub of matching) {
+      insert.run(sub.name, event, entity, entityId, sub.url, payload, context.correlationId || null);
+    }
+
+    setImmediate(processQueue);
+  } catch (err) {
+    logger.error('Webhooks: could not queue delivery', { event, error: err.message });
+  }
+}
+
+/**
+ * Signature header value for a body
+ */
+function sign(secret, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+/**
+ * POST one delivery to its subscription
+ * @returns {Promise<{ ok: boolean, status: number|null, error: string|null }>}
+ */
+async function send(delivery, sub) {
+  try {
+    const response = await fetch(sub.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'aide-rap-webhooks',
+        'X-RAP-Event': delivery.event,
+        'X-RAP-Delivery': String(delivery.id),
+        'X-RAP-Signature': sign(sub.secret, delivery.payload)
+      },
+      body: delivery.payload,
+      signal: AbortSignal.timeout(sub.timeout * 1000)
+    });
+    // Drain the body so the connection can be reused
+    await response.arrayBuffer().catch(() => {});
+    return response.ok
+      ? { ok: true, status: response.status, error: null }
+      : { ok: false, status: response.status, error: `HTTP ${response.status} ${response.statusText}`.trim() };
+  } catch (err) {
+    const error = err.name === 'TimeoutError' ? `Timeout after ${sub.timeout}s` : (err.cause?.message || err.message);
+    return { ok: false, status: null, error };
+  }
+}
+
+/**
+ * Seconds until the next attempt after a failed one
+ */
+function backoffSeconds(sub, attempts) {
+  return Math.min(sub.retryDelay * Math.pow(2, attempts - 1), sub.maxRetryDelay);
+}
+
+/**
+ * Send all due deliveries (one run at a time; calls during a run trigger another run)
+ */
+async function processQueue() {
+  if (running) {
+    rerun = true;
+    return;
+  }
+  running = true;
+
+  try {
+    const db = getDatabase();
+    let due;
+    do {
+      rerun = false;
+      due = db.prepare(`
+        SELECT * FROM _webhook_deliveries
+        WHERE status = 'pending' AND next_attempt_at <= datetime('now')
+        ORDER BY id LIMIT ?
+      `).all(BATCH_SIZE);
+
+      for (const delivery of due) {
+        const sub = subscriptions.find(s => s.name === delivery.webhook);
+        if (!sub) {
+          db.prepare(`UPDATE _webhook_deliveries SET status = 'dead', last_error = ? WHERE id = ?`)
+            .run('Subscription no longer configured', delivery.id);
+          continue;
+        }
+
+        const result = await send(delivery, sub);
+        const attempts = delivery.attempts + 1;
+
+        if (result.ok) {
+          db.prepare(`
+            UPDATE _webhook_deliveries
+            SET status = 'delivered', attempts = ?, last_status = ?, last_error = NULL, delivered_at = datetime('now')
+            WHERE id = ?
+          `).run(attempts, result.status, delivery.id);
+        } else if (attempts >= sub.maxAttempts) {
+          db.prepare(`
+            UPDATE _webhook_deliveries SET status = 'dead', attempts = ?, last_status = ?, last_error = ? WHERE id = ?
+          `).run(attempts, result.status, result.error, delivery.id);
+          logger.warn(`Webhook '${sub.name}' gave up on delivery #${delivery.id} after ${attempts} attempts`, { error: result.error });
+        } else {
+          db.prepare(`
+            UPDATE _webhook_deliveries
+            SET attempts = ?, last_status = ?, last_error = ?, next_attempt_at = datetime('now', ?)
+            WHERE id = ?
+          `).run(attempts, result.status, result.error, `+${backoffSeconds(sub, attempts)} seconds`, delivery.id);
+          logger.debug(`Webhook '${sub.name}' delivery #${delivery.id} failed, retrying`, { attempts, error: result.error });
+        }
+      }
+    } while (due.length === BATCH_SIZE || rerun);
+  } catch (err) {
+    logger.error('Webhooks: queue processing failed', { error: err.message });
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Parse a delivery row for API responses
+ */
+function toResponse(row) {
+  return row ? { ...row, payload: JSON.parse(row.payload) } : null;
+}
+
+/**
+ * Configured subscriptions (without secrets) with delivery counts per status
+ */
+function listSubscriptions() {
+  const counts = getDatabase().prepare(`
+    SELECT webhook, status, COUNT(*) AS count FROM _webhook_deliveries GROUP BY webhook, status
+  `).all();
+
+  return subscriptions.map(({ secret, ...sub }) => {
+    const stats = Object.fromEntries(STATUSES.map(s => [s, 0]));
+    for (const row of counts.filter(c => c.webhook === sub.name)) stats[row.status] = row.count;
+    return { ...sub, stats };
+  });
+}
+
+/**
+ * Delivery log, newest first
+ * @param {Object} options - { webhook, status, event, limit, offset }
+ * @returns {{ data: Array, totalCount: number }}
+ */
+function listDeliveries(options = {}) {
+  const { webhook, status, event, limit = 100, offset = 0 } = options;
+  const conditions = [];
+  const params = [];
+  if (webhook) { conditions.push('webhook = ?'); params.push(webhook); }
+  if (status) { conditions.push('status = ?'); params.push(status); }
+  if (event) { conditions.push('event = ?'); params.push(event); }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const db = getDatabase();
+  const data = db.prepare(`SELECT * FROM _webhook_deliveries ${where} ORDER BY id DESC LIMIT ? OFFSET ?`)
+    .all(...params, limit, offset)
+    .map(toResponse);
+  const { total } = db.prepare(`SELECT COUNT(*) AS total FROM _webhook_deliveries ${where}`).get(...params);
+  return { data, totalCount: total };
+}
+
+/**
+ * Get a single delivery
+ * @throws {NotFoundError}
+ */
+function getDelivery(id) {
+  const row = getDatabase().prepare('SELECT * FROM _webhook_deliveries WHERE id = ?').get(id);
+  if (!row) throw new NotFoundError('Webhook delivery', id);
+  return toResponse(row);
+}
+
+/**
+ * Queue a delivery again (dead-lettered or pending), with a fresh attempt budget
+ * @throws {NotFoundError}
+ */
+function retryDelivery(id) {
+  const result = getDatabase().prepare(`
+    UPDATE _webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = datetime('now')
+    WHERE id = ? AND status != 'delivered'
+  `).run(id);
+  const delivery = getDelivery(id);
+  if (result.changes > 0) setImmediate(processQueue);
+  return delivery;
+}
+
+/**
+ * Queue a test delivery for one subscription (also when it is disabled)
+ * @throws {NotFoundError} If no subscription has that name
+ */
+function sendTest(name) {
+  if (!subscriptions.some(s => s.name === name)) {
+    throw new NotFoundError('Webhook', name);
+  }
+  enqueue(TEST_EVENT, [{ message: 'Test delivery from AIDE RAP' }], name);
+  const row = getDatabase().prepare('SELECT * FROM _webhook_deliveries WHERE webhook = ? ORDER BY id DESC LIMIT 1').get(name);
+  return toResponse(row);
+}
+
+/**
+ * Stop the worker and the event listeners
+ */
+function stop() {
+  if (pollTimer) clearInterval(pollTimer);
+  pollTimer = null;
+  unsubscribers.forEach(off => off());
+  unsubscribers = [];
+}
+
+/**
+ * Initialize the webhook service
+ * @param {Object} systemConfig - System config (reads "webhooks")
+ */
+function init(systemConfig = {}) {
+  stop();
+  initDeliveriesTable();
+  subscriptions = normalizeSubscriptions(systemConfig.webhooks);
+
+  for (const event of EVENTS) {
+    if (subscriptions.some(s => s.events.includes(event))) {
+      unsubscribers.push(eventBus.on(event, (...args) => enqueue(event, args)));
+    }
+  }
+
+  // Due retries (and deliveries left over from the last run) are picked up by the poll
+  if (subscriptions.length > 0) {
+    pollTimer = setInterval(processQueue, POLL_INTERVAL_MS);
+    pollTimer.unref();
+    setImmediate(processQueue);
+    logger.info(`Webhooks: ${subscriptions.length} subscription(s) active`);
+  }
+}
+
+module.exports = {
+  EVENTS,
+  init,
+  stop,
+  processQueue,
+  listSubscriptions,
+  listDeliveries,
+  getDelivery,
+  retryDelivery,
+  sendTest
+};
@@ -0,0 +1,199 @@
+/**
+ * AggregateQuery - Grouped aggregates (count, sum, avg, min, max) for entities and views
+ *
+ * Shared by GET /api/entities/:entity/aggregate and GET /api/views/:name/aggregate.
+ * Filters (filter, where) use the same grammar as the list endpoints; the caller
+ * applies them to the source, this module adds grouping and aggregation:
+ *
+ *   group=building,@Yreading_at     Group-by columns in order. @Y / @M bucket a date
+ *                                    by year / year-month (same prefixes as the filter)
+ *   agg=count,sum(usage),avg(value)  Aggregates; count without a column counts rows
+ *   sort=sum(usage):desc             Order by group or aggregate keys (default: groups)
+ *   limit=10                         Number of groups (e.g. top 10)
+ *
+ * Result rows are keyed by the group and aggregate expressions as requested:
+ *   { "building": "Kurhaus", "@Yreading_at": "2024", "count": 12, "sum(usage)": 5230 }
+ *
+ * Column names are resolved by the caller (resolveColumn), so entities can offer
+ * FK dot-paths and views their column labels.
+ */
+
+const { ValidationError } = require('../errors/ValidationError');
+const { parseSort } = require('./SortParser');
+
+const AGGREGATE_FUNCTIONS = ['count', 'sum', 'avg', 'min', 'max'];
+
+/** Functions that only make sense for numbers */
+const NUMERIC_FUNCTIONS = ['sum', 'avg'];
+
+/** Maximum number of group-by columns and of aggregates per request */
+const MAX_GROUPS = 5;
+const MAX_AGGREGATES = 10;
+
+/** Maximum number of result groups (also the default limit) */
+const MAX_AGGREGATE_ROWS = 10000;
+
+const BUCKETS = {
+  Y: '%Y',
+  M: '%Y-%m'
+};
+
+/**
+ * Quote a result key as SQL identifier
+ */
+function quoteKey(key) {
+  return `"${key.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Split a comma-separated list (or array) into trimmed, non-empty items
+ */
+function splitList(spec) {
+  const items = Array.isArray(spec) ? spec.flatMap(s => String(s).split(',')) : String(spec || '').split(',');
+  return items.map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Parse group-by columns ("building,@Yreading_at")
+ * @returns {{ key: string, column: string, bucket: string|null }[]}
+ */
+function parseGroupBy(spec) {
+  const groups = [];
+  for (const item of splitList(spec)) {
+    const match = item.match(/^@([YM])(.+)$/);
+    const group = match
+      ? { key: item, column: match[2].trim(), bucket: match[1] }
+      : { key: item, column: item, bucket: null };
+    if (!groups.some(g => g.key === group.key)) groups.push(group);
+  }
+  if (groups.length > MAX_GROUPS) {
+    throw new ValidationError([`At most ${MAX_GROUPS} group-by columns are allowed`], 'Invalid aggregate query');
+  }
+  return groups;
+}
+
+/**
+ * Parse aggregate functions ("count,sum(usage),avg(value)"); default is count
+ * @returns {{ key: string, fn: string, column: string|null }[]}
+ */
+function parseAggregates(spec) {
+  const items = splitList(spec);
+  const aggregates = [];
+  const errors = [];
+
+  for (const item of items.length > 0 ? items : ['count']) {
+    const match = item.match(/^(\w+)\s*(?:\(\s*(.*?)\s*\))?$/);
+    const fn = match?.[1].toLowerCase();
+    const column = match?.[2] && match[2] !== '*' ? match[2] : null;
+
+    if (!match || !AGGREGATE_FUNCTIONS.includes(fn)) {
+      errors.push(`Unknown aggregate "${item}" (allowed: ${AGGREGATE_FUNCTIONS.join(', ')})`);
+    } else if (!column && fn !== 'count') {
+      errors.push(`Aggregate "${fn}" needs a column, e.g. ${fn}(value)`);
+    } else {
+      const key = column ? `${fn}(${column})` : 'count';
+      if (!aggregates.some(a => a.key === key)) aggregates.push({ key, fn, column });
+    }
+  }
+
+  if (aggregates.length > MAX_AGGREGATES) {
+    errors.push(`At most ${MAX_AGGREGATES} aggregates are allowed`);
+  }
+  if (errors.length > 0) {
+    throw new ValidationError(errors, 'Invalid aggregate query');
+  }
+  return aggregates;
+}
+
+/**
+ * Build the aggregate SQL over a filtered source
+ * @param {Object} query - { group, agg, sort, limit } (request query parameters)
+ * @param {Object} options
+ * @param {string} options.source - FROM expression with the filtered rows, aliased "b"
+ * @param {any[]} options.params - Parameters of the source
+ * @param {Function} options.resolveColumn - (name) => { expr, jsType, joins? } | null;
+ *   expr is an SQL expression over "b" and the joins ({ alias, table, onLeft, onRight })
+ * @returns {{ sql: string, params: any[], groups: string[], aggregates: string[] }}
+ * @throws {ValidationError} For unknown columns, functions or sort keys
+ */
+function buildAggregateQuery(query, { source, params, resolveColumn }) {
+  const groups = parseGroupBy(query.group);
+  const aggregates = parseAggregates(query.agg);
+  const errors = [];
+  const joins = new Map();
+
+  const resolve = (name) => {
+    const col = resolveColumn(name);
+    if (!col) {
+      errors.push(`Unknown column "${name}"`);
+      return null;
+    }
+    for (const join of col.joins || []) {
+      if (!joins.has(join.alias)) joins.set(join.alias, join);
+    }
+    return col;
+  };
+
+  const selects = [];
+  const groupExprs = [];
+  for (const group of groups) {
+    const col = resolve(group.column);
+    if (!col) continue;
+    const expr = group.bucket ? `strftime('${BUCKETS[group.bucket]}', ${col.expr})` : col.expr;
+    selects.push(`${expr} AS ${quoteKey(group.key)}`);
+    groupExprs.push(expr);
+  }
+  for (const agg of aggregates) {
+    if (!agg.column) {
+      selects.push(`COUNT(*) AS ${quoteKey(agg.key)}`);
+      continue;
+    }
+    const col = resolve(agg.column);
+    if (!col) continue;
+    if (NUMERIC_FUNCTIONS.includes(agg.fn) && col.jsType !== 'number') {
+      errors.push(`Aggregate "${agg.fn}" needs a numeric column, "${agg.column}" is not`);
+      continue;
+    }
+    selects.push(`${agg.fn.toUpperCase()}(${col.expr}) AS ${quoteKey(agg.key)}`);
+  }
+
+  // Order by result keys; groups ascending by default
+  const keys = [...groups.map(g => g.key), ...aggregates.map(a => a.key)];
+  const sortKeys = query.sort
+    ? parseSort(query.sort)
+    : groups.map(g => ({ column: g.key, order: 'asc' }));
+  for (const key of sortKeys) {
+    if (!keys.includes(key.column)) errors.push(`Cannot sort by "${key.column}" (not a group or aggregate)`);
+  }
+
+  const limit = query.limit !== undefined && query.limit !== '' ? parseInt(query.limit, 10) : MAX_AGGREGATE_ROWS;
+  if (!Number.isInteger(limit) || limit < 1) {
+    errors.push('limit must be a positive integer');
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors, 'Invalid aggregate query');
+  }
+
+  const joinClauses = [...joins.values()].map(j => `LEFT JOIN ${j.table} ${j.alias} ON ${j.onLeft} = ${j.onRight}`);
+  let sql = `SELECT ${selects.join(', ')} FROM ${source}`;
+  if (joinClauses.length > 0) sql += ` ${joinClauses.join(' ')}`;
+  if (groupExprs.length > 0) sql += ` GROUP BY ${groupExprs.join(', ')}`;
+  if (sortKeys.length > 0) {
+    sql += ` ORDER BY ${sortKeys.map(k => `${quoteKey(k.column)} ${k.order === 'desc' ? 'DESC' : 'ASC'}`).join(', ')}`;
+  }
+  sql += ` LIMIT ${Math.min(limit, MAX_AGGREGATE_ROWS)}`;
+
+  return {
+    sql,
+    params,
+    groups: groups.map(g => g.key),
+    aggregates: aggregates.map(a => a.key)
+  };
+}
+
+module.exports = {
+  parseGroupBy,
+  parseAggregates,
+  buildAggregateQuery
+};
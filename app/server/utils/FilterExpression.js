@@ -0,0 +1,489 @@
+/**
+ * FilterExpression - Structured filter language for entities and views
+ *
+ * Complements the "&&"-joined shorthand of FilterParser with real boolean
+ * expressions. Accepted via ?where= on /api/entities, /api/views and
+ * /api/integrate/:entity/lookup.
+ *
+ * Grammar (keywords are case-insensitive):
+ *   expr       := and ( OR and )*
+ *   and        := unary ( AND unary )*
+ *   unary      := NOT unary | '(' expr ')' | predicate
+ *   predicate  := operand op value
+ *               | operand [NOT] BETWEEN value AND value
+ *               | operand [NOT] IN '(' value ( ',' value )* ')'
+ *               | operand [NOT] LIKE value
+ *               | operand IS [NOT] NULL
+ *   operand    := column | YEAR '(' column ')' | MONTH '(' column ')'
+ *   column     := identifier | "quoted column label"
+ *   op         := = | != | <> | < | <= | > | >= | ~ (contains)
+ *   value      := 'string' | number | TRUE | FALSE | NULL | :parameter
+ *
+ * Examples:
+ *   status = 'Active' AND (value > 100 OR source IS NULL)
+ *   reading_at BETWEEN '2024-01-01' AND '2024-06-30'
+ *   YEAR(reading_at) = 2024 AND NOT meter_label ~ 'Gas'
+ *   "Engine Type" IN ('CF34-10', 'CF34-8')
+ *
+ * Columns are never inserted into SQL as written: every column reference is
+ * resolved through the same resolveColumn / validateEntityColumn callbacks
+ * FilterParser uses, and all values are bound as parameters.
+ *
+ * Parameters (:user.department_id) are only accepted where the caller passes a
+ * resolveParam callback (row-level security rules); request filters reject them.
+ */
+
+const { ValidationError } = require('../errors/ValidationError');
+
+/** Upper bounds to keep a single request from producing runaway SQL */
+const MAX_LENGTH = 4000;
+const MAX_DEPTH = 32;
+const MAX_IN_VALUES = 1000;
+
+const KEYWORDS = ['AND', 'OR', 'NOT', 'IN', 'BETWEEN', 'LIKE', 'IS', 'NULL', 'TRUE', 'FALSE'];
+const FUNCTIONS = {
+  YEAR: '%Y',
+  MONTH: '%Y-%m'
+};
+const COMPARISON_OPS = ['=', '!=', '<>', '<', '<=', '>', '>=', '~'];
+
+/**
+ * Build a ValidationError for a malformed expression
+ */
+function syntaxError(message, pos) {
+  const where = pos !== undefined ? ` at position ${pos + 1}` : '';
+  return new ValidationError(`${message}${where}`, 'Invalid filter expression');
+}
+
+/**
+ * Split an expression string into tokens
+ * @param {string} input
+ * @returns {Array<{ type: string, value: any, pos: number }>}
+ */
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const ch = input[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (ch === '(' || ch === ')' || ch === ',') {
+      tokens.push({ type: ch, value: ch, pos: i });
+      i++;
+      continue;
+    }
+
+    // Operators (two-character first)
+    const two = input.substr(i, 2);
+    if (['!=', '<>', '<=', '>='].includes(two)) {
+      tokens.push({ type: 'op', value: two, pos: i });
+      i += 2;
+      continue;
+    }
+    if (['=', '<', '>', '~'].includes(ch)) {
+      tokens.push({ type: 'op', value: ch, pos: i });
+      i++;
+      continue;
+    }
+
+    // 'string' (SQL style: '' escapes a quote) or "quoted column"
+    if (ch === '\'' || ch === '"') {
+      const start = i;
+      let value = '';
+      i++;
+      for (;;) {
+        if (i >= input.length) throw syntaxError('Unterminated quote', start);
+        if (input[i] === ch) {
+          if (input[i + 1] === ch) {
+            value += ch;
+            i += 2;
+            continue;
+          }
+          i++;
+          break;
+        }
+        value += input[i++];
+      }
+      tokens.push({ type: ch === '\'' ? 'string' : 'ident', value, pos: start });
+      continue;
+    }
+
+    // :parameter (dotted name, resolved at compile time)
+    const paramMatch = ch === ':' && input.slice(i + 1).match(/^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*/);
+    if (paramMatch) {
+      tokens.push({ type: 'param', value: paramMatch[0], pos: i });
+      i += paramMatch[0].length + 1;
+      continue;
+    }
+
+    // Number
+    const numMatch = input.slice(i).match(/^-?\d+(\.\d+)?/);
+    if (numMatch) {
+      tokens.push({ type: 'number', value: Number(numMatch[0]), pos: i });
+      i += numMatch[0].length;
+      continue;
+    }
+
+    // Identifier or keyword
+    const identMatch = input.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+    if (identMatch) {
+      const word = identMatch[0];
+      const upper = word.toUpperCase();
+      if (KEYWORDS.includes(upper)) {
+        tokens.push({ type: 'keyword', value: upper, pos: i });
+      } else {
+        tokens.push({ type: 'ident', value: word, pos: i, bare: true });
+      }
+      i += word.length;
+      continue;
+    }
+
+    throw syntaxError(`Unexpected character '${ch}'`, i);
+  }
+
+  tokens.push({ type: 'eof', value: null, pos: input.length });
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser producing a small AST:
+ *   { type: 'and'|'or', items: [node, ...] }
+ *   { type: 'not', expr }
+ *   { type: 'compare', operand, op, value }
+ *   { type: 'between', operand, low, high, negated }
+ *   { type: 'in', operand, values, negated }
+ *   { type: 'like', operand, value, negated }
+ *   { type: 'null', operand, negated }
+ * Operands are { column, fn } where fn is null, 'YEAR' or 'MONTH'.
+ * Values are literals or { param, pos } for :parameters.
+ */
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.index = 0;
+    this.depth = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  isKeyword(word) {
+    const t = this.peek();
+    return t.type === 'keyword' && t.value === word;
+  }
+
+  expect(type, value) {
+    const t = this.next();
+    if (t.type !== type || (value !== undefined && t.value !== value)) {
+      throw syntaxError(`Expected ${value || type} but found ${describe(t)}`, t.pos);
+    }
+    return t;
+  }
+
+  parse() {
+    const ast = this.parseOr();
+    const t = this.peek();
+    if (t.type !== 'eof') {
+      throw syntaxError(`Unexpected ${describe(t)}`, t.pos);
+    }
+    return ast;
+  }
+
+  parseOr() {
+    const items = [this.parseAnd()];
+    while (this.isKeyword('OR')) {
+      this.next();
+      items.push(this.parseAnd());
+    }
+    return items.length === 1 ? items[0] : { type: 'or', items };
+  }
+
+  parseAnd() {
+    const items = [this.parseUnary()];
+    while (this.isKeyword('AND')) {
+      this.next();
+      items.push(this.parseUnary());
+    }
+    return items.length === 1 ? items[0] : { type: 'and', items };
+  }
+
+  parseUnary() {
+    if (++this.depth > MAX_DEPTH) {
+      throw syntaxError(`Expression nested deeper than ${MAX_DEPTH} levels`);
+    }
+    let node;
+    if (this.isKeyword('NOT')) {
+      this.next();
+      node = { type: 'not', expr: this.parseUnary() };
+    } else if (this.peek().type === '(') {
+      this.next();
+      node = this.parseOr();
+      this.expect(')');
+    } else {
+      node = this.parsePredicate();
+    }
+    this.depth--;
+    return node;
+  }
+
+  parseOperand() {
+    const t = this.next();
+    if (t.type !== 'ident') {
+      throw syntaxError(`Expected column but found ${describe(t)}`, t.pos);
+    }
+    const fn = t.bare ? t.value.toUpperCase() : null;
+    if (fn && FUNCTIONS[fn] && this.peek().type === '(') {
+      this.next();
+      const col = this.expect('ident');
+      this.expect(')');
+      return { column: col.value, fn, pos: col.pos };
+    }
+    return { column: t.value, fn: null, pos: t.pos };
+  }
+
+  parseValue() {
+    const t = this.next();
+    if (t.type === 'string' || t.type === 'number') return t.value;
+    if (t.type === 'param') return { param: t.value, pos: t.pos };
+    if (t.type === 'keyword') {
+      if (t.value === 'TRUE') return true;
+      if (t.value === 'FALSE') return false;
+      if (t.value === 'NULL') return null;
+    }
+    throw syntaxError(`Expected value but found ${describe(t)}`, t.pos);
+  }
+
+  parsePredicate() {
+    const operand = this.parseOperand();
+
+    if (this.isKeyword('IS')) {
+      this.next();
+      let negated = false;
+      if (this.isKeyword('NOT')) {
+        this.next();
+        negated = true;
+      }
+      this.expect('keyword', 'NULL');
+      return { type: 'null', operand, negated };
+    }
+
+    let negated = false;
+    if (this.isKeyword('NOT')) {
+      this.next();
+      negated = true;
+    }
+
+    if (this.isKeyword('BETWEEN')) {
+      this.next();
+      const low = this.parseValue();
+      this.expect('keyword', 'AND');
+      const high = this.parseValue();
+      return { type: 'between', operand, low, high, negated };
+    }
+
+    if (this.isKeyword('IN')) {
+      this.next();
+      this.expect('(');
+      const values = [this.parseValue()];
+      while (this.peek().type === ',') {
+        this.next();
+        values.push(this.parseValue());
+      }
+      this.expect(')');
+      if (values.length > MAX_IN_VALUES) {
+        throw syntaxError(`IN list exceeds ${MAX_IN_VALUES} values`, operand.pos);
+      }
+      return { type: 'in', operand, values, negated };
+    }
+
+    if (this.isKeyword('LIKE')) {
+      this.next();
+      return { type: 'like', operand, value: this.parseValue(), negated };
+    }
+
+    if (negated) {
+      const t = this.peek();
+      throw syntaxError(`Expected BETWEEN, IN or LIKE after NOT but found ${describe(t)}`, t.pos);
+    }
+
+    const opToken = this.next();
+    if (opToken.type !== 'op' || !COMPARISON_OPS.includes(opToken.value)) {
+      throw syntaxError(`Expected operator but found ${describe(opToken)}`, opToken.pos);
+    }
+    return { type: 'compare', operand, op: opToken.value, value: this.parseValue() };
+  }
+}
+
+/**
+ * Human-readable token description for error messages
+ */
+function describe(token) {
+  if (token.type === 'eof') return 'end of expression';
+  return `'${token.value}'`;
+}
+
+/**
+ * Parse an expression string into an AST
+ * @param {string} expression
+ * @returns {Object} AST root node
+ * @throws {ValidationError} On syntax errors
+ */
+function parseExpression(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw syntaxError('Expression is empty');
+  }
+  if (expression.length > MAX_LENGTH) {
+    throw syntaxError(`Expression longer than ${MAX_LENGTH} characters`);
+  }
+  return new Parser(tokenize(expression)).parse();
+}
+
+/**
+ * Convert a literal to the column's JS type so SQLite compares like with like
+ */
+function coerceValue(value, jsType) {
+  if (value === null) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (jsType === 'number' && typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (jsType === 'string' && typeof value === 'number') {
+    return String(value);
+  }
+  return value;
+}
+
+/**
+ * Compile an AST into a SQL condition with bound parameters
+ *
+ * @param {Object} ast - Result of parseExpression()
+ * @param {Object} options - Same callbacks as FilterParser.parseFilter
+ * @param {Function} options.resolveColumn - (colName) => { sqlName, jsType } | null
+ * @param {Function} [options.validateEntityColumn] - Preferred over resolveColumn when given
+ * @param {Function} [options.resolveParam] - (name) => value for :parameters (undefined = unknown)
+ * @returns {{ sql: string, params: any[] }}
+ * @throws {ValidationError} If a column or parameter cannot be resolved
+ */
+function compileExpression(ast, options) {
+  const resolve = options.validateEntityColumn || options.resolveColumn;
+  const params = [];
+
+  // Replace a :parameter by its value (literals pass through)
+  function literal(value) {
+    if (value === null || typeof value !== 'object') return value;
+    if (!options.resolveParam) {
+      throw syntaxError(`Parameter ':${value.param}' is not allowed here`, value.pos);
+    }
+    const resolved = options.resolveParam(value.param);
+    if (resolved === undefined) {
+      throw syntaxError(`Unknown parameter ':${value.param}'`, value.pos);
+    }
+    return resolved;
+  }
+
+  function operandSql(operand) {
+    const col = resolve(operand.column);
+    if (!col) {
+      throw syntaxError(`Unknown column '${operand.column}'`, operand.pos);
+    }
+    const quoted = `"${col.sqlName}"`;
+    if (operand.fn) {
+      // Date buckets compare as text ('2024', '2024-03')
+      return { sql: `strftime('${FUNCTIONS[operand.fn]}', ${quoted})`, jsType: 'string' };
+    }
+    return { sql: quoted, jsType: col.jsType };
+  }
+
+  function bind(value, jsType) {
+    params.push(coerceValue(literal(value), jsType));
+    return '?';
+  }
+
+  function compile(node) {
+    switch (node.type) {
+      case 'and':
+      case 'or':
+        return `(${node.items.map(compile).join(node.type === 'and' ? ' AND ' : ' OR ')})`;
+
+      case 'not':
+        return `NOT (${compile(node.expr)})`;
+
+      case 'null': {
+        const op = operandSql(node.operand);
+        return `${op.sql} IS ${node.negated ? 'NOT ' : ''}NULL`;
+      }
+
+      case 'compare': {
+        const op = operandSql(node.operand);
+        if (node.value === null) {
+          // "= NULL" / "!= NULL" read naturally; translate to IS [NOT] NULL
+          if (node.op === '=') return `${op.sql} IS NULL`;
+          if (node.op === '!=' || node.op === '<>') return `${op.sql} IS NOT NULL`;
+          throw syntaxError(`Operator '${node.op}' cannot be used with NULL`, node.operand.pos);
+        }
+        if (node.op === '~') {
+          params.push(`%${literal(node.value)}%`);
+          return `${op.sql} LIKE ?`;
+        }
+        const sqlOp = node.op === '<>' ? '!=' : node.op;
+        return `${op.sql} ${sqlOp} ${bind(node.value, op.jsType)}`;
+      }
+
+      case 'between': {
+        const op = operandSql(node.operand);
+        return `${op.sql} ${node.negated ? 'NOT ' : ''}BETWEEN ${bind(node.low, op.jsType)} AND ${bind(node.high, op.jsType)}`;
+      }
+
+      case 'in': {
+        const op = operandSql(node.operand);
+        const placeholders = node.values.map(v => bind(v, op.jsType)).join(', ');
+        return `${op.sql} ${node.negated ? 'NOT ' : ''}IN (${placeholders})`;
+      }
+
+      case 'like': {
+        const op = operandSql(node.operand);
+        const pattern = literal(node.value);
+        params.push(pattern === null ? null : String(pattern));
+        return `${op.sql} ${node.negated ? 'NOT ' : ''}LIKE ?`;
+      }
+
+      default:
+        throw syntaxError(`Unsupported node '${node.type}'`);
+    }
+  }
+
+  return { sql: compile(ast), params };
+}
+
+/**
+ * Parse and compile an expression in one step.
+ * Returns the same { conditions, params } shape as FilterParser.parseFilter
+ * so callers can merge both into one WHERE clause.
+ *
+ * @param {string} expression - Filter expression (may be empty)
+ * @param {Object} options - Column resolution callbacks (see compileExpression)
+ * @returns {{ conditions: string[], params: any[] }}
+ */
+function parseFilterExpression(expression, options) {
+  if (!expression || !String(expression).trim()) {
+    return { conditions: [], params: [] };
+  }
+  const { sql, params } = compileExpression(parseExpression(String(expression)), options);
+  return { conditions: [sql], params };
+}
+
+module.exports = {
+  parseExpression,
+  compileExpression,
+  parseFilterExpression
+};
@@ -0,0 +1,299 @@
+/**
+ * GraphQLSchemaBuilder - GraphQL schema generated from the Markdown data model
+ *
+ * One object type per entity with its columns, its FK relations (the referenced
+ * record, the same steps UserViewGenerator follows for dot-paths) and its
+ * back-references (inverseRelationships, as in getBackReferences):
+ *
+ *   type Meter {
+ *     id: Int!
+ *     serial_number: String
+ *     building_id: Int
+ *     building_label: String
+ *     building: Building                                   # FK relation
+ *     readingList(filter, where, sort, order, limit, offset): ReadingPage!   # back-reference
+ *   }
+ *   type Query {
+ *     meter(id: Int!): Meter
+ *     meterList(filter, where, sort, order, limit, offset): MeterPage!
+ *   }
+ *
+ * Back-references are named <entity>List; if an entity references another one through
+ * several FKs, the FK is appended (translatorLanguageListBySourceLanguage). Read only, no mutations.
+ *
+ * Schemas are built per role and API key entity scope: unreadable entities, hidden
+ * fields and relations to unreadable entities are left out. Resolvers go through
+ * GenericService with the request context, so role checks, row rules and field hiding
+ * apply as in the REST routers.
+ *
+ * FK and back-reference fields are batch loaded: the ids requested on one level of a
+ * query are fetched with one SQL statement per relation (see createLoaders).
+ */
+
+const {
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLEnumType,
+  GraphQLNonNull,
+  GraphQLList,
+  GraphQLInt,
+  GraphQLFloat,
+  GraphQLString,
+  GraphQLBoolean
+} = require('graphql');
+const { getSchema } = require('../config/database');
+const service = require('../services/GenericService');
+const permissions = require('../services/PermissionService');
+
+/** Valid GraphQL names (columns with other names are left out) */
+const NAME_PATTERN = /^[_A-Za-z][_0-9A-Za-z]*$/;
+
+const lowerFirst = (name) => name.charAt(0).toLowerCase() + name.slice(1);
+const pascalCase = (name) => name.split('_').filter(Boolean).map(w => w.charAt(0).toUpperCase() + w.slice(1)).join('');
+
+const SortOrder = new GraphQLEnumType({
+  name: 'SortOrder',
+  values: { asc: { value: 'asc' }, desc: { value: 'desc' } }
+});
+
+/** Built schemas per role/entity scope, dropped when the data model is reloaded */
+let cache = { model: null, schemas: new Map() };
+
+/**
+ * GraphQL scalar for a column
+ */
+function scalarType(col) {
+  if (col.jsType === 'boolean') return GraphQLBoolean;
+  if (col.jsType === 'number') return /^INTEGER/i.test(col.sqlType || '') ? GraphQLInt : GraphQLFloat;
+  return GraphQLString;
+}
+
+/**
+ * Column description without Markdown annotations ("Title [LABEL]" -> "Title")
+ */
+function describe(col) {
+  const text = (col.description || '').replace(/\s*\[[^\]]*\]/g, '').trim();
+  return text || undefined;
+}
+
+/**
+ * Map GraphQL list arguments to listEntities options
+ */
+function listOptions(args) {
+  const options = {};
+  for (const key of ['filter', 'where', 'sort', 'order', 'limit', 'offset']) {
+    if (args[key] !== undefined && args[key] !== null) options[key] = args[key];
+  }
+  return options;
+}
+
+/**
+ * Minimal batch loader: keys requested within one turn of the event loop are
+ * resolved with a single batchFn(keys) call returning Map(key -> value).
+ * Results are cached for the lifetime of the loader (one request).
+ */
+function createBatchLoader(batchFn) {
+  const cache = new Map();
+  let queue = null;
+
+  return {
+    load(key) {
+      if (cache.has(key)) return cache.get(key);
+      if (!queue) {
+        queue = [];
+        const batch = queue;
+        // setImmediate: all resolvers of the current level have queued their keys by then
+        setImmediate(() => {
+          queue = null;
+          try {
+            const results = batchFn(batch.map(item => item.key));
+            for (const item of batch) item.resolve(results.get(item.key) ?? null);
+          } catch (err) {
+            for (const item of batch) item.reject(err);
+          }
+        });
+      }
+      const promise = new Promise((resolve, reject) => queue.push({ key, resolve, reject }));
+      cache.set(key, promise);
+      return promise;
+    }
+  };
+}
+
+/**
+ * Per-request loaders for FK targets and back-references
+ * @param {Object} context - Request context { correlationId, role, user } (as for GenericService)
+ */
+function createLoaders(context) {
+  const loaders = new Map();
+  const get = (key, batchFn) => {
+    if (!loaders.has(key)) loaders.set(key, createBatchLoader(batchFn));
+    return loaders.get(key);
+  };
+
+  return {
+    record: (entityName) => get(entityName, (ids) => {
+      const records = service.getEntitiesByIds(entityName, ids, context);
+      return new Map(records.map(record => [record.id, record]));
+    }),
+    references: (entityName, column, args) => get(`${entityName}.${column}:${JSON.stringify(args)}`, (ids) => {
+      const pages = service.listEntitiesByParents(entityName, column, ids, listOptions(args), context);
+      return new Map(ids.map(id => [id, pages.get(id) || { data: [], totalCount: 0 }]));
+    })
+  };
+}
+
+/**
+ * Build the GraphQL schema for a role and entity scope
+ * @param {string|undefined} role - Role (undefined = unrestricted)
+ * @param {string[]|undefined} allowedEntities - API key entity scope
+ */
+function buildSchema(role, allowedEntities) {
+  const model = getSchema();
+  const entityNames = service.getEnabledEntities().filter(name =>
+    model.entities[name] &&
+    NAME_PATTERN.test(name) &&
+    (!allowedEntities || allowedEntities.includes(name)) &&
+    permissions.can(name, role, 'read')
+  );
+  const readable = new Set(entityNames);
+  const types = {};
+  const pages = {};
+  const sortFields = {};
+
+  // Visible columns of an entity for the role (without UI-hidden system columns)
+  const visibleColumns = (name) => {
+    const hidden = permissions.getHiddenColumns(name, role);
+    return model.entities[name].columns.filter(col =>
+      !col.ui?.hidden && !hidden.has(col.name) && NAME_PATTERN.test(col.name)
+    );
+  };
+
+  const listArgs = (name) => ({
+    filter: { type: GraphQLString, description: 'Shorthand filter: "column:value", "=column:value" or text' },
+    where: { type: GraphQLString, description: 'Filter expression, e.g. "amount > 100 AND status = \'OPEN\'"' },
+    sort: { type: sortFields[name] },
+    order: { type: SortOrder },
+    limit: { type: GraphQLInt },
+    offset: { type: GraphQLInt }
+  });
+
+  for (const name of entityNames) {
+    sortFields[name] = new GraphQLEnumType({
+      name: `${name}SortField`,
+      values: Object.fromEntries(['id', ...visibleColumns(name).map(c => c.name)].map(c => [c, { value: c }]))
+    });
+
+    types[name] = new GraphQLObjectType({
+      name,
+      description: model.entities[name].description || undefined,
+      fields: () => entityFields(name)
+    });
+
+    pages[name] = new GraphQLObjectType({
+      name: `${name}Page`,
+      fields: () => ({
+        data: { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(types[name]))) },
+        totalCount: { type: new GraphQLNonNull(GraphQLInt) }
+      })
+    });
+  }
+
+  function entityFields(name) {
+    const entity = model.entities[name];
+    const columns = visibleColumns(name);
+    const fields = { id: { type: new GraphQLNonNull(GraphQLInt) } };
+    const add = (fieldName, field) => {
+      if (!fields[fieldName] && NAME_PATTERN.test(fieldName)) fields[fieldName] = field;
+    };
+
+    for (const col of columns) {
+      add(col.name, { type: scalarType(col), description: describe(col) });
+      if (entity.enumFields?.[col.name]) {
+        add(`${col.name}_display`, { type: GraphQLString, description: `Display value of ${col.name}` });
+      }
+    }
+    if (entity.labelExpression) {
+      add('_label', { type: GraphQLString, description: 'Computed record label' });
+    }
+
+    // FK relations: label and the referenced record
+    for (const fk of entity.foreignKeys || []) {
+      if (!fk.displayName || !columns.some(c => c.name === fk.column)) continue;
+      const target = fk.references?.entity || name;
+      add(`${fk.displayName}_label`, { type: GraphQLString, description: `Label of the referenced ${target}` });
+      if (!readable.has(target)) continue;
+      add(fk.displayName, {
+        type: types[target],
+        description: `Referenced ${target} (${fk.column})`,
+        resolve: (record, args, ctx) =>
+          record[fk.column] == null ? null : ctx.loaders.record(target).load(record[fk.column])
+      });
+    }
+
+    // Back-references: records of other entities pointing to this one
+    const inverse = (model.inverseRelationships[name] || []).filter(rel => readable.has(rel.entity));
+    for (const rel of inverse) {
+      if (!visibleColumns(rel.entity).some(c => c.name === rel.column)) continue;
+      const fk = model.entities[rel.entity].foreignKeys.find(f => f.column === rel.column);
+      const ambiguous = inverse.filter(r => r.entity === rel.entity).length > 1;
+      const fieldName = `${lowerFirst(rel.entity)}List${ambiguous ? 'By' + pascalCase(fk?.displayName || rel.column) : ''}`;
+      add(fieldName, {
+        type: new GraphQLNonNull(pages[rel.entity]),
+        description: `${rel.entity} records referencing this ${name} (${rel.column}); limit/offset apply per ${name}`,
+        args: listArgs(rel.entity),
+        resolve: (record, args, ctx) => ctx.loaders.references(rel.entity, rel.column, args).load(record.id)
+      });
+    }
+
+    return fields;
+  }
+
+  const queryFields = {};
+  for (const name of entityNames) {
+    const fieldName = lowerFirst(name);
+    queryFields[fieldName] = {
+      type: types[name],
+      description: `${name} by id (null if it does not exist or is not visible)`,
+      args: { id: { type: new GraphQLNonNull(GraphQLInt) } },
+      resolve: (root, args, ctx) => ctx.loaders.record(name).load(args.id)
+    };
+    queryFields[`${fieldName}List`] = {
+      type: new GraphQLNonNull(pages[name]),
+      description: `${name} records`,
+      args: listArgs(name),
+      resolve: (root, args, ctx) => service.listEntities(name, listOptions(args), ctx.context)
+    };
+  }
+
+  if (entityNames.length === 0) {
+    // A schema needs at least one query field
+    queryFields._empty = { type: GraphQLBoolean, description: 'No entities readable', resolve: () => null };
+  }
+
+  return new GraphQLSchema({
+    query: new GraphQLObjectType({ name: 'Query', fields: queryFields })
+  });
+}
+
+/**
+ * Get the (cached) GraphQL schema for a request user
+ * @param {Object|undefined} user - req.user (undefined without auth = unrestricted)
+ */
+function getSchemaFor(user) {
+  const model = getSchema();
+  if (cache.model !== model) {
+    cache = { model, schemas: new Map() };
+  }
+
+  const key = `${user?.role || ''}|${user?.allowedEntities ? user.allowedEntities.join(',') : '*'}`;
+  if (!cache.schemas.has(key)) {
+    cache.schemas.set(key, buildSchema(user?.role, user?.allowedEntities));
+  }
+  return cache.schemas.get(key);
+}
+
+module.exports = {
+  getSchemaFor,
+  createLoaders
+};
@@ -0,0 +1,153 @@
+/**
+ * KeysetCursor - Opaque cursors for keyset (seek) pagination
+ *
+ * A cursor remembers the sort keys and the position (sort values + id) of the
+ * last row on the previous page. The next page continues strictly after that
+ * position, so deep pages stay fast and rows inserted while scrolling do not
+ * shift the window.
+ *
+ * Ordering is "sort keys in priority order, then id" (id in the given order,
+ * usually the direction of the last sort key). SQLite sorts NULL first for ASC
+ * and last for DESC; the seek condition follows that.
+ *
+ * Sort keys are { sql, key, order }: SQL expression, row key holding the value
+ * and 'asc' or 'desc'. An empty list sorts by id only.
+ *
+ * Usage:
+ *   const position = decodeCursor(cursor, sortKeys, order);
+ *   const seek = buildSeekCondition(sortKeys, order, position);
+ *   ... WHERE <seek.condition> ORDER BY <buildOrderBy(sortKeys, order)> LIMIT limit + 1
+ *   const { rows, nextCursor } = finishPage(rows, limit, sortKeys, order);
+ */
+
+const { ValidationError } = require('../errors/ValidationError');
+
+/**
+ * Signature of a sort, stored in the cursor ("building_label:asc,reading_at:desc|desc")
+ */
+function sortSignature(sortKeys, order) {
+  return `${sortKeys.map(k => `${k.key}:${k.order}`).join(',')}|${order === 'desc' ? 'desc' : 'asc'}`;
+}
+
+/**
+ * Encode a position as an opaque URL-safe string
+ */
+function encodeCursor(sortKeys, order, values, id) {
+  const payload = { s: sortSignature(sortKeys, order), v: values.map(v => v === undefined ? null : v), id };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor and check that it belongs to the current sort
+ * @param {string} cursor - Cursor from a previous response ('' = first page)
+ * @param {Object[]} sortKeys - Sort keys of the current request ([] = id)
+ * @param {string} order - 'asc' or 'desc' (id tiebreaker)
+ * @returns {{ values: any[], id: number } | null} Position, or null for the first page
+ * @throws {ValidationError} If the cursor is malformed or was issued for another sort
+ */
+function decodeCursor(cursor, sortKeys, order) {
+  if (!cursor) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new ValidationError('Malformed cursor', 'Invalid cursor');
+  }
+  if (!payload || typeof payload !== 'object' || !Number.isInteger(payload.id) ||
+      !Array.isArray(payload.v) || payload.v.length !== sortKeys.length) {
+    throw new ValidationError('Malformed cursor', 'Invalid cursor');
+  }
+  if (payload.s !== sortSignature(sortKeys, order)) {
+    throw new ValidationError('Cursor does not match the requested sort/order', 'Invalid cursor');
+  }
+  return { values: payload.v, id: payload.id };
+}
+
+/**
+ * Build the WHERE condition that selects rows after a position:
+ * (k1 after v1) OR (k1 = v1 AND k2 after v2) OR ... OR (all equal AND id after)
+ * @param {Object[]} sortKeys - [{ sql, order }] ([] = sort by id only)
+ * @param {string} order - 'asc' or 'desc' (id tiebreaker)
+ * @param {{ values: any[], id: number } | null} position - From decodeCursor
+ * @returns {{ condition: string|null, params: any[] }}
+ */
+function buildSeekCondition(sortKeys, order, position) {
+  if (!position) return { condition: null, params: [] };
+
+  const branches = [];
+  const params = [];
+  const equal = [];
+  const equalParams = [];
+
+  sortKeys.forEach((k, i) => {
+    const value = position.values[i];
+    // Rows after the value in this key: NULL block comes first (ASC) or last (DESC)
+    let after = null;
+    if (k.order === 'desc') {
+      if (value !== null) after = { sql: `(${k.sql} < ? OR ${k.sql} IS NULL)`, params: [value] };
+    } else {
+      after = value === null
+        ? { sql: `${k.sql} IS NOT NULL`, params: [] }
+        : { sql: `${k.sql} > ?`, params: [value] };
+    }
+    if (after) {
+      branches.push([...equal, after.sql].join(' AND '));
+      params.push(...equalParams, ...after.params);
+    }
+
+    if (value === null) {
+      equal.push(`${k.sql} IS NULL`);
+    } else {
+      equal.push(`${k.sql} = ?`);
+      equalParams.push(value);
+    }
+  });
+
+  const cmp = order === 'desc' ? '<' : '>';
+  branches.push([...equal, `id ${cmp} ?`].join(' AND '));
+  params.push(...equalParams, position.id);
+
+  return {
+    condition: branches.length === 1 ? branches[0] : `(${branches.map(b => `(${b})`).join(' OR ')})`,
+    params
+  };
+}
+
+/**
+ * Build ORDER BY clause with id as tiebreaker
+ * @param {Object[]} sortKeys - [{ sql, order }] ([] = id only)
+ * @param {string} order - 'asc' or 'desc' (id tiebreaker)
+ */
+function buildOrderBy(sortKeys, order) {
+  const terms = sortKeys.map(k => `${k.sql} ${k.order === 'desc' ? 'DESC' : 'ASC'}`);
+  terms.push(`id ${order === 'desc' ? 'DESC' : 'ASC'}`);
+  return ` ORDER BY ${terms.join(', ')}`;
+}
+
+/**
+ * Trim the look-ahead row and compute the cursor for the next page.
+ * Callers fetch limit + 1 rows; the extra row only signals that more exist.
+ * @param {Object[]} rows - Rows fetched with LIMIT limit + 1
+ * @param {number|null} limit - Page size (null = unlimited, never a next page)
+ * @param {Object[]} sortKeys - [{ key, order }]: row keys holding the sort values
+ * @param {string} order - 'asc' or 'desc' (id tiebreaker)
+ * @returns {{ rows: Object[], nextCursor: string|null }}
+ */
+function finishPage(rows, limit, sortKeys, order) {
+  if (!limit || rows.length <= limit) {
+    return { rows, nextCursor: null };
+  }
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  const values = sortKeys.map(k => last[k.key]);
+  return { rows: page, nextCursor: encodeCursor(sortKeys, order, values, last.id) };
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  buildSeekCondition,
+  buildOrderBy,
+  finishPage
+};
@@ -0,0 +1,960 @@
+/**
+ * OpenApiGenerator - OpenAPI 3 description of a system's REST API
+ *
+ * Built from the loaded schema (columns, TypeRegistry validation rules, enum values,
+ * foreign keys, user views), so the document always matches the running system.
+ * Covers /api/entities, /api/views and /api/integrate with one request and response
+ * schema per entity.
+ *
+ * The document is cut to the caller: only entities and views the role may read (and
+ * an API key's entity scope), no hidden fields, write operations only where the
+ * role may write.
+ */
+
+const { getSchema } = require('../config/database');
+const permissions = require('../services/PermissionService');
+
+const OPENAPI_VERSION = '3.0.3';
+
+/** Roles that never write (blanket guard in rap.js) */
+const READ_ONLY_ROLES = ['guest'];
+
+/** OpenAPI formats for built-in types */
+const TYPE_FORMATS = {
+  date: 'date',
+  mail: 'email',
+  url: 'uri',
+  media: 'uuid'
+};
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const paramRef = (name) => ({ $ref: `#/components/parameters/${name}` });
+const responseRef = (name) => ({ $ref: `#/components/responses/${name}` });
+
+/**
+ * Type part of a property schema from the column's validation rule
+ */
+function columnSchema(entity, col) {
+  const rule = entity.validationRules?.[col.name] || {};
+  const schema = {};
+
+  if (rule.enum) {
+    const values = rule.enum.values.map(v => v.value);
+    schema.type = values.every(v => typeof v === 'number') ? 'integer' : 'string';
+    schema.enum = values;
+    schema.description = rule.enum.values.map(v => `${v.value} = ${v.label}`).join(', ');
+  } else if (rule.type === 'json' || col.type === 'json') {
+    schema.description = 'JSON value (object, array or JSON text)';
+  } else if (rule.type === 'number' || col.jsType === 'number') {
+    schema.type = /^INTEGER/i.test(col.sqlType || '') ? 'integer' : 'number';
+  } else if (rule.type === 'boolean' || col.jsType === 'boolean') {
+    schema.type = 'boolean';
+  } else {
+    schema.type = 'string';
+  }
+
+  const format = TYPE_FORMATS[col.customType] || TYPE_FORMATS[col.type];
+  if (format && schema.type === 'string' && !rule.enum) schema.format = format;
+  if (rule.pattern && !schema.format) schema.pattern = rule.pattern;
+  if (rule.minLength !== undefined) schema.minLength = rule.minLength;
+  if (rule.maxLength !== undefined) schema.maxLength = rule.maxLength;
+  if (rule.min !== undefined) schema.minimum = rule.min;
+  if (rule.max !== undefined) schema.maximum = rule.max;
+  if (rule.patternExample) schema.example = rule.patternExample;
+
+  // Column descriptions still carry their annotations ("Title [LABEL] [UNIQUE]")
+  const columnDescription = (col.description || '').replace(/\s*\[[^\]]*\]/g, '').trim();
+  const description = [columnDescription, rule.patternDescription, schema.description].filter(Boolean).join(' - ');
+  if (description) schema.description = description;
+  if (col.foreignKey) {
+    schema.description = `ID of ${col.foreignKey.entity}${description ? ' - ' + description : ''}`;
+  }
+  return schema;
+}
+
+/**
+ * Writable columns of an entity for a role (no system, readonly, computed or hidden columns)
+ */
+function writableColumns(entity, hidden) {
+  return entity.columns.filter(col =>
+    !col.system && !col.ui?.readonly && !col.computed && !hidden.has(col.name)
+  );
+}
+
+/**
+ * Response schema: columns plus system columns, FK labels, enum display values
+ */
+function recordSchema(entity, hidden) {
+  const properties = { id: { type: 'integer', readOnly: true } };
+
+  for (const col of entity.columns) {
+    if (hidden.has(col.name)) continue;
+    properties[col.name] = { ...columnSchema(entity, col), nullable: true };
+    if (col.system || col.ui?.readonly || col.computed) properties[col.name].readOnly = true;
+  }
+  for (const fk of entity.foreignKeys || []) {
+    if (hidden.has(fk.column) || !fk.displayName) continue;
+    properties[`${fk.displayName}_label`] = {
+      type: 'string', nullable: true, readOnly: true, description: `Label of the referenced ${fk.references?.entity || entity.className}`
+    };
+  }
+  for (const name of Object.keys(entity.enumFields || {})) {
+    if (hidden.has(name)) continue;
+    properties[`${name}_display`] = { type: 'string', nullable: true, readOnly: true, description: `Display value of ${name}` };
+  }
+  if (entity.labelExpression) {
+    properties._label = { type: 'string', nullable: true, readOnly: true, description: 'Computed record label' };
+  }
+
+  return {
+    type: 'object',
+    ...(entity.description ? { description: entity.description } : {}),
+    properties
+  };
+}
+
+/**
+ * Request schema for create (mode 'create'), update ('update') or the
+ * integration API with FK labels ('integrate')
+ */
+function inputSchema(entity, hidden, mode) {
+  const properties = {};
+  const required = [];
+
+  for (const col of writableColumns(entity, hidden)) {
+    const rule = entity.validationRules?.[col.name] || {};
+    const fk = col.foreignKey && (entity.foreignKeys || []).find(f => f.column === col.name);
+
+    if (mode === 'integrate' && fk?.displayName) {
+      properties[fk.displayName] = {
+        type: 'string',
+        description: `Label of the referenced ${col.foreignKey.entity} (see /api/integrate/${col.foreignKey.entity}/options), alternative to ${col.name}`
+      };
+      properties[col.name] = { ...columnSchema(entity, col), nullable: true };
+      continue;
+    }
+
+    properties[col.name] = columnSchema(entity, col);
+    if (mode === 'create' && rule.required && col.defaultValue == null) {
+      required.push(col.name);
+    } else {
+      properties[col.name].nullable = true;
+    }
+  }
+
+  if (mode !== 'create') {
+    properties._version = { type: 'integer', description: 'Expected version (alternative to If-Match)' };
+  }
+
+  return {
+    type: 'object',
+    properties,
+    ...(required.length > 0 ? { required } : {})
+  };
+}
+
+/**
+ * Row schema of a user view: columns by their SQL alias plus FK ids
+ */
+function viewRowSchema(view) {
+  const properties = { id: { type: 'integer', description: `ID of the ${view.base} record` } };
+  for (const col of view.columns) {
+    const type = col.jsType === 'number' ? 'number' : col.jsType === 'boolean' ? 'boolean' : 'string';
+    properties[col.sqlAlias] = { type, nullable: true, ...(col.path ? { description: col.path } : {}) };
+    if (col.fkIdColumn) {
+      properties[col.fkIdColumn] = { type: 'integer', nullable: true, description: `ID of the referenced ${col.fkEntity}` };
+    }
+  }
+  return { type: 'object', properties };
+}
+
+/**
+ * JSON response with a schema
+ */
+function jsonResponse(description, schema, headers) {
+  return {
+    description,
+    ...(headers ? { headers } : {}),
+    content: { 'application/json': { schema } }
+  };
+}
+
+function jsonBody(schema, contentType = 'application/json') {
+  return { required: true, content: { [contentType]: { schema } } };
+}
+
+/**
+ * Shared parameters, responses and error schema
+ */
+function buildComponents() {
+  return {
+    schemas: {
+      Error: {
+        type: 'object',
+        properties: {
+          error: {
+            type: 'object',
+            properties: {
+              code: { type: 'string', example: 'VALIDATION_ERROR' },
+              message: { type: 'string' },
+              correlationId: { type: 'string' },
+              details: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    field: { type: 'string' },
+                    code: { type: 'string' },
+                    message: { type: 'string' },
+                    value: {}
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      Option: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          label: { type: 'string' },
+          label2: { type: 'string' }
+        }
+      },
+      History: {
+        type: 'object',
+        properties: {
+          entity: { type: 'string' },
+          id: { type: 'integer' },
+          history: {
+            type: 'array',
+            description: 'Newest first',
+            items: {
+              type: 'object',
+              properties: {
+                auditId: { type: 'integer' },
+                action: { type: 'string', enum: ['CREATE', 'UPDATE', 'DELETE'] },
+                changedAt: { type: 'string' },
+                changedBy: { type: 'string', nullable: true },
+                version: { type: 'integer', nullable: true },
+                changes: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      field: { type: 'string' },
+                      from: {},
+                      to: {},
+                      fromLabel: { type: 'string', description: 'FK label of the old value' },
+                      toLabel: { type: 'string', description: 'FK label of the new value' }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      UpsertReport: {
+        type: 'object',
+        properties: {
+          entity: { type: 'string' },
+          key: {
+            type: 'object',
+            properties: { name: { type: 'string', example: 'UK1' }, columns: { type: 'array', items: { type: 'string' } } }
+          },
+          summary: {
+            type: 'object',
+            properties: {
+              created: { type: 'integer' },
+              updated: { type: 'integer' },
+              unchanged: { type: 'integer' },
+              deleted: { type: 'integer' },
+              failed: { type: 'integer' }
+            }
+          },
+          results: {
+            type: 'array',
+            description: 'One entry per sent record',
+            items: {
+              type: 'object',
+              properties: {
+                index: { type: 'integer' },
+                action: { type: 'string', enum: ['created', 'updated', 'unchanged', 'error'] },
+                id: { type: 'integer' },
+                key: { type: 'object', description: 'Key column values' },
+                error: { type: 'object', properties: { code: { type: 'string' }, message: { type: 'string' }, details: {} } }
+              }
+            }
+          },
+          deleted: {
+            type: 'array',
+            description: 'Records deleted by deleteMissing',
+            items: {
+              type: 'object',
+              properties: {
+                id: { type: 'integer' },
+                action: { type: 'string', enum: ['deleted', 'error'] },
+                key: { type: 'object' },
+                error: { type: 'object' }
+              }
+            }
+          }
+        }
+      }
+    },
+    parameters: {
+      id: { name: 'id', in: 'path', required: true, schema: { type: 'integer' } },
+      filter: {
+        name: 'filter', in: 'query', schema: { type: 'string' },
+        description: 'Shorthand filter: "column:value" (LIKE), "=column:value" (exact) or free text'
+      },
+      where: {
+        name: 'where', in: 'query', schema: { type: 'string' },
+        description: 'Filter expression, e.g. "status = \'ACTIVE\' AND amount > 100"'
+      },
+      field: {
+        name: 'field', in: 'query', schema: { type: 'string' },
+        description: 'Filter column (with value, alternative to filter)'
+      },
+      value: { name: 'value', in: 'query', schema: { type: 'string' }, description: 'Filter value for field' },
+      order: { name: 'order', in: 'query', schema: { type: 'string', enum: ['asc', 'desc'] } },
+      limit: { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1 } },
+      offset: { name: 'offset', in: 'query', schema: { type: 'integer', minimum: 0 } },
+      cursor: {
+        name: 'cursor', in: 'query', schema: { type: 'string' },
+        description: 'Keyset pagination instead of offset: empty for the first page, then next_cursor'
+      },
+      ifMatch: {
+        name: 'If-Match', in: 'header', schema: { type: 'string' },
+        description: 'ETag of the record ("Entity:id:version") for optimistic locking'
+      }
+    },
+    responses: {
+      BadRequest: jsonResponse('Validation failed', ref('Error')),
+      Forbidden: jsonResponse('Not allowed for this role or API key', ref('Error')),
+      NotFound: jsonResponse('Entity or record not found', ref('Error')),
+      Conflict: jsonResponse('Version conflict (record changed meanwhile) or constraint violation', ref('Error'))
+    }
+  };
+}
+
+/**
+ * Paths of /api/entities for one entity
+ */
+function entityPaths(name, entity, allow) {
+  const tag = name;
+  const etag = { ETag: { schema: { type: 'string' }, description: '"Entity:id:version"' } };
+  const listSchema = {
+    type: 'object',
+    properties: {
+      data: { type: 'array', items: ref(name) },
+      totalCount: { type: 'integer' },
+      limit: { type: 'integer', nullable: true },
+      offset: { type: 'integer', nullable: true },
+      next_cursor: { type: 'string', nullable: true, description: 'Only with cursor pagination' }
+    }
+  };
+  const visible = entity.columns.filter(c => !c.ui?.hidden).map(c => c.name);
+  const sortable = [
+    'id',
+    ...visible,
+    // FK conceptual names sort by the referenced record's label
+    ...(entity.foreignKeys || []).filter(fk => visible.includes(fk.column)).map(fk => fk.displayName),
+    ...(entity.labelExpression ? ['_label'] : [])
+  ];
+
+  const collection = {
+    get: {
+      tags: [tag],
+      summary: `List ${name} records`,
+      operationId: `list${name}`,
+      parameters: [
+        paramRef('filter'), paramRef('where'), paramRef('field'), paramRef('value'),
+        sortParam(sortable),
+        paramRef('order'), paramRef('limit'), paramRef('offset'), paramRef('cursor')
+      ],
+      responses: {
+        200: jsonResponse(`${name} records`, listSchema),
+        400: responseRef('BadRequest'),
+        403: responseRef('Forbidden')
+      }
+    }
+  };
+  if (allow.create) {
+    collection.post = {
+      tags: [tag],
+      summary: `Create ${name}`,
+      operationId: `create${name}`,
+      requestBody: jsonBody(ref(`${name}Input`)),
+      responses: {
+        201: jsonResponse(`Created ${name}`, ref(name), etag),
+        400: responseRef('BadRequest'),
+        403: responseRef('Forbidden'),
+        409: responseRef('Conflict')
+      }
+    };
+  }
+
+  const item = {
+    parameters: [paramRef('id')],
+    get: {
+      tags: [tag],
+      summary: `Get ${name}`,
+      operationId: `get${name}`,
+      parameters: [{
+        name: 'asOf', in: 'query', schema: { type: 'string' },
+        description: 'Timestamp: the record as it was at that time, rebuilt from the audit trail'
+      }],
+      responses: {
+        200: jsonResponse(name, ref(name), etag),
+        404: responseRef('NotFound')
+      }
+    }
+  };
+  const writeResponses = (description) => ({
+    200: jsonResponse(description, ref(name), etag),
+    400: responseRef('BadRequest'),
+    403: responseRef('Forbidden'),
+    404: responseRef('NotFound'),
+    409: responseRef('Conflict')
+  });
+  if (allow.update) {
+    item.put = {
+      tags: [tag],
+      summary: `Update ${name}`,
+      operationId: `update${name}`,
+      parameters: [paramRef('ifMatch')],
+      requestBody: jsonBody(ref(`${name}Update`)),
+      responses: writeResponses(`Updated ${name}`)
+    };
+    item.patch = {
+      tags: [tag],
+      summary: `Partially update ${name} (JSON Merge Patch)`,
+      description: 'Omitted members stay unchanged, null clears a field.',
+      operationId: `patch${name}`,
+      parameters: [paramRef('ifMatch')],
+      requestBody: jsonBody(ref(`${name}Update`), 'application/merge-patch+json'),
+      responses: writeResponses(`Updated ${name}`)
+    };
+  }
+  if (allow.delete) {
+    item.delete = {
+      tags: [tag],
+      summary: `Delete ${name}`,
+      operationId: `delete${name}`,
+      responses: {
+        200: jsonResponse('Deleted', {
+          type: 'object',
+          properties: { message: { type: 'string' }, deleted: ref(name) }
+        }),
+        403: responseRef('Forbidden'),
+        404: responseRef('NotFound'),
+        409: responseRef('Conflict')
+      }
+    };
+  }
+
+  const paths = {
+    [`/api/entities/${name}`]: collection,
+    // FK conceptual names group by the referenced record's label, dot-paths follow FKs
+    [`/api/entities/${name}/aggregate`]: aggregatePath(tag, `aggregate${name}`, name, sortable),
+    [`/api/entities/${name}/{id}`]: item,
+    [`/api/entities/${name}/{id}/history`]: {
+      parameters: [paramRef('id')],
+      get: {
+        tags: [tag],
+        summary: `Change history of a ${name}`,
+        operationId: `history${name}`,
+        responses: { 200: jsonResponse('Changes per audit entry', ref('History')), 404: responseRef('NotFound') }
+      }
+    }
+  };
+  if (allow.create && allow.update) {
+    const restoreResult = {
+      type: 'object',
+      properties: {
+        action: { type: 'string', enum: ['recreated', 'rolledBack'] },
+        record: ref(name),
+        auditId: { type: 'integer' }
+      }
+    };
+    paths[`/api/entities/${name}/{id}/restore`] = {
+      parameters: [paramRef('id')],
+      post: {
+        tags: [tag],
+        summary: `Restore a deleted ${name} or roll it back to an audit version`,
+        operationId: `restore${name}`,
+        parameters: [paramRef('ifMatch')],
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  auditId: { type: 'integer', description: 'Audit entry to restore (omitted: the deleted record)' },
+                  _version: { type: 'integer' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: jsonResponse('Rolled back', restoreResult),
+          201: jsonResponse('Re-created', restoreResult),
+          404: responseRef('NotFound'),
+          409: responseRef('Conflict')
+        }
+      }
+    };
+  }
+  return paths;
+}
+
+/**
+ * Paths of /api/integrate for one entity
+ */
+function integrationPaths(name, entity, allow) {
+  const tag = `Integration: ${name}`;
+  const fkError = jsonResponse('Foreign key labels could not be resolved (FK_RESOLUTION_FAILED)', ref('Error'));
+  const withFuzzy = {
+    allOf: [ref(name), {
+      type: 'object',
+      properties: {
+        _fuzzyMatches: {
+          type: 'array',
+          description: 'FK labels that only matched approximately',
+          items: {
+            type: 'object',
+            properties: {
+              field: { type: 'string' },
+              value: { type: 'string' },
+              matchedLabel: { type: 'string' },
+              targetEntity: { type: 'string' }
+            }
+          }
+        }
+      }
+    }]
+  };
+
+  const paths = {
+    [`/api/integrate/${name}/options`]: {
+      get: {
+        tags: [tag],
+        summary: `Picklist of ${name} (id and label)`,
+        operationId: `options${name}`,
+        parameters: [paramRef('field'), paramRef('value')],
+        responses: { 200: jsonResponse('Options ordered by label', { type: 'array', items: ref('Option') }) }
+      }
+    },
+    [`/api/integrate/${name}/lookup`]: {
+      get: {
+        tags: [tag],
+        summary: `Look up ${name} records`,
+        description: 'field may be a foreign key by its conceptual name (e.g. "building"); value is then the label of the referenced record.',
+        operationId: `lookup${name}`,
+        parameters: [paramRef('field'), paramRef('value'), paramRef('where')],
+        responses: {
+          200: jsonResponse('Matching records (max. 50)', {
+            type: 'object',
+            properties: { data: { type: 'array', items: ref(name) }, totalCount: { type: 'integer' } }
+          }),
+          400: responseRef('BadRequest'),
+          404: jsonResponse('Foreign key label not found (FK_NOT_FOUND)', ref('Error'))
+        }
+      }
+    }
+  };
+
+  if (allow.create) {
+    paths[`/api/integrate/${name}`] = {
+      post: {
+        tags: [tag],
+        summary: `Create ${name} with foreign keys given by label`,
+        operationId: `integrateCreate${name}`,
+        requestBody: jsonBody(ref(`${name}IntegrationInput`)),
+        responses: {
+          201: jsonResponse(`Created ${name}`, withFuzzy),
+          400: responseRef('BadRequest'),
+          422: fkError
+        }
+      }
+    };
+  }
+  if (allow.update) {
+    paths[`/api/integrate/${name}/{id}`] = {
+      parameters: [paramRef('id')],
+      put: {
+        tags: [tag],
+        summary: `Update ${name} with foreign keys given by label`,
+        operationId: `integrateUpdate${name}`,
+        parameters: [paramRef('ifMatch')],
+        requestBody: jsonBody(ref(`${name}IntegrationInput`)),
+        responses: {
+          200: jsonResponse(`Updated ${name}`, withFuzzy),
+          400: responseRef('BadRequest'),
+          404: responseRef('NotFound'),
+          409: responseRef('Conflict'),
+          422: fkError
+        }
+      }
+    };
+  }
+
+  // Upsert needs a natural key (UNIQUE column or UKn)
+  const keys = [
+    ...entity.columns.filter(c => c.unique).map(c => c.name),
+    ...Object.keys(entity.uniqueKeys || {})
+  ];
+  if (allow.create && allow.update && keys.length > 0) {
+    paths[`/api/integrate/${name}/upsert`] = {
+      post: {
+        tags: [tag],
+        summary: `Insert or update ${name} records by natural key (one transaction)`,
+        description: 'Records are matched on the key columns; if any record fails, nothing is saved and ' +
+          'the report is returned with 422 UPSERT_FAILED (error.details).',
+        operationId: `upsert${name}`,
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['records'],
+          properties: {
+            key: {
+              oneOf: [{ type: 'string', enum: keys }, { type: 'array', items: { type: 'string' } }],
+              description: `Natural key: ${keys.join(', ')}${keys.length === 1 ? ' (default)' : ''}`
+            },
+            records: { type: 'array', items: ref(`${name}IntegrationInput`) },
+            ...(allow.delete ? {
+              deleteMissing: { type: 'boolean', default: false, description: `Delete ${name} records whose key is not sent` },
+              where: { type: 'string', description: 'Filter expression limiting deleteMissing' }
+            } : {})
+          }
+        }),
+        responses: {
+          200: jsonResponse('All records saved', ref('UpsertReport')),
+          400: responseRef('BadRequest'),
+          403: responseRef('Forbidden'),
+          422: jsonResponse('Some records failed, nothing was saved (UPSERT_FAILED, report in error.details)', ref('Error'))
+        }
+      }
+    };
+  }
+  return paths;
+}
+
+/**
+ * sort query parameter: comma-separated sort keys
+ */
+function sortParam(sortable) {
+  return {
+    name: 'sort',
+    in: 'query',
+    schema: { type: 'string' },
+    description: `Comma-separated sort keys in priority order, each with optional ":desc" ` +
+      `(\`order\` is the default direction). Columns: ${sortable.join(', ')}`
+  };
+}
+
+/**
+ * Path of an aggregate endpoint (entities and views)
+ * @param {string} tag - Operation tag
+ * @param {string} operationId - Operation id
+ * @param {string} subject - Entity or view name for the summary
+ * @param {string[]} columns - Columns usable for grouping and aggregates
+ */
+function aggregatePath(tag, operationId, subject, columns) {
+  return {
+    get: {
+      tags: [tag],
+      summary: `Grouped aggregates of ${subject}`,
+      operationId,
+      parameters: [
+        {
+          name: 'group', in: 'query', schema: { type: 'string' },
+          description: 'Comma-separated group-by columns in order; @Y / @M prefix buckets a date by year / month ' +
+            `(e.g. "@Y<column>"). Columns: ${columns.join(', ')}`
+        },
+        {
+          name: 'agg', in: 'query', schema: { type: 'string', default: 'count' },
+          description: 'Comma-separated aggregates: count, sum(col), avg(col), min(col), max(col)'
+        },
+        paramRef('filter'), paramRef('where'),
+        {
+          name: 'sort', in: 'query', schema: { type: 'string' },
+          description: 'Group or aggregate keys as requested, e.g. "sum(value):desc" (default: groups ascending)'
+        },
+        { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 10000 }, description: 'Number of groups' }
+      ],
+      responses: {
+        200: jsonResponse('One row per group, keyed by the group and aggregate expressions', {
+          type: 'object',
+          properties: {
+            groups: { type: 'array', items: { type: 'string' } },
+            aggregates: { type: 'array', items: { type: 'string' } },
+            data: { type: 'array', items: { type: 'object', additionalProperties: true } }
+          }
+        }),
+        400: responseRef('BadRequest'),
+        403: responseRef('Forbidden'),
+        404: responseRef('NotFound')
+      }
+    }
+  };
+}
+
+/**
+ * Path of /api/views for one user view
+ */
+function viewPath(view, schemaName) {
+  const sortable = view.columns.map(c => c.label);
+  const detail = !!view.detail;
+
+  return {
+    get: {
+      tags: ['Views'],
+      summary: view.name,
+      ...(view.description ? { description: view.description } : {}),
+      operationId: `view${schemaName}`,
+      parameters: detail
+        ? [
+          { name: 'field', in: 'query', required: true, schema: { type: 'string' }, description: 'Column of the base record' },
+          { name: 'value', in: 'query', required: true, schema: { type: 'string' } }
+        ]
+        : [
+          paramRef('filter'), paramRef('where'), paramRef('field'), paramRef('value'),
+          sortParam(sortable),
+          paramRef('order'), paramRef('limit'), paramRef('offset'), paramRef('cursor')
+        ],
+      responses: {
+        200: jsonResponse(`Rows of ${view.name}`, detail
+          ? { type: 'object', description: 'Record tree assembled from the view template' }
+          : {
+            type: 'object',
+            properties: {
+              data: { type: 'array', items: ref(schemaName) },
+              total: { type: 'integer' },
+              view: { type: 'string' },
+              next_cursor: { type: 'string', nullable: true }
+            }
+          }),
+        400: responseRef('BadRequest'),
+        403: responseRef('Forbidden'),
+        404: responseRef('NotFound')
+      }
+    }
+  };
+}
+
+/**
+ * Path of /api/views/:name/pivot for a pivot view
+ */
+function pivotPath(view, schemaName) {
+  const { rows, column, label } = view.pivot;
+  return {
+    get: {
+      tags: ['Views'],
+      summary: `${view.name} (crosstab)`,
+      description: `${label} by ${rows.join(', ')} × ${column}, with row and column totals`,
+      operationId: `pivot${schemaName}`,
+      parameters: [paramRef('filter'), paramRef('where')],
+      responses: {
+        200: jsonResponse('Crosstab', {
+          type: 'object',
+          properties: {
+            view: { type: 'string' },
+            rows: { type: 'array', items: { type: 'string' }, description: 'Row key labels' },
+            column: { type: 'string', description: 'Column key label' },
+            value: { type: 'string' },
+            fn: { type: 'string', enum: ['count', 'sum', 'avg', 'min', 'max'] },
+            columns: { type: 'array', items: {}, description: 'Column keys in order' },
+            data: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  keys: { type: 'array', items: {} },
+                  values: { type: 'array', items: { type: 'number', nullable: true } },
+                  total: { type: 'number', nullable: true }
+                }
+              }
+            },
+            totals: {
+              type: 'object',
+              properties: {
+                values: { type: 'array', items: { type: 'number', nullable: true } },
+                total: { type: 'number', nullable: true }
+              }
+            }
+          }
+        }),
+        400: responseRef('BadRequest'),
+        403: responseRef('Forbidden'),
+        404: responseRef('NotFound')
+      }
+    }
+  };
+}
+
+/**
+ * Component name for a view (letters and digits only)
+ */
+function viewSchemaName(view) {
+  const words = view.name.split(/[^A-Za-z0-9]+/).filter(Boolean);
+  return 'View' + words.map(w => w[0].toUpperCase() + w.slice(1)).join('');
+}
+
+/**
+ * Generate the OpenAPI document
+ * @param {Object} options
+ * @param {Object} [options.user] - req.user (undefined without auth = unrestricted)
+ * @param {string[]} options.enabledEntities - Entities served by the API
+ * @param {string} [options.title] - Document title
+ * @param {string} [options.description] - Document description
+ * @param {string} [options.version] - API version
+ * @param {string} [options.basePath] - Server base path (config basePath)
+ * @param {boolean} [options.authEnabled] - Describe session cookie and API key security
+ * @returns {Object} OpenAPI 3 document
+ */
+function generateOpenApi(options) {
+  const { user, enabledEntities, title, description, version, basePath, authEnabled } = options;
+  const schema = getSchema();
+  const role = user?.role;
+  const readOnly = READ_ONLY_ROLES.includes(role);
+
+  const components = buildComponents();
+  const paths = {};
+  const entityNames = enabledEntities.filter(name =>
+    schema.entities[name] &&
+    (!user?.allowedEntities || user.allowedEntities.includes(name)) &&
+    permissions.can(name, role, 'read')
+  );
+
+  for (const name of entityNames) {
+    const entity = schema.entities[name];
+    const hidden = permissions.getHiddenColumns(name, role);
+    const allow = {
+      create: !readOnly && permissions.can(name, role, 'create'),
+      update: !readOnly && permissions.can(name, role, 'update'),
+      delete: !readOnly && permissions.can(name, role, 'delete')
+    };
+
+    components.schemas[name] = recordSchema(entity, hidden);
+    if (allow.create) components.schemas[`${name}Input`] = inputSchema(entity, hidden, 'create');
+    if (allow.update) components.schemas[`${name}Update`] = inputSchema(entity, hidden, 'update');
+    if (allow.create || allow.update) {
+      components.schemas[`${name}IntegrationInput`] = inputSchema(entity, hidden, 'integrate');
+    }
+
+    Object.assign(paths, entityPaths(name, entity, allow));
+    // The integration API is for writing clients; guests never reach it
+    if (!readOnly) Object.assign(paths, integrationPaths(name, entity, allow));
+  }
+
+  if (!readOnly && entityNames.length > 0) {
+    paths['/api/entities/_batch'] = {
+      post: {
+        tags: ['Batch'],
+        summary: 'Create, update and delete across entities in one transaction',
+        operationId: 'batch',
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['operations'],
+          properties: {
+            operations: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['op', 'entity'],
+                properties: {
+                  op: { type: 'string', enum: ['create', 'update', 'delete'] },
+                  entity: { type: 'string', enum: entityNames },
+                  id: { type: 'integer' },
+                  data: { type: 'object', description: 'Record fields; { "$ref": name } for ids created earlier in the batch' },
+                  ifMatch: { type: 'string' },
+                  ref: { type: 'string', description: 'Name for the created id' }
+                }
+              }
+            }
+          }
+        }),
+        responses: {
+          200: jsonResponse('All operations committed', {
+            type: 'object',
+            properties: {
+              correlationId: { type: 'string' },
+              results: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    op: { type: 'string' },
+                    entity: { type: 'string' },
+                    id: { type: 'integer' },
+                    record: { type: 'object' },
+                    etag: { type: 'string' }
+                  }
+                }
+              }
+            }
+          }),
+          400: responseRef('BadRequest'),
+          403: responseRef('Forbidden'),
+          409: responseRef('Conflict')
+        }
+      }
+    };
+  }
+
+  // User views (API keys with an entity scope only get views of their entities)
+  for (const fullView of schema.userViews || []) {
+    const view = permissions.restrictView(fullView, role);
+    if (!view) continue;
+    if (user?.allowedEntities && !user.allowedEntities.includes(view.base)) continue;
+
+    const schemaName = viewSchemaName(view);
+    if (!view.detail) components.schemas[schemaName] = viewRowSchema(view);
+    paths[`/api/views/${encodeURIComponent(view.name)}`] = viewPath(view, schemaName);
+    if (!view.detail) {
+      paths[`/api/views/${encodeURIComponent(view.name)}/aggregate`] =
+        aggregatePath('Views', `aggregate${schemaName}`, view.name, view.columns.map(c => c.label));
+    }
+    if (view.pivot) {
+      paths[`/api/views/${encodeURIComponent(view.name)}/pivot`] = pivotPath(view, schemaName);
+    }
+  }
+
+  const doc = {
+    openapi: OPENAPI_VERSION,
+    info: {
+      title: title || 'AIDE RAP',
+      version: version || '1.0.0',
+      ...(description ? { description } : {})
+    },
+    servers: [{ url: basePath || '/' }],
+    tags: [
+      ...entityNames.map(name => ({
+        name,
+        ...(schema.entities[name].description ? { description: schema.entities[name].description } : {})
+      })),
+      ...(readOnly ? [] : entityNames.map(name => ({ name: `Integration: ${name}` }))),
+      { name: 'Views', description: 'User views (read only)' }
+    ],
+    paths,
+    components
+  };
+
+  if (authEnabled) {
+    components.securitySchemes = {
+      session: { type: 'apiKey', in: 'cookie', name: 'rap-session', description: 'Session cookie from /api/auth/login' },
+      apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+    };
+    doc.security = [{ session: [] }, { apiKey: [] }];
+  }
+
+  return doc;
+}
+
+module.exports = {
+  generateOpenApi
+};
@@ -0,0 +1,141 @@
+/**
+ * PivotQuery - Crosstab of a pivot view: row keys × column key → aggregated value
+ *
+ * Pivot views (view JSON "pivot", see UserViewGenerator) compile to an SQL view
+ * with one row per base record. This module groups the filtered rows per request:
+ *
+ *   cells          GROUP BY row keys, column key
+ *   row totals     GROUP BY row keys
+ *   column totals  GROUP BY column key
+ *   grand total    over all rows
+ *
+ * Totals are aggregated from the records, so the total of an average is the
+ * average of all records, not of the cells.
+ *
+ * Result:
+ *   { rows: ['Building'], column: 'Month', value: 'Usage', fn: 'sum',
+ *     columns: ['2024-01', '2024-02'],
+ *     data: [{ keys: ['Kurhaus'], values: [12, 30], total: 42 }],
+ *     totals: { values: [12, 30], total: 42 } }
+ */
+
+const { ValidationError } = require('../errors/ValidationError');
+
+/** Maximum number of distinct column keys, of result rows and of cells (rows × column keys) */
+const MAX_PIVOT_COLUMNS = 500;
+const MAX_PIVOT_ROWS = 10000;
+const MAX_PIVOT_CELLS = 100000;
+
+/**
+ * Quote a view column alias as SQL identifier
+ */
+function quoteAlias(alias) {
+  return `b."${alias.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Compute the crosstab of a pivot view
+ * @param {Database} db - better-sqlite3 database
+ * @param {Object} view - Parsed pivot view (view.pivot: { rows, column, fn, value, label })
+ * @param {Object} options
+ * @param {string} options.source - FROM expression with the filtered view rows, aliased "b"
+ * @param {any[]} options.params - Parameters of the source
+ * @returns {Object} Crosstab (see module doc)
+ * @throws {ValidationError} If there are too many column keys, rows or cells
+ */
+function queryPivot(db, view, { source, params }) {
+  const { rows, column, fn, value, label } = view.pivot;
+  const rowExprs = rows.map(quoteAlias);
+  const columnExpr = quoteAlias(column);
+  const valueExpr = value ? `${fn.toUpperCase()}(${quoteAlias(value)})` : 'COUNT(*)';
+  const rowSelect = rowExprs.map((expr, i) => `${expr} AS k${i}`).join(', ');
+  const rowOrder = rowExprs.map((_, i) => `k${i}`).join(', ');
+
+  const columnTotals = db.prepare(
+    `SELECT ${columnExpr} AS c, ${valueExpr} AS v FROM ${source} GROUP BY ${columnExpr} ORDER BY c LIMIT ${MAX_PIVOT_COLUMNS + 1}`
+  ).all(...params);
+  if (columnTotals.length > MAX_PIVOT_COLUMNS) {
+    throw new ValidationError(
+      [`"${column}" has more than ${MAX_PIVOT_COLUMNS} values, narrow the rows with a filter`],
+      'Pivot too large'
+    );
+  }
+
+  const rowTotals = db.prepare(
+    `SELECT ${rowSelect}, ${valueExpr} AS v FROM ${source} GROUP BY ${rowExprs.join(', ')} ORDER BY ${rowOrder} LIMIT ${MAX_PIVOT_ROWS + 1}`
+  ).all(...params);
+  if (rowTotals.length > MAX_PIVOT_ROWS) {
+    throw new ValidationError(
+      [`More than ${MAX_PIVOT_ROWS} rows, narrow the rows with a filter`],
+      'Pivot too large'
+    );
+  }
+  if (rowTotals.length * columnTotals.length > MAX_PIVOT_CELLS) {
+    throw new ValidationError(
+      [`${rowTotals.length} rows × ${columnTotals.length} "${column}" values exceed ${MAX_PIVOT_CELLS} cells, narrow the rows with a filter`],
+      'Pivot too large'
+    );
+  }
+
+  const cells = db.prepare(
+    `SELECT ${rowSelect}, ${columnExpr} AS c, ${valueExpr} AS v FROM ${source} GROUP BY ${rowExprs.join(', ')}, ${columnExpr}`
+  ).all(...params);
+  const grand = db.prepare(`SELECT ${valueExpr} AS v FROM ${source}`).get(...params);
+
+  const rowKeys = (row) => rows.map((_, i) => row[`k${i}`]);
+  const columns = columnTotals.map(r => r.c);
+  const columnIndex = new Map(columns.map((c, i) => [c, i]));
+
+  const data = [];
+  const rowIndex = new Map();
+  for (const row of rowTotals) {
+    const keys = rowKeys(row);
+    rowIndex.set(JSON.stringify(keys), data.length);
+    data.push({ keys, values: columns.map(() => null), total: row.v });
+  }
+  for (const cell of cells) {
+    const target = data[rowIndex.get(JSON.stringify(rowKeys(cell)))];
+    if (target) target.values[columnIndex.get(cell.c)] = cell.v;
+  }
+
+  return {
+    rows,
+    column,
+    value: label,
+    fn,
+    columns,
+    data,
+    totals: { values: columnTotals.map(r => r.v), total: grand?.v ?? null }
+  };
+}
+
+/**
+ * Flatten a crosstab into export columns and records (CsvService, XlsxService):
+ * row key columns, one column per column key, the row total, and a totals row
+ * @param {Object} pivot - Result of queryPivot
+ * @param {string} [totalLabel] - Header of the total column and label of the totals row
+ * @returns {{ columns: { key, label }[], records: Object[] }}
+ */
+function pivotToTable(pivot, totalLabel = 'Total') {
+  const columns = [
+    ...pivot.rows.map((label, i) => ({ key: `k${i}`, label })),
+    ...pivot.columns.map((c, i) => ({ key: `c${i}`, label: c === null ? '' : String(c) })),
+    { key: 'total', label: totalLabel }
+  ];
+
+  const toRecord = (keys, values, total) => {
+    const record = { total };
+    keys.forEach((key, i) => { record[`k${i}`] = key; });
+    values.forEach((value, i) => { record[`c${i}`] = value; });
+    return record;
+  };
+
+  const records = pivot.data.map(row => toRecord(row.keys, row.values, row.total));
+  records.push(toRecord([totalLabel], pivot.totals.values, pivot.totals.total));
+  return { columns, records };
+}
+
+module.exports = {
+  queryPivot,
+  pivotToTable
+};
@@ -0,0 +1,83 @@
+/**
+ * RecordRules - Cross-record validation rules (## Record Rules) checked against the database
+ *
+ * A rule is a SELECT that returns a row if the record violates it, e.g. overlapping
+ * periods of the same engine:
+ *   SELECT 1 FROM allocation
+ *   WHERE engine_id = :engine_id AND id IS NOT :id
+ *     AND start_date <= :end_date AND end_date >= :start_date
+ *
+ * The query sees the database WITHOUT the record being saved; :name parameters are
+ * bound from the complete record (DB column names, :id = own id or null when new).
+ * GenericRepository checks before writing, inside the caller's transaction;
+ * seed imports check every row before it is inserted.
+ *
+ * Violations use the ObjectValidator error format ({ field, relatedFields, code, message })
+ * so they can be thrown as ValidationError and shown on the form fields.
+ *
+ * LOCALITY: Like SchemaMigrator, this module has NO imports of database.js;
+ * the database handle is passed in.
+ */
+
+/**
+ * SQLite cannot bind booleans or undefined
+ */
+function toSqlValue(value) {
+  if (value === true) return 1;
+  if (value === false) return 0;
+  return value === undefined ? null : value;
+}
+
+/**
+ * Message of a rule from its ## Error Messages entry (raw code as fallback)
+ */
+function ruleMessage(rule) {
+  const msgDef = rule.messages;
+  // Use 'en' as default language, like the custom constraints of ObjectValidator
+  return msgDef ? (msgDef.en || Object.values(msgDef)[0] || rule.code) : rule.code;
+}
+
+/**
+ * Check the record rules of an entity
+ * @param {Object} db - Database instance
+ * @param {Object} entity - Entity schema object (recordRules from SchemaGenerator)
+ * @param {Object} record - Complete record as it will be saved (id = null for new records)
+ * @returns {Array<Object>} Errors (empty = valid)
+ */
+function check(db, entity, record) {
+  const errors = [];
+
+  for (const rule of entity.recordRules || []) {
+    const params = {};
+    for (const name of rule.params) {
+      params[name] = toSqlValue(record[name]);
+    }
+
+    try {
+      const stmt = db.prepare(rule.sql);
+      if (!stmt.reader) throw new Error('only SELECT queries are allowed');
+      if (stmt.get(params) === undefined) continue;
+
+      errors.push({
+        field: rule.columns[0] || '_record',
+        relatedFields: rule.columns.slice(1),
+        code: 'RECORD_' + rule.code,
+        message: ruleMessage(rule)
+      });
+    } catch (e) {
+      // Faulty rule (designer error): reported like a failing custom constraint
+      errors.push({
+        field: '_record',
+        relatedFields: [],
+        code: 'RECORD_RULE_ERROR',
+        message: `Record rule ${rule.code} failed: ${e.message}`
+      });
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  check
+};
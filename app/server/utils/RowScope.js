@@ -0,0 +1,40 @@
+/**
+ * RowScope - Apply row-level security rules to SQL sources
+ *
+ * A row scope (PermissionService.getRowScope) is a WITH clause that shadows
+ * every table with a row rule for the current user:
+ *   WITH "meter" AS (SELECT * FROM main."meter" WHERE department_id = ?)
+ *
+ * SQLite resolves CTE names before table names, but not inside stored views.
+ * scopedFrom() therefore inlines the view definition, so entity views
+ * (<table>_view), user views (uv_*) and their FK joins, label joins and
+ * back-reference subqueries only ever see visible rows.
+ */
+
+const { getDatabase } = require('../config/database');
+
+/**
+ * Build a FROM source restricted by a row scope
+ * @param {string} source - Table or view name (as used in FROM)
+ * @param {Object|null} scope - { with: 'WITH ...', params: [] } or null (unrestricted)
+ * @returns {{ sql: string, params: any[] }} FROM expression (aliased to the source name)
+ *   and its parameters, which precede all WHERE parameters of the query
+ */
+function scopedFrom(source, scope) {
+  if (!scope) return { sql: source, params: [] };
+
+  const db = getDatabase();
+  const row = db.prepare("SELECT type, sql FROM sqlite_master WHERE name = ? AND type IN ('table', 'view')").get(source);
+  const select = row?.type === 'view'
+    ? row.sql.replace(/^\s*CREATE\s+VIEW\s+(IF\s+NOT\s+EXISTS\s+)?("[^"]+"|\S+)\s+AS\s+/i, '')
+    : `SELECT * FROM "${source}"`;
+
+  return {
+    sql: `(${scope.with} ${select}) AS "${source}"`,
+    params: [...scope.params]
+  };
+}
+
+module.exports = {
+  scopedFrom
+};
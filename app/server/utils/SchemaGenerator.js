@@ -6,6 +6,7 @@
  * - Validation rules for ObjectValidator
  * - Foreign key relationships
  * - UNIQUE constraints and indexes
+ * - Full-text search indexes (FTS5) for [SEARCH] columns
  * - Area mappings for UI
  */
 
@@ -13,6 +14,7 @@ const fs = require('fs');
 const path = require('path');
 const { getTypeRegistry } = require('../../shared/types/TypeRegistry');
 const { TypeParser } = require('../../shared/types/TypeParser');
+const { parseExpression } = require('./FilterExpression');
 
 // Shared TypeParser instance for extracting type names from markdown links
 const typeParserInstance = new TypeParser();
@@ -160,14 +162,16 @@ function toSnakeCase(str) {
 
 /**
  * Parse constraint annotations from description
- * Supported: [UNIQUE], [UK1], [UK2], [INDEX], [IX1], [IX2]
+ * Supported: [UNIQUE], [UK1], [UK2], [INDEX], [IX1], [IX2], [SEARCH], [WAS=old_name]
  */
 function parseConstraints(description) {
   const constraints = {
     unique: false,
     uniqueKey: null,
     index: false,
-    indexKey: null
+    indexKey: null,
+    search: false,
+    was: null
   };
 
   // Match [UNIQUE]
@@ -192,6 +196,17 @@ function parseConstraints(description) {
     constraints.indexKey = `IX${ixMatch[1]}`;
   }
 
+  // Match [SEARCH] (full-text index)
+  if (/\[SEARCH\]/i.test(description)) {
+    constraints.search = true;
+  }
+
+  // Match [WAS=old_name] (attribute renamed, migration keeps the data)
+  const wasMatch = description.match(/\[WAS=(\w+)\]/i);
+  if (wasMatch) {
+    constraints.was = wasMatch[1];
+  }
+
   return constraints;
 }
 
@@ -303,9 +318,9 @@ function parseLabelExpression(expr) {
 
 /**
  * Parse entity-level annotations from content before ## sections
- * Supports: [LABEL=concat(...)] or [LABEL=fieldname], [LABEL2=...]
+ * Supports: [LABEL=concat(...)] or [LABEL=fieldname], [LABEL2=...], [SEARCH], [WAS=OldEntity]
  * @param {string[]} headerLines - Lines between H1 and first ## section
- * @returns {object} - { labelExpression?, label2Expression? }
+ * @returns {object} - { labelExpression?, label2Expression?, search?, was? }
  */
 function parseEntityLevelAnnotations(headerLines) {
   const annotations = {};
@@ -331,6 +346,17 @@ function parseEntityLevelAnnotations(headerLines) {
       annotations.computed = true;
     }
 
+    // Match [SEARCH] — full-text index over all text columns
+    if (/\[SEARCH\]/i.test(line)) {
+      annotations.search = true;
+    }
+
+    // Match [WAS=OldEntity] — entity renamed, migration keeps table and data
+    const wasMatch = line.match(/\[WAS=(\w+)\]/i);
+    if (wasMatch) {
+      annotations.was = wasMatch[1];
+    }
+
     // Match [API_REFRESH: name] — entity can be refreshed from external API
     const apiRefreshMatch = line.match(/\[API_REFRESH:\s*(\w+)\]/i);
     if (apiRefreshMatch) {
@@ -873,11 +899,101 @@ function parseServerCalculationsSection(fileContent) {
   return calcs;
 }
 
+/**
+ * Built-in constraint functions of the ## Constraints section.
+ * min/max: number of arguments. The ObjectValidator implements the checks.
+ */
+const CONSTRAINT_FUNCTIONS = {
+  TimeRange: { min: 2, max: 2 },
+  NumericRange: { min: 2, max: 2 },
+  RequiredIf: { min: 2, max: 2 },
+  MutuallyExclusive: { min: 2 },
+  AtLeastOneOf: { min: 2 },
+  SumEquals: { min: 2 },
+  NotInFuture: { min: 1, max: 1 },
+  UniqueWithinParent: { min: 2, max: 2 }
+};
+
+/**
+ * Split constraint arguments at commas outside of double quotes
+ * @param {string} argString - Text between the parentheses
+ * @returns {string[]}
+ */
+function splitConstraintArgs(argString) {
+  const args = [];
+  let current = '';
+  let inQuotes = false;
+  for (const ch of argString) {
+    if (ch === '"') inQuotes = !inQuotes;
+    if (ch === ',' && !inQuotes) {
+      args.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (current.trim()) args.push(current.trim());
+  return args;
+}
+
+/**
+ * Parse one built-in constraint line: FunctionName(args) [: "message" | : CODE]
+ * Arguments are field names; RequiredIf accepts `field = value` as second
+ * argument, SumEquals a number as first argument (the fixed total).
+ * @param {string} line - Trimmed line
+ * @returns {Object|false|null} Parsed rule, false if invalid (warned), null if the line is no constraint function
+ */
+function parseConstraintFunction(line) {
+  const match = line.match(/^(\w+)\s*\((.*)\)(?:\s*:\s*(?:"([^"]*)"|(\w+)))?$/);
+  if (!match || !CONSTRAINT_FUNCTIONS[match[1]]) return null;
+
+  const [, name, argString, message, messageCode] = match;
+  const spec = CONSTRAINT_FUNCTIONS[name];
+  const args = splitConstraintArgs(argString);
+  if (args.length < spec.min || (spec.max && args.length > spec.max)) {
+    console.warn(`[Schema Warning] ${name} expects ${spec.max === spec.min ? spec.min : `at least ${spec.min}`} arguments: "${line}"`);
+    return false;
+  }
+
+  const rule = { name, fields: [], value: null, message: message || null, messageCode: messageCode || null };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (name === 'SumEquals' && i === 0 && /^-?\d+(\.\d+)?$/.test(arg)) {
+      rule.value = parseFloat(arg);
+      continue;
+    }
+    const condMatch = name === 'RequiredIf' && i === 1 && arg.match(/^(\w+)\s*=\s*(?:"([^"]*)"|(\S+))$/);
+    if (condMatch) {
+      rule.fields.push(condMatch[1]);
+      rule.value = condMatch[2] !== undefined ? condMatch[2] : condMatch[3];
+      continue;
+    }
+    if (!/^\w+$/.test(arg)) {
+      console.warn(`[Schema Warning] Invalid argument "${arg}" in constraint: "${line}"`);
+      return false;
+    }
+    rule.fields.push(arg);
+  }
+  if (name === 'SumEquals' && rule.fields.length < 2 && rule.value === null) {
+    console.warn(`[Schema Warning] SumEquals needs a total and at least one summand: "${line}"`);
+    return false;
+  }
+
+  // Range rules keep their two named fields (fieldA <= fieldB)
+  if (name === 'TimeRange' || name === 'NumericRange') {
+    rule.fieldA = rule.fields[0];
+    rule.fieldB = rule.fields[1];
+  }
+  return rule;
+}
+
 /**
  * Parse ## Constraints section from entity markdown.
  * Supports two types of constraints:
- * 1. Built-in rules: TimeRange(fieldA, fieldB) or NumericRange(fieldA, fieldB)
- *    Optional custom message: TimeRange(a, b) : "Custom error message"
+ * 1. Built-in rules (see CONSTRAINT_FUNCTIONS), e.g. TimeRange(fieldA, fieldB),
+ *    RequiredIf(reason, status = CANCELLED), AtLeastOneOf(phone, email)
+ *    Optional message: TimeRange(a, b) : "Custom error message"
+ *    or a code of the ## Error Messages section: RequiredIf(a, b) : REASON_MISSING
  * 2. Custom JS blocks: ```js ... ``` with error(fields, code) calls
  *
  * @param {string} fileContent - Markdown content
@@ -902,17 +1018,10 @@ function parseConstraintsSection(fileContent) {
     // Skip empty lines and comments
     if (!trimmed || trimmed.startsWith('#')) continue;
 
-    // Parse built-in rule: FunctionName(fieldA, fieldB) [: "message"]
-    const builtinMatch = trimmed.match(
-      /^(TimeRange|NumericRange)\s*\(\s*(\w+)\s*,\s*(\w+)\s*\)(?:\s*:\s*"([^"]*)")?$/
-    );
-    if (builtinMatch) {
-      builtinRules.push({
-        name: builtinMatch[1],
-        fieldA: builtinMatch[2],
-        fieldB: builtinMatch[3],
-        message: builtinMatch[4] || null
-      });
+    // Parse built-in rule: FunctionName(args) [: "message" | : CODE]
+    const builtinRule = parseConstraintFunction(trimmed);
+    if (builtinRule !== null) {
+      if (builtinRule) builtinRules.push(builtinRule);
       continue;
     }
 
@@ -990,6 +1099,129 @@ function parseErrorMessagesSection(fileContent) {
   return messages;
 }
 
+/** Permission actions (columns of the ## Permissions table) */
+const PERMISSION_ACTIONS = ['read', 'create', 'update', 'delete'];
+
+/**
+ * Parse ## Record Rules section from entity markdown.
+ * Cross-record rules checked against the database, one ### CODE subsection each:
+ *   - **Fields:** field1, field2  (involved fields, first one gets the message)
+ *   - ```sql ... ```             (SELECT that returns a row if the record violates the rule)
+ *
+ * @param {string} fileContent - Markdown content
+ * @returns {Array<{ code: string, fields: string[], sql: string }>}
+ */
+function parseRecordRulesSection(fileContent) {
+  const rules = [];
+  const lines = fileContent.split('\n');
+  let inSection = false;
+  let current = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const trimmed = lines[i].trim();
+
+    if (trimmed === '## Record Rules') {
+      inSection = true;
+      continue;
+    }
+    if (inSection && trimmed.startsWith('## ')) break;
+    if (!inSection) continue;
+
+    // ### CODE starts a rule (code = key in ## Error Messages)
+    if (trimmed.startsWith('### ')) {
+      current = { code: trimmed.substring(4).trim(), fields: [], sql: '' };
+      rules.push(current);
+      continue;
+    }
+    if (!current) continue;
+
+    const fieldsMatch = trimmed.match(/^\*\*Fields:\*\*\s*(.+)$/i);
+    if (fieldsMatch) {
+      current.fields = fieldsMatch[1].split(',').map(s => s.trim()).filter(Boolean);
+      continue;
+    }
+
+    if (trimmed === '```sql') {
+      const sqlLines = [];
+      i++;
+      while (i < lines.length && lines[i].trim() !== '```') {
+        sqlLines.push(lines[i]);
+        i++;
+      }
+      current.sql = sqlLines.join('\n').trim();
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Parse ## Permissions section from entity markdown.
+ * Table format: | Role | Read | Create | Update | Delete | Hidden | Readonly | Rows |
+ *   - Role: admin, user, guest or * (all roles without their own row)
+ *   - Read/Create/Update/Delete: yes/x = allowed, anything else = denied
+ *     (omitted columns default to allowed)
+ *   - Hidden/Readonly: comma-separated field names (conceptual FK names and
+ *     aggregate names are resolved later)
+ *   - Rows: row-level security rule as filter expression with :user.<attr> parameters,
+ *     e.g. department_id = :user.department_id (empty or - = all rows)
+ *
+ * @param {string} fileContent - Markdown content
+ * @returns {Object|null} { role: { read, create, update, delete, hidden: [], readonly: [], rows } } or null
+ */
+function parsePermissionsSection(fileContent) {
+  const roles = {};
+  const lines = fileContent.split('\n');
+  let inSection = false;
+  let headers = null;
+
+  for (const line of lines) {
+    const trimmed = line.trim();
+
+    if (trimmed === '## Permissions') {
+      inSection = true;
+      continue;
+    }
+    if (inSection && trimmed.startsWith('## ')) break;
+    if (!inSection) continue;
+
+    if (!trimmed.startsWith('|')) continue;
+
+    // Keep empty cells: an empty Hidden/Create cell is meaningful
+    const cells = trimmed.split('|').slice(1, -1).map(s => s.trim());
+
+    // Header row: column names in any order
+    if (!headers) {
+      if (cells[0]?.toLowerCase() === 'role') {
+        headers = cells.map(h => h.toLowerCase());
+      }
+      continue;
+    }
+
+    // Skip separator row (|---|----|)
+    if (trimmed.match(/^\|[\s-|:]+$/)) continue;
+
+    const role = cells[0];
+    if (!role) continue;
+
+    const entry = { read: true, create: true, update: true, delete: true, hidden: [], readonly: [], rows: null };
+    headers.forEach((header, i) => {
+      const cell = cells[i] ?? '';
+      if (PERMISSION_ACTIONS.includes(header)) {
+        entry[header] = /^(yes|y|x|true|✓)$/i.test(cell);
+      } else if (header === 'hidden' || header === 'readonly') {
+        entry[header] = cell.split(',').map(f => f.trim()).filter(f => f && f !== '-');
+      } else if (header === 'rows') {
+        const rule = cell.replace(/^`(.*)`$/, '$1').trim();
+        entry.rows = rule && rule !== '-' ? rule : null;
+      }
+    });
+    roles[role] = entry;
+  }
+
+  return Object.keys(roles).length > 0 ? roles : null;
+}
+
 /**
  * Decode HTML entities
  */
@@ -1232,6 +1464,12 @@ function parseEntityFile(fileContent) {
   const constraints = parseConstraintsSection(fileContent);
   const errorMessages = parseErrorMessagesSection(fileContent);
 
+  // Parse ## Record Rules section (cross-record SQL checks)
+  const recordRules = parseRecordRulesSection(fileContent);
+
+  // Parse ## Permissions section (role-based entity/field access)
+  const permissions = parsePermissionsSection(fileContent);
+
   return {
     className,
     description,
@@ -1243,7 +1481,9 @@ function parseEntityFile(fileContent) {
     localTypes,
     entityAnnotations,
     constraints,
-    errorMessages
+    errorMessages,
+    recordRules,
+    permissions
   };
 }
 
@@ -1275,7 +1515,9 @@ function parseEntityDescriptions(mdContent, mdPath) {
             localTypes: parsed.localTypes,
             entityAnnotations: parsed.entityAnnotations,
             constraints: parsed.constraints,
-            errorMessages: parsed.errorMessages
+            errorMessages: parsed.errorMessages,
+            recordRules: parsed.recordRules,
+            permissions: parsed.permissions
           };
         }
       }
@@ -1514,7 +1756,8 @@ function resolveColumnName(fieldName, columns) {
 
 /**
  * Build object-level validation rules from parsed ## Constraints section.
- * Resolves conceptual field names to DB column names and generates default messages.
+ * Resolves conceptual field names to DB column names and attaches the
+ * ## Error Messages entry of each built-in rule (the validator has defaults).
  *
  * @param {object} classDef - Parsed class definition
  * @param {Array} columns - Generated columns
@@ -1529,28 +1772,41 @@ function buildObjectRules(classDef, columns, className) {
   const errorMessages = classDef.errorMessages || {};
   const objectRules = [];
 
-  // Process built-in rules (TimeRange, NumericRange)
+  // Process built-in rules (TimeRange, NumericRange, RequiredIf, ...)
   for (const rule of builtinRules) {
-    const columnA = resolveColumnName(rule.fieldA, columns);
-    const columnB = resolveColumnName(rule.fieldB, columns);
+    const ruleColumns = rule.fields.map(field => {
+      const column = resolveColumnName(field, columns);
+      if (column === field && !columns.find(c => c.name === column)) {
+        console.warn(`[Schema Warning] ${className}: Constraint field "${field}" not found`);
+      }
+      return column;
+    });
 
-    // Warn if fields not found
-    if (columnA === rule.fieldA && !columns.find(c => c.name === columnA)) {
-      console.warn(`[Schema Warning] ${className}: Constraint field "${rule.fieldA}" not found`);
-    }
-    if (columnB === rule.fieldB && !columns.find(c => c.name === columnB)) {
-      console.warn(`[Schema Warning] ${className}: Constraint field "${rule.fieldB}" not found`);
+    // Message: literal text, else ## Error Messages entry (explicit code or function name)
+    const messageCode = rule.messageCode || rule.name;
+    if (rule.messageCode && !errorMessages[rule.messageCode]) {
+      console.warn(`[Schema Warning] ${className}: Error message "${rule.messageCode}" not found`);
     }
 
-    objectRules.push({
+    const objectRule = {
       type: 'builtin',
       name: rule.name,
-      columnA,
-      columnB,
-      fieldA: rule.fieldA,
-      fieldB: rule.fieldB,
-      message: rule.message || null  // null = use built-in default
-    });
+      fields: rule.fields,
+      columns: ruleColumns,
+      message: rule.message || null,  // null = use messages or built-in default
+      messages: !rule.message ? errorMessages[messageCode] : undefined
+    };
+    if (rule.value !== null) objectRule.value = rule.value;
+    if (rule.name === 'TimeRange' || rule.name === 'NumericRange') {
+      Object.assign(objectRule, {
+        columnA: ruleColumns[0],
+        columnB: ruleColumns[1],
+        fieldA: rule.fieldA,
+        fieldB: rule.fieldB
+      });
+    }
+    if (rule.name === 'UniqueWithinParent') objectRule.entity = className;
+    objectRules.push(objectRule);
   }
 
   // Process custom JS code
@@ -1565,6 +1821,106 @@ function buildObjectRules(classDef, columns, className) {
   return objectRules;
 }
 
+/**
+ * Build cross-record rules from the parsed ## Record Rules section.
+ * Resolves the fields to DB column names and collects the :name parameters
+ * of the query (bound from the record being saved, see RecordRules).
+ *
+ * @param {object} classDef - Parsed class definition
+ * @param {Array} columns - Generated columns
+ * @param {string} className - Entity name (for warnings)
+ * @returns {Array} - [{ code, fields, columns, sql, params, messages }]
+ */
+function buildRecordRules(classDef, columns, className) {
+  const errorMessages = classDef.errorMessages || {};
+  const recordRules = [];
+
+  for (const rule of classDef.recordRules || []) {
+    if (!/^(SELECT|WITH)\b/i.test(rule.sql)) {
+      console.warn(`[Schema Warning] ${className}: Record rule "${rule.code}" needs a SELECT query - ignored`);
+      continue;
+    }
+
+    const ruleColumns = rule.fields.map(field => {
+      const column = resolveColumnName(field, columns);
+      if (column === field && !columns.find(c => c.name === column)) {
+        console.warn(`[Schema Warning] ${className}: Record rule field "${field}" not found`);
+      }
+      return column;
+    });
+
+    // :name parameters outside of string literals
+    const sqlWithoutStrings = rule.sql.replace(/'(?:[^']|'')*'/g, '');
+    const params = [...new Set([...sqlWithoutStrings.matchAll(/:(\w+)/g)].map(m => m[1]))];
+    for (const param of params) {
+      if (param !== 'id' && !columns.find(c => c.name === param)) {
+        console.warn(`[Schema Warning] ${className}: Record rule "${rule.code}" parameter ":${param}" is no column`);
+      }
+    }
+
+    recordRules.push({
+      code: rule.code,
+      fields: rule.fields,
+      columns: ruleColumns,
+      sql: rule.sql,
+      params,
+      messages: errorMessages[rule.code]
+    });
+  }
+
+  return recordRules;
+}
+
+/**
+ * Resolve field names of the parsed ## Permissions section to DB column names.
+ * FK fields: "department" → "department_id", aggregates: "address" → all address_* columns.
+ * Row rules are checked for syntax here; column names are resolved when compiled.
+ *
+ * @param {object} classDef - Parsed class definition
+ * @param {Array} columns - Generated columns
+ * @param {string} className - Entity name (for warnings)
+ * @returns {Object|null} { role: { read, create, update, delete, hidden: [columns], readonly: [columns], rows } }
+ */
+function buildPermissions(classDef, columns, className) {
+  if (!classDef.permissions) return null;
+
+  const resolveFields = (fields) => {
+    const resolved = [];
+    for (const field of fields) {
+      const aggregateCols = columns.filter(c => c.aggregateSource === field);
+      if (aggregateCols.length > 0) {
+        resolved.push(...aggregateCols.map(c => c.name));
+        continue;
+      }
+      const columnName = resolveColumnName(field, columns);
+      if (columnName === 'id' || !columns.find(c => c.name === columnName)) {
+        console.warn(`[Schema Warning] ${className}: Permission field "${field}" not found`);
+        continue;
+      }
+      resolved.push(columnName);
+    }
+    return [...new Set(resolved)];
+  };
+
+  const permissions = {};
+  for (const [role, entry] of Object.entries(classDef.permissions)) {
+    if (entry.rows) {
+      try {
+        parseExpression(entry.rows);
+      } catch (err) {
+        // Kept as is: an invalid rule denies all rows at runtime
+        console.warn(`[Schema Warning] ${className}: Row rule for role "${role}" is invalid: ${err.details?.[0] || err.message}`);
+      }
+    }
+    permissions[role] = {
+      ...entry,
+      hidden: resolveFields(entry.hidden),
+      readonly: resolveFields(entry.readonly)
+    };
+  }
+  return permissions;
+}
+
 function generateEntitySchema(className, classDef, allEntityNames = []) {
   const tableName = toSnakeCase(className);
   const columns = [];
@@ -1628,6 +1984,11 @@ function generateEntitySchema(className, classDef, allEntityNames = []) {
           aggregateSource: name           // Original attribute name from markdown
         };
 
+        // Renamed aggregate attribute: sub-columns were <old>_<field>
+        if (constraints.was) {
+          column.was = `${constraints.was}_${field.name}`;
+        }
+
         // Copy UI annotations from parent to sub-fields (e.g., [HIDDEN])
         if (uiAnnotations) {
           column.ui = { ...uiAnnotations };
@@ -1754,6 +2115,15 @@ function generateEntitySchema(className, classDef, allEntityNames = []) {
       column.unique = true;
     }
 
+    if (constraints.search) {
+      column.search = true;
+    }
+
+    // Previous column name from [WAS=old_name] (FK attributes name the attribute, not the column)
+    if (constraints.was) {
+      column.was = foreignKey && !constraints.was.endsWith('_id') ? `${constraints.was}_id` : constraints.was;
+    }
+
     if (uiAnnotations) {
       column.ui = uiAnnotations;
     }
@@ -1843,6 +2213,12 @@ function generateEntitySchema(className, classDef, allEntityNames = []) {
     hasComputedLabel
   };
 
+  // Full-text search: [SEARCH] text columns, or all text columns of a [SEARCH] entity
+  const searchColumns = columns
+    .filter(c => c.jsType === 'string' && !c.foreignKey && c.customType !== 'media' && !enumFields[c.name])
+    .filter(c => c.search || entityAnnotations?.search)
+    .map(c => c.name);
+
   // Add system columns (timestamps + version) after user-defined columns
   for (const sysCol of SYSTEM_COLUMNS) {
     columns.push({ ...sysCol });
@@ -1851,6 +2227,12 @@ function generateEntitySchema(className, classDef, allEntityNames = []) {
   // Build object-level validation rules from parsed constraints
   const objectRules = buildObjectRules(classDef, columns, className);
 
+  // Cross-record rules from ## Record Rules (server-only SQL checks)
+  const recordRules = buildRecordRules(classDef, columns, className);
+
+  // Role-based permissions from ## Permissions (null = no restrictions)
+  const permissions = buildPermissions(classDef, columns, className);
+
   return {
     className,
     tableName,
@@ -1859,8 +2241,11 @@ function generateEntitySchema(className, classDef, allEntityNames = []) {
     columns,
     validationRules,
     objectRules: objectRules.length > 0 ? objectRules : undefined,
+    recordRules: recordRules.length > 0 ? recordRules : undefined,
     uniqueKeys,
     indexes,
+    // Columns of the FTS5 index <table>_fts (null = not searchable)
+    searchColumns: searchColumns.length > 0 ? searchColumns : null,
     foreignKeys,
     enumFields,
     ui: entityUI,
@@ -1868,12 +2253,16 @@ function generateEntitySchema(className, classDef, allEntityNames = []) {
     // Entity-level label expression (takes precedence over column [LABEL])
     labelExpression: entityAnnotations?.labelExpression || null,
     label2Expression: entityAnnotations?.label2Expression || null,
+    // Previous entity name from [WAS=OldEntity] (rename migration)
+    was: entityAnnotations?.was || null,
     // Computed entity: PAIRS annotation for auto-populated M:N mapping
     pairs: entityAnnotations?.pairs || null,
     computed: entityAnnotations?.computed || false,
     // API Refresh: entity can be updated from external API
     apiRefresh: entityAnnotations?.apiRefresh || null,
-    apiRefreshOnLoad: entityAnnotations?.apiRefreshOnLoad || null
+    apiRefreshOnLoad: entityAnnotations?.apiRefreshOnLoad || null,
+    // Role-based entity/field permissions from ## Permissions
+    permissions
   };
 }
 
@@ -2060,6 +2449,18 @@ SELECT ${selects.join(',\n       ')}
 FROM ${baseTable} ${baseAlias}${joinClause}`;
 }
 
+/**
+ * Index names and columns of an entity ([INDEX] annotations)
+ * @param {Object} entity - Entity schema
+ * @returns {Array<{ name: string, columns: string[] }>}
+ */
+function getIndexDefinitions(entity) {
+  return Object.entries(entity.indexes || {}).map(([indexName, columns]) => ({
+    name: indexName.startsWith('idx_') ? indexName : `${indexName.toLowerCase()}_${entity.tableName}`,
+    columns
+  }));
+}
+
 /**
  * Generate SQL DDL for creating a table
  */
@@ -2096,11 +2497,9 @@ function generateCreateTableSQL(entity) {
   lines.push(');');
 
   // Indexes (separate statements)
-  const indexStatements = [];
-  for (const [indexName, columns] of Object.entries(entity.indexes)) {
-    const name = indexName.startsWith('idx_') ? indexName : `${indexName.toLowerCase()}_${entity.tableName}`;
-    indexStatements.push(`CREATE INDEX IF NOT EXISTS ${name} ON ${entity.tableName}(${columns.join(', ')});`);
-  }
+  const indexStatements = getIndexDefinitions(entity).map(({ name, columns }) =>
+    `CREATE INDEX IF NOT EXISTS ${name} ON ${entity.tableName}(${columns.join(', ')});`
+  );
 
   return {
     createTable: lines.join('\n'),
@@ -2108,6 +2507,36 @@ function generateCreateTableSQL(entity) {
   };
 }
 
+/**
+ * Generate the full-text index of an entity (FTS5, [SEARCH] columns)
+ * External content table over the entity table: the index stores no copy of the
+ * text, the triggers keep it in sync with inserts, updates and deletes.
+ * @param {Object} entity - Entity schema
+ * @returns {{ table: string, columns: string[], createTable: string, triggers: string[] }|null}
+ *   null if the entity has no [SEARCH] columns
+ */
+function generateSearchSQL(entity) {
+  const columns = entity.searchColumns;
+  if (!columns || columns.length === 0) return null;
+
+  const table = `${entity.tableName}_fts`;
+  const list = columns.join(', ');
+  const values = (row) => columns.map(c => `${row}.${c}`).join(', ');
+  const remove = `INSERT INTO ${table}(${table}, rowid, ${list}) VALUES ('delete', old.id, ${values('old')});`;
+  const insert = `INSERT INTO ${table}(rowid, ${list}) VALUES (new.id, ${values('new')});`;
+
+  return {
+    table,
+    columns,
+    createTable: `CREATE VIRTUAL TABLE IF NOT EXISTS ${table} USING fts5(${list}, content='${entity.tableName}', content_rowid='id', tokenize='unicode61 remove_diacritics 2')`,
+    triggers: [
+      `CREATE TRIGGER ${table}_ai AFTER INSERT ON ${entity.tableName} BEGIN ${insert} END`,
+      `CREATE TRIGGER ${table}_ad AFTER DELETE ON ${entity.tableName} BEGIN ${remove} END`,
+      `CREATE TRIGGER ${table}_au AFTER UPDATE OF ${list} ON ${entity.tableName} BEGIN ${remove} ${insert} END`
+    ]
+  };
+}
+
 /**
  * Initialize TypeRegistry with global types from Types.md
  */
@@ -2176,10 +2605,13 @@ function generateSchema(mdPath, enabledEntities = null) {
 
   // Generate schema for each class
   const entities = {};
+  const renamedEnabled = {};
   for (const [className, classDef] of Object.entries(classes)) {
-    // Skip if not in enabled list (when specified)
+    // Skip if not in enabled list (when specified); a renamed entity stays enabled under its former name
     if (enabledEntities && !enabledEntities.includes(className)) {
-      continue;
+      const was = classDef.entityAnnotations?.was;
+      if (!was || !enabledEntities.includes(was)) continue;
+      renamedEnabled[was] = className;
     }
 
     classDef.area = classToArea[className] || 'unknown';
@@ -2239,7 +2671,9 @@ function generateSchema(mdPath, enabledEntities = null) {
     entities,
     orderedEntities,
     inverseRelationships,
-    enabledEntities: enabledEntities || Object.keys(entities),  // Preserve config order
+    enabledEntities: enabledEntities  // Preserve config order
+      ? enabledEntities.map(name => renamedEnabled[name] || name)
+      : Object.keys(entities),
     relationships,  // Flat FK list for diagrams
     globalTypes     // Type definitions for display
   };
@@ -2331,6 +2765,8 @@ WHERE ${allConditions.join(' AND ')}`;
 module.exports = {
   generateSchema,
   generateCreateTableSQL,
+  getIndexDefinitions,
+  generateSearchSQL,
   generateViewSQL,
   generateEntitySchema,
   parseEntityDescriptions,
@@ -0,0 +1,143 @@
+/**
+ * SchemaHistory - Versions of the data model a database ran with (_schema_history)
+ *
+ * One row per applied schema change: the new hash, the full schema JSON,
+ * how it was applied (strategy, migration operations), who triggered it and
+ * the auto-backup written before the tables were dropped.
+ *
+ * The backup of a version's data is written when that version is replaced,
+ * so it is found on the following row (getReplacementBackup).
+ *
+ * LOCALITY: Like SchemaMigrator, this module has NO imports of database.js;
+ * the database handle is passed in.
+ */
+
+/**
+ * Create the history table if missing
+ */
+function ensureTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS _schema_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      hash TEXT NOT NULL,
+      previous_hash TEXT,
+      schema TEXT NOT NULL,
+      strategy TEXT NOT NULL,
+      operations TEXT,
+      backup_dir TEXT,
+      triggered_by TEXT,
+      applied_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+}
+
+/**
+ * Schema object as stored: user views are left out (they are rebuilt from views/)
+ */
+function serializeSchema(schema) {
+  const stored = { ...schema };
+  delete stored.userViews;
+  return JSON.stringify(stored);
+}
+
+/**
+ * Record an applied schema version
+ * @param {Object} db - Database instance
+ * @param {Object} entry - { hash, previousHash, schema, strategy, operations, backupDir, triggeredBy }
+ * @returns {number} Row id
+ */
+function record(db, entry) {
+  ensureTable(db);
+  const result = db.prepare(`
+    INSERT INTO _schema_history (hash, previous_hash, schema, strategy, operations, backup_dir, triggered_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    entry.hash,
+    entry.previousHash || null,
+    serializeSchema(entry.schema),
+    entry.strategy,
+    entry.operations ? JSON.stringify(entry.operations) : null,
+    entry.backupDir || null,
+    entry.triggeredBy || null
+  );
+  return result.lastInsertRowid;
+}
+
+/**
+ * Number of recorded versions (0 if the table does not exist yet)
+ */
+function count(db) {
+  ensureTable(db);
+  return db.prepare('SELECT COUNT(*) AS n FROM _schema_history').get().n;
+}
+
+/**
+ * All versions, newest first, without the schema JSON
+ * @param {Object} db - Database instance
+ * @param {string|null} currentHash - Hash the database runs with (marks the current version)
+ * @returns {Array<Object>}
+ */
+function list(db, currentHash) {
+  ensureTable(db);
+  const rows = db.prepare(`
+    SELECT id, hash, previous_hash, strategy, operations, backup_dir, triggered_by, applied_at,
+           json_array_length(json_extract(schema, '$.orderedEntities')) AS entity_count
+    FROM _schema_history ORDER BY id DESC
+  `).all();
+
+  const latestId = rows[0]?.id;
+  return rows.map(row => ({
+    ...row,
+    operations: row.operations ? JSON.parse(row.operations) : [],
+    current: row.id === latestId && row.hash === currentHash
+  }));
+}
+
+/**
+ * A single version including its schema
+ * @returns {Object|null} Row with parsed schema and operations
+ */
+function get(db, id) {
+  ensureTable(db);
+  const row = db.prepare('SELECT * FROM _schema_history WHERE id = ?').get(id);
+  if (!row) return null;
+  return {
+    ...row,
+    schema: JSON.parse(row.schema),
+    operations: row.operations ? JSON.parse(row.operations) : []
+  };
+}
+
+/**
+ * Backup of a version's data: written by the change that replaced it
+ * @returns {string|null} Backup directory (relative to the data directory)
+ */
+function getReplacementBackup(db, id) {
+  ensureTable(db);
+  const next = db.prepare(
+    'SELECT backup_dir FROM _schema_history WHERE id > ? ORDER BY id LIMIT 1'
+  ).get(id);
+  return next?.backup_dir || null;
+}
+
+/**
+ * Migration operations applied after a version, oldest first
+ * (the renames a rollback to that version has to undo)
+ * @returns {Array<Object>}
+ */
+function getOperationsSince(db, id) {
+  ensureTable(db);
+  return db.prepare(
+    'SELECT operations FROM _schema_history WHERE id > ? AND operations IS NOT NULL ORDER BY id'
+  ).all(id).flatMap(row => JSON.parse(row.operations));
+}
+
+module.exports = {
+  ensureTable,
+  record,
+  count,
+  list,
+  get,
+  getReplacementBackup,
+  getOperationsSince
+};
@@ -0,0 +1,608 @@
+/**
+ * SchemaMigrator - Incremental schema migrations between two data model versions
+ *
+ * The database stores a snapshot of the table structure next to the schema hash
+ * (_schema_hash.snapshot). When the hash changes, the planner diffs that snapshot
+ * against the new schema and lists the minimal operations to bring the tables up
+ * to date:
+ *
+ *   renameTable     Entity declared [WAS=OldEntity] (ALTER TABLE RENAME TO)
+ *   renameColumn    Attribute declared [WAS=old_name] (ALTER TABLE RENAME COLUMN)
+ *   createTable     New entity
+ *   addColumn       New optional column, or required with DEFAULT (ALTER TABLE ADD COLUMN)
+ *   rebuildTable    Type, constraint, UNIQUE, FK or default changes, removed columns
+ *                   (SQLite table rebuild: create new table, copy rows, drop, rename)
+ *   createIndex     New or changed [INDEX]
+ *   dropIndex       Removed or changed [INDEX]
+ *   keepTable       Entity removed - its table is left untouched
+ *   regenerateViews Entity views and user views are recreated
+ *
+ * Renames also carry over the entity and field names stored in the system tables
+ * (_audit_trail, _media_refs, _saved_views); seed and backup files follow via the
+ * db:migrate:after event (SeedManager). Without [WAS=...] a rename counts as
+ * removal plus addition. A rollback to an earlier version declares the renames
+ * applied since then in reverse (declareReverseRenames).
+ *
+ * An operation is destructive if applying it would lose or reject existing data:
+ * a removed column that holds values, a required column without DEFAULT on a table
+ * with records lacking a value, a new UNIQUE constraint on duplicate values.
+ * Destructive plans are not applied here; the caller falls back to backup + drop + recreate.
+ *
+ * LOCALITY: Like BackupManager, this module has NO imports of database.js;
+ * the database handle and schemas are passed in.
+ */
+
+const { generateCreateTableSQL, getIndexDefinitions } = require('./SchemaGenerator');
+const { getNeutralValue } = require('./NeutralValues');
+
+/** Version of the snapshot format (stored with the snapshot) */
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Build the structure snapshot of a schema (stored as JSON next to the hash).
+ * Covers everything generateCreateTableSQL() turns into DDL, without system columns.
+ * @param {Object} schema - Schema from generateSchema()
+ * @returns {Object} { version, entities: { ClassName: { table, columns, uniqueKeys, indexes } } }
+ */
+function snapshotSchema(schema) {
+  const entities = {};
+  for (const entity of schema.orderedEntities) {
+    entities[entity.className] = {
+      table: entity.tableName,
+      columns: entity.columns
+        .filter(c => !c.system)
+        .map(c => ({
+          name: c.name,
+          sqlType: c.sqlType,
+          unique: c.unique || false,
+          references: c.foreignKey ? `${c.foreignKey.table}(${c.foreignKey.column})` : null
+        })),
+      uniqueKeys: entity.uniqueKeys || {},
+      indexes: Object.fromEntries(getIndexDefinitions(entity).map(idx => [idx.name, idx.columns]))
+    };
+  }
+  return { version: SNAPSHOT_VERSION, entities };
+}
+
+function tableExists(db, tableName) {
+  return !!db.prepare(
+    "SELECT name FROM sqlite_master WHERE type='table' AND name=?"
+  ).get(tableName);
+}
+
+function tableColumns(db, tableName) {
+  return db.prepare(`PRAGMA table_info(${tableName})`).all().map(c => c.name);
+}
+
+/**
+ * WHERE condition for the records of a table other than the null reference record
+ * (id=1, _ql=256), which is filled with neutral values and never holds user data.
+ */
+function realRecords(db, tableName) {
+  return tableColumns(db, tableName).includes('_ql') ? 'NOT (id = 1 AND _ql = 256)' : '1 = 1';
+}
+
+function count(db, sql) {
+  return db.prepare(sql).get().n;
+}
+
+function isNotNull(sqlType) {
+  return /\bNOT NULL\b/i.test(sqlType);
+}
+
+function hasDefault(sqlType) {
+  return /\bDEFAULT\b/i.test(sqlType);
+}
+
+/**
+ * Required column that needs a value for every record (NOT NULL without DEFAULT)
+ */
+function needsValue(column) {
+  return isNotNull(column.sqlType) && !hasDefault(column.sqlType);
+}
+
+/**
+ * SQLite can only ADD COLUMN without UNIQUE/PRIMARY KEY, without table-level FK
+ * and - if NOT NULL - with a constant DEFAULT.
+ */
+function canAddColumn(column) {
+  if (column.unique || column.references) return false;
+  if (/\bPRIMARY KEY\b/i.test(column.sqlType)) return false;
+  if (/\bDEFAULT\s*\(/i.test(column.sqlType)) return false;
+  return !isNotNull(column.sqlType) || hasDefault(column.sqlType);
+}
+
+function sameColumn(a, b) {
+  return a.sqlType === b.sqlType && a.unique === b.unique && a.references === b.references;
+}
+
+/**
+ * Describe a column change for the plan
+ */
+function describeColumnChange(before, after) {
+  const changes = [];
+  if (before.sqlType !== after.sqlType) changes.push(`${before.sqlType} → ${after.sqlType}`);
+  if (before.unique !== after.unique) changes.push(after.unique ? 'UNIQUE added' : 'UNIQUE removed');
+  if (before.references !== after.references) {
+    changes.push(after.references ? `references ${after.references}` : 'foreign key removed');
+  }
+  return `${after.name}: ${changes.join(', ')}`;
+}
+
+/**
+ * Find the first group of duplicate values in the given columns (NULLs never conflict)
+ */
+function findDuplicate(db, tableName, columns) {
+  const notNull = columns.map(c => `${c} IS NOT NULL`).join(' AND ');
+  return db.prepare(
+    `SELECT ${columns.join(', ')}, COUNT(*) AS n FROM ${tableName} WHERE ${notNull}
+     GROUP BY ${columns.join(', ')} HAVING COUNT(*) > 1 LIMIT 1`
+  ).get() || null;
+}
+
+/**
+ * Column renames declared with [WAS=old_name] that apply to a snapshot entity
+ * @returns {Object} New column name -> old column name
+ */
+function findColumnRenames(before, entity) {
+  const beforeNames = new Set(before.columns.map(c => c.name));
+  const renames = {};
+  for (const c of entity.columns) {
+    if (!c.was || c.system) continue;
+    // Already migrated (annotation left in place) or old name still in use
+    if (beforeNames.has(c.name) || !beforeNames.has(c.was)) continue;
+    if (entity.columns.some(other => other.name === c.was)) continue;
+    renames[c.name] = c.was;
+  }
+  return renames;
+}
+
+/**
+ * Record keys to rename in seed and backup files for a column rename:
+ * the column, and the attribute name of FK and aggregate columns
+ */
+function dataFileKeys(column, from) {
+  const keys = { [from]: column.name };
+  if (column.foreignKey && from.endsWith('_id')) {
+    keys[from.slice(0, -3)] = column.name.slice(0, -3);
+  }
+  if (column.aggregateSource && from.endsWith(`_${column.aggregateField}`)) {
+    keys[from.slice(0, -(column.aggregateField.length + 1))] = column.aggregateSource;
+  }
+  return keys;
+}
+
+/**
+ * Express a snapshot entity in the names of the new schema:
+ * renamed columns and renamed FK target tables
+ */
+function renameSnapshotEntity(before, renames, tableRenames) {
+  const oldToNew = Object.fromEntries(Object.entries(renames).map(([name, from]) => [from, name]));
+  const columnName = name => oldToNew[name] || name;
+  const mapKeys = keys => Object.fromEntries(
+    Object.entries(keys || {}).map(([key, columns]) => [key, columns.map(columnName)])
+  );
+
+  return {
+    ...before,
+    columns: before.columns.map(c => ({
+      ...c,
+      name: columnName(c.name),
+      references: c.references && c.references.replace(/^(\w+)\(/, (m, t) => `${tableRenames[t] || t}(`)
+    })),
+    uniqueKeys: mapKeys(before.uniqueKeys),
+    indexes: mapKeys(before.indexes)
+  };
+}
+
+/**
+ * Diff an existing table against its new entity definition
+ * @param {Database} db - better-sqlite3 instance
+ * @param {Object} snapshotEntity - Entity from the stored snapshot
+ * @param {Object} entity - Entity of the new schema
+ * @param {Object} [context]
+ * @param {string} [context.dbTable] - Current table name (differs for a renamed entity)
+ * @param {Object} [context.tableRenames] - Old table name -> new table name
+ * @returns {Array<Object>} Operations for this entity
+ */
+function planEntity(db, snapshotEntity, entity, context = {}) {
+  const table = entity.tableName;
+  const dbTable = context.dbTable || table;
+
+  // Declared column renames come first; the diff below sees the new names
+  const renames = findColumnRenames(snapshotEntity, entity);
+  const renameOps = Object.entries(renames).map(([name, from]) => ({
+    action: 'renameColumn',
+    entity: entity.className,
+    table,
+    column: name,
+    from,
+    keys: dataFileKeys(entity.columns.find(c => c.name === name), from),
+    description: `Rename column ${table}.${from} to ${name}`,
+    destructive: false
+  }));
+
+  // Names in the database until the renames are applied (for the data checks)
+  const dbCol = name => renames[name] || name;
+  const before = renameSnapshotEntity(snapshotEntity, renames, context.tableRenames || {});
+  const after = snapshotSchema({ orderedEntities: [entity] }).entities[entity.className];
+  const existing = tableColumns(db, dbTable).map(name => before.columns.find(c => dbCol(c.name) === name)?.name || name);
+  const beforeCols = new Map(before.columns.map(c => [c.name, c]));
+  const afterCols = new Map(after.columns.map(c => [c.name, c]));
+
+  const added = after.columns.filter(c => !beforeCols.has(c.name));
+  const removed = before.columns.filter(c => !afterCols.has(c.name) && existing.includes(c.name));
+  const changed = after.columns.filter(c => beforeCols.has(c.name) && !sameColumn(beforeCols.get(c.name), c));
+  const uniqueKeysChanged = JSON.stringify(before.uniqueKeys || {}) !== JSON.stringify(after.uniqueKeys);
+
+  const indexChanges = [];
+  const beforeIndexes = before.indexes || {};
+  for (const [name, columns] of Object.entries(beforeIndexes)) {
+    if (JSON.stringify(after.indexes[name]) !== JSON.stringify(columns)) {
+      indexChanges.push({ action: 'dropIndex', index: name, columns });
+    }
+  }
+  for (const [name, columns] of Object.entries(after.indexes)) {
+    if (JSON.stringify(beforeIndexes[name]) !== JSON.stringify(columns)) {
+      indexChanges.push({ action: 'createIndex', index: name, columns });
+    }
+  }
+
+  const needsRebuild = removed.length > 0 || changed.length > 0 || uniqueKeysChanged ||
+    added.some(c => !canAddColumn(c));
+
+  if (!needsRebuild) {
+    return [
+      ...renameOps,
+      ...added.filter(c => !existing.includes(c.name)).map(c => ({
+        action: 'addColumn',
+        entity: entity.className,
+        table,
+        column: c.name,
+        description: `Add column ${table}.${c.name} (${c.sqlType})`,
+        destructive: false
+      })),
+      ...indexChanges.map(idx => ({
+        action: idx.action,
+        entity: entity.className,
+        table,
+        index: idx.index,
+        description: idx.action === 'createIndex'
+          ? `Create index ${idx.index} on ${table}(${idx.columns.join(', ')})`
+          : `Drop index ${idx.index}`,
+        destructive: false
+      }))
+    ];
+  }
+
+  // Table rebuild: collect what changes and whether existing data survives the copy
+  const where = realRecords(db, dbTable);
+  const changes = [];
+  const problems = [];
+
+  for (const c of added) {
+    changes.push(`${c.name} added (${c.sqlType}${c.unique ? ' UNIQUE' : ''})`);
+    if (needsValue(c)) {
+      const n = count(db, `SELECT COUNT(*) AS n FROM ${dbTable} WHERE ${where}`);
+      if (n > 0) problems.push(`${n} record(s) have no value for the new required column ${c.name}`);
+    }
+  }
+  for (const c of removed) {
+    changes.push(`${c.name} removed`);
+    const n = count(db, `SELECT COUNT(*) AS n FROM ${dbTable} WHERE ${where} AND ${dbCol(c.name)} IS NOT NULL`);
+    if (n > 0) problems.push(`${n} value(s) of ${c.name} would be lost`);
+  }
+  for (const c of changed) {
+    const previous = beforeCols.get(c.name);
+    changes.push(describeColumnChange(previous, c));
+    if (needsValue(c) && !isNotNull(previous.sqlType)) {
+      const n = count(db, `SELECT COUNT(*) AS n FROM ${dbTable} WHERE ${where} AND ${dbCol(c.name)} IS NULL`);
+      if (n > 0) problems.push(`${n} record(s) have no value for ${c.name}, which is now required`);
+    }
+    if (c.unique && !previous.unique && findDuplicate(db, dbTable, [dbCol(c.name)])) {
+      problems.push(`${c.name} has duplicate values and cannot become UNIQUE`);
+    }
+  }
+  if (uniqueKeysChanged) {
+    for (const [name, columns] of Object.entries(after.uniqueKeys)) {
+      if (JSON.stringify((before.uniqueKeys || {})[name]) === JSON.stringify(columns)) continue;
+      changes.push(`unique key ${name} (${columns.join(', ')})`);
+      if (columns.every(c => existing.includes(c)) && findDuplicate(db, dbTable, columns.map(dbCol))) {
+        problems.push(`duplicate values for unique key ${name} (${columns.join(', ')})`);
+      }
+    }
+    for (const name of Object.keys(before.uniqueKeys || {})) {
+      if (!after.uniqueKeys[name]) changes.push(`unique key ${name} removed`);
+    }
+  }
+  for (const idx of indexChanges) {
+    changes.push(idx.action === 'createIndex'
+      ? `index ${idx.index} (${idx.columns.join(', ')})`
+      : `index ${idx.index} removed`);
+  }
+
+  return [...renameOps, {
+    action: 'rebuildTable',
+    entity: entity.className,
+    table,
+    description: `Rebuild table ${table}: ${changes.join('; ')}`,
+    changes,
+    problems,
+    destructive: problems.length > 0
+  }];
+}
+
+/**
+ * Plan the migration from a stored snapshot to a new schema (dry run, no changes)
+ * @param {Database} db - better-sqlite3 instance (tables in the state of the snapshot)
+ * @param {Object} snapshot - Snapshot from snapshotSchema() of the current tables
+ * @param {Object} schema - New schema from generateSchema()
+ * @returns {{ operations: Array<Object>, destructive: boolean }}
+ */
+function planMigration(db, snapshot, schema) {
+  const operations = [];
+  const previous = snapshot.entities || {};
+
+  // Entity renames declared with [WAS=OldEntity]: new class name -> old class name
+  const renamedFrom = {};
+  const tableRenames = {};
+  for (const entity of schema.orderedEntities) {
+    const oldName = entity.was;
+    if (!oldName || previous[entity.className] || !previous[oldName] || schema.entities[oldName]) continue;
+    if (!tableExists(db, previous[oldName].table)) continue;
+    renamedFrom[entity.className] = oldName;
+    tableRenames[previous[oldName].table] = entity.tableName;
+  }
+
+  for (const entity of schema.orderedEntities) {
+    const oldName = renamedFrom[entity.className];
+    const before = previous[oldName || entity.className];
+    const dbTable = before?.table;
+
+    if (!before || (!oldName && dbTable !== entity.tableName) || !tableExists(db, dbTable)) {
+      operations.push({
+        action: 'createTable',
+        entity: entity.className,
+        table: entity.tableName,
+        description: `Create table ${entity.tableName}`,
+        destructive: false
+      });
+      continue;
+    }
+
+    if (oldName) {
+      const occupied = tableExists(db, entity.tableName);
+      operations.push({
+        action: 'renameTable',
+        entity: entity.className,
+        table: entity.tableName,
+        from: dbTable,
+        fromEntity: oldName,
+        description: `Rename entity ${oldName} to ${entity.className} (table ${dbTable} → ${entity.tableName})`,
+        problems: occupied ? [`table ${entity.tableName} already exists`] : [],
+        destructive: occupied
+      });
+    }
+    operations.push(...planEntity(db, before, entity, { dbTable, tableRenames }));
+  }
+
+  const renamedEntities = Object.values(renamedFrom);
+  for (const [className, before] of Object.entries(previous)) {
+    if (schema.entities[className] || renamedEntities.includes(className)) continue;
+    if (!tableExists(db, before.table)) continue;
+    operations.push({
+      action: 'keepTable',
+      entity: className,
+      table: before.table,
+      description: `Entity ${className} removed - table ${before.table} is kept`,
+      destructive: false
+    });
+  }
+
+  operations.push({
+    action: 'regenerateViews',
+    description: 'Regenerate entity views and user views',
+    destructive: false
+  });
+
+  return {
+    operations,
+    destructive: operations.some(op => op.destructive)
+  };
+}
+
+/**
+ * Declare the renames applied since an earlier schema version on that version's
+ * schema, as if its markdown said [WAS=current name]: planning a rollback to it
+ * then renames tables and columns back instead of removing and re-adding them.
+ * @param {Object} schema - Schema of the earlier version (annotated in place)
+ * @param {Array<Object>} operations - Operations applied since that version, oldest first
+ */
+function declareReverseRenames(schema, operations) {
+  for (const entity of schema.orderedEntities) {
+    // Follow the entity and its columns through every rename to their current names
+    let className = entity.className;
+    const current = new Map(entity.columns.filter(c => !c.system).map(c => [c, c.name]));
+    for (const op of operations) {
+      if (op.action === 'renameTable' && op.fromEntity === className) {
+        className = op.entity;
+      } else if (op.action === 'renameColumn' && op.entity === className) {
+        for (const [column, name] of current) {
+          if (name === op.from) current.set(column, op.column);
+        }
+      }
+    }
+
+    if (className !== entity.className) entity.was = className;
+    for (const [column, name] of current) {
+      if (name !== column.name) column.was = name;
+    }
+  }
+}
+
+/**
+ * Rebuild a table with its new definition and copy the records
+ * (https://www.sqlite.org/lang_altertable.html#otheralter).
+ * Dependent views must be dropped beforehand; the search index is dropped
+ * and recreated by the caller (syncSearchIndex).
+ */
+function rebuildTable(db, entity) {
+  const table = entity.tableName;
+  const temp = `${table}__migrate`;
+  const { createTable, createIndexes } = generateCreateTableSQL(entity);
+
+  db.exec(`DROP TABLE IF EXISTS ${temp}`);
+  db.exec(createTable.replace(`CREATE TABLE IF NOT EXISTS ${table} (`, `CREATE TABLE ${temp} (`));
+
+  const existing = tableColumns(db, table);
+  const nullRecord = `NOT (${realRecords(db, table)})`;
+  const targets = [];
+  const selects = [];
+  const params = [];
+
+  for (const name of tableColumns(db, temp)) {
+    const column = entity.columns.find(c => c.name === name);
+    const fill = column && !column.system && needsValue(column);
+
+    if (existing.includes(name)) {
+      targets.push(name);
+      if (fill) {
+        // The null reference record gets the neutral value of a newly required column
+        selects.push(`CASE WHEN ${nullRecord} THEN COALESCE(${name}, ?) ELSE ${name} END`);
+        params.push(getNeutralValue(column));
+      } else {
+        selects.push(name);
+      }
+    } else if (fill) {
+      targets.push(name);
+      selects.push(`CASE WHEN ${nullRecord} THEN ? END`);
+      params.push(getNeutralValue(column));
+    }
+  }
+
+  db.prepare(`INSERT INTO ${temp} (${targets.join(', ')}) SELECT ${selects.join(', ')} FROM ${table}`).run(...params);
+  db.exec(`DROP TABLE IF EXISTS ${table}_fts`);
+  db.exec(`DROP TABLE ${table}`);
+  db.exec(`ALTER TABLE ${temp} RENAME TO ${table}`);
+  for (const indexSql of createIndexes) {
+    db.exec(indexSql);
+  }
+}
+
+/**
+ * Carry an entity rename over to the system tables that store entity names
+ * (audit trail, media references, saved views)
+ */
+function renameEntityReferences(db, from, to) {
+  const updates = {
+    _audit_trail: 'UPDATE _audit_trail SET entity_name = ? WHERE entity_name = ?',
+    _media_refs: 'UPDATE OR IGNORE _media_refs SET entity_name = ? WHERE entity_name = ?',
+    _saved_views: "UPDATE OR IGNORE _saved_views SET target = ? WHERE target_type = 'entity' AND target = ?"
+  };
+  for (const [table, sql] of Object.entries(updates)) {
+    if (tableExists(db, table)) db.prepare(sql).run(to, from);
+  }
+}
+
+/**
+ * Carry a column rename over to media references and the record snapshots of the audit trail
+ * (FK columns appear there with their resolved label as well)
+ */
+function renameFieldReferences(db, op) {
+  if (tableExists(db, '_media_refs')) {
+    db.prepare(
+      'UPDATE OR IGNORE _media_refs SET field_name = ? WHERE entity_name = ? AND field_name = ?'
+    ).run(op.column, op.entity, op.from);
+  }
+  if (!tableExists(db, '_audit_trail')) return;
+
+  const fields = { [op.from]: op.column };
+  for (const [from, to] of Object.entries(op.keys)) {
+    if (`${from}_id` === op.from) fields[`${from}_label`] = `${to}_label`;
+  }
+  for (const [from, to] of Object.entries(fields)) {
+    for (const column of ['before_data', 'after_data']) {
+      db.prepare(`
+        UPDATE _audit_trail SET ${column} = json_remove(json_set(${column}, ?, json(${column} -> ?)), ?)
+        WHERE entity_name = ? AND json_valid(${column}) AND json_type(${column}, ?) IS NOT NULL
+      `).run(`$.${to}`, `$.${from}`, `$.${from}`, op.entity, `$.${from}`);
+    }
+  }
+}
+
+/**
+ * Apply a non-destructive plan in one transaction.
+ * Expects foreign_keys OFF and all views dropped (rebuilds rename tables).
+ * @param {Database} db - better-sqlite3 instance
+ * @param {Object} plan - Plan from planMigration()
+ * @param {Object} schema - New schema the plan was made for
+ * @returns {{ applied: number, foreignKeyViolations: number }}
+ */
+function applyMigration(db, plan, schema) {
+  if (plan.destructive) {
+    throw new Error('Destructive migration plans cannot be applied incrementally');
+  }
+
+  let applied = 0;
+  db.transaction(() => {
+    for (const op of plan.operations) {
+      const entity = op.entity ? schema.entities[op.entity] : null;
+
+      switch (op.action) {
+        case 'renameTable':
+          // Search index and its triggers are recreated under the new name (syncSearchIndex)
+          for (const suffix of ['ai', 'ad', 'au']) {
+            db.exec(`DROP TRIGGER IF EXISTS ${op.from}_fts_${suffix}`);
+          }
+          db.exec(`DROP TABLE IF EXISTS ${op.from}_fts`);
+          // Also rewrites the FK references of other tables
+          db.exec(`ALTER TABLE ${op.from} RENAME TO ${op.table}`);
+          renameEntityReferences(db, op.fromEntity, op.entity);
+          break;
+        case 'renameColumn':
+          db.exec(`ALTER TABLE ${op.table} RENAME COLUMN ${op.from} TO ${op.column}`);
+          renameFieldReferences(db, op);
+          break;
+        case 'createTable': {
+          const { createTable, createIndexes } = generateCreateTableSQL(entity);
+          db.exec(createTable);
+          for (const indexSql of createIndexes) {
+            db.exec(indexSql);
+          }
+          break;
+        }
+        case 'addColumn': {
+          const column = entity.columns.find(c => c.name === op.column);
+          db.exec(`ALTER TABLE ${op.table} ADD COLUMN ${column.name} ${column.sqlType}`);
+          break;
+        }
+        case 'rebuildTable':
+          rebuildTable(db, entity);
+          break;
+        case 'createIndex': {
+          const index = getIndexDefinitions(entity).find(idx => idx.name === op.index);
+          db.exec(`CREATE INDEX IF NOT EXISTS ${index.name} ON ${op.table}(${index.columns.join(', ')})`);
+          break;
+        }
+        case 'dropIndex':
+          db.exec(`DROP INDEX IF EXISTS ${op.index}`);
+          break;
+        default:
+          // keepTable, regenerateViews: nothing to do on the tables
+          continue;
+      }
+      applied++;
+    }
+  })();
+
+  const foreignKeyViolations = db.prepare('PRAGMA foreign_key_check').all().length;
+  return { applied, foreignKeyViolations };
+}
+
+module.exports = {
+  snapshotSchema,
+  planMigration,
+  declareReverseRenames,
+  applyMigration,
+  SNAPSHOT_VERSION
+};
@@ -24,6 +24,12 @@ let SEED_DIR = null;
 // Module-level MediaService instance (for resolving media URLs during seeding)
 let mediaService = null;
 
+// Renames of a schema migration that ran before init() (applied to the files in init)
+let pendingRenames = [];
+
+// Seed and backup files changed by renames, until the caller takes them (takeRenamedFiles)
+let renamedFiles = [];
+
 // --- Global state accessors ---
 
 /**
@@ -40,8 +46,53 @@ function init(seedDir, options = {}) {
   if (options.mediaService) {
     mediaService = options.mediaService;
   }
+  if (pendingRenames.length > 0) {
+    renamedFiles.push(...renameInDataFiles(pendingRenames));
+    pendingRenames = [];
+  }
 }
 
+/**
+ * Carry [WAS=...] renames of a schema migration over to seed and backup files
+ * @param {Array} operations - Migration operations
+ * @returns {string[]} Changed files relative to the data directory (e.g. 'seed/Author.json')
+ */
+function renameInDataFiles(operations) {
+  const changed = [];
+  for (const dir of [getSeedDir(), getBackupDir()]) {
+    try {
+      for (const file of BackupManager.renameInDataFiles(dir, operations)) {
+        changed.push(`${path.basename(dir)}/${file}`);
+      }
+    } catch (err) {
+      console.warn(`  Warning: Could not apply renames to ${dir}: ${err.message}`);
+    }
+  }
+  return changed;
+}
+
+/**
+ * Seed and backup files changed by the renames of schema migrations since the last call
+ * (for the response of reinitialize/rollback, or the startup log)
+ * @returns {string[]} Changed files relative to the data directory
+ */
+function takeRenamedFiles() {
+  const files = [...new Set(renamedFiles)];
+  renamedFiles = [];
+  return files;
+}
+
+// Schema migrations run at startup before init(), so renames are queued until then
+eventBus.on('db:migrate:after', ({ operations }) => {
+  const renames = operations.filter(op => op.action === 'renameTable' || op.action === 'renameColumn');
+  if (renames.length === 0) return;
+  if (SEED_DIR) {
+    renamedFiles.push(...renameInDataFiles(renames));
+  } else {
+    pendingRenames.push(...renames);
+  }
+});
+
 /**
  * Set MediaService instance (can be called after init if MediaService is created later)
  * @param {Object} service - MediaService instance
@@ -290,9 +341,8 @@ async function restoreEntity(entityName) {
   return result;
 }
 
-async function restoreBackup() {
+async function restoreBackup(backupDir = getBackupDir()) {
   const { db, schema } = getDbAndSchema();
-  const backupDir = getBackupDir();
 
   eventBus.emit('seed:restore:before', { backupDir });
 
@@ -319,6 +369,7 @@ function refreshEntity(entityName, apiRecords, matchConfig, options = {}) {
 module.exports = {
   init,
   setMediaService,
+  takeRenamedFiles,
   getSeedDir,
   getBackupDir,
   getImportDir,
@@ -0,0 +1,74 @@
+/**
+ * SortParser - Parse sort specifications into an ordered list of sort keys
+ *
+ * One syntax for the query API (?sort=), the view JSON "sort" and the Crud.md
+ * (sort: ...) option. Keys are separated by commas, each with an optional
+ * direction after a space or a colon:
+ *
+ *   "building, meter, reading_at DESC"
+ *   "building_label,reading_at:desc"
+ *   "Building,Reading At:desc"          (view column labels)
+ *
+ * Arrays of such strings or of { column, order } objects are accepted as well
+ * (view JSON). Keys without a direction use the default order.
+ *
+ * Usage:
+ *   parseSort('building, reading_at DESC')
+ *   // → [{ column: 'building', order: 'asc' }, { column: 'reading_at', order: 'desc' }]
+ */
+
+/** Maximum number of sort keys (further keys are ignored) */
+const MAX_SORT_KEYS = 8;
+
+// Column (view labels may contain spaces), then an optional direction after a space or colon
+const KEY_PATTERN = /^(.+?)(?:\s*[\s:]\s*(asc|desc))?$/i;
+
+/**
+ * Parse one sort key ("col", "col DESC", "col:desc" or { column, order })
+ * @returns {{ column: string, order: string }|null} null if malformed
+ */
+function parseKey(item, defaultOrder) {
+  if (item && typeof item === 'object' && typeof item.column === 'string') {
+    const order = String(item.order || defaultOrder).toLowerCase();
+    return { column: item.column.trim(), order: order === 'desc' ? 'desc' : 'asc' };
+  }
+  if (typeof item !== 'string') return null;
+
+  const match = item.trim().match(KEY_PATTERN);
+  if (!match) return null;
+  return { column: match[1], order: (match[2] || defaultOrder).toLowerCase() };
+}
+
+/**
+ * Parse a sort specification
+ * @param {string|string[]|Object|Object[]|null} spec - Sort specification (see module doc)
+ * @param {string} [defaultOrder] - 'asc' or 'desc' for keys without a direction
+ * @returns {{ column: string, order: string }[]} Sort keys in priority order (malformed
+ *   and repeated keys left out)
+ */
+function parseSort(spec, defaultOrder = 'asc') {
+  if (!spec) return [];
+  const order = String(defaultOrder).toLowerCase() === 'desc' ? 'desc' : 'asc';
+
+  let items;
+  if (Array.isArray(spec)) {
+    items = spec.flatMap(item => typeof item === 'string' ? item.split(',') : [item]);
+  } else if (typeof spec === 'string') {
+    items = spec.split(',');
+  } else {
+    items = [spec];
+  }
+
+  const keys = [];
+  for (const item of items) {
+    const key = parseKey(item, order);
+    if (!key || !key.column || keys.some(k => k.column === key.column)) continue;
+    keys.push(key);
+    if (keys.length === MAX_SORT_KEYS) break;
+  }
+  return keys;
+}
+
+module.exports = {
+  parseSort
+};
@@ -33,6 +33,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { parseSort } = require('./SortParser');
 
 const SEPARATOR_PREFIX = '-------------------- ';
 const COLUMN_BREAK = '===COLUMN_BREAK===';
@@ -47,6 +48,7 @@ const COLUMN_BREAK = '===COLUMN_BREAK===';
  *   - `- EntityName (mediaRowHeight: 100)` — row height for rows with media
  *   - `- EntityName (sort: column_name)` — default sort ascending
  *   - `- EntityName (sort: column_name DESC)` — default sort descending
+ *   - `- EntityName (sort: building, meter, reading_at DESC)` — several sort keys in priority order
  * Field suffix `:select` = dropdown, no suffix = text input (LIKE)
  * @param {string} requirementsDir - Path to requirements/ directory
  * @returns {{entities: string[], prefilters: Object, requiredFilters: Object, tableOptions: Object}|null}
@@ -95,7 +97,7 @@ function loadCrudConfig(requirementsDir) {
         const requiredMatch = optionsStr.match(/required:\s*([^,)]+(?:,\s*[^,)]+)*?)(?=,\s*(?:prefilter:|mediaRowHeight:|sort:|$)|$)/i);
         const prefilterMatch = optionsStr.match(/prefilter:\s*([^,)]+(?:,\s*[^,)]+)*?)(?=,\s*(?:required:|mediaRowHeight:|sort:|$)|$)/i);
         const mediaRowHeightMatch = optionsStr.match(/mediaRowHeight:\s*(\d+)/i);
-        const sortMatch = optionsStr.match(/sort:\s*(\w+)(?:\s+(asc|desc))?/i);
+        const sortMatch = optionsStr.match(/sort:\s*(.+?)(?=,\s*(?:required:|prefilter:|mediaRowHeight:)|$)/i);
 
         if (entityName) {
           entities.push(entityName);
@@ -121,12 +123,10 @@ function loadCrudConfig(requirementsDir) {
             tableOptions[entityName].mediaRowHeight = parseInt(mediaRowHeightMatch[1], 10);
           }
 
-          if (sortMatch) {
+          const sortKeys = sortMatch ? parseSort(sortMatch[1]) : [];
+          if (sortKeys.length > 0) {
             if (!tableOptions[entityName]) tableOptions[entityName] = {};
-            tableOptions[entityName].defaultSort = {
-              column: sortMatch[1],
-              order: (sortMatch[2] || 'asc').toLowerCase()
-            };
+            tableOptions[entityName].defaultSort = sortKeys;
           }
         }
       } else if (entityPart) {
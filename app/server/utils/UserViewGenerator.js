@@ -8,6 +8,7 @@
 const logger = require('./logger');
 const { toSnakeCase, buildLabelSQLWithJoins } = require('./SchemaGenerator');
 const { COLUMN_BREAK } = require('./UISpecLoader');
+const { parseSort } = require('./SortParser');
 
 /**
  * Convert view name to SQL-safe view name
@@ -196,6 +197,7 @@ function resolveColumnPath(dotPath, baseEntityName, schema) {
           label: titleCase(col.displayName || col.name),
           jsType: 'string',
           entityName: targetEntityName,
+          source: { entity: baseEntityName, column: col.name },
           fkInfo: {
             fkEntity: targetEntityName,
             fkIdExpr: `b.${col.name}`
@@ -210,7 +212,8 @@ function resolveColumnPath(dotPath, baseEntityName, schema) {
           selectExpr: `b.${col.name}`,
           label: titleCase(col.displayName || col.name),
           jsType: col.jsType || 'string',
-          entityName: baseEntityName
+          entityName: baseEntityName,
+          source: { entity: baseEntityName, column: col.name }
         };
       }
 
@@ -220,6 +223,7 @@ function resolveColumnPath(dotPath, baseEntityName, schema) {
         label: titleCase(col.displayName || col.name),
         jsType: labelCol.jsType || 'string',
         entityName: targetEntityName,
+        source: { entity: baseEntityName, column: col.name },
         fkInfo: {
           fkEntity: targetEntityName,
           fkIdExpr: `b.${col.name}`
@@ -233,6 +237,7 @@ function resolveColumnPath(dotPath, baseEntityName, schema) {
       label: titleCase(col.displayName || col.name),
       jsType: col.jsType || 'string',
       entityName: baseEntityName,
+      source: { entity: baseEntityName, column: col.name },
       truncate: col.ui?.truncate || null,  // Inherit [TRUNCATE=n] from entity column
       nowrap: col.ui?.nowrap || null       // Inherit [NOWRAP] from entity column
     };
@@ -357,6 +362,7 @@ function resolveColumnPath(dotPath, baseEntityName, schema) {
     label: titleCase(col.displayName || col.name),
     jsType: col.jsType || 'string',
     entityName: currentEntity.className,
+    source: { entity: currentEntity.className, column: col.name },
     fkInfo
   };
 }
@@ -482,6 +488,7 @@ function resolveBackRefPath(pathStr, baseEntityName, schema) {
   let targetJsType;
   let resolvedEntityName = refEntityName;
   let isLabelColumn = false;  // Track if terminal column is [LABEL]
+  let source = null;  // Entity column shown by the back-ref (for field permissions)
   const internalJoins = [];
 
   if (tailPath) {
@@ -512,6 +519,7 @@ function resolveBackRefPath(pathStr, baseEntityName, schema) {
         targetLabel = titleCase(col.displayName || col.name);
         targetJsType = col.jsType || 'string';
         isLabelColumn = !!col.ui?.label;
+        source = { entity: refEntityName, column: col.name };
       }
     } else {
       // Multi-segment: walk FK chain from child entity
@@ -578,6 +586,7 @@ function resolveBackRefPath(pathStr, baseEntityName, schema) {
         targetSelectExpr = `${currentAlias}.${col.name}`;
         targetLabel = titleCase(col.displayName || col.name);
         targetJsType = col.jsType || 'string';
+        source = { entity: currentEntity.className, column: col.name };
       }
       resolvedEntityName = currentEntity.className;
     }
@@ -662,6 +671,7 @@ function resolveBackRefPath(pathStr, baseEntityName, schema) {
     label,
     jsType,
     entityName: resolvedEntityName,
+    source: isCount ? null : source,
     fkInfo
   };
 }
@@ -831,7 +841,8 @@ function expandBackRefAggregateColumns(pathStr, baseEntityName, schema, labelPre
       label: `${prefix} ${fieldLabel}`,
       jsType: col.jsType || 'string',
       selectExpr: subquery,
-      entityName: targetEntity.className
+      entityName: targetEntity.className,
+      source: { entity: targetEntity.className, column: col.name }
     };
 
     // Add metadata for client-side grouping (when not using .* syntax)
@@ -893,7 +904,8 @@ function expandAggregateColumns(path, baseEntityName, schema, labelPrefix = null
           jsType: col.jsType || 'string',
           selectExpr: `${prevAlias}.${col.name}`,
           joins: [...joins],
-          entityName: currentEntity.className
+          entityName: currentEntity.className,
+          source: { entity: currentEntity.className, column: col.name }
         };
         if (includeMetadata) {
           result.aggregateSource = seg;
@@ -955,7 +967,8 @@ function expandAggregateColumns(path, baseEntityName, schema, labelPrefix = null
       jsType: col.jsType || 'string',
       selectExpr: `${prevAlias}.${col.name}`,
       joins: [...joins],
-      entityName: currentEntity.className
+      entityName: currentEntity.className,
+      source: { entity: currentEntity.className, column: col.name }
     };
     if (includeMetadata) {
       result.aggregateSource = lastSeg;
@@ -968,6 +981,128 @@ function expandAggregateColumns(path, baseEntityName, schema, labelPrefix = null
   return results;
 }
 
+/** Aggregate functions of pivot values */
+const PIVOT_FUNCTIONS = ['count', 'sum', 'avg', 'min', 'max'];
+
+/** Date buckets of the pivot column key (same prefixes as the aggregate API) */
+const PIVOT_BUCKETS = { Y: '%Y', M: '%Y-%m' };
+
+/**
+ * Parse a pivot view (crosstab: row keys × column key → aggregated value).
+ * The SQL view holds one row per base record with the key and value columns;
+ * the grouping runs per request (see PivotQuery), so filters apply to records.
+ *
+ *   "pivot": {
+ *     "rows": ["meter.building.name AS Building"],
+ *     "column": "@M reading_at AS Month",
+ *     "value": "sum(usage) AS Usage"
+ *   }
+ *
+ * @param {Object} entry - View config entry with "pivot"
+ * @param {Object} schema - Full schema
+ * @param {Object} info - { color, group } of the view
+ * @returns {ParsedView|null} null (logged) if the pivot cannot be resolved
+ */
+function parsePivotView(entry, schema, { color, group }) {
+  const pivot = entry.pivot;
+  const columns = [];
+  const joinMap = new Map();
+
+  // Resolve a key or value path to a view column
+  const addColumn = (spec, role, bucket = null) => {
+    const parsed = parseColumnEntry(spec);
+    if (!parsed || parsed.expandAggregate || parsed.path.includes('<')) {
+      throw new Error(`invalid pivot ${role} "${spec}" (use a column or FK dot-path)`);
+    }
+    const resolved = resolveColumnPath(parsed.path, entry.base, schema);
+    if (resolved.isAggregate) {
+      throw new Error(`pivot ${role} "${parsed.path}" is an aggregate type, select one of its fields`);
+    }
+    const label = parsed.label || resolved.label;
+    if (columns.some(c => c.sqlAlias === label)) {
+      throw new Error(`duplicate pivot column label "${label}"`);
+    }
+    const colEntity = schema.entities[resolved.entityName];
+    columns.push({
+      path: parsed.path,
+      label,
+      jsType: bucket ? 'string' : resolved.jsType,
+      selectExpr: bucket ? `strftime('${PIVOT_BUCKETS[bucket]}', ${resolved.selectExpr})` : resolved.selectExpr,
+      sqlAlias: label,
+      areaColor: colEntity ? (schema.areas[colEntity.area]?.color || '#f5f5f5') : '#f5f5f5',
+      entityName: resolved.entityName,
+      source: resolved.source || null,
+      pivotRole: role
+    });
+    for (const join of resolved.joins) {
+      if (!joinMap.has(join.alias)) joinMap.set(join.alias, join);
+    }
+    return columns[columns.length - 1];
+  };
+
+  try {
+    const rowSpecs = Array.isArray(pivot.rows) ? pivot.rows : [pivot.rows].filter(Boolean);
+    if (rowSpecs.length === 0 || !pivot.column) {
+      throw new Error('"rows" and "column" are required');
+    }
+    const rows = rowSpecs.map(spec => addColumn(spec, 'row').sqlAlias);
+
+    // Column key, optionally bucketed by year/month: "@M reading_at AS Month"
+    const bucketMatch = typeof pivot.column === 'string' && pivot.column.match(/^@([YM])\s*(.+)$/);
+    const column = bucketMatch
+      ? addColumn(bucketMatch[2], 'column', bucketMatch[1]).sqlAlias
+      : addColumn(pivot.column, 'column').sqlAlias;
+
+    // Value: "count", "count(path)" or "sum|avg|min|max(path)", optional "AS Label"
+    const valueMatch = String(pivot.value || 'count').trim()
+      .match(/^(\w+)\s*(?:\(\s*(.*?)\s*\))?(?:\s+AS\s+(.+))?$/i);
+    const fn = valueMatch?.[1].toLowerCase();
+    if (!valueMatch || !PIVOT_FUNCTIONS.includes(fn)) {
+      throw new Error(`invalid pivot value "${pivot.value}" (${PIVOT_FUNCTIONS.join(', ')})`);
+    }
+    const valuePath = valueMatch[2] && valueMatch[2] !== '*' ? valueMatch[2] : null;
+    if (!valuePath && fn !== 'count') {
+      throw new Error(`pivot value "${fn}" needs a column, e.g. ${fn}(value)`);
+    }
+    let value = null;
+    if (valuePath) {
+      const valueCol = addColumn(valueMatch[3] ? `${valuePath} AS ${valueMatch[3].trim()}` : valuePath, 'value');
+      if ((fn === 'sum' || fn === 'avg') && valueCol.jsType !== 'number') {
+        throw new Error(`pivot value "${fn}" needs a numeric column, "${valuePath}" is not`);
+      }
+      value = valueCol.sqlAlias;
+    }
+
+    return {
+      name: entry.name,
+      sqlName: toSqlName(entry.name),
+      base: entry.base,
+      baseTable: schema.entities[entry.base].tableName,
+      color,
+      group,
+      columns,
+      joins: Array.from(joinMap.values()),
+      pivot: {
+        rows,
+        column,
+        fn,
+        value,
+        label: valueMatch[3]?.trim() || (value ? `${fn}(${value})` : 'count')
+      },
+      calculator: null,
+      prefilter: entry.prefilter || null,
+      requiredFilter: entry.requiredFilter || null,
+      defaultSort: null,
+      chart: null,
+      filter: entry.filter || null,
+      description: entry.description || null
+    };
+  } catch (err) {
+    logger.warn(`View "${entry.name}": pivot resolution failed, skipping`, { error: err.message });
+    return null;
+  }
+}
+
 /**
  * Parse all user view definitions and resolve against schema.
  *
@@ -1035,26 +1170,19 @@ function parseAllUserViews(viewsConfig, schema) {
       continue;
     }
 
-    if (!entry.columns) {
-      logger.warn('Invalid view config entry (no columns), skipping', { entry });
+    // Pivot view (crosstab, grouped per request)
+    if (entry.pivot) {
+      const pivotView = parsePivotView(entry, schema, { color: areaColor, group: currentGroup });
+      if (pivotView) {
+        views.push(pivotView);
+        groups.push({ type: 'view', name: entry.name, color: areaColor });
+      }
       continue;
     }
 
-    // Parse sort configuration: "column", "column DESC", or { column, order }
-    let defaultSort = null;
-    if (entry.sort) {
-      if (typeof entry.sort === 'string') {
-        const parts = entry.sort.trim().split(/\s+/);
-        defaultSort = {
-          column: parts[0],
-          order: (parts[1] || 'asc').toLowerCase()
-        };
-      } else if (typeof entry.sort === 'object') {
-        defaultSort = {
-          column: entry.sort.column,
-          order: (entry.sort.order || 'asc').toLowerCase()
-        };
-      }
+    if (!entry.columns) {
+      logger.warn('Invalid view config entry (no columns), skipping', { entry });
+      continue;
     }
 
     const parsedView = {
@@ -1069,7 +1197,7 @@ function parseAllUserViews(viewsConfig, schema) {
       calculator: entry.calculator || null,
       prefilter: entry.prefilter || null,
       requiredFilter: entry.requiredFilter || null,
-      defaultSort: defaultSort,
+      defaultSort: null,
       chart: entry.chart || null,
       filter: entry.filter || null,  // SQL WHERE clause for view-level filtering
       description: entry.description || null
@@ -1109,7 +1237,8 @@ function parseAllUserViews(viewsConfig, schema) {
                 sqlAlias: expCol.label,
                 omit,
                 areaColor: colAreaColor,
-                entityName: expCol.entityName
+                entityName: expCol.entityName,
+                source: expCol.source
               });
             }
           } else {
@@ -1134,7 +1263,8 @@ function parseAllUserViews(viewsConfig, schema) {
                 sqlAlias: expCol.label,
                 omit,
                 areaColor: colAreaColor,
-                entityName: expCol.entityName
+                entityName: expCol.entityName,
+                source: expCol.source
               });
 
               for (const join of expCol.joins) {
@@ -1177,6 +1307,7 @@ function parseAllUserViews(viewsConfig, schema) {
               omit,
               areaColor: colAreaColor,
               entityName: expCol.entityName,  // Entity this column belongs to (for diagrams)
+              source: expCol.source,  // Entity column shown (for field permissions)
               // Aggregate metadata for client-side grouping
               aggregateSource: expCol.aggregateSource,
               aggregateType: expCol.aggregateType,
@@ -1217,6 +1348,7 @@ function parseAllUserViews(viewsConfig, schema) {
           omit,
           areaColor: colAreaColor,
           entityName: resolved.entityName,  // Entity this column belongs to (for diagrams)
+          source: resolved.source || null,  // Entity column shown (for field permissions)
           truncate: resolved.truncate || null,  // Inherit [TRUNCATE=n] from entity column
           nowrap: resolved.nowrap || null       // Inherit [NOWRAP] from entity column
         };
@@ -1270,6 +1402,7 @@ function parseAllUserViews(viewsConfig, schema) {
                   selectExpr: resolved.selectExpr,
                   sqlAlias: dep,  // Use original column name as key for calculation compatibility
                   autoHidden: true,  // Mark as auto-added for calculated field
+                  source: resolved.source || null,
                   areaColor: areaColor
                 });
                 // Add joins if needed
@@ -1293,6 +1426,20 @@ function parseAllUserViews(viewsConfig, schema) {
     // Update joins after adding dependencies
     parsedView.joins = Array.from(joinMap.values());
 
+    // Default sort: "a, b DESC", ["a", "b DESC"] or { column, order } (see SortParser);
+    // columns by alias, label or path, stored as [{ column: sqlAlias, order }]
+    const sortKeys = [];
+    for (const key of parseSort(entry.sort)) {
+      const col = parsedView.columns.find(c => c.sqlAlias === key.column || c.label === key.column) ||
+        parsedView.columns.find(c => c.path === key.column);
+      if (col) {
+        sortKeys.push({ column: col.sqlAlias, order: key.order });
+      } else {
+        logger.warn(`View "${entry.name}": unknown sort column "${key.column}", ignored`);
+      }
+    }
+    parsedView.defaultSort = sortKeys.length > 0 ? sortKeys : null;
+
     if (parsedView.columns.length > 0) {
       views.push(parsedView);
       groups.push({ type: 'view', name: entry.name, color: areaColor });
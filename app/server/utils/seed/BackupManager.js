@@ -229,8 +229,73 @@ async function restoreBackup(db, schema, backupDir, seedDir, options = {}) {
   return results;
 }
 
+/**
+ * Carry entity and attribute renames of a schema migration over to the JSON data
+ * files of a directory (seed or backup): <OldEntity>.json becomes <NewEntity>.json,
+ * renamed attribute keys are renamed in every record.
+ *
+ * @param {string} dir - Seed or backup directory
+ * @param {Array} operations - Migration operations (renameTable, renameColumn; others are ignored)
+ * @returns {string[]} - Changed file names
+ */
+function renameInDataFiles(dir, operations) {
+  const changed = new Set();
+  if (!dir || !fs.existsSync(dir)) return [];
+
+  for (const op of operations) {
+    if (op.action !== 'renameTable') continue;
+    const fromPath = path.join(dir, `${op.fromEntity}.json`);
+    const toPath = path.join(dir, `${op.entity}.json`);
+    if (fs.existsSync(fromPath) && !fs.existsSync(toPath)) {
+      fs.renameSync(fromPath, toPath);
+      changed.add(`${op.entity}.json`);
+    }
+  }
+
+  // Old key -> new key per entity (FK columns also map their conceptual name)
+  const keysByEntity = {};
+  for (const op of operations) {
+    if (op.action !== 'renameColumn') continue;
+    Object.assign(keysByEntity[op.entity] ||= {}, op.keys);
+  }
+
+  for (const [entityName, keys] of Object.entries(keysByEntity)) {
+    const filePath = path.join(dir, `${entityName}.json`);
+    if (!fs.existsSync(filePath)) continue;
+
+    let records;
+    try {
+      records = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch {
+      continue;
+    }
+    if (!Array.isArray(records)) continue;
+
+    let renamed = false;
+    const result = records.map(record => {
+      if (!record || typeof record !== 'object') return record;
+      // Rebuild the record to keep the key order
+      const out = {};
+      for (const [key, value] of Object.entries(record)) {
+        const newKey = keys[key] && !(keys[key] in record) ? keys[key] : key;
+        if (newKey !== key) renamed = true;
+        out[newKey] = value;
+      }
+      return out;
+    });
+
+    if (renamed) {
+      fs.writeFileSync(filePath, JSON.stringify(result, null, 2));
+      changed.add(`${entityName}.json`);
+    }
+  }
+
+  return [...changed];
+}
+
 module.exports = {
   uploadEntity,
+  renameInDataFiles,
   backupAll,
   restoreEntity,
   restoreBackup
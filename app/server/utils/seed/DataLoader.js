@@ -17,6 +17,7 @@ const { resolveConceptualFKs, findByUniqueField } = require('./FKResolver');
 const { resolveMediaUrls, flattenAggregates } = require('./MediaResolver');
 const { validateImport, findExistingByUnique, getFirstUniqueValue } = require('./ImportValidator');
 const { getNeutralValue } = require('../NeutralValues');
+const RecordRules = require('../RecordRules');
 
 /**
  * Assess data quality for a record: check FK resolution, required fields, validation.
@@ -27,9 +28,11 @@ const { getNeutralValue } = require('../NeutralValues');
  * @param {Array} fkWarnings - FK resolution warnings from resolveConceptualFKs
  * @param {object|null} validator - ObjectValidator instance (or null)
  * @param {string} entityName - Entity class name
+ * @param {object} db - Database instance (for ## Record Rules)
+ * @param {object} ruleRecord - Record for the record rules (id of the row it replaces or updates)
  * @returns {{ ql: number, qd: Array }} Quality assessment result
  */
-function assessQuality(entity, resolved, fkWarnings, validator, entityName) {
+function assessQuality(entity, resolved, fkWarnings, validator, entityName, db, ruleRecord = resolved) {
   let ql = 0;
   const qd = [];
 
@@ -61,13 +64,13 @@ function assessQuality(entity, resolved, fkWarnings, validator, entityName) {
     }
   }
 
-  // Field validation rules (bit 1) + Cross-field/object rules (bit 16)
+  // Field validation rules (bit 1) + Cross-field/object rules and record rules (bit 16)
   if (validator) {
     for (const err of validator.validateFieldRulesOnly(entityName, resolved)) {
       ql |= 1;
       qd.push({ field: err.field, ql: 1, value: resolved[err.field], message: err.message });
     }
-    for (const err of validator.validateObjectRulesOnly(entityName, resolved)) {
+    for (const err of [...validator.validateObjectRulesOnly(entityName, resolved), ...RecordRules.check(db, entity, ruleRecord)]) {
       ql |= 16;
       qd.push({ field: err.field || '_object', ql: 16, value: null, message: err.message });
     }
@@ -170,18 +173,24 @@ async function loadEntity(db, entity, schema, sourceDir, seedDir, lookups = null
       lookupCache.set(key, record || null);
       return record || null;
     };
+    // Uniqueness checks (UniqueWithinParent passes excludeId, possibly null) are not cached:
+    // rows inserted earlier in this import count
     const existsCache = new Map();
-    validator.existsFn = (existsEntity, conditions) => {
+    validator.existsFn = (existsEntity, conditions, excludeId) => {
       if (!conditions || typeof conditions !== 'object') return false;
       const targetEntity = schema.entities[existsEntity];
       if (!targetEntity) return false;
       const keys = Object.keys(conditions).sort();
-      const cacheKey = `${existsEntity}:${keys.map(k => `${k}=${conditions[k]}`).join(',')}`;
-      if (existsCache.has(cacheKey)) return existsCache.get(cacheKey);
-      const where = keys.map(k => `${k} = ?`).join(' AND ');
+      const cacheKey = excludeId === undefined ? `${existsEntity}:${keys.map(k => `${k}=${conditions[k]}`).join(',')}` : null;
+      if (cacheKey && existsCache.has(cacheKey)) return existsCache.get(cacheKey);
+      let where = keys.map(k => `${k} = ?`).join(' AND ');
       const values = keys.map(k => conditions[k]);
+      if (excludeId != null) {
+        where += ' AND id != ?';
+        values.push(excludeId);
+      }
       const result = !!db.prepare(`SELECT 1 FROM ${targetEntity.tableName} WHERE ${where} LIMIT 1`).get(...values);
-      existsCache.set(cacheKey, result);
+      if (cacheKey) existsCache.set(cacheKey, result);
       return result;
     };
   }
@@ -301,6 +310,15 @@ async function loadEntity(db, entity, schema, sourceDir, seedDir, lookups = null
       }
     }
 
+    // Merge: the record a row updates is no conflict for UniqueWithinParent
+    const validationRecord = validator && mode === 'merge' && resolved.id == null
+      ? { ...resolved, id: findExistingByUnique(db, entity, resolved) }
+      : resolved;
+    // Record rules: neither is the record a row replaces (replace) or skips (skip_conflicts)
+    const ruleRecord = validator && mode !== 'merge' && resolved.id == null && entity.recordRules?.length
+      ? { ...resolved, id: findExistingByUnique(db, entity, resolved) }
+      : validationRecord;
+
     // Quality-aware validation and insertion
     let useQualityInsert = false;
     let recordQL = 0;
@@ -308,7 +326,7 @@ async function loadEntity(db, entity, schema, sourceDir, seedDir, lookups = null
 
     if (acceptQL > 0) {
       // Quality mode: assess quality, neutralize if accepted, skip if not
-      const { ql, qd } = assessQuality(entity, resolved, fkWarnings, validator, entityName);
+      const { ql, qd } = assessQuality(entity, validationRecord, fkWarnings, validator, entityName, db, ruleRecord);
 
       if (ql > 0) {
         if ((ql & ~acceptQL) === 0) {
@@ -338,10 +356,11 @@ async function loadEntity(db, entity, schema, sourceDir, seedDir, lookups = null
       // Standard mode (no AcceptQL): skip records with validation errors
       const validationErrors = [];
       if (validateFields) {
-        validationErrors.push(...validator.validateFieldRulesOnly(entityName, resolved));
+        validationErrors.push(...validator.validateFieldRulesOnly(entityName, validationRecord));
       }
       if (validateConstraints) {
-        validationErrors.push(...validator.validateObjectRulesOnly(entityName, resolved));
+        validationErrors.push(...validator.validateObjectRulesOnly(entityName, validationRecord));
+        validationErrors.push(...RecordRules.check(db, entity, ruleRecord));
       }
       if (validationErrors.length > 0) {
         for (const err of validationErrors) {
@@ -15,6 +15,7 @@ const {
   fuzzyLabelMatch
 } = require('./LabelResolver');
 const { findByUniqueField, resolveConceptualFKs } = require('./FKResolver');
+const RecordRules = require('../RecordRules');
 
 /**
  * Count records in a seed file
@@ -204,8 +205,8 @@ function countBackReferences(db, schema, entityName, recordId) {
 
 /**
  * Validate import data and check FK references.
- * Returns warnings for unresolved FKs, identifies valid/invalid records,
- * and detects conflicts with existing records that have back-references.
+ * Returns warnings for unresolved FKs and violated record rules, identifies
+ * valid/invalid records, and detects conflicts with existing records that have back-references.
  *
  * @param {object} db - Database instance
  * @param {object} entity - Entity schema object
@@ -251,6 +252,12 @@ function validateImport(db, entity, schema, records, seedDir) {
     }
   }
 
+  // UNIQUE fallback of the FK resolution (record rules)
+  const findByUniqueFn = (targetEntityName, value) => {
+    const targetEntity = schema.entities[targetEntityName];
+    return targetEntity ? findByUniqueField(db, targetEntity, value) : null;
+  };
+
   // Build unique lookup for conflict detection
   const uniqueLookup = buildUniqueLookup(db, entity);
   const uniqueCols = entity.columns.filter(c => c.unique).map(c => c.name);
@@ -320,6 +327,22 @@ function validateImport(db, entity, schema, records, seedDir) {
       }
     }
 
+    // Cross-record rules (## Record Rules): checked against the database as on load;
+    // a row matching an existing record by unique key is checked as that record
+    if (entity.recordRules) {
+      const { resolved } = resolveConceptualFKs(entity, record, lookups, schema, findByUniqueFn);
+      if (resolved.id == null) resolved.id = findExistingByUnique(db, entity, resolved);
+      for (const err of RecordRules.check(db, entity, resolved)) {
+        warnings.push({
+          row: i + 1,
+          field: err.field,
+          value: resolved[err.field] ?? null,
+          message: err.message
+        });
+        invalidRows.add(i + 1);
+      }
+    }
+
     // Check for unique constraint conflicts
     for (const col of uniqueCols) {
       if (record[col] !== null && record[col] !== undefined) {
@@ -185,10 +185,11 @@ class ObjectValidator {
    * Skips required-check for fields not present in obj.
    * @param {string} entityType - Entity type
    * @param {Object} obj - Partial object to validate
+   * @param {Object} [stored] - Stored record (server): built-in rules check the merged record
    * @returns {Object} - Validated and transformed partial object
    * @throws {ValidationError} - On validation errors
    */
-  validatePartial(entityType, obj) {
+  validatePartial(entityType, obj, stored = null) {
     const rules = this.rules.get(entityType);
 
     if (!rules) {
@@ -207,9 +208,10 @@ class ObjectValidator {
     }
 
     // Object-level validation (cross-field rules)
-    // Built-in rules skip when values are null, so partial updates work correctly.
+    // Built-in rules check the stored record merged with the update; without it (client)
+    // they skip when one of their fields is not part of the update.
     // Custom JS receives the partial obj — server has full record as backstop.
-    const objectErrors = this._validateObjectRules(entityType, obj);
+    const objectErrors = this._validateObjectRules(entityType, obj, true, stored);
     errors.push(...objectErrors);
 
     if (errors.length > 0) {
@@ -279,7 +281,7 @@ class ObjectValidator {
   }
 
   /**
-   * Validate only cross-field (object-level) rules (TimeRange, NumericRange, Custom JS).
+   * Validate only cross-field (object-level) rules (built-in constraint functions, Custom JS).
    * Returns array of error objects (empty = valid). Does NOT throw.
    * Used by SeedManager when importValidation.objectRules is enabled.
    */
@@ -718,17 +720,21 @@ class ObjectValidator {
    * Validate cross-field / object-level rules
    * @param {string} entityType - Entity type
    * @param {Object} obj - Object being validated
+   * @param {boolean} partial - Partial update: skip built-in rules with fields missing in obj
+   * @param {Object} [stored] - Stored record of a partial update: built-in rules check it merged with obj
    * @returns {Array} - Array of error objects (empty if valid)
    */
-  _validateObjectRules(entityType, obj) {
+  _validateObjectRules(entityType, obj, partial = false, stored = null) {
     const rules = this.objectRules.get(entityType);
     if (!rules || rules.length === 0) return [];
 
     const errors = [];
+    const merged = stored ? { ...stored, ...obj } : obj;
 
     for (const rule of rules) {
       if (rule.type === 'builtin') {
-        const error = this._validateBuiltinRule(rule, obj);
+        if (partial && !stored && !this._ruleColumns(rule).every(col => col in obj)) continue;
+        const error = this._validateBuiltinRule(rule, merged);
         if (error) errors.push(error);
       } else if (rule.type === 'custom') {
         const customErrors = this._validateCustomRule(rule, obj);
@@ -740,37 +746,150 @@ class ObjectValidator {
   }
 
   /**
-   * Validate a built-in constraint rule (TimeRange, NumericRange).
-   * Both check: fieldA <= fieldB. Skip if either value is null/empty.
+   * Columns involved in a built-in rule (first = primary field of the error)
+   */
+  _ruleColumns(rule) {
+    return rule.columns || [rule.columnA, rule.columnB];
+  }
+
+  /**
+   * Validate a built-in constraint rule.
+   * Rules skip when the values they compare are null/empty;
+   * UniqueWithinParent needs existsFn and is server-only.
+   * @returns {Object|null} - Error object or null if valid
    */
   _validateBuiltinRule(rule, obj) {
-    const valA = obj[rule.columnA];
-    const valB = obj[rule.columnB];
-
-    // Skip if either field is null/undefined/empty
-    if (valA == null || valA === '' || valB == null || valB === '') return null;
-
-    // Both TimeRange and NumericRange: fieldA <= fieldB
-    if (valA > valB) {
-      // Generate default message if none provided
-      let message = rule.message;
-      if (!message) {
-        if (rule.name === 'TimeRange') {
-          message = `"${rule.fieldA}" must be on or before "${rule.fieldB}"`;
-        } else {
-          message = `"${rule.fieldA}" must be less than or equal to "${rule.fieldB}"`;
-        }
+    const columns = this._ruleColumns(rule);
+    const fields = rule.fields || [rule.fieldA, rule.fieldB];
+    const values = columns.map(col => obj[col]);
+    // false is a value (a bool field set to no), not a missing one
+    const isEmpty = v => v == null || v === '';
+    let failed = false;
+
+    switch (rule.name) {
+      case 'TimeRange':
+      case 'NumericRange':
+        // fieldA <= fieldB
+        failed = !isEmpty(values[0]) && !isEmpty(values[1]) && values[0] > values[1];
+        break;
+      case 'RequiredIf':
+        // field required when the other field has a value (or the given value)
+        failed = isEmpty(values[0]) && (rule.value !== undefined
+          ? this._matchesValue(values[1], rule.value)
+          : !isEmpty(values[1]));
+        break;
+      case 'MutuallyExclusive':
+        failed = values.filter(v => !isEmpty(v)).length > 1;
+        break;
+      case 'AtLeastOneOf':
+        failed = values.every(isEmpty);
+        break;
+      case 'SumEquals': {
+        // SumEquals(total, a, b, ...): total is a field or a fixed number (rule.value)
+        const total = rule.value !== undefined ? rule.value : values[0];
+        const parts = rule.value !== undefined ? values : values.slice(1);
+        if (isEmpty(total) || parts.every(isEmpty)) break;
+        const sum = parts.reduce((acc, v) => acc + (isEmpty(v) ? 0 : Number(v)), 0);
+        if (isNaN(sum) || isNaN(Number(total))) break;
+        failed = Math.abs(sum - Number(total)) > 1e-9;
+        break;
       }
+      case 'NotInFuture':
+        failed = !isEmpty(values[0]) && this._isInFuture(values[0]);
+        break;
+      case 'UniqueWithinParent':
+        if (!this.existsFn || isEmpty(values[0]) || isEmpty(values[1])) break;
+        failed = this.existsFn(rule.entity, { [columns[0]]: values[0], [columns[1]]: values[1] }, obj.id ?? null);
+        break;
+      default:
+        return null;
+    }
 
-      return {
-        field: rule.columnA,
-        relatedFields: [rule.columnB],
-        code: 'OBJECT_' + rule.name.toUpperCase(),
-        message
-      };
+    if (!failed) return null;
+
+    return {
+      field: columns[0],
+      relatedFields: columns.slice(1),
+      code: 'OBJECT_' + rule.name.toUpperCase(),
+      message: this._builtinRuleMessage(rule, fields)
+    };
+  }
+
+  /**
+   * Compare a field value with the value of RequiredIf(field, other = value).
+   * Booleans match true/false, everything else compares as string.
+   */
+  _matchesValue(value, expected) {
+    if (value == null || value === '') return false;
+    if (expected === 'true' || expected === 'false') {
+      const isTrue = value === true || value === 1 || value === '1' || value === 'true';
+      return isTrue === (expected === 'true');
     }
+    return String(value) === String(expected);
+  }
 
-    return null;
+  /**
+   * Date (YYYY-MM-DD, compared with the local date) or datetime after now
+   */
+  _isInFuture(value) {
+    const str = String(value);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(str)) {
+      const now = new Date();
+      const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+      return str > today;
+    }
+    const time = Date.parse(str);
+    return !isNaN(time) && time > Date.now();
+  }
+
+  /**
+   * Error message of a built-in rule: literal message, ## Error Messages entry
+   * ({field}, {other}, {fields} and {value} are replaced) or the default text
+   */
+  _builtinRuleMessage(rule, fields) {
+    if (rule.message) return rule.message;
+
+    const list = fields.map(f => `"${f}"`).join(', ');
+    if (rule.messages) {
+      return this._resolveMessage(rule.messages, rule.name)
+        .replace(/\{field\}/g, fields[0])
+        .replace(/\{other\}/g, fields[1] || '')
+        .replace(/\{fields\}/g, fields.join(', '))
+        .replace(/\{value\}/g, rule.value !== undefined ? String(rule.value) : '');
+    }
+
+    switch (rule.name) {
+      case 'TimeRange':
+        return `"${fields[0]}" must be on or before "${fields[1]}"`;
+      case 'NumericRange':
+        return `"${fields[0]}" must be less than or equal to "${fields[1]}"`;
+      case 'RequiredIf':
+        return rule.value !== undefined
+          ? `"${fields[0]}" is required when "${fields[1]}" is ${rule.value}`
+          : `"${fields[0]}" is required when "${fields[1]}" is set`;
+      case 'MutuallyExclusive':
+        return `Only one of ${list} may be set`;
+      case 'AtLeastOneOf':
+        return `At least one of ${list} is required`;
+      case 'SumEquals':
+        return rule.value !== undefined
+          ? `The sum of ${list} must be ${rule.value}`
+          : `The sum of ${fields.slice(1).map(f => `"${f}"`).join(', ')} must equal "${fields[0]}"`;
+      case 'NotInFuture':
+        return `"${fields[0]}" must not be in the future`;
+      case 'UniqueWithinParent':
+        return `"${fields[0]}" must be unique within "${fields[1]}"`;
+      default:
+        return rule.name;
+    }
+  }
+
+  /**
+   * Pick the message text of a ## Error Messages entry ({ en: '...', de: '...' })
+   */
+  _resolveMessage(msgDef, fallback) {
+    // Use 'en' as default language (i18n language selection handled by caller)
+    return msgDef.en || Object.values(msgDef)[0] || fallback;
   }
 
   /**
@@ -786,8 +905,7 @@ class ObjectValidator {
     const errorFn = (fields, code) => {
       if (!Array.isArray(fields) || fields.length === 0) return;
       const msgDef = messages[code];
-      // Use 'en' as default language (i18n language selection handled by caller)
-      const message = msgDef ? (msgDef.en || Object.values(msgDef)[0] || code) : code;
+      const message = msgDef ? this._resolveMessage(msgDef, code) : code;
       errors.push({
         field: fields[0],
         relatedFields: fields.slice(1),
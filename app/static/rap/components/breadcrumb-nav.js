@@ -31,9 +31,9 @@ const BreadcrumbNav = {
   init() {
     if (this.initialized) return;
 
-    this.container = document.getElementById('rap-menu-bar');
+    this.container = document.getElementById('rap-breadcrumbs');
     if (!this.container) {
-      console.warn('BreadcrumbNav: Container #rap-menu-bar not found');
+      console.warn('BreadcrumbNav: Container #rap-breadcrumbs not found');
       return;
     }
 
@@ -115,14 +115,13 @@ const ContextMenu = {
       // Check if user has write access (not a guest)
       const hasWriteAccess = window.currentUser && ['user', 'admin', 'master'].includes(window.currentUser.role);
 
-      // Check if entity is readonly (system entity like AuditTrail)
-      const isReadonly = EntityExplorer.entityMetadata[context.entity]?.readonly === true;
-
-      // Enable/disable write actions based on role and readonly status
-      ['new', 'edit', 'delete'].forEach(action => {
+      // Enable/disable write actions based on role, entity permissions and readonly status
+      // (readonly system entities like AuditTrail allow no writes)
+      const permissionActions = { new: 'create', edit: 'update', delete: 'delete' };
+      Object.entries(permissionActions).forEach(([action, permission]) => {
         const item = this.menu.querySelector(`[data-action="${action}"]`);
         if (item) {
-          if (hasWriteAccess && !isReadonly) {
+          if (hasWriteAccess && EntityExplorer.can(context.entity, permission)) {
             item.classList.remove('disabled');
           } else {
             item.classList.add('disabled');
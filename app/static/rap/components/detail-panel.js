@@ -2,6 +2,8 @@
  * Detail Panel Component
  * Right side panel for viewing/editing records
  * Uses ColumnUtils.SYSTEM_COLUMNS for system column filtering
+ * View mode has a Details and a History tab (field diffs from the audit trail,
+ * with rollback to earlier versions); deleted records are restored from AuditTrail entries
  */
 const DetailPanel = {
   panel: null,
@@ -14,6 +16,7 @@ const DetailPanel = {
   showIds: false,
   showSystem: false, // Show system columns (_version, _created_at, _updated_at)
   mode: null, // 'view', 'edit', 'create', or null
+  activeTab: 'details', // 'details' or 'history' (kept while browsing records)
 
   // Current record state (for re-rendering when toggle changes)
   currentEntity: null,
@@ -60,6 +63,9 @@ const DetailPanel = {
     // Event listeners
     this.toggleBtn.addEventListener('click', () => this.toggle());
     this.expandBtn.addEventListener('click', () => this.expand());
+
+    // Live updates of the shown record
+    ChangeFeed.on('entity', (change) => this.onRemoteChange(change));
   },
 
   toggle() {
@@ -132,7 +138,19 @@ const DetailPanel = {
     // Use extended schema for enum value formatting
     const schema = await SchemaCache.getExtended(entityName);
 
-    let html = '<div class="record-details">';
+    // System entities (AuditTrail, ...) have no history of their own
+    const hasHistory = !schema.system;
+    let html = '';
+    if (hasHistory) {
+      html += `
+        <div class="detail-tabs">
+          <button class="detail-tab" data-tab="details">${i18n.t('details')}</button>
+          <button class="detail-tab" data-tab="history">${i18n.t('history')}</button>
+        </div>
+        <div class="record-history" style="display: none;"></div>
+      `;
+    }
+    html += '<div class="record-details">';
 
     // Show record's own ID if showIds is enabled
     if (this.showIds) {
@@ -227,18 +245,35 @@ const DetailPanel = {
       `;
     }
 
+    // Edit button only if the role may update this entity
+    const canUpdate = typeof EntityExplorer === 'undefined' || EntityExplorer.can(entityName, 'update');
+    // Deleted records can be re-created from their DELETE audit entry
+    const canRestore = entityName === 'AuditTrail' && record.action === 'DELETE' &&
+      (typeof EntityExplorer === 'undefined' || EntityExplorer.can(record.entity_name, 'create'));
     html += `
       <div class="form-actions">
-        <button class="btn-save" id="btn-panel-edit">${i18n.t('edit')}</button>
+        ${canUpdate ? `<button class="btn-save" id="btn-panel-edit">${i18n.t('edit')}</button>` : ''}
+        ${canRestore ? `<button class="btn-save" id="btn-panel-restore">${i18n.t('audit_restore')}</button>` : ''}
       </div>
     </div>`;
 
     this.content.innerHTML = html;
 
     // Add edit button handler
-    document.getElementById('btn-panel-edit').addEventListener('click', () => {
+    document.getElementById('btn-panel-edit')?.addEventListener('click', () => {
       this.showEditForm(entityName, record);
     });
+    document.getElementById('btn-panel-restore')?.addEventListener('click', () => {
+      this.restoreRecord(record.entity_name, record.entity_id, record.id, null,
+        i18n.t('audit_restore_confirm', { entity: record.entity_name, id: record.entity_id }));
+    });
+
+    if (hasHistory) {
+      this.content.querySelectorAll('.detail-tab').forEach(tab => {
+        tab.addEventListener('click', () => this.switchTab(tab.dataset.tab, entityName, record, schema));
+      });
+      this.switchTab(this.activeTab, entityName, record, schema);
+    }
 
     // Auto-expand panel if collapsed
     if (this.isCollapsed) {
@@ -246,6 +281,185 @@ const DetailPanel = {
     }
   },
 
+  /**
+   * Switch between the Details and History tab of the view mode
+   */
+  switchTab(tabName, entityName, record, schema) {
+    this.activeTab = tabName;
+    this.content.querySelectorAll('.detail-tab').forEach(tab => {
+      tab.classList.toggle('active', tab.dataset.tab === tabName);
+    });
+    this.content.querySelector('.record-details').style.display = tabName === 'details' ? '' : 'none';
+    this.content.querySelector('.record-history').style.display = tabName === 'history' ? '' : 'none';
+
+    if (tabName === 'history') {
+      this.loadHistory(entityName, record, schema);
+    }
+  },
+
+  /**
+   * Load and render the change history of the current record
+   */
+  async loadHistory(entityName, record, schema) {
+    const container = this.content.querySelector('.record-history');
+    container.innerHTML = `<p class="empty-message">${i18n.t('loading')}</p>`;
+
+    try {
+      const { history } = await ApiClient.getHistory(entityName, record.id);
+      // Another record may have been selected meanwhile
+      if (this.currentEntity !== entityName || this.currentRecord?.id !== record.id) return;
+      const canRestore = typeof EntityExplorer === 'undefined' || EntityExplorer.can(entityName, 'update');
+      container.innerHTML = this.renderHistory(history, schema, canRestore);
+      container.querySelectorAll('.btn-history-restore').forEach(btn => {
+        btn.addEventListener('click', () => {
+          this.restoreRecord(entityName, record.id, parseInt(btn.dataset.auditId, 10), record._version,
+            i18n.t('history_restore_confirm', { entity: entityName, id: record.id }));
+        });
+      });
+    } catch (err) {
+      container.innerHTML = `<div class="panel-message error">${DomUtils.escapeHtml(err.message)}</div>`;
+    }
+  },
+
+  /**
+   * Restore a record from the audit trail (after confirmation), then show it
+   * FK/UNIQUE conflicts are listed in the error message of the 409 response.
+   * @param {number|null} auditId - Audit entry to restore (null = the deleted record)
+   * @param {number|null} version - Expected version for OCC (rollback only)
+   */
+  async restoreRecord(entityName, id, auditId, version, confirmMessage) {
+    if (!await ConfirmDialog.show(confirmMessage)) return;
+
+    try {
+      const { record } = await ApiClient.restore(entityName, id, auditId, version);
+      await EntityExplorer.refresh();
+      this.showRecord(entityName, record);
+    } catch (err) {
+      alert(i18n.t('restore_failed', { message: err.message }));
+    }
+  },
+
+  /**
+   * Render history entries as diff lists (newest first)
+   * @param {Array} history - Entries from GET /api/entities/:entity/:id/history
+   * @param {Object} schema - Extended schema (for enum formatting)
+   * @param {boolean} canRestore - Offer rollback to earlier versions
+   * @returns {string} HTML
+   */
+  renderHistory(history, schema, canRestore = false) {
+    if (history.length === 0) {
+      return `<p class="empty-message">${i18n.t('history_empty')}</p>`;
+    }
+
+    const format = (value, label, field) => {
+      if (value === null || value === undefined) return '<em>∅</em>';
+      const text = label ?? ValueFormatter.format(value, field, schema);
+      return DomUtils.escapeHtml(typeof text === 'object' ? JSON.stringify(text) : String(text));
+    };
+    const actionLabels = {
+      CREATE: i18n.t('history_created'),
+      UPDATE: i18n.t('history_updated'),
+      DELETE: i18n.t('history_deleted')
+    };
+
+    let html = '';
+    history.forEach((entry, index) => {
+      // changed_at is UTC without zone
+      const when = new Date(entry.changedAt.replace(' ', 'T') + 'Z').toLocaleString();
+      const meta = [when];
+      if (entry.changedBy) meta.push(i18n.t('history_by', { user: entry.changedBy }));
+      if (entry.version != null) meta.push(`v${entry.version}`);
+
+      html += `
+        <div class="history-entry">
+          <div class="history-header">
+            <span class="history-action history-${entry.action.toLowerCase()}">${actionLabels[entry.action] || entry.action}</span>
+            <span class="history-meta">${DomUtils.escapeHtml(meta.join(' · '))}</span>
+            ${canRestore && index > 0 && entry.action !== 'DELETE'
+              ? `<button class="btn-history-restore" data-audit-id="${entry.auditId}">${i18n.t('history_restore')}</button>`
+              : ''}
+          </div>
+          <div class="json-diff">`;
+
+      for (const change of entry.changes) {
+        const key = DomUtils.escapeHtml(change.field);
+        if (entry.action === 'CREATE') {
+          html += `<div class="diff-row diff-added">
+            <span class="diff-key">${key}:</span>
+            <span class="diff-value">${format(change.to, change.toLabel, change.field)}</span>
+          </div>`;
+        } else if (entry.action === 'DELETE') {
+          html += `<div class="diff-row diff-removed">
+            <span class="diff-key">${key}:</span>
+            <span class="diff-value">${format(change.from, change.fromLabel, change.field)}</span>
+          </div>`;
+        } else {
+          html += `<div class="diff-row diff-changed">
+            <span class="diff-key">${key}:</span>
+            <span class="diff-value diff-before">${format(change.from, change.fromLabel, change.field)}</span>
+            <span class="diff-arrow">→</span>
+            <span class="diff-value diff-after">${format(change.to, change.toLabel, change.field)}</span>
+          </div>`;
+        }
+      }
+
+      html += '</div></div>';
+    });
+    return html;
+  },
+
+  /**
+   * Handle a change of the shown record from the live change feed
+   * View mode shows the new values; an open edit form is marked stale instead
+   * (saving it would end in a version conflict) and can be reloaded.
+   */
+  onRemoteChange(change) {
+    const record = this.currentRecord;
+    if (!record || change.entity !== this.currentEntity || change.id !== record.id) return;
+    if (change.action === 'update' && (record._version || 0) >= change.version) return;
+    if (change.action !== 'update' && change.action !== 'delete') return;
+    // Own save in progress: the form is replaced by the saved record anyway
+    if (EntityForm.isSubmitting) return;
+
+    const message = change.action === 'delete'
+      ? i18n.t('live_record_deleted', { entity: change.entity, id: change.id })
+      : change.changedBy
+        ? i18n.t('live_record_changed_by', { entity: change.entity, id: change.id, user: change.changedBy })
+        : i18n.t('live_record_changed', { entity: change.entity, id: change.id });
+
+    if (this.mode === 'view') {
+      if (change.action === 'update') {
+        this.showRecord(change.entity, change.record);
+      } else {
+        this.currentRecord = null;
+        this.mode = null;
+        this.showMessage(DomUtils.escapeHtml(message));
+      }
+    } else if (this.mode === 'edit') {
+      this.showStaleBanner(message, change.action === 'update' ? change.record : null);
+    }
+  },
+
+  /**
+   * Show a banner above the edit form: the record was changed or deleted elsewhere
+   * @param {string} message - Banner text
+   * @param {Object|null} newRecord - Current record to reload the form with (null = deleted)
+   */
+  showStaleBanner(message, newRecord) {
+    this.content.querySelector('.panel-stale-banner')?.remove();
+
+    const banner = document.createElement('div');
+    banner.className = 'panel-stale-banner';
+    banner.innerHTML = `<span>${DomUtils.escapeHtml(message)}</span>` +
+      (newRecord ? `<button type="button" class="btn-stale-reload">${i18n.t('live_reload_form')}</button>` : '');
+    this.content.prepend(banner);
+
+    banner.querySelector('.btn-stale-reload')?.addEventListener('click', () => {
+      if (EntityForm.hasUnsavedChanges() && !confirm(i18n.t('unsaved_changes_warning'))) return;
+      this.showEditForm(this.currentEntity, newRecord);
+    });
+  },
+
   async showCreateForm(entityName) {
     this.mode = 'create';
     this.currentEntity = entityName;
@@ -429,5 +643,62 @@ detailStyle.textContent = `
     color: #856404;
     margin: 0 6px;
   }
+
+  /* Details / History tabs */
+  .detail-tabs {
+    display: flex;
+    gap: 4px;
+    margin-bottom: 8px;
+    border-bottom: 1px solid #e5e7eb;
+  }
+  .detail-tab {
+    background: none;
+    border: none;
+    border-bottom: 2px solid transparent;
+    padding: 4px 10px;
+    font-size: 0.8rem;
+    color: #666;
+    cursor: pointer;
+  }
+  .detail-tab.active {
+    border-bottom-color: var(--color-primary, #2563eb);
+    color: #333;
+    font-weight: 500;
+  }
+  .history-entry {
+    margin-bottom: 12px;
+  }
+  .history-header {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: baseline;
+    gap: 6px;
+    margin-bottom: 4px;
+  }
+  .history-action {
+    font-size: 0.75rem;
+    font-weight: 600;
+    text-transform: uppercase;
+  }
+  .history-create { color: #155724; }
+  .history-update { color: #856404; }
+  .history-delete { color: #721c24; }
+  .history-meta {
+    font-size: 0.75rem;
+    color: #888;
+  }
+  .btn-history-restore {
+    margin-left: auto;
+    background: none;
+    border: 1px solid #d1d5db;
+    border-radius: 3px;
+    padding: 1px 6px;
+    font-size: 0.7rem;
+    color: #555;
+    cursor: pointer;
+  }
+  .btn-history-restore:hover {
+    background: #f3f4f6;
+  }
 `;
 document.head.appendChild(detailStyle);
@@ -2,10 +2,21 @@
  * Entity Chart Component
  * Displays data as charts using Vega-Lite
  * Works with Views that have a 'chart' configuration
+ *
+ * Charts whose encoding aggregates (sum, mean, count, ...) are computed by the
+ * server (api/views/:name/aggregate) over all rows matching the filter, so large
+ * views need not be downloaded. Other charts use the loaded records.
  */
 const EntityChart = {
   view: null, // Vega view instance
   container: null,
+  requestSeq: 0,
+
+  // Vega-Lite aggregate ops the server computes
+  serverOps: { count: 'count', sum: 'sum', mean: 'avg', average: 'avg', min: 'min', max: 'max' },
+
+  // Vega-Lite time units the server can bucket (group prefix)
+  serverTimeUnits: { year: '@Y', yearmonth: '@M' },
 
   init(containerId) {
     this.container = document.getElementById(containerId);
@@ -23,9 +34,10 @@ const EntityChart = {
   /**
    * Load and render chart from view schema and data
    * @param {Object} schema - View schema with chart config
-   * @param {Array} records - Data records
+   * @param {Array} records - Data records (used when the server cannot aggregate)
+   * @param {Object} [options] - { viewName, filter }: aggregate on the server
    */
-  async load(schema, records) {
+  async load(schema, records, options = {}) {
     if (!this.container) {
       this.container = document.getElementById('entity-chart-container');
     }
@@ -35,7 +47,30 @@ const EntityChart = {
       return;
     }
 
-    if (!records || records.length === 0) {
+    const seq = ++this.requestSeq;
+    let chart = schema.chart;
+    let values = null;
+    const query = options.viewName ? this.buildAggregateQuery(schema) : null;
+    if (query) {
+      try {
+        const result = await ApiClient.getViewAggregate(options.viewName, {
+          group: query.group,
+          agg: query.agg,
+          filter: options.filter
+        });
+        if (seq !== this.requestSeq) return;
+        values = (result.data || []).map(row => this.renameAggregateRow(row, query));
+        chart = query.chart;
+      } catch (err) {
+        if (seq !== this.requestSeq) return;
+        console.warn('Server aggregation failed, charting loaded records:', err);
+      }
+    }
+    if (!values) {
+      values = records ? this.prepareData(schema, records) : [];
+    }
+
+    if (values.length === 0) {
       this.container.innerHTML = `<p class="empty-message">${i18n.t('chart_no_data')}</p>`;
       return;
     }
@@ -67,13 +102,13 @@ const EntityChart = {
       width: 'container',
       height: 400,
       padding: { left: 40, right: 20, top: 20, bottom: 40 },
-      data: { values: this.prepareData(schema, records) },
+      data: { values },
       ...autoTitle,
-      ...schema.chart,
+      ...chart,
       config: {
         range: { category: { scheme: 'set2' } },
         ...themeConfig,
-        ...(schema.chart?.config || {})
+        ...(chart.config || {})
       }
     };
 
@@ -98,6 +133,103 @@ const EntityChart = {
     }
   },
 
+  /**
+   * Derive a server aggregate query from the chart encoding.
+   * Fields with an aggregate become aggregates, the other fields group keys
+   * (time units year/yearmonth as @Y/@M buckets). Returns null - chart the loaded
+   * records - for charts without aggregates, with transforms or layers, with
+   * calculated columns or with ops/time units the server does not know.
+   * @param {Object} schema - View schema with chart config
+   * @returns {{ group: string[], agg: string[], fields: Object, chart: Object }|null}
+   *   fields maps result keys to chart fields; chart has count rewritten to a
+   *   pre-computed "__count" field
+   */
+  buildAggregateQuery(schema) {
+    const chart = schema.chart;
+    if (!chart?.encoding || chart.transform || chart.layer || chart.repeat || chart.facet) return null;
+
+    const columns = new Map(schema.columns.map(c => [c.key || c.label, c]));
+    const group = [];
+    const agg = [];
+    const fields = {};       // result key -> chart field
+    const fieldKeys = {};    // chart field -> result key (one per field)
+    const encoding = {};
+    let hasAggregate = false;
+    const unsupported = {};
+
+    const use = (key, field) => {
+      if (fieldKeys[field] !== undefined && fieldKeys[field] !== key) return false;
+      fieldKeys[field] = key;
+      fields[key] = field;
+      return true;
+    };
+
+    const mapDef = (def) => {
+      // Constants and nested definitions without a field pass through
+      if (!def || typeof def !== 'object' || (!def.field && !def.aggregate)) return def;
+
+      if (def.aggregate) {
+        const fn = this.serverOps[def.aggregate];
+        if (!fn) return unsupported;
+        hasAggregate = true;
+        if (fn === 'count') {
+          if (!agg.includes('count')) agg.push('count');
+          fields.count = '__count';
+          const { field, ...rest } = def;
+          return { ...rest, field: '__count', aggregate: 'sum', title: def.title ?? i18n.t('chart_count_title') };
+        }
+        const col = columns.get(def.field);
+        if (!col || col.calculated) return unsupported;
+        const key = `${fn}(${def.field})`;
+        if (!use(key, def.field)) return unsupported;
+        if (!agg.includes(key)) agg.push(key);
+        // The server delivers one row per group: the client aggregate is an identity
+        return def;
+      }
+
+      const col = columns.get(def.field);
+      if (!col || col.calculated) return unsupported;
+      let key = def.field;
+      if (def.timeUnit) {
+        const prefix = this.serverTimeUnits[def.timeUnit];
+        if (!prefix) return unsupported;
+        key = prefix + def.field;
+      }
+      if (!use(key, def.field)) return unsupported;
+      if (!group.includes(key)) group.push(key);
+      return def;
+    };
+
+    for (const [channel, value] of Object.entries(chart.encoding)) {
+      const mapped = Array.isArray(value) ? value.map(mapDef) : mapDef(value);
+      if (mapped === unsupported || (Array.isArray(mapped) && mapped.includes(unsupported))) return null;
+      encoding[channel] = mapped;
+    }
+    if (!hasAggregate) return null;
+
+    return { group, agg, fields, chart: { ...chart, encoding } };
+  },
+
+  /**
+   * Rename an aggregate result row to the chart's field names.
+   * Date buckets ("2024", "2024-03") become local dates on the first day, so the
+   * time unit of the chart does not shift them across a year/month boundary.
+   */
+  renameAggregateRow(row, query) {
+    const values = {};
+    for (const [key, value] of Object.entries(row)) {
+      const field = query.fields[key];
+      if (!field) continue;
+      if (/^@[YM]/.test(key) && value) {
+        const [year, month = '01'] = String(value).split('-');
+        values[field] = `${year}/${month}/01`;
+      } else {
+        values[field] = value;
+      }
+    }
+    return values;
+  },
+
   /**
    * Prepare data for Vega-Lite (strip internal columns)
    * @param {Object} schema - View schema
@@ -26,7 +26,7 @@ const EntityExplorer = {
   currentEntity: null,
   currentEntitySchema: null, // Cached entity schema for map rendering
   currentView: null, // null = entity mode, object = view mode { name, base, color }
-  entityMetadata: {}, // Map of entity name -> { readonly, system, ... }
+  entityMetadata: {}, // Map of entity name -> { readonly, system, permissions, ... }
   viewsList: [], // All views from API (for context menu matching)
   externalQueries: {}, // Config: entity -> { provider, searchField, label }
   // Process selector
@@ -47,16 +47,20 @@ const EntityExplorer = {
   totalRecords: 0,
   isLoadingMore: false,
   hasMore: false,
+  nextCursor: null, // Keyset cursor for the next page (from next_cursor)
   scrollObserver: null,
   currentFilter: '',
-  currentSort: null,
-  currentOrder: null,
+  currentSort: null, // [{ column, order }] sort keys (null = default order)
   prefilterFields: null, // Array of column paths for prefilter dialog (shown when large)
   requiredFilterFields: null, // Array of column paths for required filter dialog (always shown)
   paginationConfig: null, // { threshold, pageSize } from config.json
   prefilterValues: {}, // { columnPath: selectedValue } for active prefilters
   serverFilterEnabled: false, // true if initial dataset needed pagination (keeps callback even after filtering)
 
+  // Live change feed (see applyRemoteChange)
+  lastRemoteChange: null,
+  lastRemoteResult: false,
+
   /**
    * Get pagination config from server
    */
@@ -458,16 +462,15 @@ const EntityExplorer = {
 
     try {
       const config = await this.getPaginationConfig();
-      const offset = this.records.length;
+      // Keyset pagination: continue after the last loaded row (stable while rows are inserted)
       const options = {
         limit: config.pageSize,
-        offset: offset
+        cursor: this.nextCursor
       };
 
       // Add current filter/sort
       if (this.currentFilter) options.filter = this.currentFilter;
       if (this.currentSort) options.sort = this.currentSort;
-      if (this.currentOrder) options.order = this.currentOrder;
 
       let result;
       if (this.currentView) {
@@ -478,7 +481,8 @@ const EntityExplorer = {
 
       const newRecords = result.data || [];
       this.records = this.records.concat(newRecords);
-      this.hasMore = this.records.length < this.totalRecords;
+      this.nextCursor = result.next_cursor || null;
+      this.hasMore = Boolean(this.nextCursor);
 
       // Execute calculated fields
       if (this.currentView) {
@@ -761,7 +765,8 @@ const EntityExplorer = {
     entities.filter(e => e.name).forEach(e => {
       this.entityMetadata[e.name] = {
         readonly: e.readonly || false,
-        system: e.system || false
+        system: e.system || false,
+        permissions: e.permissions || null
       };
     });
 
@@ -1180,6 +1185,7 @@ const EntityExplorer = {
       this.records = [];
       this.prefilterFields = null;
       this.requiredFilterFields = null;
+      SavedViews.setTarget(null);
       this.renderCurrentView();
       this.updateRecordStatus();
       DetailPanel.clear();
@@ -1188,6 +1194,7 @@ const EntityExplorer = {
 
     this.currentEntity = entityName;
     this.selectedId = null;
+    this.prefilterValues = {};
 
     // Get prefilter, requiredFilter, and defaultSort from extended schema
     let defaultSort = null;
@@ -1226,10 +1233,16 @@ const EntityExplorer = {
       this._updateApiRefreshButton(null);
     }
 
-    // Pass default sort to loadRecords
-    const loadOptions = defaultSort
-      ? { sort: defaultSort.column, order: defaultSort.order }
-      : {};
+    // Restore the default saved view of the entity (own or shared)
+    const savedView = await SavedViews.setTarget('entity', entityName);
+    if (savedView) {
+      await this.applyTableState(savedView.state);
+      DetailPanel.clear();
+      return;
+    }
+
+    // Pass default sort keys to loadRecords
+    const loadOptions = defaultSort ? { sort: defaultSort } : {};
     await this.loadRecords('', loadOptions);
     DetailPanel.clear();
   },
@@ -1242,6 +1255,7 @@ const EntityExplorer = {
     this.selectedId = null;
     this.records = [];
     this.prefilterFields = null;
+    this.prefilterValues = {};
 
     // Force table view, hide tree buttons, hide map/chart/hierarchy controls (will show if hasGeo/chart)
     this.btnViewTreeH.style.display = 'none';
@@ -1260,10 +1274,10 @@ const EntityExplorer = {
     // Reset pagination state
     this.records = [];
     this.hasMore = false;
+    this.nextCursor = null;
     this.totalRecords = 0;
     this.currentFilter = '';
     this.currentSort = null;
-    this.currentOrder = null;
 
     // Load view data with optional prefilter and pagination
     try {
@@ -1272,12 +1286,23 @@ const EntityExplorer = {
       this.prefilterFields = viewSchema.prefilter || null;
       this.requiredFilterFields = viewSchema.requiredFilter || null;
 
+      // Detail and pivot views have no table layout to save
+      if (viewSchema.detail || viewSchema.pivot) {
+        SavedViews.setTarget(null);
+      }
+
       // Detail view: single record selection → tree display
       if (viewSchema.detail) {
         await this.handleDetailView(viewName, baseName, color, viewSchema, options?.preSelectedId);
         return;
       }
 
+      // Pivot view: crosstab computed by the server
+      if (viewSchema.pivot) {
+        await this.handlePivotView(viewName, viewSchema);
+        return;
+      }
+
       // Show map button and labels toggle if view has geo column
       if (viewSchema.hasGeo) {
         this.btnViewMap.style.display = '';
@@ -1288,6 +1313,11 @@ const EntityExplorer = {
         this.btnViewChart.style.display = '';
       }
 
+      // Saved view to restore: chosen in the settings dropdown, else the default
+      // (not when opened for a record from the context menu)
+      const savedView = await SavedViews.setTarget('view', viewName);
+      const savedState = options.savedState || (!options.recordFilter ? savedView?.state : null);
+
       const config = await this.getPaginationConfig();
 
       // First, get total count (for pagination threshold check)
@@ -1305,7 +1335,12 @@ const EntityExplorer = {
       if (options.recordFilter) {
         // Direct record filter (from context menu) — skip prefilter dialog
         filter = options.recordFilter;
-      } else if (hasRequired || (hasPrefilter && isLargeDataset)) {
+      } else if (savedState) {
+        // Saved view: its prefilter choices and column filters replace the dialog
+        this.prefilterValues = { ...(savedState.prefilter || {}) };
+        filter = this.buildTableFilter(savedState.filters || {});
+      }
+      if (!filter && (hasRequired || (hasPrefilter && isLargeDataset))) {
         const dialogFields = hasRequired ? this.requiredFilterFields : this.prefilterFields;
         const prefilterResult = await this.showPrefilterDialog(viewName, dialogFields, {
           isView: true,
@@ -1329,27 +1364,29 @@ const EntityExplorer = {
       // Determine if we need pagination
       const needsPagination = this.totalRecords > config.threshold;
 
-      // Track if server-side filtering should be enabled (initial view load, no filter yet)
-      this.serverFilterEnabled = needsPagination;
+      // Track if server-side filtering should be enabled (initial view load, no filter yet;
+      // restored column filters may be loosened later)
+      this.serverFilterEnabled = needsPagination || Boolean(savedState?.filters && filter);
 
-      // Apply default sort from view config
-      if (viewSchema.defaultSort) {
-        this.currentSort = viewSchema.defaultSort.column;
-        this.currentOrder = viewSchema.defaultSort.order;
+      // Apply sort from the saved view or the default sort from view config
+      if (savedState?.sort?.length) {
+        this.currentSort = savedState.sort.map(k => ({ ...k }));
+      } else if (viewSchema.defaultSort) {
+        this.currentSort = viewSchema.defaultSort;
       }
 
       const loadOptions = {};
       if (filter) loadOptions.filter = filter;
       if (this.currentSort) loadOptions.sort = this.currentSort;
-      if (this.currentOrder) loadOptions.order = this.currentOrder;
       if (needsPagination) {
         loadOptions.limit = config.pageSize;
-        loadOptions.offset = 0;
+        loadOptions.cursor = '';
       }
 
       const result = await ApiClient.getViewData(viewName, loadOptions);
       this.records = result.data || [];
-      this.hasMore = needsPagination && this.records.length < this.totalRecords;
+      this.nextCursor = needsPagination ? (result.next_cursor || null) : null;
+      this.hasMore = Boolean(this.nextCursor);
 
       // Normalize keys: add lowercase aliases for calculated field compatibility
       // View columns may be titlecased (Value, Usage), but calculation code uses lowercase (value, usage)
@@ -1396,12 +1433,13 @@ const EntityExplorer = {
         onServerFilterRequest: this.serverFilterEnabled ? (columnFilters) => {
           this.reloadWithColumnFilters(columnFilters);
         } : null,
-        onServerSortRequest: !allRecordsLoaded ? (sortColumn, sortDirection) => {
-          this.reloadWithSort(sortColumn, sortDirection);
+        onServerSortRequest: !allRecordsLoaded ? (sortKeys) => {
+          this.reloadWithSort(sortKeys);
         } : null
       });
 
       await EntityTable.loadView(viewName, viewSchema, this.records);
+      if (savedState) this.restoreTableLayout(savedState);
       this.updateRecordStatus();
 
       // Setup infinite scroll if paginated
@@ -1420,9 +1458,9 @@ const EntityExplorer = {
     // Reset pagination state
     this.currentFilter = filter;
     this.currentSort = options.sort || null;
-    this.currentOrder = options.order || null;
     this.records = [];
     this.hasMore = false;
+    this.nextCursor = null;
     this.totalRecords = 0;
 
     try {
@@ -1470,12 +1508,13 @@ const EntityExplorer = {
       if (needsPagination) {
         // Load first page only
         loadOptions.limit = config.pageSize;
-        loadOptions.offset = 0;
+        loadOptions.cursor = '';
       }
 
       const result = await ApiClient.getAll(this.currentEntity, loadOptions);
       this.records = result.data || [];
-      this.hasMore = needsPagination && this.records.length < this.totalRecords;
+      this.nextCursor = needsPagination ? (result.next_cursor || null) : null;
+      this.hasMore = Boolean(this.nextCursor);
 
       // Set pagination state on EntityTable for server-side filtering/sorting
       // Callback remains if serverFilterEnabled (initial dataset was large) - changing filters may expand results
@@ -1486,8 +1525,8 @@ const EntityExplorer = {
         onServerFilterRequest: this.serverFilterEnabled ? (columnFilters) => {
           this.reloadWithColumnFilters(columnFilters);
         } : null,
-        onServerSortRequest: !allRecordsLoaded ? (sortColumn, sortDirection) => {
-          this.reloadWithSort(sortColumn, sortDirection);
+        onServerSortRequest: !allRecordsLoaded ? (sortKeys) => {
+          this.reloadWithSort(sortKeys);
         } : null
       });
 
@@ -1517,27 +1556,24 @@ const EntityExplorer = {
   /**
    * Reload records with new filter/sort (server-side)
    */
-  async reloadWithFilter(filter, sort, order) {
+  async reloadWithFilter(filter, sort) {
     this.currentFilter = filter;
     this.currentSort = sort;
-    this.currentOrder = order;
-    await this.loadRecords(filter, { sort, order });
+    await this.loadRecords(filter, { sort });
   },
 
   /**
    * Reload with new sort order (server-side), preserving current filter
    */
-  async reloadWithSort(sortColumn, sortDirection) {
-    this.currentSort = sortColumn;
-    this.currentOrder = sortDirection;
+  async reloadWithSort(sortKeys) {
+    this.currentSort = sortKeys;
     if (this.currentView) {
       await this.reloadViewData(this.currentFilter || '');
     } else {
-      await this.loadRecords(this.currentFilter || '', { sort: sortColumn, order: sortDirection });
+      await this.loadRecords(this.currentFilter || '', { sort: sortKeys });
     }
     // Preserve sort state on EntityTable after reload
-    EntityTable.sortColumn = sortColumn;
-    EntityTable.sortDirection = sortDirection;
+    EntityTable.sortKeys = sortKeys.map(k => ({ ...k }));
   },
 
   /**
@@ -1546,6 +1582,33 @@ const EntityExplorer = {
    * Works for both entity mode and view mode
    */
   async reloadWithColumnFilters(columnFilters) {
+    const filter = this.buildTableFilter(columnFilters);
+
+    // Store column filters for re-application after reload
+    this.activeColumnFilters = columnFilters;
+
+    // Reload data (entity or view)
+    if (this.currentView) {
+      await this.reloadViewData(filter);
+    } else {
+      await this.loadRecords(filter, { sort: this.currentSort });
+    }
+
+    // Re-apply column filters to EntityTable after reload and re-render to show them
+    if (this.activeColumnFilters) {
+      EntityTable.columnFilters = { ...this.activeColumnFilters };
+      if (this.currentView) {
+        EntityTable.renderView();
+      } else {
+        EntityTable.render();
+      }
+    }
+  },
+
+  /**
+   * Server filter for column filters { col: "value" } combined with the active prefilter
+   */
+  buildTableFilter(columnFilters) {
     // Convert column filters to server filter format
     const filterParts = Object.entries(columnFilters)
       .filter(([_, value]) => value && value.trim())
@@ -1569,28 +1632,84 @@ const EntityExplorer = {
       const prefilterStr = this.buildPrefilterString(this.prefilterValues, isView);
       filter = filter ? `${prefilterStr}&&${filter}` : prefilterStr;
     }
+    return filter;
+  },
 
-    // Store column filters for re-application after reload
-    this.activeColumnFilters = columnFilters;
+  /**
+   * Current table layout for a saved view (SavedViews)
+   * @returns {Object} { hiddenColumns, filters, sort, prefilter, viewMode }
+   */
+  captureTableState() {
+    const filters = {};
+    for (const [col, value] of Object.entries(EntityTable.columnFilters)) {
+      if (value && value.trim()) filters[col] = value;
+    }
+    return {
+      hiddenColumns: [...EntityTable.hiddenColumns],
+      filters,
+      sort: EntityTable.sortKeys.map(k => ({ column: k.column, order: k.order })),
+      prefilter: { ...this.prefilterValues },
+      viewMode: this.viewMode
+    };
+  },
 
-    // Reload data (entity or view)
+  /**
+   * Restore a saved table layout: prefilter, column filters and sort go into the
+   * server query, hidden columns and view mode are applied to the loaded table
+   */
+  async applyTableState(state) {
     if (this.currentView) {
-      await this.reloadViewData(filter);
-    } else {
-      await this.loadRecords(filter, {
-        sort: this.currentSort,
-        order: this.currentOrder
-      });
+      const { name, base, color } = this.currentView;
+      await this.onViewChange(name, base, color, { savedState: state });
+      return;
     }
+    if (!this.currentEntity) return;
 
-    // Re-apply column filters to EntityTable after reload and re-render to show them
-    if (this.activeColumnFilters) {
-      EntityTable.columnFilters = { ...this.activeColumnFilters };
+    this.prefilterValues = { ...(state.prefilter || {}) };
+    const filter = this.buildTableFilter(state.filters || {});
+    // Restored column filters may be loosened later, which needs the server
+    if (filter) this.serverFilterEnabled = true;
+
+    const sort = state.sort?.length
+      ? state.sort.map(k => ({ ...k }))
+      : this.currentEntitySchema?.ui?.tableOptions?.defaultSort || null;
+    await this.loadRecords(filter, sort ? { sort } : {});
+    this.restoreTableLayout(state);
+  },
+
+  /**
+   * Apply column filters, sort keys, hidden columns and view mode of a saved
+   * layout to the loaded table
+   */
+  restoreTableLayout(state) {
+    const filters = { ...(state.filters || {}) };
+    EntityTable.columnFilters = filters;
+    EntityTable.lastServerFilters = { ...filters };
+    if (state.sort?.length) {
+      EntityTable.sortKeys = state.sort.map(k => ({ ...k }));
+    }
+    EntityTable.resetHiddenColumns(this.currentView ? `view:${this.currentView.name}` : `entity:${this.currentEntity}`);
+    EntityTable.hiddenColumns = [...(state.hiddenColumns || [])];
+
+    const buttons = {
+      table: this.btnViewTable,
+      'tree-h': this.btnViewTreeH,
+      'tree-v': this.btnViewTreeV,
+      map: this.btnViewMap,
+      chart: this.btnViewChart,
+      hierarchy: this.btnViewHierarchy
+    };
+    const modeButton = buttons[state.viewMode];
+    if (state.viewMode && state.viewMode !== this.viewMode && modeButton && modeButton.style.display !== 'none') {
+      this.setViewMode(state.viewMode);
+    } else if (this.viewMode === 'table') {
       if (this.currentView) {
         EntityTable.renderView();
       } else {
         EntityTable.render();
       }
+    } else {
+      this.renderCurrentView();
     }
   },
 
@@ -1612,15 +1731,15 @@ const EntityExplorer = {
 
       const loadOptions = { filter };
       if (this.currentSort) loadOptions.sort = this.currentSort;
-      if (this.currentOrder) loadOptions.order = this.currentOrder;
       if (needsPagination) {
         loadOptions.limit = config.pageSize;
-        loadOptions.offset = 0;
+        loadOptions.cursor = '';
       }
 
       const result = await ApiClient.getViewData(viewName, loadOptions);
       this.records = result.data || [];
-      this.hasMore = needsPagination && this.records.length < this.totalRecords;
+      this.nextCursor = needsPagination ? (result.next_cursor || null) : null;
+      this.hasMore = Boolean(this.nextCursor);
 
       // Normalize keys and run calculations
       this.normalizeRecordKeys(viewSchema);
@@ -1661,8 +1780,8 @@ const EntityExplorer = {
         onServerFilterRequest: this.serverFilterEnabled ? (columnFilters) => {
           this.reloadWithColumnFilters(columnFilters);
         } : null,
-        onServerSortRequest: !allRecordsLoaded ? (sortColumn, sortDirection) => {
-          this.reloadWithSort(sortColumn, sortDirection);
+        onServerSortRequest: !allRecordsLoaded ? (sortKeys) => {
+          this.reloadWithSort(sortKeys);
         } : null
       });
 
@@ -1788,14 +1907,35 @@ const EntityExplorer = {
         this.chartContainer.innerHTML = `<p class="empty-message">${i18n.t('no_records_found')}</p>`;
         return;
       }
-      EntityChart.load(this.currentViewSchema, filteredRecords);
+      // Aggregating charts are computed by the server over all rows matching the filters
+      EntityChart.load(this.currentViewSchema, filteredRecords, {
+        viewName: this.currentView.name,
+        filter: this.buildChartFilter()
+      });
       return;
     }
 
     this.chartContainer.innerHTML = `<p class="empty-message">${i18n.t('chart_select_view')}</p>`;
   },
 
+  /**
+   * Server filter for the chart: prefilter plus the table's column filters
+   */
+  buildChartFilter() {
+    const parts = this.currentFilter ? [this.currentFilter] : [];
+    for (const [col, value] of Object.entries(EntityTable.columnFilters)) {
+      if (value && value.trim()) parts.push(`~${col}:${value.trim()}`);
+    }
+    return parts.join('&&');
+  },
+
   async renderTable() {
+    // Pivot view: reload the crosstab
+    if (this.currentView && this.currentViewSchema?.pivot) {
+      await PivotTable.load(this.tableContainer, this.currentView.name, this.currentFilter);
+      return;
+    }
+
     // View mode: render view table
     if (this.currentView && this.currentViewSchema) {
       // Check if same view is already loaded (just switching view modes)
@@ -1829,6 +1969,18 @@ const EntityExplorer = {
     return this.entityMetadata[this.currentEntity]?.readonly === true;
   },
 
+  /**
+   * Check if the user's role may perform an action on an entity
+   * (## Permissions of the class Markdown; readonly entities allow no writes)
+   * @param {string} entity - Entity name
+   * @param {string} action - 'create' | 'update' | 'delete'
+   */
+  can(entity, action) {
+    const meta = this.entityMetadata[entity];
+    if (meta?.readonly === true) return false;
+    return meta?.permissions?.[action] !== false;
+  },
+
   async renderTree() {
     if (!this.currentEntity) {
       this.treeContainer.innerHTML = `<p class="empty-message">${i18n.t('select_entity_message')}</p>`;
@@ -1836,8 +1988,7 @@ const EntityExplorer = {
     }
 
     if (this.records.length === 0) {
-      const readonly = this.isCurrentEntityReadonly();
-      const newBtn = readonly ? '' : '<br><button class="empty-table-new-btn" onclick="DetailPanel.showCreateForm(EntityExplorer.currentEntity)">+ New</button>';
+      const newBtn = !this.can(this.currentEntity, 'create') ? '' : '<br><button class="empty-table-new-btn" onclick="DetailPanel.showCreateForm(EntityExplorer.currentEntity)">+ New</button>';
       this.treeContainer.innerHTML = `<p class="empty-message">${i18n.t('no_records_found')}${newBtn}</p>`;
       return;
     }
@@ -1968,6 +2119,57 @@ const EntityExplorer = {
     await this.loadRecords();
   },
 
+  /**
+   * Apply an entity change from the live change feed to the loaded records
+   * EntityTable and EntityTree both call this for the same event (they share the
+   * records array); the result is remembered so the records are patched only once.
+   * - update: replaces a loaded record with an older version
+   * - delete: removes a loaded record
+   * - create: counted; appended only if the unfiltered list is completely loaded
+   * @param {Object} change - ChangeFeed 'entity' event { action, entity, id, version, record }
+   * @returns {boolean} true if the loaded records changed
+   */
+  applyRemoteChange(change) {
+    if (change === this.lastRemoteChange) return this.lastRemoteResult;
+
+    let changed = false;
+    if (!this.currentView && change.entity === this.currentEntity) {
+      const index = this.records.findIndex(r => r.id === change.id);
+      if (change.action === 'update' && index >= 0 && (this.records[index]._version || 0) < change.version) {
+        this.records[index] = change.record;
+        changed = true;
+      } else if (change.action === 'delete' && index >= 0) {
+        this.records.splice(index, 1);
+        this.totalRecords = Math.max(0, this.totalRecords - 1);
+        changed = true;
+      } else if (change.action === 'create' && index < 0 && !this.currentFilter) {
+        this.totalRecords++;
+        if (!this.hasMore) this.records.push(change.record);
+        changed = true;
+      }
+    }
+
+    this.lastRemoteChange = change;
+    this.lastRemoteResult = changed;
+    return changed;
+  },
+
+  /**
+   * Reload the current entity after a bulk change (batch, seed, import) from the
+   * live change feed. Without an active filter, a reload would ask for required or
+   * pre-filters again: then only a hint is shown.
+   */
+  async reloadAfterRemoteChange(change) {
+    if (this.currentView || change.entity !== this.currentEntity) return;
+
+    const hasFilterDialog = (this.requiredFilterFields?.length || 0) + (this.prefilterFields?.length || 0) > 0;
+    if (this.currentFilter || !hasFilterDialog) {
+      await this.loadRecords(this.currentFilter, { sort: this.currentSort });
+    } else {
+      DomUtils.toast(i18n.t('live_records_changed', { entity: change.entity }), 'info');
+    }
+  },
+
   updateRecordStatus(count = null) {
     const recordsEl = document.getElementById('sw-records');
     const sepEl = document.getElementById('sw-records-sep');
@@ -2099,6 +2301,31 @@ const EntityExplorer = {
     this.updateRecordStatus();
   },
 
+  /**
+   * Handle pivot view: ask for required filters, then show the server-side crosstab.
+   * Prefilter fields are offered like for other views; the dataset size does not
+   * matter because only the grouped totals are transferred.
+   */
+  async handlePivotView(viewName, viewSchema) {
+    const dialogFields = this.requiredFilterFields?.length ? this.requiredFilterFields : this.prefilterFields;
+    let filter = '';
+    if (dialogFields && dialogFields.length > 0) {
+      const prefilterResult = await this.showPrefilterDialog(viewName, dialogFields, {
+        isView: true,
+        viewName: viewName,
+        viewSchema: viewSchema
+      });
+      if (prefilterResult && Object.keys(prefilterResult).length > 0) {
+        this.prefilterValues = prefilterResult;
+        filter = this.buildPrefilterString(prefilterResult, true);
+      }
+    }
+    this.currentFilter = filter;
+
+    await PivotTable.load(this.tableContainer, viewName, filter);
+    this.updateRecordStatus();
+  },
+
   /**
    * Jump to base entity edit mode for a record (used by view row click)
    */
@@ -11,6 +11,7 @@ const EntityForm = {
   currentRecord: null,
   originalData: null,
   isDirty: false,
+  isSubmitting: false, // Save request pending (live change feed ignores the own update)
 
   async render(container, entityName, record = null) {
     // Cleanup existing map instances
@@ -28,6 +29,8 @@ const EntityForm = {
     // Store original data for dirty checking
     this.originalData = record ? { ...record } : {};
 
+    const constraintHints = this.getConstraintHints(schema);
+
     let html = '<form class="entity-form" id="entity-form">';
 
     // Identify aggregate groups: { sourceName: [columns] }
@@ -136,7 +139,7 @@ const EntityForm = {
       html += `
         <div class="form-field">
           <label class="form-label" for="field-${col.name}">
-            ${col.name}${isRequired ? ' <span class="required">*</span>' : ''}
+            ${col.name}${isRequired ? ' <span class="required">*</span>' : ''}${this.renderConstraintHint(constraintHints[col.name])}
           </label>
           ${this.renderInput(col, value, isReadonly, inputType)}
           <div class="field-error" id="error-${col.name}"></div>
@@ -162,6 +165,15 @@ const EntityForm = {
 
     document.getElementById('btn-cancel').addEventListener('click', () => this.onCancel());
 
+    // Constraint markers: hovering highlights all fields of the constraint
+    form.querySelectorAll('.constraint-hint').forEach(hint => {
+      const inputs = hint.dataset.columns.split(',')
+        .map(col => document.getElementById(`field-${col}`))
+        .filter(Boolean);
+      hint.addEventListener('mouseenter', () => inputs.forEach(el => el.classList.add('constraint-highlight')));
+      hint.addEventListener('mouseleave', () => inputs.forEach(el => el.classList.remove('constraint-highlight')));
+    });
+
     // Track dirty state + blur validation
     form.querySelectorAll('.form-input').forEach(input => {
       input.addEventListener('change', () => this.checkDirty());
@@ -184,6 +196,35 @@ const EntityForm = {
     this.initAddressSearch();
   },
 
+  /**
+   * Built-in constraints (## Constraints) per column, from the schema's objectRules
+   * @returns {Object} - { column: [{ text, columns }] }
+   */
+  getConstraintHints(schema) {
+    const hints = {};
+    for (const rule of schema.objectRules || []) {
+      if (rule.type !== 'builtin' || !rule.columns) continue;
+      const args = rule.fields.map((field, i) =>
+        rule.name === 'RequiredIf' && i === 1 && rule.value !== undefined ? `${field} = ${rule.value}` : field);
+      if (rule.name === 'SumEquals' && rule.value !== undefined) args.unshift(rule.value);
+      const hint = { text: `${rule.name}(${args.join(', ')})`, columns: rule.columns };
+      for (const col of rule.columns) {
+        (hints[col] = hints[col] || []).push(hint);
+      }
+    }
+    return hints;
+  },
+
+  /**
+   * Constraint marker next to a field label (tooltip lists the constraints)
+   */
+  renderConstraintHint(hints) {
+    if (!hints) return '';
+    const columns = [...new Set(hints.flatMap(h => h.columns))];
+    const title = DomUtils.escapeHtml(hints.map(h => h.text).join('\n'));
+    return ` <span class="constraint-hint" title="${title}" data-columns="${columns.join(',')}">⇄</span>`;
+  },
+
   /**
    * Cleanup existing Leaflet map instances to prevent memory leaks
    */
@@ -1472,6 +1513,7 @@ const EntityForm = {
       }
     }
 
+    this.isSubmitting = true;
     try {
       let result;
       if (isEdit) {
@@ -1491,7 +1533,10 @@ const EntityForm = {
       DetailPanel.showRecord(this.currentEntity, result);
 
     } catch (err) {
+      this.isSubmitting = false;
       await this.handleError(err, data);
+    } finally {
+      this.isSubmitting = false;
     }
   },
 
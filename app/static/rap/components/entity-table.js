@@ -11,15 +11,16 @@ const EntityTable = {
   records: [],
   schema: null,
   selectedId: null,
-  sortColumn: null,
-  sortDirection: 'asc', // 'asc' or 'desc'
+  sortKeys: [], // [{ column, order }] in priority order (shift-click adds a key)
   columnFilters: {}, // { columnName: filterValue }
+  hiddenColumns: [], // Column names (entities) or keys (views) hidden by the user (saved views)
+  layoutTarget: null, // 'entity:<name>' or 'view:<name>' the hidden columns belong to
   showSystem: false, // Show system columns (_version, _created_at, _updated_at)
 
   // Server-side filter/sort support (for paginated datasets)
   allRecordsLoaded: true,       // false when only partial data loaded (pagination)
   onServerFilterRequest: null,  // Callback: (columnFilters) => void
-  onServerSortRequest: null,    // Callback: (sortColumn, sortDirection) => void
+  onServerSortRequest: null,    // Callback: (sortKeys) => void
   onFilterChange: null,         // Callback: () => void - notifies when client-side filter changes
   filterDebounceTimer: null,    // Timer for debounced server filter
   filterDebounceMs: 2000,       // Debounce delay (configurable via setPaginationConfig)
@@ -32,6 +33,10 @@ const EntityTable = {
   init(containerId) {
     this.container = document.getElementById(containerId);
     this.initSortControls();
+
+    // Live updates from other users and integrations
+    ChangeFeed.on('entity', (change) => this.onRemoteChange(change));
+    ChangeFeed.on('schema', (info) => this.onSchemaReload(info));
   },
 
   initSortControls() {
@@ -142,19 +147,14 @@ const EntityTable = {
     this.records = records;
     this.selectedId = null;
     this.columnFilters = {}; // Reset filters on entity change
+    this.resetHiddenColumns(`entity:${entityName}`);
 
     // Get schema
     this.schema = await SchemaCache.getExtended(entityName);
 
     // Apply default sort from tableOptions (if configured)
     const defaultSort = this.schema?.ui?.tableOptions?.defaultSort;
-    if (defaultSort) {
-      this.sortColumn = defaultSort.column;
-      this.sortDirection = defaultSort.order || 'asc';
-    } else {
-      this.sortColumn = null;
-      this.sortDirection = 'asc';
-    }
+    this.sortKeys = (defaultSort || []).map(k => ({ ...k }));
 
     await this.render();
   },
@@ -169,17 +169,54 @@ const EntityTable = {
     this.selectedId = null;
     this.columnFilters = {};
     this.schema = null;
+    this.resetHiddenColumns(`view:${viewName}`);
 
     // Apply default sort from view config
-    if (viewSchema.defaultSort) {
-      this.sortColumn = viewSchema.defaultSort.column;
-      this.sortDirection = viewSchema.defaultSort.order || 'asc';
+    this.sortKeys = (viewSchema.defaultSort || []).map(k => ({ ...k }));
+
+    this.renderView();
+  },
+
+  /**
+   * Show all columns again when another entity or view is loaded
+   * (reloads of the same table keep the hidden columns)
+   */
+  resetHiddenColumns(target) {
+    if (this.layoutTarget !== target) {
+      this.layoutTarget = target;
+      this.hiddenColumns = [];
+    }
+  },
+
+  /**
+   * Hide or show a column (settings dropdown, saved views)
+   * @param {string} column - Column name (entities) or key (views)
+   * @param {boolean} hidden
+   */
+  setColumnHidden(column, hidden) {
+    this.hiddenColumns = this.hiddenColumns.filter(c => c !== column);
+    if (hidden) this.hiddenColumns.push(column);
+    if (this.currentViewConfig) {
+      this.renderView();
     } else {
-      this.sortColumn = null;
-      this.sortDirection = 'asc';
+      this.render();
     }
+  },
 
-    this.renderView();
+  /**
+   * Columns the user can hide or show: { key, label, hidden }
+   */
+  getColumnChoices() {
+    if (this.currentViewConfig) {
+      return this.getViewVisibleColumns(true).map(col => ({
+        key: col.key, label: col.label || col.key, hidden: this.hiddenColumns.includes(col.key)
+      }));
+    }
+    return this.getVisibleColumns(true).map(col => ({
+      key: col.name,
+      label: col.foreignKey && col.name.endsWith('_id') ? col.name.slice(0, -3) : col.name,
+      hidden: this.hiddenColumns.includes(col.name)
+    }));
   },
 
   /**
@@ -200,10 +237,7 @@ const EntityTable = {
     // Header row
     html += '<thead><tr>';
     for (const col of columns) {
-      const isSorted = this.sortColumn === col.key;
-      const sortIcon = isSorted
-        ? (this.sortDirection === 'asc' ? ' &#9650;' : ' &#9660;')
-        : ' <span class="sort-hint">&#8645;</span>';
+      const sortIcon = this.getSortIcon(col.key);
 
       const headerLabel = DomUtils.splitCamelCase(col.label).replace(/[_ ]/g, '<br>');
       const bgStyle = col.areaColor ? ` style="background-color: ${col.areaColor}"` : '';
@@ -370,28 +404,25 @@ const EntityTable = {
   getViewSortedRecords(columns) {
     const filtered = this.getViewFilteredRecords(columns);
 
-    if (!this.sortColumn) return filtered;
+    if (this.sortKeys.length === 0) return filtered;
 
-    const sortCol = columns.find(c => c.key === this.sortColumn);
-    const omitValue = sortCol?.omit;
+    const keys = this.sortKeys.map(k => ({ ...k, omit: columns.find(c => c.key === k.column)?.omit }));
 
     return [...filtered].sort((a, b) => {
-      const valA = a[this.sortColumn];
-      const valB = b[this.sortColumn];
-
-      // OMIT values (null or matching omit rule) always sort to end
-      const aOmit = valA == null || (omitValue !== undefined && String(valA) === omitValue);
-      const bOmit = valB == null || (omitValue !== undefined && String(valB) === omitValue);
-      if (aOmit !== bOmit) return aOmit ? 1 : -1;
-      if (aOmit && bOmit) return 0;
-
-      let cmp = 0;
-      if (typeof valA === 'number' && typeof valB === 'number') {
-        cmp = valA - valB;
-      } else {
-        cmp = String(valA).localeCompare(String(valB));
+      for (const key of keys) {
+        const valA = a[key.column];
+        const valB = b[key.column];
+
+        // OMIT values (null or matching omit rule) always sort to end
+        const aOmit = valA == null || (key.omit !== undefined && String(valA) === key.omit);
+        const bOmit = valB == null || (key.omit !== undefined && String(valB) === key.omit);
+        if (aOmit !== bOmit) return aOmit ? 1 : -1;
+        if (aOmit && bOmit) continue;
+
+        const cmp = this.compareValues(valA, valB);
+        if (cmp !== 0) return key.order === 'desc' ? -cmp : cmp;
       }
-      return this.sortDirection === 'desc' ? -cmp : cmp;
+      return 0;
     });
   },
 
@@ -401,8 +432,8 @@ const EntityTable = {
   attachViewEventListeners(columns) {
     // Column header click for sorting (reuses shared onColumnSort logic)
     this.container.querySelectorAll('th.sortable').forEach(th => {
-      th.addEventListener('click', () => {
-        this.onColumnSort(th.dataset.column);
+      th.addEventListener('click', (e) => {
+        this.onColumnSort(th.dataset.column, e.shiftKey);
       });
     });
 
@@ -469,7 +500,7 @@ const EntityTable = {
    * Back-references are always at the end (handled separately in render)
    * Aggregate sub-fields are collapsed into a single canonical column
    */
-  getVisibleColumns() {
+  getVisibleColumns(includeHidden = false) {
     if (!this.schema) return [];
 
     // Use ColumnUtils for consistent hidden/system column filtering
@@ -541,14 +572,14 @@ const EntityTable = {
     }
     // 'inline' keeps the original order (schema or alpha)
 
-    return columns;
+    return includeHidden ? columns : columns.filter(col => !this.hiddenColumns.includes(col.name));
   },
 
   /**
    * Get visible columns for views, grouping aggregate sub-fields into canonical columns.
    * Similar to getVisibleColumns() for entity tables.
    */
-  getViewVisibleColumns() {
+  getViewVisibleColumns(includeHidden = false) {
     if (!this.currentViewConfig?.columns) return [];
 
     let columns = this.currentViewConfig.columns.filter(c => !c.hidden && !c.autoHidden);
@@ -600,7 +631,7 @@ const EntityTable = {
       result.push(col);
     }
 
-    return result;
+    return includeHidden ? result : result.filter(col => !this.hiddenColumns.includes(col.key));
   },
 
   /**
@@ -657,30 +688,50 @@ const EntityTable = {
   getSortedRecords() {
     const filtered = this.getFilteredRecords();
 
-    if (!this.sortColumn) {
+    if (this.sortKeys.length === 0) {
       return filtered;
     }
 
+    // FK keys use the conceptual name (meter) and sort by the label (meter_label)
+    const valueOf = (record, column) => record[column] !== undefined ? record[column] : record[`${column}_label`];
+
     return [...filtered].sort((a, b) => {
-      let valA = a[this.sortColumn];
-      let valB = b[this.sortColumn];
+      for (const key of this.sortKeys) {
+        let valA = valueOf(a, key.column);
+        let valB = valueOf(b, key.column);
 
-      // Handle null/undefined
-      if (valA == null) valA = '';
-      if (valB == null) valB = '';
+        // Handle null/undefined
+        if (valA == null) valA = '';
+        if (valB == null) valB = '';
 
-      // Compare
-      let cmp = 0;
-      if (typeof valA === 'number' && typeof valB === 'number') {
-        cmp = valA - valB;
-      } else {
-        cmp = String(valA).localeCompare(String(valB));
+        const cmp = this.compareValues(valA, valB);
+        if (cmp !== 0) return key.order === 'desc' ? -cmp : cmp;
       }
-
-      return this.sortDirection === 'desc' ? -cmp : cmp;
+      return 0;
     });
   },
 
+  /**
+   * Compare two non-null sort values (numbers numerically, everything else as text)
+   */
+  compareValues(valA, valB) {
+    if (typeof valA === 'number' && typeof valB === 'number') {
+      return valA - valB;
+    }
+    return String(valA).localeCompare(String(valB));
+  },
+
+  /**
+   * Header sort indicator: direction arrow, with the key's priority when sorting by several columns
+   */
+  getSortIcon(column) {
+    const index = this.sortKeys.findIndex(k => k.column === column);
+    if (index < 0) return ' <span class="sort-hint">&#8645;</span>';
+
+    const arrow = this.sortKeys[index].order === 'desc' ? ' &#9660;' : ' &#9650;';
+    return this.sortKeys.length > 1 ? `${arrow}<sup class="sort-priority">${index + 1}</sup>` : arrow;
+  },
+
   /**
    * Render the table
    */
@@ -700,10 +751,6 @@ const EntityTable = {
     // Header row
     html += '<thead><tr>';
     for (const col of columns) {
-      const isSorted = this.sortColumn === col.name;
-      const sortIcon = isSorted
-        ? (this.sortDirection === 'asc' ? ' &#9650;' : ' &#9660;')
-        : ' <span class="sort-hint">&#8645;</span>';
       const isFK = col.foreignKey ? ' fk-column' : '';
 
       // Use conceptual name for FKs (type instead of type_id)
@@ -713,6 +760,8 @@ const EntityTable = {
       const rawName = col.foreignKey
         ? (col.name.endsWith('_id') ? col.name.slice(0, -3) : col.name)
         : col.name;
+      // FK columns sort by their conceptual name, i.e. by label (type → type_label)
+      const sortIcon = this.getSortIcon(rawName);
       const displayName = isSystem
         ? col.name
         : DomUtils.splitCamelCase(rawName).replace(/[_ ]/g, '<br>');
@@ -736,7 +785,7 @@ const EntityTable = {
           📎 ${displayName} ▾
         </th>`;
       } else {
-        html += `<th class="sortable${isFK}${systemClass}${apiClass}" data-column="${col.name}"${bgStyle}${titleAttr}>
+        html += `<th class="sortable${isFK}${systemClass}${apiClass}" data-column="${col.name}" data-sort="${rawName}"${bgStyle}${titleAttr}>
           ${displayName}${sortIcon}
         </th>`;
       }
@@ -776,8 +825,8 @@ const EntityTable = {
     html += '<tbody>';
     if (sortedRecords.length === 0) {
       const colSpan = columns.length + backRefs.length;
-      const readonly = typeof EntityExplorer !== 'undefined' && EntityExplorer.isCurrentEntityReadonly();
-      const newBtn = readonly ? '' : '<br><button class="empty-table-new-btn">+ New</button>';
+      const canCreate = typeof EntityExplorer === 'undefined' || EntityExplorer.can(EntityExplorer.currentEntity, 'create');
+      const newBtn = !canCreate ? '' : '<br><button class="empty-table-new-btn">+ New</button>';
       html += `<tr><td colspan="${colSpan}" class="empty-table-message">${i18n.t('no_records_found')}${newBtn}</td></tr>`;
     }
 
@@ -1052,9 +1101,8 @@ const EntityTable = {
   attachEventListeners() {
     // Column header click for sorting
     this.container.querySelectorAll('th.sortable').forEach(th => {
-      th.addEventListener('click', () => {
-        const column = th.dataset.column;
-        this.onColumnSort(column);
+      th.addEventListener('click', (e) => {
+        this.onColumnSort(th.dataset.sort, e.shiftKey);
       });
     });
 
@@ -1151,19 +1199,23 @@ const EntityTable = {
 
   /**
    * Handle column sort
+   * Click sorts by the column alone (again: toggle direction); shift-click appends it
+   * as a further sort key (or toggles its direction if it is already a key)
    */
-  onColumnSort(column) {
-    if (this.sortColumn === column) {
+  onColumnSort(column, additive = false) {
+    const existing = this.sortKeys.find(k => k.column === column);
+    if (existing && (additive || this.sortKeys.length === 1)) {
       // Toggle direction
-      this.sortDirection = this.sortDirection === 'asc' ? 'desc' : 'asc';
+      existing.order = existing.order === 'asc' ? 'desc' : 'asc';
+    } else if (additive) {
+      this.sortKeys.push({ column, order: 'asc' });
     } else {
-      this.sortColumn = column;
-      this.sortDirection = 'asc';
+      this.sortKeys = [{ column, order: 'asc' }];
     }
 
     // Server-side sort when not all records are loaded
     if (!this.allRecordsLoaded && this.onServerSortRequest) {
-      this.onServerSortRequest(this.sortColumn, this.sortDirection);
+      this.onServerSortRequest(this.sortKeys.map(k => ({ ...k })));
     } else if (this.currentViewConfig) {
       this.renderView();
     } else {
@@ -1206,6 +1258,53 @@ const EntityTable = {
     });
   },
 
+  /**
+   * Handle an entity change from the live change feed
+   * Rows are patched in place (keeping scroll position and column filters) and
+   * briefly highlighted; bulk changes reload the list. Views are not patched.
+   */
+  async onRemoteChange(change) {
+    if (change.action === 'batch' || change.action === 'refresh') {
+      if (EntityExplorer.viewMode === 'table') await EntityExplorer.reloadAfterRemoteChange(change);
+      return;
+    }
+    if (this.currentViewConfig || change.entity !== this.currentEntity) return;
+    if (!EntityExplorer.applyRemoteChange(change)) return;
+    if (EntityExplorer.viewMode !== 'table' || this.records !== EntityExplorer.records) return;
+
+    if (change.action === 'delete' && this.selectedId === change.id) {
+      this.selectedId = null;
+    }
+
+    const wrapper = this.container.querySelector('.entity-table-wrapper');
+    const scrollTop = wrapper?.scrollTop || 0;
+    const scrollLeft = wrapper?.scrollLeft || 0;
+    await this.render();
+    const newWrapper = this.container.querySelector('.entity-table-wrapper');
+    if (newWrapper) {
+      newWrapper.scrollTop = scrollTop;
+      newWrapper.scrollLeft = scrollLeft;
+    }
+
+    this.container.querySelector(`tbody tr[data-id="${change.id}"]`)?.classList.add('remote-changed');
+  },
+
+  /**
+   * Reload the schemas after the data model was changed on the server
+   */
+  async onSchemaReload(info) {
+    if (!info.changed) return;
+
+    const meta = await ApiClient.getMeta();
+    SchemaCache.preload(meta.schemas);
+    DomUtils.toast(i18n.t('live_schema_reloaded'), 'info');
+
+    if (this.currentEntity && !this.currentViewConfig) {
+      this.schema = SchemaCache.getExtended(this.currentEntity);
+      await EntityExplorer.refresh();
+    }
+  },
+
   /**
    * Handle details action (read-only view)
    */
@@ -28,6 +28,35 @@ const EntityTree = {
         this.state = new TreeState();
         this.initSortControls();
         this.loadTreeConfig();
+
+        // Live updates from other users and integrations
+        ChangeFeed.on('entity', (change) => this.onRemoteChange(change));
+    },
+
+    /**
+     * Handle an entity change from the live change feed (tree view modes only)
+     * The shared records are patched by EntityExplorer; the tree is re-rendered
+     * with its expanded nodes kept and the changed root node highlighted.
+     * Detail views (server-composed trees) are not patched.
+     */
+    async onRemoteChange(change) {
+        if (!EntityExplorer.viewMode.startsWith('tree') || this.detailTemplate) return;
+        if (change.action === 'batch' || change.action === 'refresh') {
+            await EntityExplorer.reloadAfterRemoteChange(change);
+            return;
+        }
+        if (change.entity !== this.currentEntity || this.records !== EntityExplorer.records) return;
+        if (!EntityExplorer.applyRemoteChange(change)) return;
+
+        // A deleted selected record would leave the tree empty
+        if (change.action === 'delete' && this.state.getSelectedNodeId() === `${change.entity}-${change.id}`) {
+            this.state.clearSelection();
+        }
+
+        const scrollTop = this.container.scrollTop;
+        await this.render();
+        this.container.scrollTop = scrollTop;
+        this.container.querySelector(`.tree-node.root-node[data-record-id="${change.id}"]`)?.classList.add('remote-changed');
     },
 
     /**
@@ -0,0 +1,145 @@
+/**
+ * Global Search - Full-text search box in the menu bar
+ *
+ * Searches all entities with [SEARCH] columns (api/search, SQLite FTS5) while typing
+ * and lists the ranked hits with their entity, label and a highlighted snippet.
+ * Selecting a hit (click or arrow keys + Enter) opens the record in the detail panel.
+ * Hidden when no readable entity has [SEARCH] columns.
+ */
+const GlobalSearch = {
+  container: null,
+  input: null,
+  dropdown: null,
+  hits: [],
+  activeIndex: -1,
+  debounceMs: 250,
+  debounceTimer: null,
+  requestSeq: 0,
+
+  /**
+   * Initialize the search box (after the schemas are loaded)
+   */
+  init() {
+    this.container = document.getElementById('global-search');
+    if (!this.container) return;
+
+    const searchable = Object.values(SchemaCache.extendedCache).some(schema => schema?.search);
+    if (!searchable) {
+      this.container.classList.add('hidden');
+      return;
+    }
+
+    this.container.innerHTML = `
+      <input type="search" class="global-search-input" autocomplete="off"
+             placeholder="${DomUtils.escapeHtml(i18n.t('global_search_placeholder'))}">
+      <div class="global-search-dropdown hidden"></div>
+    `;
+    this.input = this.container.querySelector('.global-search-input');
+    this.dropdown = this.container.querySelector('.global-search-dropdown');
+
+    this.input.addEventListener('input', () => {
+      clearTimeout(this.debounceTimer);
+      this.debounceTimer = setTimeout(() => this.search(this.input.value), this.debounceMs);
+    });
+    this.input.addEventListener('keydown', (e) => this.onKeyDown(e));
+    this.input.addEventListener('focus', () => {
+      if (this.hits.length > 0 || this.input.value.trim()) this.dropdown.classList.remove('hidden');
+    });
+
+    // Close when clicking elsewhere
+    document.addEventListener('mousedown', (e) => {
+      if (!this.container.contains(e.target)) this.close();
+    });
+  },
+
+  /**
+   * Run the search and render the hits (responses of outdated requests are ignored)
+   */
+  async search(text) {
+    const query = text.trim();
+    const seq = ++this.requestSeq;
+    if (!query) {
+      this.hits = [];
+      this.close();
+      return;
+    }
+
+    try {
+      const result = await ApiClient.request(`api/search?q=${encodeURIComponent(query)}`);
+      if (seq !== this.requestSeq) return;
+      this.hits = result?.hits || [];
+    } catch (err) {
+      if (seq !== this.requestSeq) return;
+      console.error('Global search failed:', err);
+      this.hits = [];
+    }
+    this.activeIndex = this.hits.length > 0 ? 0 : -1;
+    this.render();
+  },
+
+  /**
+   * Render the hit list
+   */
+  render() {
+    if (this.hits.length === 0) {
+      this.dropdown.innerHTML = `<div class="global-search-empty">${DomUtils.escapeHtml(i18n.t('global_search_no_hits'))}</div>`;
+    } else {
+      // Snippets are HTML-escaped by the server, with matches in <mark>
+      this.dropdown.innerHTML = this.hits.map((hit, index) => {
+        const color = SchemaCache.extendedCache[hit.entity]?.areaColor || '#f5f5f5';
+        return `
+          <div class="global-search-hit${index === this.activeIndex ? ' active' : ''}" data-index="${index}">
+            <span class="global-search-entity" style="background-color: ${color}">${DomUtils.escapeHtml(hit.entity)}</span>
+            <span class="global-search-label">${DomUtils.escapeHtml(hit.label || `#${hit.id}`)}</span>
+            ${hit.snippet ? `<div class="global-search-snippet">${hit.snippet}</div>` : ''}
+          </div>
+        `;
+      }).join('');
+
+      this.dropdown.querySelectorAll('.global-search-hit').forEach(el => {
+        el.addEventListener('click', () => this.open(this.hits[parseInt(el.dataset.index, 10)]));
+      });
+    }
+    this.dropdown.classList.remove('hidden');
+  },
+
+  /**
+   * Keyboard navigation: arrows move, Enter opens, Escape closes
+   */
+  onKeyDown(e) {
+    if (e.key === 'Escape') {
+      this.close();
+      return;
+    }
+    if (this.hits.length === 0) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      this.activeIndex = (this.activeIndex + step + this.hits.length) % this.hits.length;
+      this.render();
+      this.dropdown.querySelector('.global-search-hit.active')?.scrollIntoView({ block: 'nearest' });
+    } else if (e.key === 'Enter' && this.activeIndex >= 0) {
+      e.preventDefault();
+      this.open(this.hits[this.activeIndex]);
+    }
+  },
+
+  /**
+   * Load the hit's record and show it in the detail panel
+   */
+  async open(hit) {
+    if (!hit) return;
+    this.close();
+    try {
+      const record = await ApiClient.getById(hit.entity, hit.id);
+      DetailPanel.showRecord(hit.entity, record);
+    } catch (err) {
+      console.error(`Failed to open ${hit.entity} #${hit.id}:`, err);
+    }
+  },
+
+  close() {
+    this.dropdown?.classList.add('hidden');
+  }
+};
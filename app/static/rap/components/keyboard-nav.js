@@ -74,7 +74,7 @@ const KeyboardNav = {
   _enter() {
     const id = EntityExplorer.selectedId;
     if (id == null || !EntityExplorer.currentEntity) return;
-    if (EntityExplorer.isCurrentEntityReadonly()) return;
+    if (!EntityExplorer.can(EntityExplorer.currentEntity, 'update')) return;
 
     if (this._isTable()) {
       EntityTable.onEdit(id);
@@ -110,7 +110,7 @@ const KeyboardNav = {
    */
   _delete() {
     if (!EntityExplorer.selectedId || !EntityExplorer.currentEntity) return;
-    if (EntityExplorer.isCurrentEntityReadonly()) return;
+    if (!EntityExplorer.can(EntityExplorer.currentEntity, 'delete')) return;
 
     if (this._isTable()) {
       EntityTable.onDelete(EntityExplorer.selectedId);
@@ -1,6 +1,7 @@
 /**
  * Login Dialog Component
- * Simple authentication dialog with role selection and password input
+ * Authentication dialog with username (when user accounts exist), role selection and password input,
+ * plus a single sign-on button when OIDC login is configured
  * Passwords are hashed client-side with SHA-256 before transmission
  */
 
@@ -108,6 +109,7 @@ const LoginDialog = {
     modalElement: null,
     authConfig: null,
     selectedRole: 'guest',
+    pendingError: null,
 
     /**
      * Initialize and show the login dialog
@@ -134,6 +136,14 @@ const LoginDialog = {
             return false; // Block access on error
         }
 
+        // Error from a failed OIDC login (redirected back with ?loginError=)
+        const url = new URL(window.location.href);
+        this.pendingError = url.searchParams.get('loginError');
+        if (this.pendingError) {
+            url.searchParams.delete('loginError');
+            window.history.replaceState(null, '', url.pathname + url.search + url.hash);
+        }
+
         this.selectedRole = 'guest';
         this.render();
         return false; // Login dialog shown, app should wait
@@ -198,6 +208,41 @@ const LoginDialog = {
         return this.authConfig.roles[role] === true;
     },
 
+    /**
+     * User accounts exist → show username field
+     */
+    hasUserLogin() {
+        return !!this.authConfig?.users;
+    },
+
+    /**
+     * Shared role passwords are accepted (default unless auth.roleLogin is false)
+     */
+    hasRoleLogin() {
+        return this.authConfig?.roleLogin !== false;
+    },
+
+    /**
+     * Single sign-on via the company IdP (auth.oidc)
+     */
+    hasSsoLogin() {
+        return !!this.authConfig?.oidc;
+    },
+
+    /**
+     * Username or role login is available (otherwise only single sign-on is shown)
+     */
+    hasPasswordLogin() {
+        return this.hasUserLogin() || this.hasRoleLogin();
+    },
+
+    /**
+     * Password is required for user logins and for roles with a password
+     */
+    needsPassword(username) {
+        return !!username || !this.hasRoleLogin() || this.roleNeedsPassword(this.selectedRole);
+    },
+
     /**
      * Render the dialog
      */
@@ -207,7 +252,11 @@ const LoginDialog = {
             this.modalElement.remove();
         }
 
-        const needsPassword = this.roleNeedsPassword(this.selectedRole);
+        const needsPassword = this.needsPassword('');
+        const showUser = this.hasUserLogin();
+        const showRole = this.hasRoleLogin();
+        const showSso = this.hasSsoLogin();
+        const showPassword = this.hasPasswordLogin();
 
         // Create modal element
         this.modalElement = document.createElement('div');
@@ -219,7 +268,19 @@ const LoginDialog = {
                         <h2>Login</h2>
                     </div>
                     <div class="modal-body">
-                        <div class="form-group">
+                        ${showSso ? `
+                        <button class="btn btn-secondary login-sso-btn" id="login-sso-btn">
+                            ${DomUtils.escapeHtml(this.authConfig.oidc.label)}
+                        </button>
+                        ${showPassword ? '<div class="login-separator"><span>or</span></div>' : ''}
+                        ` : ''}
+                        <div id="login-password-form" style="${showPassword ? '' : 'display: none;'}">
+                        <div class="form-group" style="${showUser ? '' : 'display: none;'}">
+                            <label for="login-username">Username</label>
+                            <input type="text" id="login-username" class="form-control" autocomplete="username"
+                                   placeholder="${showRole ? 'Leave empty to log in with a role' : 'Enter username'}">
+                        </div>
+                        <div class="form-group" id="role-group" style="${showRole ? '' : 'display: none;'}">
                             <label for="login-role">Role</label>
                             <select id="login-role" class="form-control">
                                 <option value="guest" ${this.selectedRole === 'guest' ? 'selected' : ''}>Guest</option>
@@ -233,9 +294,10 @@ const LoginDialog = {
                                    placeholder="${needsPassword ? 'Enter password' : 'No password required'}"
                                    ${needsPassword ? '' : 'disabled'}>
                         </div>
+                        </div>
                         <div id="login-error" class="login-error" style="display: none;"></div>
                     </div>
-                    <div class="modal-footer">
+                    <div class="modal-footer" style="${showPassword ? '' : 'display: none;'}">
                         <button class="btn btn-primary" id="login-btn">Login</button>
                     </div>
                 </div>
@@ -245,8 +307,19 @@ const LoginDialog = {
         document.body.appendChild(this.modalElement);
         this.bindEvents();
 
+        if (this.pendingError) {
+            const errorDiv = document.getElementById('login-error');
+            errorDiv.textContent = this.pendingError;
+            errorDiv.style.display = 'block';
+            this.pendingError = null;
+        }
+
         // Focus appropriate field
-        if (needsPassword) {
+        if (!showPassword) {
+            document.getElementById('login-sso-btn').focus();
+        } else if (showUser) {
+            document.getElementById('login-username').focus();
+        } else if (needsPassword) {
             document.getElementById('login-password').focus();
         } else {
             document.getElementById('login-btn').focus();
@@ -257,24 +330,43 @@ const LoginDialog = {
      * Bind event handlers
      */
     bindEvents() {
+        const usernameInput = document.getElementById('login-username');
         const roleSelect = document.getElementById('login-role');
+        const roleGroup = document.getElementById('role-group');
         const passwordInput = document.getElementById('login-password');
         const passwordGroup = document.getElementById('password-group');
         const loginBtn = document.getElementById('login-btn');
         const errorDiv = document.getElementById('login-error');
 
-        // Role change - show/hide password field
-        roleSelect.addEventListener('change', () => {
-            this.selectedRole = roleSelect.value;
-            const needsPassword = this.roleNeedsPassword(this.selectedRole);
+        // Show/hide password field for the current username/role
+        const updatePasswordField = () => {
+            const username = usernameInput.value.trim();
+            const needsPassword = this.needsPassword(username);
 
+            if (this.hasRoleLogin()) {
+                roleGroup.style.display = username ? 'none' : '';
+            }
             passwordGroup.style.display = needsPassword ? '' : 'none';
             passwordInput.disabled = !needsPassword;
             passwordInput.placeholder = needsPassword ? 'Enter password' : 'No password required';
-            passwordInput.value = '';
             errorDiv.style.display = 'none';
+            return needsPassword;
+        };
+
+        // Username entered - user login instead of role login
+        usernameInput.addEventListener('input', updatePasswordField);
+        usernameInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                if (passwordInput.disabled) this.doLogin();
+                else passwordInput.focus();
+            }
+        });
 
-            if (needsPassword) {
+        // Role change - show/hide password field
+        roleSelect.addEventListener('change', () => {
+            this.selectedRole = roleSelect.value;
+            passwordInput.value = '';
+            if (updatePasswordField()) {
                 passwordInput.focus();
             }
         });
@@ -282,6 +374,16 @@ const LoginDialog = {
         // Login button click
         loginBtn.addEventListener('click', () => this.doLogin());
 
+        // Single sign-on: the server redirects to the IdP and back
+        const ssoBtn = document.getElementById('login-sso-btn');
+        if (ssoBtn) {
+            ssoBtn.addEventListener('click', () => {
+                const returnTo = new URLSearchParams(window.location.search).get('returnTo');
+                window.location.href = 'api/auth/oidc/login' +
+                    (returnTo && returnTo.startsWith('/') ? '?returnTo=' + encodeURIComponent(returnTo) : '');
+            });
+        }
+
         // Enter key in password field
         passwordInput.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') {
@@ -305,6 +407,7 @@ const LoginDialog = {
      * Password is hashed with SHA-256 before transmission
      */
     async doLogin() {
+        const username = document.getElementById('login-username').value.trim();
         const role = document.getElementById('login-role').value;
         const password = document.getElementById('login-password').value;
         const loginBtn = document.getElementById('login-btn');
@@ -322,14 +425,14 @@ const LoginDialog = {
             const res = await fetch('api/auth/login', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ role, hash })
+                body: JSON.stringify(username ? { username, hash } : { role, hash })
             });
 
             if (res.ok) {
                 const data = await res.json();
                 this.hide();
-                // Store role for UI adjustments
-                window.currentUser = { role: data.role };
+                // Store role (and username for user accounts) for UI adjustments
+                window.currentUser = { role: data.role, username: data.username };
                 // Navigate to returnTo URL if present (e.g., from protected docs page redirect)
                 const returnTo = new URLSearchParams(window.location.search).get('returnTo');
                 if (returnTo && returnTo.startsWith('/')) {
@@ -355,15 +458,15 @@ const LoginDialog = {
 
     /**
      * Check if user is authenticated
-     * @returns {Promise<{authenticated: boolean, role?: string}>}
+     * @returns {Promise<{authenticated: boolean, role?: string, username?: string}>}
      */
     async checkAuth() {
         try {
             const res = await fetch('api/auth/me');
             if (res.ok) {
                 const data = await res.json();
-                window.currentUser = { role: data.role };
-                return { authenticated: true, role: data.role };
+                window.currentUser = { role: data.role, username: data.username };
+                return { authenticated: true, role: data.role, username: data.username };
             }
             return { authenticated: false };
         } catch (e) {
@@ -0,0 +1,145 @@
+/**
+ * Pivot Table Component
+ * Renders pivot views (view JSON "pivot") as a crosstab: row keys × column key,
+ * with row and column totals. The crosstab is computed by the server
+ * (api/views/:name/pivot); CSV/XLSX exports are generated there as well.
+ */
+const PivotTable = {
+  container: null,
+  viewName: null,
+  filter: '',
+  pivot: null,
+  requestSeq: 0,
+
+  /**
+   * Load and render the crosstab of a pivot view
+   * @param {HTMLElement} container - Target element (table container of the explorer)
+   * @param {string} viewName - View display name
+   * @param {string} [filter] - Server filter (prefilter), applied before grouping
+   */
+  async load(container, viewName, filter = '') {
+    this.container = container;
+    this.viewName = viewName;
+    this.filter = filter;
+    this.pivot = null;
+
+    const seq = ++this.requestSeq;
+    this.container.innerHTML = '<div class="loading-spinner"></div>';
+    try {
+      const pivot = await ApiClient.getViewPivot(viewName, { filter });
+      if (seq !== this.requestSeq) return;
+      this.pivot = pivot;
+      this.render();
+    } catch (err) {
+      if (seq !== this.requestSeq) return;
+      const message = err.details?.length ? `${err.message}: ${err.details.join(', ')}` : err.message;
+      this.container.innerHTML = `<p class="empty-message">${i18n.t('error_generic', { message: DomUtils.escapeHtml(message) })}</p>`;
+    }
+  },
+
+  /**
+   * Render the crosstab with a toolbar for the exports
+   */
+  render() {
+    const pivot = this.pivot;
+    if (!pivot || pivot.data.length === 0) {
+      this.container.innerHTML = `<p class="empty-message">${i18n.t('no_records_found')}</p>`;
+      return;
+    }
+
+    const esc = DomUtils.escapeHtml;
+    const totalLabel = esc(i18n.t('pivot_total'));
+
+    let html = `
+      <div class="pivot-toolbar">
+        <span class="pivot-caption">${esc(pivot.value)} · ${esc(pivot.column)}</span>
+        <button class="pivot-export-btn" data-pivot-export="csv">${esc(i18n.t('ctx_export_csv'))}</button>
+        <button class="pivot-export-btn" data-pivot-export="xlsx">${esc(i18n.t('ctx_export_xlsx'))}</button>
+      </div>
+      <div class="entity-table-wrapper"><table class="entity-table pivot-table">`;
+
+    // Header: row key labels, one column per column key, row total
+    html += '<thead><tr>';
+    for (const label of pivot.rows) {
+      html += `<th class="pivot-row-key">${esc(label)}</th>`;
+    }
+    for (const key of pivot.columns) {
+      html += `<th class="pivot-value">${this.formatKey(key)}</th>`;
+    }
+    html += `<th class="pivot-value pivot-total">${totalLabel}</th></tr></thead>`;
+
+    // Body: leading keys repeated from the previous row are left blank (grouped look)
+    html += '<tbody>';
+    pivot.data.forEach((row, index) => {
+      const previous = pivot.data[index - 1];
+      html += `<tr class="${index % 2 === 1 ? 'zebra' : ''}">`;
+      let sameGroup = !!previous;
+      row.keys.forEach((key, i) => {
+        sameGroup = sameGroup && previous.keys[i] === key && i < row.keys.length - 1;
+        html += `<td class="pivot-row-key">${sameGroup ? '' : this.formatKey(key)}</td>`;
+      });
+      for (const value of row.values) {
+        html += `<td class="pivot-value">${this.formatValue(value)}</td>`;
+      }
+      html += `<td class="pivot-value pivot-total">${this.formatValue(row.total)}</td></tr>`;
+    });
+    html += '</tbody>';
+
+    // Footer: column totals and grand total
+    html += `<tfoot><tr><td class="pivot-row-key pivot-total" colspan="${pivot.rows.length}">${totalLabel}</td>`;
+    for (const value of pivot.totals.values) {
+      html += `<td class="pivot-value pivot-total">${this.formatValue(value)}</td>`;
+    }
+    html += `<td class="pivot-value pivot-total">${this.formatValue(pivot.totals.total)}</td></tr></tfoot>`;
+    html += '</table></div>';
+
+    this.container.innerHTML = html;
+    this.container.querySelectorAll('[data-pivot-export]').forEach(btn => {
+      btn.addEventListener('click', () => this.exportToFormat(btn.dataset.pivotExport));
+    });
+  },
+
+  /**
+   * Format a row or column key (empty keys are shown as a placeholder)
+   */
+  formatKey(key) {
+    if (key === null || key === undefined || key === '') {
+      return `<span class="pivot-empty">${DomUtils.escapeHtml(i18n.t('pivot_empty_key'))}</span>`;
+    }
+    return DomUtils.escapeHtml(String(key));
+  },
+
+  /**
+   * Format an aggregated value (empty cells stay blank)
+   */
+  formatValue(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') {
+      return value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+    }
+    return DomUtils.escapeHtml(String(value));
+  },
+
+  /**
+   * Download the crosstab as CSV or XLSX (generated by the server with the same filter)
+   */
+  async exportToFormat(format) {
+    try {
+      const response = await fetch(`api/views/${encodeURIComponent(this.viewName)}/pivot/export-${format}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ filter: this.filter, totalLabel: i18n.t('pivot_total') })
+      });
+
+      if (response.ok) {
+        const blob = await response.blob();
+        DomUtils.downloadBlob(blob, `${this.viewName}.${format}`);
+      } else {
+        const error = await response.json();
+        alert(i18n.t('export_failed', { message: error.error || 'Unknown error' }));
+      }
+    } catch (err) {
+      alert(i18n.t('export_failed', { message: err.message }));
+    }
+  }
+};
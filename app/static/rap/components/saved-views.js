@@ -0,0 +1,271 @@
+/**
+ * Saved Views Component
+ * Named table layouts per user and entity/view: hidden columns, column filters,
+ * sort keys, prefilter choices and view mode. Stored by the server (api/saved-views),
+ * optionally shared with other roles.
+ *
+ * Rendered as a section of the settings dropdown. The Entity Explorer calls
+ * setTarget() when an entity or view is opened and restores the default saved view.
+ */
+const SavedViews = {
+  section: null,
+  target: null, // { type: 'entity'|'view', name } or null (nothing to save)
+  views: [], // Own and shared saved views of the target
+  defaultId: null, // Saved view restored when the target is opened
+  selectedId: null,
+  columnsOpen: false, // Column list expanded
+  requestSeq: 0,
+
+  /** Roles a saved view can be shared with */
+  SHARE_ROLES: ['user', 'guest', 'admin'],
+
+  /**
+   * Append the section to the settings dropdown
+   */
+  init() {
+    const menu = document.querySelector('.header-settings-menu');
+    if (!menu) return;
+
+    const divider = document.createElement('div');
+    divider.className = 'settings-divider';
+    menu.appendChild(divider);
+
+    this.section = document.createElement('div');
+    this.section.className = 'settings-section saved-views-section';
+    // Keep the dropdown open while working in the section (it is re-rendered)
+    this.section.addEventListener('click', (e) => e.stopPropagation());
+    menu.appendChild(this.section);
+
+    // The column list follows the current table
+    document.querySelector('.header-settings-btn')?.addEventListener('click', () => this.render());
+    this.render();
+  },
+
+  /**
+   * Switch to the saved views of an entity or view (null: none)
+   * @param {string|null} type - 'entity' or 'view'
+   * @param {string|null} name - Entity or view name
+   * @returns {Promise<Object|null>} Default saved view to restore
+   */
+  async setTarget(type, name) {
+    const seq = ++this.requestSeq;
+    this.target = type && name ? { type, name } : null;
+    this.views = [];
+    this.defaultId = null;
+    this.selectedId = null;
+
+    if (this.target) {
+      try {
+        const result = await ApiClient.getSavedViews(type, name);
+        if (seq !== this.requestSeq) return null;
+        this.views = result?.data || [];
+        this.defaultId = result?.defaultId ?? null;
+      } catch (err) {
+        console.warn('Could not load saved views:', err);
+      }
+    }
+
+    const defaultView = this.views.find(v => v.id === this.defaultId) || null;
+    this.selectedId = defaultView ? defaultView.id : null;
+    this.render();
+    return defaultView;
+  },
+
+  /**
+   * Reload the saved views of the current target, keeping a selection
+   */
+  async refresh(selectId = this.selectedId) {
+    if (!this.target) return;
+    const result = await ApiClient.getSavedViews(this.target.type, this.target.name);
+    this.views = result?.data || [];
+    this.defaultId = result?.defaultId ?? null;
+    this.selectedId = this.views.some(v => v.id === selectId) ? selectId : null;
+    this.render();
+  },
+
+  getSelected() {
+    return this.views.find(v => v.id === this.selectedId) || null;
+  },
+
+  /**
+   * Own saved views can be changed; admins may change shared ones as well
+   */
+  canEdit(view) {
+    return view.own || window.currentUser?.role === 'admin';
+  },
+
+  render() {
+    if (!this.section) return;
+    const esc = DomUtils.escapeHtml;
+
+    if (!this.target) {
+      this.section.innerHTML = `
+        <label class="settings-label">${esc(i18n.t('saved_views_label'))}</label>
+        <small class="saved-views-hint">${esc(i18n.t('saved_views_no_target'))}</small>`;
+      return;
+    }
+
+    const selected = this.getSelected();
+    const options = this.views.map(v => {
+      const star = v.id === this.defaultId ? ' ★' : '';
+      const owner = v.own ? '' : ` (${esc(v.owner)})`;
+      return `<option value="${v.id}" ${v.id === this.selectedId ? 'selected' : ''}>${esc(v.name)}${star}${owner}</option>`;
+    }).join('');
+
+    let html = `
+      <label class="settings-label">${esc(i18n.t('saved_views_label'))} · ${esc(this.target.name)}</label>
+      <select class="settings-select saved-views-select">
+        <option value="">${esc(i18n.t(this.views.length ? 'saved_views_choose' : 'saved_views_none'))}</option>
+        ${options}
+      </select>`;
+
+    if (selected && this.canEdit(selected)) {
+      const roles = this.SHARE_ROLES.map(role => `
+        <label><input type="checkbox" data-share-role="${role}" ${selected.shared_roles.includes(role) ? 'checked' : ''}> ${role}</label>`).join('');
+      html += `
+        <label class="settings-checkbox">
+          <input type="checkbox" class="saved-views-default" ${selected.is_default ? 'checked' : ''}>
+          <span>${esc(i18n.t('saved_views_default', { name: this.target.name }))}</span>
+        </label>
+        <div class="saved-views-share">${esc(i18n.t('saved_views_share'))}${roles}</div>
+        <div class="saved-views-actions">
+          <button type="button" class="saved-views-btn" data-action="overwrite">${esc(i18n.t('saved_views_overwrite'))}</button>
+          <button type="button" class="saved-views-btn" data-action="delete">${esc(i18n.t('saved_views_delete'))}</button>
+        </div>`;
+    }
+
+    html += `
+      <div class="saved-views-save">
+        <input type="text" class="saved-views-name" maxlength="100" placeholder="${esc(i18n.t('saved_views_name_placeholder'))}">
+        <button type="button" class="saved-views-btn" data-action="save">${esc(i18n.t('saved_views_save'))}</button>
+      </div>`;
+
+    // Column visibility of the current table
+    const columns = EntityTable.getColumnChoices();
+    if (columns.length > 0) {
+      html += `
+        <details class="saved-views-columns" ${this.columnsOpen ? 'open' : ''}>
+          <summary>${esc(i18n.t('saved_views_columns'))}</summary>
+          ${columns.map(col => `
+            <label class="settings-checkbox">
+              <input type="checkbox" data-column="${esc(col.key)}" ${col.hidden ? '' : 'checked'}>
+              <span>${esc(col.label)}</span>
+            </label>`).join('')}
+        </details>`;
+    }
+
+    this.section.innerHTML = html;
+    this.attachEventListeners();
+  },
+
+  attachEventListeners() {
+    const section = this.section;
+
+    section.querySelector('.saved-views-select').addEventListener('change', (e) => {
+      this.select(e.target.value ? parseInt(e.target.value, 10) : null);
+    });
+
+    section.querySelector('.saved-views-default')?.addEventListener('change', (e) => {
+      this.update({ isDefault: e.target.checked });
+    });
+
+    section.querySelectorAll('[data-share-role]').forEach(checkbox => {
+      checkbox.addEventListener('change', () => {
+        const sharedRoles = [...section.querySelectorAll('[data-share-role]:checked')].map(c => c.dataset.shareRole);
+        this.update({ sharedRoles });
+      });
+    });
+
+    const nameInput = section.querySelector('.saved-views-name');
+    nameInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.save(nameInput.value);
+    });
+
+    DomUtils.attachDataActionHandlers(section, {
+      save: () => this.save(nameInput.value),
+      overwrite: () => this.update({ state: EntityExplorer.captureTableState() }, 'saved_views_saved'),
+      delete: () => this.remove()
+    });
+
+    section.querySelector('.saved-views-columns')?.addEventListener('toggle', (e) => {
+      this.columnsOpen = e.target.open;
+    });
+    section.querySelectorAll('.saved-views-columns [data-column]').forEach(checkbox => {
+      checkbox.addEventListener('change', () => {
+        EntityTable.setColumnHidden(checkbox.dataset.column, !checkbox.checked);
+      });
+    });
+  },
+
+  /**
+   * Restore a saved view in the Entity Explorer
+   */
+  async select(id) {
+    this.selectedId = id;
+    this.render();
+    const view = this.getSelected();
+    if (view) {
+      await EntityExplorer.applyTableState(view.state);
+      this.render();
+    }
+  },
+
+  /**
+   * Save the current table layout under a name (an own saved view of that name is overwritten)
+   */
+  async save(name) {
+    name = (name || '').trim();
+    if (!name || !this.target) {
+      this.section.querySelector('.saved-views-name')?.focus();
+      return;
+    }
+
+    const state = EntityExplorer.captureTableState();
+    const existing = this.views.find(v => v.own && v.name === name);
+    try {
+      let view;
+      if (existing) {
+        if (!confirm(i18n.t('saved_views_confirm_overwrite', { name }))) return;
+        view = await ApiClient.updateSavedView(existing.id, { state });
+      } else {
+        view = await ApiClient.createSavedView({
+          targetType: this.target.type,
+          target: this.target.name,
+          name,
+          state
+        });
+      }
+      await this.refresh(view.id);
+      DomUtils.toast(i18n.t('saved_views_saved', { name }), 'success');
+    } catch (err) {
+      DomUtils.toastError(i18n.t('saved_views_error', { message: err.message }));
+    }
+  },
+
+  /**
+   * Change the selected saved view (default flag, sharing, state)
+   */
+  async update(changes, successKey = null) {
+    const view = this.getSelected();
+    if (!view) return;
+    try {
+      await ApiClient.updateSavedView(view.id, changes);
+      await this.refresh(view.id);
+      if (successKey) DomUtils.toast(i18n.t(successKey, { name: view.name }), 'success');
+    } catch (err) {
+      DomUtils.toastError(i18n.t('saved_views_error', { message: err.message }));
+      this.render();
+    }
+  },
+
+  async remove() {
+    const view = this.getSelected();
+    if (!view || !confirm(i18n.t('saved_views_confirm_delete', { name: view.name }))) return;
+    try {
+      await ApiClient.deleteSavedView(view.id);
+      await this.refresh(null);
+    } catch (err) {
+      DomUtils.toastError(i18n.t('saved_views_error', { message: err.message }));
+    }
+  }
+};
@@ -0,0 +1,180 @@
+/**
+ * Schema History Component
+ * Admin modal with the schema versions the database ran with (_schema_history):
+ * hash, how the change was applied, who triggered it and the auto-backup.
+ * Any earlier version can be rolled back to (dry run first).
+ * Opened from the Seed Manager footer; closing returns to the Seed Manager.
+ */
+const SchemaHistory = {
+  container: null,
+  isOpen: false,
+  versions: [],
+
+  /**
+   * Initialize the schema history
+   */
+  init(containerId) {
+    this.container = document.getElementById(containerId);
+  },
+
+  /**
+   * Open the schema history modal
+   */
+  async open() {
+    if (!this.container) return;
+
+    this.isOpen = true;
+    await this.load();
+    this.render();
+  },
+
+  /**
+   * Close the modal and return to the Seed Manager
+   */
+  close() {
+    this.isOpen = false;
+    if (this.container) {
+      this.container.innerHTML = '';
+      this.container.classList.remove('active');
+    }
+    SeedManager.open();
+  },
+
+  /**
+   * Load the recorded versions
+   */
+  async load() {
+    try {
+      const response = await fetch('api/seed/schema-history');
+      const data = await response.json();
+      this.versions = data.data || [];
+    } catch (err) {
+      console.error('Failed to load schema history:', err);
+      this.versions = [];
+    }
+  },
+
+  /**
+   * Render the modal
+   */
+  render() {
+    if (!this.container || !this.isOpen) return;
+
+    const esc = DomUtils.escapeHtml;
+
+    const rows = this.versions.map(v => {
+      const changes = v.operations.filter(op => op.action !== 'regenerateViews');
+      return `
+      <tr class="${v.current ? 'schema-version-current' : ''}">
+        <td class="row-count">${v.id}</td>
+        <td>${esc(v.applied_at)}</td>
+        <td class="schema-hash" title="${esc(v.hash)}">${esc(v.hash.substring(0, 8))}</td>
+        <td>${esc(i18n.t('schema_history_strategy_' + v.strategy))}</td>
+        <td class="schema-changes">${changes.map(op => `${op.destructive ? '⚠' : '•'} ${esc(op.description)}`).join('<br>')}</td>
+        <td class="row-count">${v.entity_count ?? ''}</td>
+        <td>${esc(v.triggered_by || '')}</td>
+        <td class="schema-backup">${esc(v.backup_dir || '')}</td>
+        <td>${v.current
+          ? `<span class="schema-current">${i18n.t('schema_history_current')}</span>`
+          : `<button class="btn-seed btn-schema-rollback" data-id="${v.id}">${i18n.t('schema_history_rollback')}</button>`}</td>
+      </tr>
+    `;
+    }).join('');
+
+    this.container.innerHTML = `
+      <div class="modal-overlay">
+        <div class="modal-dialog schema-history-modal">
+          <div class="modal-header">
+            <h2>${i18n.t('admin_schema_history')}</h2>
+            <button class="modal-close" data-action="close">&times;</button>
+          </div>
+          <div class="modal-body">
+            <p class="order-hint">${i18n.t('schema_history_hint')}</p>
+            ${this.versions.length === 0
+              ? `<p class="empty-message">${i18n.t('schema_history_none')}</p>`
+              : `<table class="seed-table compact schema-history-table">
+                  <thead>
+                    <tr><th>#</th><th>${i18n.t('schema_history_applied')}</th><th>Hash</th><th>${i18n.t('schema_history_strategy')}</th><th>${i18n.t('schema_history_changes')}</th><th>${i18n.t('schema_history_entities')}</th><th>${i18n.t('schema_history_by')}</th><th>${i18n.t('schema_history_backup')}</th><th></th></tr>
+                  </thead>
+                  <tbody>${rows}</tbody>
+                </table>`}
+          </div>
+          <div class="modal-footer">
+            <span class="footer-spacer"></span>
+            <button class="btn-seed btn-schema-refresh">${i18n.t('webhook_refresh')}</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    this.container.classList.add('active');
+    this.attachEventHandlers();
+  },
+
+  /**
+   * Attach event handlers
+   */
+  attachEventHandlers() {
+    this.container.querySelector('.modal-close')?.addEventListener('click', () => this.close());
+    this.container.querySelector('.btn-schema-refresh')?.addEventListener('click', () => this.refresh());
+    this.container.querySelectorAll('.btn-schema-rollback').forEach(btn => {
+      btn.addEventListener('click', () => this.rollback(parseInt(btn.dataset.id, 10)));
+    });
+  },
+
+  /**
+   * Reload and re-render
+   */
+  async refresh() {
+    await this.load();
+    this.render();
+  },
+
+  /**
+   * Roll back to a version: show the plan (dry run), confirm, apply
+   */
+  async rollback(id) {
+    let plan;
+    try {
+      const planRes = await fetch(`api/seed/schema-history/${id}/plan`);
+      plan = await planRes.json();
+      if (!planRes.ok) throw new Error(plan.error || `HTTP ${planRes.status}`);
+    } catch (err) {
+      DomUtils.toast(i18n.t('error_generic', { message: err.message }), 'error');
+      return;
+    }
+
+    const lines = plan.operations
+      .filter(op => op.action !== 'regenerateViews')
+      .map(op => `${op.destructive ? '⚠' : '•'} ${op.description}${(op.problems || []).map(p => `\n      ⚠ ${p}`).join('')}`);
+    let text = i18n.t('schema_history_confirm_rollback', { id }) + '\n\n' + lines.join('\n') + '\n\n';
+    if (plan.strategy === 'rebuild') {
+      text += plan.dataBackup
+        ? i18n.t('schema_history_plan_rebuild', { backup: plan.dataBackup })
+        : i18n.t('schema_history_plan_rebuild_no_backup');
+    } else {
+      text += i18n.t('schema_history_plan_inplace');
+    }
+    text += '\n\n' + i18n.t('schema_history_markdown_hint');
+    if (!confirm(text)) return;
+
+    try {
+      const response = await fetch(`api/seed/schema-history/${id}/rollback`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ allowDestructive: plan.strategy === 'rebuild' })
+      });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || `HTTP ${response.status}`);
+
+      // Schema changed: diagrams are outdated
+      if (typeof DataModelDiagram !== 'undefined') {
+        DataModelDiagram.clearCache();
+      }
+      DomUtils.toast(data.message, 'success');
+    } catch (err) {
+      DomUtils.toast(i18n.t('error_generic', { message: err.message }), 'error');
+    }
+    await this.refresh();
+  }
+};
@@ -343,6 +343,8 @@ const SeedManager = {
             <button class="btn-seed btn-reset-all">${i18n.t('admin_reset_all')}</button>
             <button class="btn-seed btn-reinit" title="${i18n.t('admin_reinit_tooltip')}">${i18n.t('admin_reinit')}</button>
             <button class="btn-seed btn-reload-views" title="${i18n.t('admin_reload_views_tooltip')}">${i18n.t('admin_reload_views')}</button>
+            <button class="btn-seed btn-schema-history" title="${i18n.t('admin_schema_history_tooltip')}">${i18n.t('admin_schema_history')}</button>
+            <button class="btn-seed btn-webhooks" title="${i18n.t('admin_webhooks_tooltip')}">${i18n.t('admin_webhooks')}</button>
             ${window.currentUser?.role === 'admin' ? '<button class="btn-seed btn-reinstall" title="Re-install server from uploaded update package">⚠ Re-Install</button>' : ''}
           </div>
         </div>
@@ -417,6 +419,8 @@ const SeedManager = {
     this.container.querySelector('.btn-restore-media')?.addEventListener('click', () => this.restoreMediaLinks());
     this.container.querySelector('.btn-reinit')?.addEventListener('click', () => this.reinitialize());
     this.container.querySelector('.btn-reload-views')?.addEventListener('click', () => this.reloadViews());
+    this.container.querySelector('.btn-schema-history')?.addEventListener('click', () => this.openSchemaHistory());
+    this.container.querySelector('.btn-webhooks')?.addEventListener('click', () => this.openWebhookLog());
     this.container.querySelector('.btn-reinstall')?.addEventListener('click', () => this.reinstallServer());
     this.container.querySelector('.btn-new-system')?.addEventListener('click', () => this.openModelBuilder());
   },
@@ -728,6 +732,22 @@ const SeedManager = {
     }
   },
 
+  /**
+   * Switch to the schema version history (returns here on close)
+   */
+  openSchemaHistory() {
+    this.close();
+    SchemaHistory.open();
+  },
+
+  /**
+   * Switch to the webhook delivery log (returns here on close)
+   */
+  openWebhookLog() {
+    this.close();
+    WebhookLog.open();
+  },
+
   /**
    * Reload Views: re-read Views.md without full reinitialize
    */
@@ -811,15 +831,52 @@ const SeedManager = {
   },
 
   /**
-   * Reinitialize: re-read data model, rebuild schema/tables/views.
-   * Two-step confirm: warn about data loss, offer backup first.
+   * Format a migration plan (dry run of reinitialize) for the confirm dialog
+   */
+  formatMigrationPlan(plan) {
+    if (!plan.changed) {
+      return 'The data model is unchanged. Reinitialize recreates the views.\n\n';
+    }
+
+    const lines = plan.operations
+      .filter(op => op.action !== 'regenerateViews')
+      .map(op => {
+        const problems = (op.problems || []).map(p => `\n      ⚠ ${p}`).join('');
+        return `${op.destructive ? '⚠' : '•'} ${op.description}${problems}`;
+      });
+    let text = lines.length > 0
+      ? `Planned changes:\n${lines.join('\n')}\n\n`
+      : 'No table changes, the views are recreated.\n\n';
+
+    if (plan.strategy === 'rebuild') {
+      text += `The changes cannot be applied in place (${plan.reason}).\n` +
+        'All tables are dropped and recreated, data is backed up automatically.\n' +
+        'Data must be restored from backup or seed files afterwards.\n\n';
+    } else {
+      text += 'The changes are applied in place, existing data is kept.\n\n';
+    }
+    return text;
+  },
+
+  /**
+   * Reinitialize: re-read data model, migrate tables, rebuild views.
+   * Shows the migration plan (dry run) first, then offers a backup.
    */
   async reinitialize() {
-    // Step 1: Warn about potential data loss
+    // Step 1: Show the migration plan
+    let plan;
+    try {
+      const planRes = await fetch('api/seed/reinitialize/plan');
+      plan = await planRes.json();
+      if (!planRes.ok) throw new Error(plan.error || 'Could not plan the schema migration');
+    } catch (err) {
+      this.showMessage(err.message, true);
+      return;
+    }
+
     const proceed = confirm(
-      'Reinitialize re-reads the data model and rebuilds the database schema.\n\n' +
-      'If the schema changed significantly, existing data may be lost.\n' +
-      'Data can be restored from seed or backup files.\n\n' +
+      'Reinitialize re-reads the data model and migrates the database schema.\n\n' +
+      this.formatMigrationPlan(plan) +
       'Continue?'
     );
     if (!proceed) return;
@@ -843,7 +900,11 @@ const SeedManager = {
 
     // Step 3: Reinitialize
     try {
-      const response = await fetch('api/seed/reinitialize', { method: 'POST' });
+      const response = await fetch('api/seed/reinitialize', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ allowDestructive: plan.strategy === 'rebuild' })
+      });
       const data = await response.json();
       if (data.success) {
         // Clear client-side diagram cache (schema changed)
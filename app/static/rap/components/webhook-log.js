@@ -0,0 +1,236 @@
+/**
+ * Webhook Log Component
+ * Admin modal with the configured webhooks (config.json "webhooks") and their
+ * delivery log: status, attempts, last error. Dead-lettered deliveries can be
+ * re-queued, a test delivery can be sent per webhook.
+ * Opened from the Seed Manager footer; closing returns to the Seed Manager.
+ */
+const WebhookLog = {
+  container: null,
+  isOpen: false,
+  subscriptions: [],
+  deliveries: [],
+  totalCount: 0,
+  filterWebhook: '',
+  filterStatus: '',
+  pageSize: 100,
+
+  /**
+   * Initialize the webhook log
+   */
+  init(containerId) {
+    this.container = document.getElementById(containerId);
+  },
+
+  /**
+   * Open the webhook log modal
+   */
+  async open() {
+    if (!this.container) return;
+
+    this.isOpen = true;
+    await this.load();
+    this.render();
+  },
+
+  /**
+   * Close the modal and return to the Seed Manager
+   */
+  close() {
+    this.isOpen = false;
+    if (this.container) {
+      this.container.innerHTML = '';
+      this.container.classList.remove('active');
+    }
+    SeedManager.open();
+  },
+
+  /**
+   * Load subscriptions and the (filtered) delivery log
+   */
+  async load() {
+    const params = new URLSearchParams({ limit: this.pageSize });
+    if (this.filterWebhook) params.set('webhook', this.filterWebhook);
+    if (this.filterStatus) params.set('status', this.filterStatus);
+
+    try {
+      const [subsResponse, logResponse] = await Promise.all([
+        fetch('api/admin/webhooks'),
+        fetch(`api/admin/webhooks/deliveries?${params}`)
+      ]);
+      const subsData = await subsResponse.json();
+      const logData = await logResponse.json();
+
+      this.subscriptions = subsData.data || [];
+      this.deliveries = logData.data || [];
+      this.totalCount = logData.totalCount || 0;
+    } catch (err) {
+      console.error('Failed to load webhooks:', err);
+      this.subscriptions = [];
+      this.deliveries = [];
+      this.totalCount = 0;
+    }
+  },
+
+  /**
+   * Render the modal
+   */
+  render() {
+    if (!this.container || !this.isOpen) return;
+
+    const esc = DomUtils.escapeHtml;
+
+    const subscriptionRows = this.subscriptions.map(s => `
+      <tr>
+        <td class="entity-name">${esc(s.name)}${s.enabled ? '' : ` <span class="webhook-disabled">(${i18n.t('webhook_disabled')})</span>`}</td>
+        <td class="webhook-url">${esc(s.url)}</td>
+        <td class="webhook-events">${esc(s.events.join(', '))}${s.entities ? `<br><span class="webhook-entities">${esc(s.entities.join(', '))}</span>` : ''}</td>
+        <td class="webhook-stats">
+          <span class="webhook-status webhook-status-delivered">${s.stats.delivered}</span> /
+          <span class="webhook-status webhook-status-pending">${s.stats.pending}</span> /
+          <span class="webhook-status webhook-status-dead">${s.stats.dead}</span>
+        </td>
+        <td><button class="btn-seed btn-webhook-test" data-name="${esc(s.name)}">${i18n.t('webhook_test')}</button></td>
+      </tr>
+    `).join('');
+
+    const deliveryRows = this.deliveries.map(d => `
+      <tr>
+        <td class="row-count">${d.id}</td>
+        <td>${esc(d.created_at)}</td>
+        <td>${esc(d.webhook)}</td>
+        <td>${esc(d.event)}${d.entity_name ? `<br><span class="webhook-entities">${esc(d.entity_name)}${d.entity_id != null ? ` #${d.entity_id}` : ''}</span>` : ''}</td>
+        <td><span class="webhook-status webhook-status-${d.status}">${i18n.t('webhook_status_' + d.status)}</span></td>
+        <td class="row-count">${d.attempts}</td>
+        <td class="webhook-error">${d.last_error ? esc(d.last_error) : (d.last_status || '')}${d.status === 'pending' && d.attempts > 0 ? `<br><span class="webhook-entities">${i18n.t('webhook_next_attempt', { time: esc(d.next_attempt_at) })}</span>` : ''}</td>
+        <td class="webhook-actions">
+          <button class="btn-seed btn-webhook-payload" data-id="${d.id}">${i18n.t('webhook_payload')}</button>
+          ${d.status === 'dead' ? `<button class="btn-seed btn-webhook-retry" data-id="${d.id}">${i18n.t('webhook_retry')}</button>` : ''}
+        </td>
+      </tr>
+    `).join('');
+
+    const option = (value, label, selected) =>
+      `<option value="${esc(value)}"${value === selected ? ' selected' : ''}>${esc(label)}</option>`;
+
+    this.container.innerHTML = `
+      <div class="modal-overlay">
+        <div class="modal-dialog webhook-log-modal">
+          <div class="modal-header">
+            <h2>${i18n.t('admin_webhooks')}</h2>
+            <button class="modal-close" data-action="close">&times;</button>
+          </div>
+          <div class="modal-body">
+            ${this.subscriptions.length === 0
+              ? `<p class="order-hint">${i18n.t('webhooks_none')}</p>`
+              : `<table class="seed-table compact">
+                  <thead>
+                    <tr><th>Webhook</th><th>URL</th><th>Events</th><th>${i18n.t('webhook_stats')}</th><th></th></tr>
+                  </thead>
+                  <tbody>${subscriptionRows}</tbody>
+                </table>`}
+            <div class="modal-toolbar webhook-toolbar">
+              <label>Webhook
+                <select class="webhook-filter" data-filter="webhook">
+                  ${option('', i18n.t('webhook_all'), this.filterWebhook)}
+                  ${this.subscriptions.map(s => option(s.name, s.name, this.filterWebhook)).join('')}
+                </select>
+              </label>
+              <label>Status
+                <select class="webhook-filter" data-filter="status">
+                  ${option('', i18n.t('webhook_all'), this.filterStatus)}
+                  ${['pending', 'delivered', 'dead'].map(s => option(s, i18n.t('webhook_status_' + s), this.filterStatus)).join('')}
+                </select>
+              </label>
+              <span class="footer-spacer"></span>
+              <span class="webhook-count">${i18n.t('webhook_shown', { shown: this.deliveries.length, total: this.totalCount })}</span>
+            </div>
+            ${this.deliveries.length === 0
+              ? `<p class="empty-message">${i18n.t('webhook_no_deliveries')}</p>`
+              : `<table class="seed-table compact webhook-log-table">
+                  <thead>
+                    <tr><th>#</th><th>${i18n.t('webhook_created')}</th><th>Webhook</th><th>Event</th><th>Status</th><th>${i18n.t('webhook_attempts')}</th><th>${i18n.t('webhook_last_result')}</th><th></th></tr>
+                  </thead>
+                  <tbody>${deliveryRows}</tbody>
+                </table>`}
+          </div>
+          <div class="modal-footer">
+            <span class="footer-spacer"></span>
+            <button class="btn-seed btn-webhook-refresh">${i18n.t('webhook_refresh')}</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    this.container.classList.add('active');
+    this.attachEventHandlers();
+  },
+
+  /**
+   * Attach event handlers
+   */
+  attachEventHandlers() {
+    this.container.querySelector('.modal-close')?.addEventListener('click', () => this.close());
+    this.container.querySelector('.btn-webhook-refresh')?.addEventListener('click', () => this.refresh());
+
+    this.container.querySelectorAll('.webhook-filter').forEach(select => {
+      select.addEventListener('change', () => {
+        if (select.dataset.filter === 'webhook') this.filterWebhook = select.value;
+        else this.filterStatus = select.value;
+        this.refresh();
+      });
+    });
+
+    this.container.querySelectorAll('.btn-webhook-test').forEach(btn => {
+      btn.addEventListener('click', () => this.sendTest(btn.dataset.name));
+    });
+    this.container.querySelectorAll('.btn-webhook-retry').forEach(btn => {
+      btn.addEventListener('click', () => this.retry(parseInt(btn.dataset.id, 10)));
+    });
+    this.container.querySelectorAll('.btn-webhook-payload').forEach(btn => {
+      btn.addEventListener('click', () => this.showPayload(parseInt(btn.dataset.id, 10)));
+    });
+  },
+
+  /**
+   * Reload and re-render
+   */
+  async refresh() {
+    await this.load();
+    this.render();
+  },
+
+  /**
+   * POST to an admin endpoint, then refresh; errors are shown as toast
+   */
+  async post(url) {
+    try {
+      const response = await fetch(url, { method: 'POST' });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error?.message || `HTTP ${response.status}`);
+      }
+    } catch (err) {
+      DomUtils.toast(i18n.t('error_generic', { message: err.message }), 'error');
+    }
+    // Give the worker a moment to send before the log is reloaded
+    setTimeout(() => this.refresh(), 1000);
+  },
+
+  async sendTest(name) {
+    await this.post(`api/admin/webhooks/${encodeURIComponent(name)}/test`);
+  },
+
+  async retry(id) {
+    await this.post(`api/admin/webhooks/deliveries/${id}/retry`);
+  },
+
+  /**
+   * Show the request body of a delivery
+   */
+  showPayload(id) {
+    const delivery = this.deliveries.find(d => d.id === id);
+    if (!delivery) return;
+    JsonPreviewDialog.show(`${delivery.webhook} #${delivery.id} – ${delivery.event}`, delivery.url, delivery.payload);
+  }
+};
@@ -329,11 +329,15 @@ async function tryUrlLogin() {
         userEl.className = 'status-user-indicator';
         const isNoauth = window.currentUser.noauth === true;
         const ipDisplay = window.currentUser.ip ? ` @ ${window.currentUser.ip}` : '';
+        // Per-user accounts show "username (role)", role logins just the role
+        const userLabel = window.currentUser.username
+          ? `${window.currentUser.username} (${window.currentUser.role})`
+          : window.currentUser.role;
         userEl.innerHTML = `
           <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor" style="vertical-align: -1px; margin-right: 3px;">
             <path d="M12 12c2.21 0 4-1.79 4-4s-1.79-4-4-4-4 1.79-4 4 1.79 4 4 4zm0 2c-2.67 0-8 1.34-8 4v2h16v-2c0-2.66-5.33-4-8-4z"/>
           </svg>
-          <span class="status-user-role">${window.currentUser.role}${ipDisplay}</span>
+          <span class="status-user-role">${userLabel}${ipDisplay}</span>
         `;
         if (isNoauth) {
           userEl.title = 'Development mode (--noauth)';
@@ -350,6 +354,21 @@ async function tryUrlLogin() {
         footerInfo.appendChild(sep);
         footerInfo.appendChild(userEl);
 
+        // API docs link (generated OpenAPI document, cut to the user's role)
+        const apiSep = document.createElement('span');
+        apiSep.className = 'status-footer-sep';
+        apiSep.textContent = '·';
+
+        const apiEl = document.createElement('a');
+        apiEl.href = 'api-docs/';
+        apiEl.target = '_blank';
+        apiEl.className = 'status-admin-link';
+        apiEl.textContent = 'API';
+        apiEl.title = i18n.t('api_docs');
+
+        footerInfo.appendChild(apiSep);
+        footerInfo.appendChild(apiEl);
+
         // Add Admin link for admin users only
         if (window.currentUser.role === 'admin') {
           const adminSep = document.createElement('span');
@@ -417,10 +436,12 @@ async function tryUrlLogin() {
     }
 
     // Initialize RAP components
+    SavedViews.init();  // Settings dropdown section, before EntityExplorer opens an entity
     await EntityExplorer.init();
     DetailPanel.init();  // Must init before loadFromUrl (restoreState uses DetailPanel)
     BreadcrumbNav.init();
     BreadcrumbShareDialog.init();
+    GlobalSearch.init();
 
     // Check for deep-link URL parameter
     const crumbsLoaded = await BreadcrumbNav.loadFromUrl();
@@ -430,8 +451,13 @@ async function tryUrlLogin() {
     ConflictDialog.init();
     ContextMenu.init();
     SeedManager.init('modal-container');
+    WebhookLog.init('modal-container');
+    SchemaHistory.init('modal-container');
     SeedImportDialog.init('modal-container');
 
+    // Live updates (rows changed by other users and integrations)
+    ChangeFeed.connect();
+
     console.log('AIDE RAP initialized');
 
     // Handle page unload warning for unsaved changes
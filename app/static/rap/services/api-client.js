@@ -19,15 +19,23 @@ const ApiClient = {
 
   /**
    * Build query params for data requests (shared by getAll and getViewData)
+   * sort: column name or [{ column, order }] sort keys (sent as "a,b:desc")
    * @private
    */
   _buildDataParams(options) {
     const params = new URLSearchParams();
     if (options.filter) params.set('filter', options.filter);
-    if (options.sort) params.set('sort', options.sort);
+    if (options.where) params.set('where', options.where);
+    if (Array.isArray(options.sort)) {
+      const keys = options.sort.map(k => k.order === 'desc' ? `${k.column}:desc` : k.column);
+      if (keys.length > 0) params.set('sort', keys.join(','));
+    } else if (options.sort) {
+      params.set('sort', options.sort);
+    }
     if (options.order) params.set('order', options.order);
     if (options.limit) params.set('limit', options.limit);
     if (options.offset) params.set('offset', options.offset);
+    if (options.cursor !== undefined && options.cursor !== null) params.set('cursor', options.cursor);
     return params;
   },
 
@@ -56,6 +64,23 @@ const ApiClient = {
     return this.request(url);
   },
 
+  /**
+   * Fetch grouped aggregates from a base URL
+   * group/agg: arrays or comma-separated strings (e.g. ['building', '@Yreading_at'], ['count', 'sum(usage)'])
+   * @private
+   */
+  _fetchAggregate(baseUrl, options = {}) {
+    const params = new URLSearchParams();
+    const list = (value) => Array.isArray(value) ? value.join(',') : value;
+    if (options.group) params.set('group', list(options.group));
+    if (options.agg) params.set('agg', list(options.agg));
+    if (options.filter) params.set('filter', options.filter);
+    if (options.where) params.set('where', options.where);
+    if (options.sort) params.set('sort', options.sort);
+    if (options.limit) params.set('limit', options.limit);
+    return this.request(`${baseUrl}/aggregate?${params.toString()}`);
+  },
+
   /**
    * Make a fetch request with error handling
    */
@@ -126,6 +151,14 @@ const ApiClient = {
     return this.request(`${this.getEntityUrl(entityName)}/${id}/lineage`);
   },
 
+  /**
+   * Get the field-by-field change history of a record (newest first)
+   * @returns {{ entity: string, id: number, history: Array<{ auditId, action, changedAt, changedBy, version, changes }> }}
+   */
+  async getHistory(entityName, id) {
+    return this.request(`${this.getEntityUrl(entityName)}/${id}/history`);
+  },
+
   /**
    * Get distinct values for a column (for prefilter dropdowns)
    * @param {string} entityName - Entity name
@@ -136,10 +169,19 @@ const ApiClient = {
     return this._fetchDistinct(this.getEntityUrl(entityName), columnPath, type);
   },
 
+  /**
+   * Get grouped aggregates of entity records
+   * @param {string} entityName - Entity name
+   * @param {Object} options - { group, agg, filter, where, sort, limit }; columns may be FK dot-paths
+   */
+  async getAggregate(entityName, options = {}) {
+    return this._fetchAggregate(this.getEntityUrl(entityName), options);
+  },
+
   /**
    * Get all records for an entity type
    * @param {string} entityName
-   * @param {Object} options - { filter, sort, order, limit, offset }
+   * @param {Object} options - { filter, where, sort, order, limit, offset, cursor }
    */
   async getAll(entityName, options = {}) {
     return this._fetchData(this.getEntityUrl(entityName), options);
@@ -190,6 +232,26 @@ const ApiClient = {
     });
   },
 
+  /**
+   * Partially update a record with a JSON Merge Patch (RFC 7386)
+   * Omitted fields stay unchanged, null clears a field, nested aggregate objects are merged
+   * @param {string} entityName - Entity name
+   * @param {number} id - Record ID
+   * @param {Object} patch - Merge-patch document
+   * @param {number} version - Expected version for OCC (optional)
+   */
+  async patch(entityName, id, patch, version = null) {
+    const headers = { 'Content-Type': 'application/merge-patch+json' };
+    if (version !== null) {
+      headers['If-Match'] = `"${entityName}:${id}:${version}"`;
+    }
+    return this.request(`${this.getEntityUrl(entityName)}/${id}`, {
+      method: 'PATCH',
+      headers,
+      body: JSON.stringify(patch),
+    });
+  },
+
   /**
    * Delete a record
    */
@@ -199,12 +261,30 @@ const ApiClient = {
     });
   },
 
+  /**
+   * Restore a record from the audit trail: re-create it if deleted, else roll it back
+   * @param {number|null} auditId - Audit entry to restore (null = the deleted record)
+   * @param {number|null} version - Expected version for OCC (rollback only)
+   * @returns {{ action: 'recreated'|'rolledBack', auditId: number, record: Object }}
+   */
+  async restore(entityName, id, auditId = null, version = null) {
+    const headers = {};
+    if (version !== null) {
+      headers['If-Match'] = `"${entityName}:${id}:${version}"`;
+    }
+    return this.request(`${this.getEntityUrl(entityName)}/${id}/restore`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(auditId !== null ? { auditId } : {}),
+    });
+  },
+
   // --- User Views ---
 
   /**
    * Get view data with optional filter/sort/pagination
    * @param {string} viewName - View display name
-   * @param {Object} options - { filter, sort, order, limit, offset }
+   * @param {Object} options - { filter, where, sort, order, limit, offset, cursor }
    */
   async getViewData(viewName, options = {}) {
     return this._fetchData(`api/views/${encodeURIComponent(viewName)}`, options);
@@ -220,6 +300,74 @@ const ApiClient = {
     return this._fetchDistinct(`api/views/${encodeURIComponent(viewName)}`, columnName, type);
   },
 
+  /**
+   * Get grouped aggregates of view rows (charts)
+   * @param {string} viewName - View display name
+   * @param {Object} options - { group, agg, filter, where, sort, limit }
+   */
+  async getViewAggregate(viewName, options = {}) {
+    return this._fetchAggregate(`api/views/${encodeURIComponent(viewName)}`, options);
+  },
+
+  /**
+   * Get the crosstab of a pivot view (row keys × column key, with totals)
+   * @param {string} viewName - View display name
+   * @param {Object} options - { filter, where }
+   */
+  async getViewPivot(viewName, options = {}) {
+    const params = new URLSearchParams();
+    if (options.filter) params.set('filter', options.filter);
+    if (options.where) params.set('where', options.where);
+    const queryString = params.toString();
+    const url = `api/views/${encodeURIComponent(viewName)}/pivot`;
+    return this.request(queryString ? `${url}?${queryString}` : url);
+  },
+
+  // --- Saved Views ---
+
+  /**
+   * Get own and shared saved views of an entity or user view
+   * @param {string} targetType - 'entity' or 'view'
+   * @param {string} target - Entity or view name
+   * @returns {{ data: Object[], defaultId: number|null }}
+   */
+  async getSavedViews(targetType, target) {
+    const params = new URLSearchParams({ type: targetType, target });
+    return this.request(`api/saved-views?${params}`);
+  },
+
+  /**
+   * Save a table layout
+   * @param {Object} data - { targetType, target, name, state, sharedRoles, isDefault }
+   */
+  async createSavedView(data) {
+    return this.request('api/saved-views', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  },
+
+  /**
+   * Update a saved view (only provided fields change)
+   * @param {number} id - Saved view id
+   * @param {Object} data - { name, state, sharedRoles, isDefault }
+   */
+  async updateSavedView(id, data) {
+    return this.request(`api/saved-views/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    });
+  },
+
+  /**
+   * Delete a saved view
+   */
+  async deleteSavedView(id) {
+    return this.request(`api/saved-views/${id}`, {
+      method: 'DELETE',
+    });
+  },
+
   /**
    * Get consolidated metadata (entities, schemas, views, processes) in a single call
    */
@@ -0,0 +1,61 @@
+/**
+ * Change Feed - Live change notifications from the server (Server-Sent Events)
+ *
+ * Connects to api/events/stream and dispatches its events to subscribed components:
+ *   ChangeFeed.on('entity', change => ...)  // { action, entity, id, version?, record?, ids?, changedBy? }
+ *   ChangeFeed.on('schema', info => ...)    // { action: 'reload', changed }
+ *
+ * The browser reconnects automatically; changes made while disconnected are not replayed.
+ */
+const ChangeFeed = {
+  url: 'api/events/stream',
+  source: null,
+  handlers: {}, // type -> [handler]
+
+  /**
+   * Open the event stream (no-op without EventSource support or when already open)
+   */
+  connect() {
+    if (this.source || typeof EventSource === 'undefined') return;
+
+    this.source = new EventSource(this.url);
+    for (const type of ['entity', 'schema']) {
+      this.source.addEventListener(type, (e) => {
+        let data;
+        try {
+          data = JSON.parse(e.data);
+        } catch {
+          return;
+        }
+        this.dispatch(type, data);
+      });
+    }
+  },
+
+  /**
+   * Subscribe to an event type
+   * @param {string} type - 'entity' or 'schema'
+   * @param {Function} handler - Called with the parsed event data
+   * @returns {Function} Unsubscribe function
+   */
+  on(type, handler) {
+    if (!this.handlers[type]) this.handlers[type] = [];
+    this.handlers[type].push(handler);
+    return () => {
+      this.handlers[type] = this.handlers[type].filter(h => h !== handler);
+    };
+  },
+
+  /**
+   * Call all handlers of a type; a failing handler does not stop the others
+   */
+  dispatch(type, data) {
+    for (const handler of this.handlers[type] || []) {
+      try {
+        handler(data);
+      } catch (err) {
+        console.error(`ChangeFeed: handler for '${type}' failed:`, err);
+      }
+    }
+  }
+};
@@ -0,0 +1,270 @@
+#!/bin/bash
+#
+# Aggregate Security Integration Tests
+# Hides Book.price and Publisher.founded_year from the role 'user', adds a Rows
+# rule (publisher = :user.publisher_id) and a Book view, then checks that
+# GET /api/entities/Book/aggregate and GET /api/views/:name/aggregate neither
+# group nor aggregate hidden columns and only count rows inside the rule.
+# The data model is restored afterwards.
+#
+# Usage:
+#   ADMIN_PASSWORD=<password> ./app/tests/test-aggregate-security.sh [port]
+#
+# Prerequisites:
+#   - Book system server running with authentication on the specified port (default: 18349)
+#   - Start with: ./run -s book -p 18349
+#   - Run from the repository root
+#
+
+PORT=${1:-18349}
+BASE="http://localhost:$PORT"
+PASS=0
+FAIL=0
+TOTAL=0
+
+BOOK_MD="app/systems/book/docs/classes/Book.md"
+PUBLISHER_MD="app/systems/book/docs/classes/Publisher.md"
+VIEWS_DIR="app/systems/book/docs/views"
+VIEW_NAME="Aggregate Test"
+VIEW_PATH="/api/views/Aggregate%20Test/aggregate"
+ADMIN_JAR=$(mktemp)
+USER_JAR=$(mktemp)
+NOATTR_JAR=$(mktemp)
+
+# Colors
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+YELLOW='\033[1;33m'
+NC='\033[0m' # No Color
+
+# --- Helpers ---
+
+assert() {
+  local test_name="$1"
+  local condition="$2"
+  TOTAL=$((TOTAL + 1))
+
+  if eval "$condition" 2>/dev/null; then
+    echo -e "  ${GREEN}PASS${NC} #${TOTAL}: ${test_name}"
+    PASS=$((PASS + 1))
+  else
+    echo -e "  ${RED}FAIL${NC} #${TOTAL}: ${test_name}"
+    FAIL=$((FAIL + 1))
+  fi
+}
+
+# curl wrappers with a session cookie jar: <jar> <path> [json body]
+get() {
+  curl -s -b "$1" "$BASE$2"
+}
+
+post() {
+  curl -s -b "$1" -c "$1" -X POST "$BASE$2" -H 'Content-Type: application/json' -d "$3"
+}
+
+# Extract JSON field using python
+json_field() {
+  echo "$1" | python3 -c "import sys,json; d=json.load(sys.stdin); print($2)"
+}
+
+# Aggregate request: <jar> <path> [query params...]; body and HTTP status on the last line
+aggregate() {
+  local jar="$1" path="$2" args=()
+  shift 2
+  for param in "$@"; do args+=(--data-urlencode "$param"); done
+  curl -s -w "\n%{http_code}" -b "$jar" -G "$BASE$path" "${args[@]}"
+}
+
+# HTTP status of an aggregate response
+code_of() {
+  echo "$1" | tail -1
+}
+
+# Python expression on the body of an aggregate response: <response> <expression on d>
+body_field() {
+  json_field "$(echo "$1" | sed '$d')" "$2"
+}
+
+# SHA-256 of a password (the client-side hash the login expects)
+sha256() {
+  python3 -c "import hashlib,sys; print(hashlib.sha256(sys.argv[1].encode()).hexdigest())" "$1"
+}
+
+# Check if server is reachable
+echo ""
+echo -e "${YELLOW}=== Aggregate Security Integration Tests ===${NC}"
+echo "Target: $BASE"
+echo ""
+
+if [ -z "$ADMIN_PASSWORD" ]; then
+  echo -e "${RED}ERROR: ADMIN_PASSWORD is not set${NC}"
+  exit 1
+fi
+
+post "$ADMIN_JAR" "/api/auth/login" "{\"role\":\"admin\",\"hash\":\"$(sha256 "$ADMIN_PASSWORD")\"}" > /dev/null
+HEALTH=$(curl -s -o /dev/null -w "%{http_code}" -b "$ADMIN_JAR" "$BASE/api/seed/status")
+if [ "$HEALTH" != "200" ]; then
+  echo -e "${RED}ERROR: Admin login failed or server not reachable at $BASE (HTTP $HEALTH)${NC}"
+  echo "Start the book server first: ./run -s book -p $PORT"
+  exit 1
+fi
+if [ -e "$VIEWS_DIR" ]; then
+  echo -e "${RED}ERROR: $VIEWS_DIR already exists; the test adds and removes its own view there${NC}"
+  exit 1
+fi
+
+echo -e "${GREEN}Server reachable, logged in as admin.${NC}"
+echo ""
+
+# Keep the original data model; restored (and reloaded) on exit.
+# The emptied views directory is reloaded once so the test view disappears.
+cp "$BOOK_MD" "$BOOK_MD.orig"
+cp "$PUBLISHER_MD" "$PUBLISHER_MD.orig"
+restore_files() {
+  mv "$BOOK_MD.orig" "$BOOK_MD"
+  mv "$PUBLISHER_MD.orig" "$PUBLISHER_MD"
+  rm -f "$VIEWS_DIR/Test/$VIEW_NAME.md"
+  post "$ADMIN_JAR" "/api/seed/reinitialize" '{}' > /dev/null
+  rm -rf "$VIEWS_DIR"
+  local ids
+  ids=$(json_field "$(get "$ADMIN_JAR" "/api/admin/users")" "' '.join(str(u['id']) for u in d['data'] if u['username'].startswith('agg-test-$$'))")
+  for id in $ids; do
+    curl -s -o /dev/null -b "$ADMIN_JAR" -X DELETE "$BASE/api/admin/users/$id"
+  done
+  rm -f "$ADMIN_JAR" "$USER_JAR" "$NOATTR_JAR"
+}
+trap restore_files EXIT
+
+# ============================================================================
+# Setup: seed data, hidden columns, row rule, view, scoped accounts
+# ============================================================================
+
+echo -e "${YELLOW}--- Setup ---${NC}"
+post "$ADMIN_JAR" "/api/seed/reset-all" '{}' > /dev/null
+
+sed -i 's/^## Constraints$/## Permissions\n\n| Role | Read | Create | Update | Delete | Hidden | Rows |\n|------|------|--------|--------|--------|--------|------|\n| user | yes  | yes    | yes    | yes    | price  | `publisher = :user.publisher_id` |\n\n## Constraints/' "$BOOK_MD"
+sed -i 's/^## Data Generator$/## Permissions\n\n| Role | Read | Create | Update | Delete | Hidden |\n|------|------|--------|--------|--------|--------|\n| user | yes  | no     | no     | no     | founded_year |\n\n## Data Generator/' "$PUBLISHER_MD"
+mkdir -p "$VIEWS_DIR/Test"
+cat > "$VIEWS_DIR/Test/$VIEW_NAME.md" <<'EOF'
+# Aggregate Test
+
+```json
+{
+  "base": "Book",
+  "columns": [
+    "title",
+    "genre",
+    "price",
+    "publisher.name as publisher",
+    "publisher.founded_year as founded"
+  ]
+}
+```
+EOF
+REINIT=$(post "$ADMIN_JAR" "/api/seed/reinitialize" '{}')
+assert "Reinitialize with permissions and view succeeds" "[ '$(json_field "$REINIT" "d.get('success', False)")' = 'True' ]"
+
+PUBLISHERS=$(get "$ADMIN_JAR" "/api/entities/Publisher")
+OWN_PUB=$(json_field "$PUBLISHERS" "[p['id'] for p in d['data'] if p['name'] == 'Kodansha'][0]")
+OWN_NAME="Kodansha"
+BOOKS=$(get "$ADMIN_JAR" "/api/entities/Book")
+BOOK_COUNT=$(json_field "$BOOKS" "d['totalCount']")
+OWN_COUNT=$(json_field "$BOOKS" "len([b for b in d['data'] if b['publisher_id'] == $OWN_PUB])")
+OWN_GENRES=$(json_field "$BOOKS" "','.join(sorted({b['genre'] for b in d['data'] if b['publisher_id'] == $OWN_PUB}))")
+ALL_GENRES=$(json_field "$BOOKS" "','.join(sorted({b['genre'] for b in d['data']}))")
+assert "Scoped publisher has some but not all books" "[ '$OWN_COUNT' -gt 0 ] && [ '$OWN_COUNT' -lt '$BOOK_COUNT' ]"
+
+post "$ADMIN_JAR" "/api/admin/users" "{\"username\":\"agg-test-$$\",\"role\":\"user\",\"hash\":\"$(sha256 secret)\",\"attributes\":{\"publisher_id\":$OWN_PUB}}" > /dev/null
+post "$USER_JAR" "/api/auth/login" "{\"username\":\"agg-test-$$\",\"hash\":\"$(sha256 secret)\"}" > /dev/null
+post "$ADMIN_JAR" "/api/admin/users" "{\"username\":\"agg-test-$$-noattr\",\"role\":\"user\",\"hash\":\"$(sha256 secret)\"}" > /dev/null
+post "$NOATTR_JAR" "/api/auth/login" "{\"username\":\"agg-test-$$-noattr\",\"hash\":\"$(sha256 secret)\"}" > /dev/null
+echo ""
+
+# ============================================================================
+# Test 1: Entity aggregates and hidden columns
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 1: Entity Hidden Columns ---${NC}"
+RESPONSE=$(aggregate "$ADMIN_JAR" "/api/entities/Book/aggregate" "group=genre" "agg=count,sum(price)")
+assert "Admin may aggregate price" "[ '$(code_of "$RESPONSE")' = '200' ]"
+assert "Admin counts every book" "[ '$(body_field "$RESPONSE" "sum(g['count'] for g in d['data'])")' = '$BOOK_COUNT' ]"
+
+RESPONSE=$(aggregate "$USER_JAR" "/api/entities/Book/aggregate" "agg=sum(price)")
+assert "Hidden column cannot be aggregated" "[ '$(code_of "$RESPONSE")' = '400' ]"
+assert "Hidden column is reported as unknown" "[ '$(body_field "$RESPONSE" "d['error']['details'][0]")' = 'Unknown column \"price\"' ]"
+assert "Hidden column cannot be grouped" \
+  "[ '$(code_of "$(aggregate "$USER_JAR" "/api/entities/Book/aggregate" "group=price")")' = '400' ]"
+assert "Hidden column cannot be a min/max" \
+  "[ '$(code_of "$(aggregate "$USER_JAR" "/api/entities/Book/aggregate" "agg=max(price)")")' = '400' ]"
+assert "Hidden column cannot be sorted by" \
+  "[ '$(code_of "$(aggregate "$USER_JAR" "/api/entities/Book/aggregate" "group=genre" "sort=price")")' = '400' ]"
+assert "Hidden column cannot be filtered on" \
+  "[ '$(code_of "$(aggregate "$USER_JAR" "/api/entities/Book/aggregate" "where=price > 10")")' = '400' ]"
+
+RESPONSE=$(aggregate "$USER_JAR" "/api/entities/Book/aggregate" "group=publisher.founded_year")
+assert "Hidden column behind a dot-path cannot be grouped" "[ '$(code_of "$RESPONSE")' = '400' ]"
+RESPONSE=$(aggregate "$USER_JAR" "/api/entities/Book/aggregate" "group=publisher.name" "agg=avg(page_count)")
+assert "Visible columns behind a dot-path can be grouped" "[ '$(code_of "$RESPONSE")' = '200' ]"
+echo ""
+
+# ============================================================================
+# Test 2: Entity aggregates and row rules
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 2: Entity Row Rules ---${NC}"
+RESPONSE=$(aggregate "$USER_JAR" "/api/entities/Book/aggregate")
+assert "Count only includes rows inside the rule" "[ '$(body_field "$RESPONSE" "d['data'][0]['count']")' = '$OWN_COUNT' ]"
+
+RESPONSE=$(aggregate "$USER_JAR" "/api/entities/Book/aggregate" "group=genre")
+assert "Groups only come from rows inside the rule" \
+  "[ '$(body_field "$RESPONSE" "','.join(sorted(g['genre'] for g in d['data']))")' = '$OWN_GENRES' ]"
+
+RESPONSE=$(aggregate "$USER_JAR" "/api/entities/Book/aggregate" "group=publisher.name")
+assert "Dot-path groups only see the own publisher" \
+  "[ '$(body_field "$RESPONSE" "','.join(g['publisher.name'] for g in d['data'])")' = '$OWN_NAME' ]"
+
+RESPONSE=$(aggregate "$USER_JAR" "/api/entities/Book/aggregate" "where=publisher_id != $OWN_PUB")
+assert "Filters cannot widen the rule" "[ '$(body_field "$RESPONSE" "d['data'][0]['count']")' = '0' ]"
+
+RESPONSE=$(aggregate "$NOATTR_JAR" "/api/entities/Book/aggregate")
+assert "Account without the attribute counts nothing" "[ '$(body_field "$RESPONSE" "d['data'][0]['count']")' = '0' ]"
+echo ""
+
+# ============================================================================
+# Test 3: View aggregates
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 3: View Aggregates ---${NC}"
+RESPONSE=$(aggregate "$ADMIN_JAR" "$VIEW_PATH" "group=genre" "agg=count,sum(price)")
+assert "Admin may aggregate the view's price" "[ '$(code_of "$RESPONSE")' = '200' ]"
+assert "Admin view groups cover every book" \
+  "[ '$(body_field "$RESPONSE" "','.join(sorted(g['genre'] for g in d['data']))")' = '$ALL_GENRES' ]"
+
+RESPONSE=$(aggregate "$USER_JAR" "$VIEW_PATH" "agg=sum(price)")
+assert "Hidden view column cannot be aggregated" "[ '$(code_of "$RESPONSE")' = '400' ]"
+assert "Hidden view column is reported as unknown" "[ '$(body_field "$RESPONSE" "d['details'][0]")' = 'Unknown column \"price\"' ]"
+assert "Hidden FK column of the view cannot be grouped" \
+  "[ '$(code_of "$(aggregate "$USER_JAR" "$VIEW_PATH" "group=founded")")' = '400' ]"
+
+RESPONSE=$(aggregate "$USER_JAR" "$VIEW_PATH" "group=publisher")
+assert "View groups only come from rows inside the rule" \
+  "[ '$(body_field "$RESPONSE" "','.join(str(g['publisher']) + ':' + str(g['count']) for g in d['data'])")' = '$OWN_NAME:$OWN_COUNT' ]"
+assert "Account without the attribute gets no view groups" \
+  "[ '$(body_field "$(aggregate "$NOATTR_JAR" "$VIEW_PATH" "group=genre")" "len(d['data'])")' = '0' ]"
+echo ""
+
+# ============================================================================
+# Summary
+# ============================================================================
+
+echo -e "${YELLOW}========================================${NC}"
+echo -e "  Tests: $TOTAL  |  ${GREEN}Pass: $PASS${NC}  |  ${RED}Fail: $FAIL${NC}"
+echo -e "${YELLOW}========================================${NC}"
+echo ""
+
+if [ "$FAIL" -gt 0 ]; then
+  exit 1
+else
+  echo -e "${GREEN}All tests passed!${NC}"
+  exit 0
+fi
@@ -0,0 +1,206 @@
+#!/bin/bash
+#
+# Batch Integration Tests
+# Runs POST /api/entities/_batch against the Book system: $ref placeholders
+# for records created earlier in the batch, rollback of the whole batch when
+# one operation fails, the version check on delete and operationIndex in errors.
+#
+# Usage:
+#   ./app/tests/test-batch.sh [port]
+#
+# Prerequisites:
+#   - Book system server running on the specified port (default: 18349)
+#   - Start with: ./run -s book -p 18349 --noauth
+#   - Run from the repository root
+#
+
+PORT=${1:-18349}
+BASE="http://localhost:$PORT"
+PASS=0
+FAIL=0
+TOTAL=0
+
+# Colors
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+YELLOW='\033[1;33m'
+NC='\033[0m' # No Color
+
+# --- Helpers ---
+
+assert() {
+  local test_name="$1"
+  local condition="$2"
+  TOTAL=$((TOTAL + 1))
+
+  if eval "$condition" 2>/dev/null; then
+    echo -e "  ${GREEN}PASS${NC} #${TOTAL}: ${test_name}"
+    PASS=$((PASS + 1))
+  else
+    echo -e "  ${RED}FAIL${NC} #${TOTAL}: ${test_name}"
+    FAIL=$((FAIL + 1))
+  fi
+}
+
+# curl wrapper: GET
+get() {
+  curl -s "$BASE$1"
+}
+
+# curl wrapper: POST with JSON body
+post() {
+  curl -s -X POST "$BASE$1" -H 'Content-Type: application/json' -d "$2"
+}
+
+# Extract JSON field using python
+json_field() {
+  echo "$1" | python3 -c "import sys,json; d=json.load(sys.stdin); print($2)"
+}
+
+# Run a batch: <operations JSON array>; body and HTTP status on the last line
+batch() {
+  curl -s -w "\n%{http_code}" -X POST "$BASE/api/entities/_batch" -H 'Content-Type: application/json' -d "{\"operations\":$1}"
+}
+
+count() {
+  json_field "$(get "/api/entities/$1")" "d.get('totalCount', 0)"
+}
+
+# Writable fields of the first stored record, with overrides: <entity> <python dict>
+record_copy() {
+  get "/api/entities/$1" | python3 -c "import sys,json; r=json.load(sys.stdin)['data'][0]; print(json.dumps({**{k: v for k, v in r.items() if not k.startswith('_') and k != 'id'}, **$2}))"
+}
+
+# Check if server is reachable
+echo ""
+echo -e "${YELLOW}=== Batch Integration Tests ===${NC}"
+echo "Target: $BASE"
+echo ""
+
+HEALTH=$(curl -s -o /dev/null -w "%{http_code}" "$BASE/api/seed/status")
+if [ "$HEALTH" != "200" ]; then
+  echo -e "${RED}ERROR: Server not reachable at $BASE (HTTP $HEALTH)${NC}"
+  echo "Start the book server first: ./run -s book -p $PORT --noauth"
+  exit 1
+fi
+
+echo -e "${GREEN}Server reachable.${NC}"
+echo ""
+
+# ============================================================================
+# Setup: seed data
+# ============================================================================
+
+echo -e "${YELLOW}--- Setup: Reset All ---${NC}"
+post "/api/seed/reset-all" '{}' > /dev/null
+AUTHOR_COUNT=$(count Author)
+BOOK_COUNT=$(count Book)
+BOOK=$(json_field "$(get "/api/entities/Book")" "json.dumps(d['data'][0])")
+BOOK_ID=$(json_field "$BOOK" "d['id']")
+BOOK_PRICE=$(json_field "$BOOK" "d['price']")
+assert "Seed data loaded" "[ '$AUTHOR_COUNT' -gt 0 ] && [ '$BOOK_COUNT' -gt 0 ]"
+echo ""
+
+# ============================================================================
+# Test 1: $ref placeholders
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 1: \$ref Placeholders ---${NC}"
+NEW_AUTHOR=$(record_copy Author "{'first_name': 'Batch', 'last_name': 'Author'}")
+NEW_BOOK=$(record_copy Book "{'isbn': '978-0-00-000050-0', 'author_id': {'\$ref': 'author'}}")
+RESPONSE=$(batch "[
+  {\"op\":\"create\",\"entity\":\"Author\",\"ref\":\"author\",\"data\":$NEW_AUTHOR},
+  {\"op\":\"create\",\"entity\":\"Book\",\"data\":$NEW_BOOK},
+  {\"op\":\"update\",\"entity\":\"Author\",\"id\":{\"\$ref\":\"author\"},\"data\":{\"home_country\":\"Iceland\"}}
+]")
+BODY=$(echo "$RESPONSE" | sed '$d')
+assert "Batch succeeds" "[ '$(echo "$RESPONSE" | tail -1)' = '200' ]"
+NEW_AUTHOR_ID=$(json_field "$BODY" "d['results'][0]['id']")
+assert "Create result carries its ref" "[ '$(json_field "$BODY" "d['results'][0].get('ref')")' = 'author' ]"
+assert "\$ref in data resolves to the created id" "[ '$(json_field "$BODY" "d['results'][1]['record']['author_id']")' = '$NEW_AUTHOR_ID' ]"
+assert "\$ref as id resolves to the created id" "[ '$(json_field "$BODY" "d['results'][2]['id']")' = '$NEW_AUTHOR_ID' ]"
+assert "Results carry an ETag" \
+  "[ '$(json_field "$BODY" "d['results'][2]['etag']")' = '\"Author:$NEW_AUTHOR_ID:$(json_field "$BODY" "d['results'][2]['record']['_version']")\"' ]"
+assert "Update is stored" "[ '$(json_field "$(get "/api/entities/Author/$NEW_AUTHOR_ID")" "d['home_country']")' = 'Iceland' ]"
+assert "Book is stored" "[ '$(count Book)' = '$((BOOK_COUNT + 1))' ]"
+AUTHOR_COUNT=$(count Author)
+BOOK_COUNT=$(count Book)
+
+RESPONSE=$(batch "[{\"op\":\"update\",\"entity\":\"Author\",\"id\":{\"\$ref\":\"later\"},\"data\":{\"home_country\":\"Chile\"}},
+  {\"op\":\"create\",\"entity\":\"Author\",\"ref\":\"later\",\"data\":$NEW_AUTHOR}]")
+BODY=$(echo "$RESPONSE" | sed '$d')
+assert "Ref used before its create is rejected" "[ '$(echo "$RESPONSE" | tail -1)' = '400' ]"
+assert "Unknown ref names the operation" "[ '$(json_field "$BODY" "d['error']['operationIndex']")' = '0' ]"
+echo ""
+
+# ============================================================================
+# Test 2: Rollback of the whole batch
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 2: Rollback ---${NC}"
+OTHER_AUTHOR=$(record_copy Author "{'first_name': 'Rolled', 'last_name': 'Back'}")
+ORPHAN_BOOK=$(record_copy Book "{'isbn': '978-0-00-000051-0', 'author_id': 999999}")
+RESPONSE=$(batch "[
+  {\"op\":\"create\",\"entity\":\"Author\",\"data\":$OTHER_AUTHOR},
+  {\"op\":\"update\",\"entity\":\"Book\",\"id\":$BOOK_ID,\"data\":{\"price\":5}},
+  {\"op\":\"create\",\"entity\":\"Book\",\"data\":$ORPHAN_BOOK}
+]")
+BODY=$(echo "$RESPONSE" | sed '$d')
+assert "Failing operation fails the batch" "[ '$(echo "$RESPONSE" | tail -1)' = '409' ]"
+assert "Error names the failing operation" "[ '$(json_field "$BODY" "d['error']['operationIndex']")' = '2' ]"
+assert "Error message names the operation" \
+  "[ '$(json_field "$BODY" "d['error']['message'].startswith('Operation 2 (create Book) failed:')")' = 'True' ]"
+assert "Earlier create is rolled back" "[ '$(count Author)' = '$AUTHOR_COUNT' ]"
+assert "Earlier update is rolled back" "[ '$(json_field "$(get "/api/entities/Book/$BOOK_ID")" "d['price']")' = '$BOOK_PRICE' ]"
+assert "No book is stored" "[ '$(count Book)' = '$BOOK_COUNT' ]"
+
+RESPONSE=$(batch "[{\"op\":\"create\",\"entity\":\"Author\",\"ref\":\"a\",\"data\":$OTHER_AUTHOR},
+  {\"op\":\"create\",\"entity\":\"Author\",\"ref\":\"a\",\"data\":$OTHER_AUTHOR},
+  {\"op\":\"remove\",\"entity\":\"Author\",\"id\":1}]")
+BODY=$(echo "$RESPONSE" | sed '$d')
+assert "Invalid operations are rejected up front" "[ '$(echo "$RESPONSE" | tail -1)' = '400' ]"
+assert "Each invalid operation is reported" \
+  "[ '$(json_field "$BODY" "' '.join(sorted(e.split(':')[0] for e in d['error']['details']))")' = 'operations[1] operations[2]' ]"
+assert "Nothing is stored" "[ '$(count Author)' = '$AUTHOR_COUNT' ]"
+echo ""
+
+# ============================================================================
+# Test 3: Version check on delete
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 3: Version Check on Delete ---${NC}"
+NEW_BOOK_ID=$(json_field "$(get "/api/entities/Book?filter=isbn:978-0-00-000050-0")" "d['data'][0]['id']")
+OLD_VERSION=$(json_field "$(get "/api/entities/Book/$NEW_BOOK_ID")" "d['_version']")
+curl -s -o /dev/null -X PATCH "$BASE/api/entities/Book/$NEW_BOOK_ID" -H 'Content-Type: application/merge-patch+json' -d '{"price":9.99}'
+CURRENT_VERSION=$(json_field "$(get "/api/entities/Book/$NEW_BOOK_ID")" "d['_version']")
+
+RESPONSE=$(batch "[{\"op\":\"update\",\"entity\":\"Book\",\"id\":$BOOK_ID,\"data\":{\"price\":5}},
+  {\"op\":\"delete\",\"entity\":\"Book\",\"id\":$NEW_BOOK_ID,\"ifMatch\":\"\\\"Book:$NEW_BOOK_ID:$OLD_VERSION\\\"\"}]")
+BODY=$(echo "$RESPONSE" | sed '$d')
+assert "Delete with an outdated version returns 409" "[ '$(echo "$RESPONSE" | tail -1)' = '409' ]"
+assert "Conflict names the delete operation" "[ '$(json_field "$BODY" "d['error']['operationIndex']")' = '1' ]"
+assert "Conflict returns the current record" \
+  "[ '$(json_field "$BODY" "d['error']['details']['currentRecord']['_version']")' = '$CURRENT_VERSION' ]"
+assert "Book is not deleted" "[ '$(count Book)' = '$BOOK_COUNT' ]"
+assert "Update before the conflict is rolled back" "[ '$(json_field "$(get "/api/entities/Book/$BOOK_ID")" "d['price']")' = '$BOOK_PRICE' ]"
+
+RESPONSE=$(batch "[{\"op\":\"delete\",\"entity\":\"Book\",\"id\":$NEW_BOOK_ID,\"data\":{\"_version\":$CURRENT_VERSION}}]")
+assert "Delete with the current version succeeds" "[ '$(echo "$RESPONSE" | tail -1)' = '200' ]"
+assert "Book is deleted" "[ '$(count Book)' = '$((BOOK_COUNT - 1))' ]"
+echo ""
+
+# ============================================================================
+# Summary
+# ============================================================================
+
+echo -e "${YELLOW}========================================${NC}"
+echo -e "  Tests: $TOTAL  |  ${GREEN}Pass: $PASS${NC}  |  ${RED}Fail: $FAIL${NC}"
+echo -e "${YELLOW}========================================${NC}"
+echo ""
+
+if [ "$FAIL" -gt 0 ]; then
+  exit 1
+else
+  echo -e "${GREEN}All tests passed!${NC}"
+  exit 0
+fi
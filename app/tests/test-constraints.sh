@@ -0,0 +1,156 @@
+#!/bin/bash
+#
+# Constraint Integration Tests
+# Checks the built-in constraint functions (## Constraints) of the Book system
+# on partial updates and with boolean values. The data model is restored afterwards.
+#
+# Usage:
+#   ./app/tests/test-constraints.sh [port]
+#
+# Prerequisites:
+#   - Book system server running on the specified port (default: 18349)
+#   - Start with: ./run -s book -p 18349 --noauth
+#   - Run from the repository root
+#
+
+PORT=${1:-18349}
+BASE="http://localhost:$PORT"
+PASS=0
+FAIL=0
+TOTAL=0
+
+# Colors
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+YELLOW='\033[1;33m'
+NC='\033[0m' # No Color
+
+# --- Helpers ---
+
+assert() {
+  local test_name="$1"
+  local condition="$2"
+  TOTAL=$((TOTAL + 1))
+
+  if eval "$condition" 2>/dev/null; then
+    echo -e "  ${GREEN}PASS${NC} #${TOTAL}: ${test_name}"
+    PASS=$((PASS + 1))
+  else
+    echo -e "  ${RED}FAIL${NC} #${TOTAL}: ${test_name}"
+    FAIL=$((FAIL + 1))
+  fi
+}
+
+# curl wrapper: GET
+get() {
+  curl -s "$BASE$1"
+}
+
+# curl wrapper: POST with JSON body
+post() {
+  curl -s -X POST "$BASE$1" -H 'Content-Type: application/json' -d "$2"
+}
+
+# curl wrapper: PATCH with merge-patch body
+patch() {
+  curl -s -X PATCH "$BASE$1" -H 'Content-Type: application/merge-patch+json' -d "$2"
+}
+
+AUTHOR_MD="app/systems/book/docs/classes/Author.md"
+
+# Extract JSON field using python
+json_field() {
+  echo "$1" | python3 -c "import sys,json; d=json.load(sys.stdin); print($2)"
+}
+
+# Check if server is reachable
+echo ""
+echo -e "${YELLOW}=== Constraint Integration Tests ===${NC}"
+echo "Target: $BASE"
+echo ""
+
+HEALTH=$(curl -s -o /dev/null -w "%{http_code}" "$BASE/api/seed/status")
+if [ "$HEALTH" != "200" ]; then
+  echo -e "${RED}ERROR: Server not reachable at $BASE (HTTP $HEALTH)${NC}"
+  echo "Start the book server first: ./run -s book -p $PORT --noauth"
+  exit 1
+fi
+
+echo -e "${GREEN}Server reachable.${NC}"
+echo ""
+
+# ============================================================================
+# Setup: seed data
+# ============================================================================
+
+echo -e "${YELLOW}--- Setup: Reset All ---${NC}"
+post "/api/seed/reset-all" '{}' > /dev/null
+AUTHORS=$(get "/api/entities/Author")
+# Haruki Murakami: born 1949, no death date
+AUTHOR_ID=$(json_field "$AUTHORS" "[a['id'] for a in d['data'] if a['first_name'] == 'Haruki'][0]")
+assert "Author found" "[ -n '$AUTHOR_ID' ]"
+echo ""
+
+# ============================================================================
+# Test 1: Partial update checked against the stored values
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 1: TimeRange on Partial Update ---${NC}"
+# TimeRange(birth_date, death_date): only death_date is sent
+RESULT=$(patch "/api/entities/Author/$AUTHOR_ID" '{"death_date":"1900-01-01"}')
+CODES=$(json_field "$RESULT" "','.join(e.get('code', '') for e in d.get('error', {}).get('details', []))")
+assert "Death date before the stored birth date is rejected" "[ '$CODES' = 'OBJECT_TIMERANGE' ]"
+
+STORED=$(json_field "$(get "/api/entities/Author/$AUTHOR_ID")" "d.get('death_date')")
+assert "Rejected death date is not stored" "[ '$STORED' = 'None' ]"
+
+BATCH="{\"operations\":[{\"op\":\"update\",\"entity\":\"Author\",\"id\":$AUTHOR_ID,\"data\":{\"death_date\":\"1900-01-01\"}}]}"
+CODE=$(curl -s -o /dev/null -w "%{http_code}" -X POST "$BASE/api/entities/_batch" -H 'Content-Type: application/json' -d "$BATCH")
+assert "Batch update with the same death date is rejected" "[ '$CODE' = '400' ]"
+
+RESULT=$(patch "/api/entities/Author/$AUTHOR_ID" '{"death_date":"2090-01-01"}')
+assert "Death date after the stored birth date is accepted" "[ '$(json_field "$RESULT" "d.get('death_date')")' = '2090-01-01' ]"
+
+# Stored values that satisfy the rules do not block updates of other fields
+RESULT=$(patch "/api/entities/Author/$AUTHOR_ID" '{"home_country":"Japan"}')
+assert "Update without rule fields is accepted" "[ '$(json_field "$RESULT" "d.get('home_country')")' = 'Japan' ]"
+echo ""
+
+# ============================================================================
+# Test 2: A boolean set to false is a value
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 2: Boolean false in AtLeastOneOf ---${NC}"
+# Keep the original data model; restored (and reloaded) on exit
+cp "$AUTHOR_MD" "$AUTHOR_MD.orig"
+restore_files() {
+  mv "$AUTHOR_MD.orig" "$AUTHOR_MD"
+  post "/api/seed/reinitialize" '{}' > /dev/null
+}
+trap restore_files EXIT
+
+# Jane Austen and Gabriel Garcia Marquez: no homepage, is_active = false
+sed -i 's/^TimeRange(birth_date, death_date)$/TimeRange(birth_date, death_date)\nAtLeastOneOf(homepage, is_active)/' "$AUTHOR_MD"
+post "/api/seed/reinitialize" '{}' > /dev/null
+post "/api/seed/clear-all" '{}' > /dev/null
+
+LOAD=$(post "/api/seed/load/Author" '{"sourceDir":"seed","validateConstraints":true}')
+assert "Authors with is_active = false pass AtLeastOneOf" "[ '$(json_field "$LOAD" "len(d.get('errors', []))")' = '0' ]"
+assert "All authors loaded" "[ '$(json_field "$LOAD" "d.get('loaded', 0)")' = '5' ]"
+echo ""
+
+# ============================================================================
+# Summary
+# ============================================================================
+
+echo -e "${YELLOW}========================================${NC}"
+echo -e "  Tests: $TOTAL  |  ${GREEN}Pass: $PASS${NC}  |  ${RED}Fail: $FAIL${NC}"
+echo -e "${YELLOW}========================================${NC}"
+echo ""
+
+if [ "$FAIL" -gt 0 ]; then
+  exit 1
+else
+  echo -e "${GREEN}All tests passed!${NC}"
+  exit 0
+fi
@@ -0,0 +1,197 @@
+#!/bin/bash
+#
+# Filter Expression Integration Tests
+# Checks ?where= on /api/entities/Book: operator precedence, NOT / BETWEEN /
+# IN / IS NULL, and the rejection of parameters, unknown columns and
+# expressions beyond the nesting and IN list limits.
+#
+# Usage:
+#   ./app/tests/test-filter-expression.sh [port]
+#
+# Prerequisites:
+#   - Book system server running on the specified port (default: 18349)
+#   - Start with: ./run -s book -p 18349 --noauth
+#   - Run from the repository root
+#
+
+PORT=${1:-18349}
+BASE="http://localhost:$PORT"
+PASS=0
+FAIL=0
+TOTAL=0
+
+# Colors
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+YELLOW='\033[1;33m'
+NC='\033[0m' # No Color
+
+# --- Helpers ---
+
+assert() {
+  local test_name="$1"
+  local condition="$2"
+  TOTAL=$((TOTAL + 1))
+
+  if eval "$condition" 2>/dev/null; then
+    echo -e "  ${GREEN}PASS${NC} #${TOTAL}: ${test_name}"
+    PASS=$((PASS + 1))
+  else
+    echo -e "  ${RED}FAIL${NC} #${TOTAL}: ${test_name}"
+    FAIL=$((FAIL + 1))
+  fi
+}
+
+# curl wrapper: GET
+get() {
+  curl -s "$BASE$1"
+}
+
+# curl wrapper: POST with JSON body
+post() {
+  curl -s -X POST "$BASE$1" -H 'Content-Type: application/json' -d "$2"
+}
+
+# Extract JSON field using python
+json_field() {
+  echo "$1" | python3 -c "import sys,json; d=json.load(sys.stdin); print($2)"
+}
+
+# Books matching a filter expression: <expression>
+books_where() {
+  curl -s -G "$BASE/api/entities/Book" --data-urlencode "where=$1"
+}
+
+# Sorted ids of the books matching a filter expression: <expression>
+ids_where() {
+  json_field "$(books_where "$1")" "','.join(str(b['id']) for b in sorted(d['data'], key=lambda b: b['id']))"
+}
+
+# Sorted ids of all books for which a python condition on b holds: <condition>
+ids_expected() {
+  json_field "$ALL_BOOKS" "','.join(str(b['id']) for b in sorted(d['data'], key=lambda b: b['id']) if $1)"
+}
+
+# HTTP status and first error detail of a filter expression: <expression>
+rejected_with() {
+  local response
+  response=$(curl -s -w "\n%{http_code}" -G "$BASE/api/entities/Book" --data-urlencode "where=$1")
+  echo "$(echo "$response" | tail -1) $(json_field "$(echo "$response" | sed '$d')" "(d['error'].get('details') or [''])[0]")"
+}
+
+# Check if server is reachable
+echo ""
+echo -e "${YELLOW}=== Filter Expression Integration Tests ===${NC}"
+echo "Target: $BASE"
+echo ""
+
+HEALTH=$(curl -s -o /dev/null -w "%{http_code}" "$BASE/api/seed/status")
+if [ "$HEALTH" != "200" ]; then
+  echo -e "${RED}ERROR: Server not reachable at $BASE (HTTP $HEALTH)${NC}"
+  echo "Start the book server first: ./run -s book -p $PORT --noauth"
+  exit 1
+fi
+
+echo -e "${GREEN}Server reachable.${NC}"
+echo ""
+
+# ============================================================================
+# Setup: seed data
+# ============================================================================
+
+echo -e "${YELLOW}--- Setup: Reset All ---${NC}"
+post "/api/seed/reset-all" '{}' > /dev/null
+ALL_BOOKS=$(get "/api/entities/Book")
+assert "Books loaded" "[ '$(json_field "$ALL_BOOKS" "d['totalCount']")' -gt 0 ]"
+echo ""
+
+# ============================================================================
+# Test 1: Precedence (NOT before AND before OR)
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 1: Precedence ---${NC}"
+assert "AND binds tighter than OR" \
+  "[ '$(ids_where "genre = 'FIC' OR genre = 'SF' AND price > 1000")' = '$(ids_expected "b['genre'] == 'FIC'")' ]"
+assert "Parentheses override the precedence" \
+  "[ '$(ids_where "(genre = 'FIC' OR genre = 'SF') AND price > 1000")' = '' ]"
+assert "NOT binds tighter than AND" \
+  "[ '$(ids_where "NOT genre = 'FIC' AND price > 20")' = '$(ids_expected "b['genre'] != 'FIC' and b['price'] > 20")' ]"
+assert "NOT applies to a parenthesized expression" \
+  "[ '$(ids_where "NOT (genre = 'FIC' OR price > 20)")' = '$(ids_expected "not (b['genre'] == 'FIC' or b['price'] > 20)")' ]"
+assert "Keywords are case-insensitive" \
+  "[ '$(ids_where "genre = 'SF' or genre = 'HIS'")' = '$(ids_expected "b['genre'] in ('SF', 'HIS')")' ]"
+echo ""
+
+# ============================================================================
+# Test 2: BETWEEN, IN, IS NULL, LIKE, functions
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 2: Predicates ---${NC}"
+assert "BETWEEN includes both bounds" \
+  "[ '$(ids_where "price BETWEEN 16.99 AND 19.99")' = '$(ids_expected "16.99 <= b['price'] <= 19.99")' ]"
+assert "NOT BETWEEN" \
+  "[ '$(ids_where "price NOT BETWEEN 16.99 AND 19.99")' = '$(ids_expected "not 16.99 <= b['price'] <= 19.99")' ]"
+assert "IN" \
+  "[ '$(ids_where "genre IN ('SF', 'HIS')")' = '$(ids_expected "b['genre'] in ('SF', 'HIS')")' ]"
+assert "NOT IN" \
+  "[ '$(ids_where "genre NOT IN ('FIC')")' = '$(ids_expected "b['genre'] != 'FIC'")' ]"
+assert "IS NULL" \
+  "[ '$(ids_where "metadata IS NULL")' = '$(ids_expected "b['metadata'] is None")' ]"
+assert "IS NOT NULL" \
+  "[ '$(ids_where "metadata IS NOT NULL")' = '$(ids_expected "b['metadata'] is not None")' ]"
+assert "= NULL reads as IS NULL" \
+  "[ '$(ids_where "metadata = NULL")' = '$(ids_expected "b['metadata'] is None")' ]"
+assert "< NULL is rejected" "[ '$(rejected_with "price < NULL" | cut -d' ' -f1)' = '400' ]"
+assert "YEAR()" \
+  "[ '$(ids_where "YEAR(publication_date) >= 2000")' = '$(ids_expected "b['publication_date'] >= '2000'")' ]"
+assert "LIKE" \
+  "[ '$(ids_where "title LIKE 'The %'")' = '$(ids_expected "b['title'].lower().startswith('the ')")' ]"
+echo ""
+
+# ============================================================================
+# Test 3: Rejected expressions
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 3: Rejected Expressions ---${NC}"
+RESULT=$(rejected_with "price > :user.publisher_id")
+assert "Parameters are rejected in request filters" "[ \"\${RESULT%% *}\" = '400' ] && [[ \"\$RESULT\" == *'is not allowed here'* ]]"
+
+RESULT=$(rejected_with "no_such_column = 1")
+assert "Unknown columns are rejected" "[ \"\${RESULT%% *}\" = '400' ] && [[ \"\$RESULT\" == *\"Unknown column 'no_such_column'\"* ]]"
+
+RESULT=$(rejected_with "price > 10 AND")
+assert "Incomplete expressions are rejected" "[ \"\${RESULT%% *}\" = '400' ]"
+
+# MAX_DEPTH = 32 nested levels
+nested() {
+  python3 -c "print('(' * $1 + 'price > 1' + ')' * $1)"
+}
+CODE=$(curl -s -o /dev/null -w "%{http_code}" -G "$BASE/api/entities/Book" --data-urlencode "where=$(nested 20)")
+assert "20 nested levels are accepted" "[ '$CODE' = '200' ]"
+RESULT=$(rejected_with "$(nested 40)")
+assert "40 nested levels are rejected" "[ \"\${RESULT%% *}\" = '400' ] && [[ \"\$RESULT\" == *'nested deeper than 32'* ]]"
+
+# MAX_IN_VALUES = 1000
+in_list() {
+  python3 -c "print('page_count IN (' + ','.join(['1'] * ($1 - 1) + ['432']) + ')')"
+}
+assert "IN list with 1000 values is accepted" "[ '$(ids_where "$(in_list 1000)")' = '$(ids_expected "b['page_count'] == 432")' ]"
+RESULT=$(rejected_with "$(in_list 1001)")
+assert "IN list with 1001 values is rejected" "[ \"\${RESULT%% *}\" = '400' ] && [[ \"\$RESULT\" == *'IN list exceeds 1000 values'* ]]"
+echo ""
+
+# ============================================================================
+# Summary
+# ============================================================================
+
+echo -e "${YELLOW}========================================${NC}"
+echo -e "  Tests: $TOTAL  |  ${GREEN}Pass: $PASS${NC}  |  ${RED}Fail: $FAIL${NC}"
+echo -e "${YELLOW}========================================${NC}"
+echo ""
+
+if [ "$FAIL" -gt 0 ]; then
+  exit 1
+else
+  echo -e "${GREEN}All tests passed!${NC}"
+  exit 0
+fi
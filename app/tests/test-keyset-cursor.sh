@@ -0,0 +1,200 @@
+#!/bin/bash
+#
+# Keyset Cursor Integration Tests
+# Pages through /api/entities/Book with ?cursor= in ascending, descending and
+# NULL-containing sorts, inserts a row while scrolling, and checks that
+# malformed cursors and cursors issued for another sort are rejected.
+#
+# Usage:
+#   ./app/tests/test-keyset-cursor.sh [port]
+#
+# Prerequisites:
+#   - Book system server running on the specified port (default: 18349)
+#   - Start with: ./run -s book -p 18349 --noauth
+#   - Run from the repository root
+#
+
+PORT=${1:-18349}
+BASE="http://localhost:$PORT"
+PASS=0
+FAIL=0
+TOTAL=0
+
+# Colors
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+YELLOW='\033[1;33m'
+NC='\033[0m' # No Color
+
+# --- Helpers ---
+
+assert() {
+  local test_name="$1"
+  local condition="$2"
+  TOTAL=$((TOTAL + 1))
+
+  if eval "$condition" 2>/dev/null; then
+    echo -e "  ${GREEN}PASS${NC} #${TOTAL}: ${test_name}"
+    PASS=$((PASS + 1))
+  else
+    echo -e "  ${RED}FAIL${NC} #${TOTAL}: ${test_name}"
+    FAIL=$((FAIL + 1))
+  fi
+}
+
+# curl wrapper: GET
+get() {
+  curl -s "$BASE$1"
+}
+
+# curl wrapper: POST with JSON body
+post() {
+  curl -s -X POST "$BASE$1" -H 'Content-Type: application/json' -d "$2"
+}
+
+# Extract JSON field using python
+json_field() {
+  echo "$1" | python3 -c "import sys,json; d=json.load(sys.stdin); print($2)"
+}
+
+# One page of books: <query> <cursor>
+book_page() {
+  curl -s -G "$BASE/api/entities/Book?$1" --data-urlencode "cursor=$2"
+}
+
+# Ids of all books, walking the cursor pages of 2: <query>
+# (sort=metadata puts the NULL rows first, so a cursor position is NULL)
+# Sets PAGES to the number of pages fetched
+walk_pages() {
+  local cursor='' page ids=''
+  PAGES=0
+  while [ "$PAGES" -lt 20 ]; do
+    page=$(book_page "$1&limit=2" "$cursor")
+    PAGES=$((PAGES + 1))
+    ids="$ids$(json_field "$page" "''.join(f\"{b['id']},\" for b in d['data'])")"
+    cursor=$(json_field "$page" "d.get('next_cursor') or ''")
+    [ -z "$cursor" ] && break
+  done
+  echo "${ids%,}"
+}
+
+# Ids of all books in one unpaged request: <query>
+all_ids() {
+  json_field "$(get "/api/entities/Book?$1")" "','.join(str(b['id']) for b in d['data'])"
+}
+
+# HTTP status and error details of a page request: <query> <cursor>
+rejected_with() {
+  local response
+  response=$(curl -s -w "\n%{http_code}" -G "$BASE/api/entities/Book?$1" --data-urlencode "cursor=$2")
+  echo "$(echo "$response" | tail -1) $(json_field "$(echo "$response" | sed '$d')" "' '.join(d['error'].get('details') or [])")"
+}
+
+# Check if server is reachable
+echo ""
+echo -e "${YELLOW}=== Keyset Cursor Integration Tests ===${NC}"
+echo "Target: $BASE"
+echo ""
+
+HEALTH=$(curl -s -o /dev/null -w "%{http_code}" "$BASE/api/seed/status")
+if [ "$HEALTH" != "200" ]; then
+  echo -e "${RED}ERROR: Server not reachable at $BASE (HTTP $HEALTH)${NC}"
+  echo "Start the book server first: ./run -s book -p $PORT --noauth"
+  exit 1
+fi
+
+echo -e "${GREEN}Server reachable.${NC}"
+echo ""
+
+# ============================================================================
+# Setup: seed data
+# ============================================================================
+
+echo -e "${YELLOW}--- Setup: Reset All ---${NC}"
+post "/api/seed/reset-all" '{}' > /dev/null
+BOOK_COUNT=$(json_field "$(get "/api/entities/Book")" "d['totalCount']")
+assert "More books than one page" "[ '$BOOK_COUNT' -gt 3 ]"
+echo ""
+
+# ============================================================================
+# Test 1: Walking all pages
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 1: Walking All Pages ---${NC}"
+FIRST=$(book_page "sort=price&limit=3" "")
+assert "First page has a next_cursor" "[ -n '$(json_field "$FIRST" "d.get('next_cursor') or ''")' ]"
+assert "Offset pagination has no next_cursor" \
+  "[ '$(json_field "$(get "/api/entities/Book?sort=price&limit=3")" "'next_cursor' in d")' = 'False' ]"
+
+for QUERY in "sort=price" "sort=price&order=desc" "sort=genre,price%20desc" "sort=metadata" "sort=metadata&order=desc"; do
+  IDS=$(walk_pages "$QUERY")
+  assert "$QUERY: pages match the unpaged order" "[ '$IDS' = '$(all_ids "$QUERY")' ]"
+  assert "$QUERY: every book is returned once" \
+    "[ '$(echo "$IDS" | tr ',' '\n' | sort -u | wc -l)' = '$BOOK_COUNT' ]"
+done
+walk_pages "sort=price" > /dev/null
+assert "Last page has no next_cursor" "[ '$PAGES' = '$(( (BOOK_COUNT + 1) / 2 ))' ]"
+echo ""
+
+# ============================================================================
+# Test 2: Insert while scrolling
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 2: Insert While Scrolling ---${NC}"
+FIRST_IDS=$(json_field "$FIRST" "','.join(str(b['id']) for b in d['data'])")
+CURSOR=$(json_field "$FIRST" "d['next_cursor']")
+SECOND_BEFORE=$(json_field "$(book_page "sort=price&limit=3" "$CURSOR")" "','.join(str(b['id']) for b in d['data'])")
+
+# Copy of a stored book, cheaper than every book on the first page
+BOOK=$(get "/api/entities/Book" | python3 -c "import sys,json; b=json.load(sys.stdin)['data'][0]; print(json.dumps({**{k: v for k, v in b.items() if not k.startswith('_') and k != 'id'}, 'isbn': '978-0-00-000040-0', 'price': 1}))")
+NEW_ID=$(json_field "$(post "/api/entities/Book" "$BOOK")" "d['id']")
+assert "Cheap book created" "[ -n '$NEW_ID' ]"
+
+SECOND_AFTER=$(json_field "$(book_page "sort=price&limit=3" "$CURSOR")" "','.join(str(b['id']) for b in d['data'])")
+assert "Next page is not shifted by the insert" "[ '$SECOND_AFTER' = '$SECOND_BEFORE' ]"
+assert "Next page does not repeat the first page" \
+  "[ -z '$(comm -12 <(echo "$FIRST_IDS" | tr ',' '\n' | sort) <(echo "$SECOND_AFTER" | tr ',' '\n' | sort))' ]"
+curl -s -o /dev/null -X DELETE "$BASE/api/entities/Book/$NEW_ID"
+echo ""
+
+# ============================================================================
+# Test 3: Rejected cursors
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 3: Rejected Cursors ---${NC}"
+RESULT=$(rejected_with "sort=title&limit=3" "$CURSOR")
+assert "Cursor for another sort column is rejected" \
+  "[ \"\${RESULT%% *}\" = '400' ] && [[ \"\$RESULT\" == *'Cursor does not match the requested sort/order'* ]]"
+
+RESULT=$(rejected_with "sort=price&order=desc&limit=3" "$CURSOR")
+assert "Cursor for another order is rejected" \
+  "[ \"\${RESULT%% *}\" = '400' ] && [[ \"\$RESULT\" == *'Cursor does not match the requested sort/order'* ]]"
+
+RESULT=$(rejected_with "sort=price,title&limit=3" "$CURSOR")
+assert "Cursor for a shorter sort is rejected" "[ \"\${RESULT%% *}\" = '400' ]"
+
+RESULT=$(rejected_with "sort=price&limit=3" "not-a-cursor")
+assert "Malformed cursor is rejected" \
+  "[ \"\${RESULT%% *}\" = '400' ] && [[ \"\$RESULT\" == *'Malformed cursor'* ]]"
+
+FORGED=$(python3 -c "import base64,json; print(base64.urlsafe_b64encode(json.dumps({'s': 'price:asc|asc', 'v': [1], 'id': 'x'}).encode()).decode().rstrip('='))")
+RESULT=$(rejected_with "sort=price&limit=3" "$FORGED")
+assert "Cursor with a non-integer id is rejected" \
+  "[ \"\${RESULT%% *}\" = '400' ] && [[ \"\$RESULT\" == *'Malformed cursor'* ]]"
+echo ""
+
+# ============================================================================
+# Summary
+# ============================================================================
+
+echo -e "${YELLOW}========================================${NC}"
+echo -e "  Tests: $TOTAL  |  ${GREEN}Pass: $PASS${NC}  |  ${RED}Fail: $FAIL${NC}"
+echo -e "${YELLOW}========================================${NC}"
+echo ""
+
+if [ "$FAIL" -gt 0 ]; then
+  exit 1
+else
+  echo -e "${GREEN}All tests passed!${NC}"
+  exit 0
+fi
@@ -0,0 +1,271 @@
+#!/bin/bash
+#
+# OIDC Login Integration Tests
+# Starts app/tools/oidc-stub-idp.js and runs the authorization code flow with
+# curl: the signed rap-oidc state cookie, a code injected into another login
+# (PKCE verifier mismatch), the mapping of IdP groups to roles and returnTo.
+#
+# Usage:
+#   ./app/tests/test-oidc.sh [port]
+#
+# Prerequisites:
+#   - Book system server running with authentication on the specified port (default: 18349)
+#   - Start with: ./run -s book -p 18349
+#   - Run from the repository root
+#   - Port 9400 free for the stub IdP
+#   - OIDC in the auth section of app/systems/book/config.json (restart the server after adding it):
+#       "oidc": {
+#         "issuer": "http://localhost:9400",
+#         "clientId": "aide-rap",
+#         "roles": { "admin": ["rap-admins"], "user": ["rap-users"], "guest": ["rap-guests"] },
+#         "label": "Stub IdP"
+#       }
+#
+
+PORT=${1:-18349}
+BASE="http://localhost:$PORT"
+PASS=0
+FAIL=0
+TOTAL=0
+
+IDP_PORT=9400
+IDP="http://localhost:$IDP_PORT"
+IDP_LOG=$(mktemp)
+IDP_PID=
+JAR=$(mktemp)
+OTHER_JAR=$(mktemp)
+
+# Colors
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+YELLOW='\033[1;33m'
+NC='\033[0m' # No Color
+
+# --- Helpers ---
+
+assert() {
+  local test_name="$1"
+  local condition="$2"
+  TOTAL=$((TOTAL + 1))
+
+  if eval "$condition" 2>/dev/null; then
+    echo -e "  ${GREEN}PASS${NC} #${TOTAL}: ${test_name}"
+    PASS=$((PASS + 1))
+  else
+    echo -e "  ${RED}FAIL${NC} #${TOTAL}: ${test_name}"
+    FAIL=$((FAIL + 1))
+  fi
+}
+
+# Extract JSON field using python
+json_field() {
+  echo "$1" | python3 -c "import sys,json; d=json.load(sys.stdin); print($2)"
+}
+
+cleanup() {
+  if [ -n "$IDP_PID" ]; then
+    kill "$IDP_PID" 2>/dev/null
+    wait "$IDP_PID" 2>/dev/null
+  fi
+  rm -f "$IDP_LOG" "$JAR" "$OTHER_JAR"
+}
+trap cleanup EXIT
+
+# Query parameter of a URL: <url> <name>
+query_param() {
+  python3 -c "import sys,urllib.parse as u; print(u.parse_qs(u.urlparse(sys.argv[1]).query).get(sys.argv[2], [''])[0])" "$1" "$2"
+}
+
+# Value of a cookie in a jar: <jar> <name>
+cookie_value() {
+  awk -v name="$2" '$6 == name { print $7 }' "$1"
+}
+
+# Start a login into a fresh jar: <jar> [returnTo]; prints the IdP authorization URL
+start_login() {
+  : > "$1"
+  curl -s -o /dev/null -c "$1" -w "%{redirect_url}" -G "$BASE/api/auth/oidc/login" ${2:+--data-urlencode "returnTo=$2"}
+}
+
+# Sign in at the stub IdP: <authorization URL> <username> <groups> [state];
+# prints the callback URL with code and state
+idp_sign_in() {
+  local form
+  form=$(python3 -c "import sys,urllib.parse as u; q=dict(u.parse_qsl(u.urlparse(sys.argv[1]).query)); \
+q.update({'username': sys.argv[2], 'groups': sys.argv[3]}); q.update({'state': sys.argv[4]} if sys.argv[4] else {}); \
+print(u.urlencode(q))" "$1" "$2" "$3" "$4")
+  curl -s -o /dev/null -w "%{redirect_url}" -X POST "$IDP/authorize" --data "$form"
+}
+
+# Call the callback with a jar: <jar> <callback URL>; prints where the app redirects to
+finish_login() {
+  curl -s -o /dev/null -b "$1" -c "$1" -w "%{redirect_url}" "$2"
+}
+
+# Full login: <jar> <username> <groups> [returnTo]; prints where the app redirects to
+oidc_login() {
+  finish_login "$1" "$(idp_sign_in "$(start_login "$1" "$4")" "$2" "$3")"
+}
+
+# Role and username of the session in a jar (or the HTTP status without a session)
+whoami() {
+  local response
+  response=$(curl -s -w "\n%{http_code}" -b "$1" "$BASE/api/auth/me")
+  if [ "$(echo "$response" | tail -1)" = "200" ]; then
+    json_field "$(echo "$response" | sed '$d')" "d['role'] + ',' + d['username']"
+  else
+    echo "$response" | tail -1
+  fi
+}
+
+# Check if server is reachable
+echo ""
+echo -e "${YELLOW}=== OIDC Login Integration Tests ===${NC}"
+echo "Target: $BASE"
+echo ""
+
+AUTH_CONFIG=$(curl -s "$BASE/api/auth/config")
+if [ "$(json_field "$AUTH_CONFIG" "d.get('oidc') is not None")" != "True" ]; then
+  echo -e "${RED}ERROR: Server not reachable at $BASE or OIDC not configured${NC}"
+  echo "Add auth.oidc to the config and start the book server: ./run -s book -p $PORT"
+  exit 1
+fi
+
+node app/tools/oidc-stub-idp.js "$IDP_PORT" > "$IDP_LOG" 2>&1 &
+IDP_PID=$!
+for _ in $(seq 1 20); do
+  grep -q "listening" "$IDP_LOG" && break
+  sleep 0.25
+done
+if ! grep -q "listening" "$IDP_LOG"; then
+  echo -e "${RED}ERROR: Stub IdP did not start on port $IDP_PORT${NC}"
+  cat "$IDP_LOG"
+  exit 1
+fi
+
+echo -e "${GREEN}Server reachable, stub IdP started.${NC}"
+echo ""
+
+# ============================================================================
+# Test 1: Login start and the rap-oidc cookie
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 1: Login Start ---${NC}"
+assert "Config names the OIDC login" "[ '$(json_field "$AUTH_CONFIG" "d['oidc']['label']")' = 'Stub IdP' ]"
+
+HEADERS=$(curl -s -o /dev/null -D - "$BASE/api/auth/oidc/login" | tr -d '\r')
+AUTH_URL=$(echo "$HEADERS" | sed -n 's/^Location: //Ip')
+OIDC_COOKIE=$(echo "$HEADERS" | grep -i '^Set-Cookie: rap-oidc=')
+assert "Login redirects to the IdP" "[ '$(echo "$AUTH_URL" | cut -d'?' -f1)' = '$IDP/authorize' ]"
+assert "Authorization request uses PKCE (S256)" \
+  "[ '$(query_param "$AUTH_URL" code_challenge_method)' = 'S256' ] && [ -n '$(query_param "$AUTH_URL" code_challenge)' ]"
+assert "Authorization request carries state and nonce" \
+  "[ -n '$(query_param "$AUTH_URL" state)' ] && [ -n '$(query_param "$AUTH_URL" nonce)' ]"
+assert "State cookie is signed" "echo \"\$OIDC_COOKIE\" | grep -q 'rap-oidc=s%3A'"
+assert "State cookie is HttpOnly and SameSite=Lax" \
+  "echo \"\$OIDC_COOKIE\" | grep -q 'HttpOnly' && echo \"\$OIDC_COOKIE\" | grep -q 'SameSite=Lax'"
+assert "Verifier is not sent to the IdP" \
+  "[ -z '$(query_param "$AUTH_URL" code_verifier)' ]"
+echo ""
+
+# ============================================================================
+# Test 2: State cookie checks
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 2: State Cookie ---${NC}"
+CALLBACK=$(idp_sign_in "$(start_login "$JAR")" alice rap-users)
+COOKIE=$(cookie_value "$JAR" rap-oidc)
+
+# The same cookie with another verifier, signature kept
+FORGED=$(python3 -c "import sys,json,urllib.parse as u; v=u.unquote(sys.argv[1]); body, sig = v[2:].rsplit('.', 1); \
+d=json.loads(body); d['verifier']='forged'; print(u.quote('s:' + json.dumps(d, separators=(',', ':')) + '.' + sig, safe=''))" "$COOKIE")
+REDIRECT=$(curl -s -o /dev/null -w "%{redirect_url}" -b "rap-oidc=$FORGED" "$CALLBACK")
+assert "Altered state cookie is rejected" "[ '$(query_param "$REDIRECT" loginError)' = 'Login session expired, please try again' ]"
+
+UNSIGNED=$(python3 -c "import sys,urllib.parse as u; v=u.unquote(sys.argv[1]); print(u.quote(v[2:].rsplit('.', 1)[0], safe=''))" "$COOKIE")
+REDIRECT=$(curl -s -o /dev/null -w "%{redirect_url}" -b "rap-oidc=$UNSIGNED" "$CALLBACK")
+assert "Unsigned state cookie is rejected" "[ '$(query_param "$REDIRECT" loginError)' = 'Login session expired, please try again' ]"
+
+REDIRECT=$(curl -s -o /dev/null -w "%{redirect_url}" "$CALLBACK")
+assert "Callback without the state cookie is rejected" "[ '$(query_param "$REDIRECT" loginError)' = 'Login session expired, please try again' ]"
+
+WRONG_STATE=$(echo "$CALLBACK" | sed 's/state=[^&]*/state=wrong/')
+REDIRECT=$(curl -s -o /dev/null -w "%{redirect_url}" -b "$JAR" "$WRONG_STATE")
+assert "State that does not match the cookie is rejected" "[ '$(query_param "$REDIRECT" loginError)' = 'Login session expired, please try again' ]"
+assert "Rejected callbacks set no session" "[ '$(whoami "$JAR")' = '401' ]"
+assert "Untouched state cookie completes the login" "[ '$(finish_login "$JAR" "$CALLBACK")' = '$BASE/' ] && [ '$(whoami "$JAR")' = 'user,alice' ]"
+echo ""
+
+# ============================================================================
+# Test 3: PKCE verifier mismatch
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 3: PKCE ---${NC}"
+# A code issued for one login (challenge A), delivered with the state of another (verifier B)
+AUTH_A=$(start_login "$OTHER_JAR")
+AUTH_B=$(start_login "$JAR")
+INJECTED=$(idp_sign_in "$AUTH_A" mallory rap-admins "$(query_param "$AUTH_B" state)")
+REDIRECT=$(finish_login "$JAR" "$INJECTED")
+assert "Code with another login's challenge is rejected by the IdP" \
+  "[ '$(query_param "$REDIRECT" loginError)' = 'Identity provider rejected the request: invalid_grant' ]"
+assert "Injected code sets no session" "[ '$(whoami "$JAR")' = '401' ]"
+assert "State cookie is cleared after the callback" "[ -z '$(cookie_value "$JAR" rap-oidc)' ]"
+
+REDIRECT=$(finish_login "$JAR" "$CALLBACK")
+assert "Callback cannot be replayed once the state cookie is gone" \
+  "[ '$(query_param "$REDIRECT" loginError)' = 'Login session expired, please try again' ]"
+echo ""
+
+# ============================================================================
+# Test 4: Groups to roles
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 4: Group Mapping ---${NC}"
+REDIRECT=$(oidc_login "$JAR" alice rap-admins)
+assert "Login redirects to the app without an error" "[ '$REDIRECT' = '$BASE/' ]"
+assert "rap-admins maps to admin" "[ '$(whoami "$JAR")' = 'admin,alice' ]"
+assert "Admin session opens the admin API" \
+  "[ '$(curl -s -o /dev/null -w "%{http_code}" -b "$JAR" "$BASE/api/admin/users")' = '200' ]"
+
+oidc_login "$JAR" bob rap-users > /dev/null
+assert "rap-users maps to user" "[ '$(whoami "$JAR")' = 'user,bob' ]"
+assert "User session cannot open the admin API" \
+  "[ '$(curl -s -o /dev/null -w "%{http_code}" -b "$JAR" "$BASE/api/admin/users")' = '403' ]"
+
+oidc_login "$JAR" carol rap-guests > /dev/null
+assert "rap-guests maps to guest" "[ '$(whoami "$JAR")' = 'guest,carol' ]"
+
+oidc_login "$JAR" dave "rap-guests, rap-users, rap-admins" > /dev/null
+assert "Highest matching role wins" "[ '$(whoami "$JAR")' = 'admin,dave' ]"
+
+REDIRECT=$(oidc_login "$JAR" eve other-group)
+assert "No matching group is rejected" \
+  "[ '$(query_param "$REDIRECT" loginError)' = 'Your account is not assigned to any role in this application' ]"
+assert "Rejected login leaves no session" "[ '$(whoami "$JAR")' = '401' ]"
+echo ""
+
+# ============================================================================
+# Test 5: returnTo
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 5: returnTo ---${NC}"
+assert "Local returnTo is followed" "[ '$(oidc_login "$JAR" alice rap-users "/views/books")' = '$BASE/views/books' ]"
+assert "Protocol-relative returnTo is ignored" "[ '$(oidc_login "$JAR" alice rap-users "//evil.example/")' = '$BASE/' ]"
+assert "Absolute returnTo is ignored" "[ '$(oidc_login "$JAR" alice rap-users "https://evil.example/")' = '$BASE/' ]"
+echo ""
+
+# ============================================================================
+# Summary
+# ============================================================================
+
+echo -e "${YELLOW}========================================${NC}"
+echo -e "  Tests: $TOTAL  |  ${GREEN}Pass: $PASS${NC}  |  ${RED}Fail: $FAIL${NC}"
+echo -e "${YELLOW}========================================${NC}"
+echo ""
+
+if [ "$FAIL" -gt 0 ]; then
+  exit 1
+else
+  echo -e "${GREEN}All tests passed!${NC}"
+  exit 0
+fi
@@ -0,0 +1,192 @@
+#!/bin/bash
+#
+# Record Rules Seed Load Integration Tests
+# Adds a record rule (no second book with the same title per author) and
+# UniqueWithinParent(title, author) to Book and loads books in the modes
+# replace, skip_conflicts and merge. The data model is restored afterwards.
+#
+# Usage:
+#   ./app/tests/test-record-rules.sh [port]
+#
+# Prerequisites:
+#   - Book system server running on the specified port (default: 18349)
+#   - Start with: ./run -s book -p 18349 --noauth
+#   - Run from the repository root
+#
+
+PORT=${1:-18349}
+BASE="http://localhost:$PORT"
+PASS=0
+FAIL=0
+TOTAL=0
+
+BOOK_MD="app/systems/book/docs/classes/Book.md"
+BOOK_SEED="app/systems/book/data/seed/Book.json"
+IMPORT_DIR="app/systems/book/data/import"
+BOOK_IMPORT="$IMPORT_DIR/Book.json"
+
+# Colors
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+YELLOW='\033[1;33m'
+NC='\033[0m' # No Color
+
+# --- Helpers ---
+
+assert() {
+  local test_name="$1"
+  local condition="$2"
+  TOTAL=$((TOTAL + 1))
+
+  if eval "$condition" 2>/dev/null; then
+    echo -e "  ${GREEN}PASS${NC} #${TOTAL}: ${test_name}"
+    PASS=$((PASS + 1))
+  else
+    echo -e "  ${RED}FAIL${NC} #${TOTAL}: ${test_name}"
+    FAIL=$((FAIL + 1))
+  fi
+}
+
+# curl wrapper: GET
+get() {
+  curl -s "$BASE$1"
+}
+
+# curl wrapper: POST with JSON body
+post() {
+  curl -s -X POST "$BASE$1" -H 'Content-Type: application/json' -d "$2"
+}
+
+# Extract JSON field using python
+json_field() {
+  echo "$1" | python3 -c "import sys,json; d=json.load(sys.stdin); print($2)"
+}
+
+# Load Book with constraints: <mode> [sourceDir]
+load_books() {
+  post "/api/seed/load/Book" "{\"mode\":\"$1\",\"sourceDir\":\"${2:-seed}\",\"validateConstraints\":true}"
+}
+
+book_count() {
+  json_field "$(get "/api/entities/Book")" "d.get('totalCount', 0)"
+}
+
+# Check if server is reachable
+echo ""
+echo -e "${YELLOW}=== Record Rules Seed Load Integration Tests ===${NC}"
+echo "Target: $BASE"
+echo ""
+
+HEALTH=$(curl -s -o /dev/null -w "%{http_code}" "$BASE/api/seed/status")
+if [ "$HEALTH" != "200" ]; then
+  echo -e "${RED}ERROR: Server not reachable at $BASE (HTTP $HEALTH)${NC}"
+  echo "Start the book server first: ./run -s book -p $PORT --noauth"
+  exit 1
+fi
+
+echo -e "${GREEN}Server reachable.${NC}"
+echo ""
+
+# Keep the original data model; restored (and reloaded) on exit
+cp "$BOOK_MD" "$BOOK_MD.orig"
+[ -d "$IMPORT_DIR" ] && IMPORT_DIR_EXISTED=1
+restore_files() {
+  mv "$BOOK_MD.orig" "$BOOK_MD"
+  rm -f "$BOOK_IMPORT"
+  [ -z "$IMPORT_DIR_EXISTED" ] && rmdir "$IMPORT_DIR" 2>/dev/null
+  post "/api/seed/reinitialize" '{}' > /dev/null
+}
+trap restore_files EXIT
+
+# First seed book under a new ISBN: same title and author as the stored one
+mkdir -p "$IMPORT_DIR"
+python3 -c "import json; b=json.load(open('$BOOK_SEED'))[0]; b['isbn']='978-0-00-000020-0'; json.dump([b], open('$BOOK_IMPORT', 'w'))"
+
+# ============================================================================
+# Setup: seed data, record rule
+# ============================================================================
+
+echo -e "${YELLOW}--- Setup ---${NC}"
+post "/api/seed/reset-all" '{}' > /dev/null
+SEED_COUNT=$(book_count)
+
+python3 - "$BOOK_MD" <<'EOF'
+import sys
+path = sys.argv[1]
+text = open(path).read()
+rule = """## Record Rules
+
+### SAME_TITLE
+**Fields:** title, author
+
+```sql
+SELECT 1 FROM book WHERE author_id = :author_id AND title = :title AND id IS NOT :id
+```
+
+"""
+text = text.replace("## Error Messages\n", rule + "## Error Messages\n")
+text = text.replace("| PREMIUM_PUBLISHER |", "| SAME_TITLE | The author already has a book with this title | Der Autor hat schon ein Buch mit diesem Titel |\n| PREMIUM_PUBLISHER |", 1)
+open(path, "w").write(text)
+EOF
+REINIT=$(post "/api/seed/reinitialize" '{}')
+assert "Reinitialize with record rule succeeds" "[ '$(json_field "$REINIT" "d.get('success', False)")' = 'True' ]"
+echo ""
+
+# ============================================================================
+# Test 1: Record rule - a row is checked as the record it replaces or skips
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 1: Record Rule per Load Mode ---${NC}"
+LOAD=$(load_books replace)
+assert "Replace: rows replacing themselves pass" "[ '$(json_field "$LOAD" "d.get('replaced', 0)")' = '$SEED_COUNT' ]"
+assert "Replace: no record rule violation reported" \
+  "[ '$(json_field "$LOAD" "'already has a book with this title' in ' '.join(d.get('errors', []))")' = 'False' ]"
+
+LOAD=$(load_books skip_conflicts)
+assert "Skip conflicts: rows matching stored books pass" "[ '$(json_field "$LOAD" "len(d.get('errors', []))")' = '0' ]"
+assert "Skip conflicts: all rows skipped" "[ '$(json_field "$LOAD" "d.get('skipped', 0)")' = '$SEED_COUNT' ]"
+
+LOAD=$(load_books merge)
+assert "Merge: rows updating themselves pass" "[ '$(json_field "$LOAD" "len(d.get('errors', []))")' = '0' ]"
+assert "Merge: all rows updated" "[ '$(json_field "$LOAD" "d.get('updated', 0)")' = '$SEED_COUNT' ]"
+
+LOAD=$(load_books replace import)
+assert "Replace: a second book with the same title is rejected" \
+  "[ '$(json_field "$LOAD" "'already has a book with this title' in ' '.join(d.get('errors', []))")' = 'True' ]"
+assert "Replace: rejected book is not stored" "[ '$(book_count)' = '$SEED_COUNT' ]"
+echo ""
+
+# ============================================================================
+# Test 2: UniqueWithinParent - only a merge row is checked as the record it updates
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 2: UniqueWithinParent per Load Mode ---${NC}"
+sed -i 's/^NotInFuture(publication_date)$/NotInFuture(publication_date)\nUniqueWithinParent(title, author)/' "$BOOK_MD"
+post "/api/seed/reinitialize" '{}' > /dev/null
+
+LOAD=$(load_books merge)
+assert "Merge: rows updating themselves pass" "[ '$(json_field "$LOAD" "len(d.get('errors', []))")' = '0' ]"
+
+LOAD=$(load_books replace)
+assert "Replace: rows matching stored books are duplicates" "[ '$(json_field "$LOAD" "d.get('skipped', 0)")' = '$SEED_COUNT' ]"
+
+LOAD=$(load_books replace import)
+assert "Replace: a second book with the same title is rejected" "[ '$(json_field "$LOAD" "d.get('skipped', 0)")' = '1' ]"
+assert "Book count unchanged" "[ '$(book_count)' = '$SEED_COUNT' ]"
+echo ""
+
+# ============================================================================
+# Summary
+# ============================================================================
+
+echo -e "${YELLOW}========================================${NC}"
+echo -e "  Tests: $TOTAL  |  ${GREEN}Pass: $PASS${NC}  |  ${RED}Fail: $FAIL${NC}"
+echo -e "${YELLOW}========================================${NC}"
+echo ""
+
+if [ "$FAIL" -gt 0 ]; then
+  exit 1
+else
+  echo -e "${GREEN}All tests passed!${NC}"
+  exit 0
+fi
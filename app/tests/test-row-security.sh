@@ -0,0 +1,217 @@
+#!/bin/bash
+#
+# Row-Level Security Integration Tests
+# Adds a Rows rule (publisher = :user.publisher_id) to Book for the role 'user'
+# and checks that a scoped account can neither create nor move records outside it,
+# and that merge patches are checked before the stored record is read.
+# The data model is restored afterwards.
+#
+# Usage:
+#   ADMIN_PASSWORD=<password> ./app/tests/test-row-security.sh [port]
+#
+# Prerequisites:
+#   - Book system server running with authentication on the specified port (default: 18349)
+#   - Start with: ./run -s book -p 18349
+#   - Run from the repository root
+#
+
+PORT=${1:-18349}
+BASE="http://localhost:$PORT"
+PASS=0
+FAIL=0
+TOTAL=0
+
+BOOK_MD="app/systems/book/docs/classes/Book.md"
+PUBLISHER_MD="app/systems/book/docs/classes/Publisher.md"
+ADMIN_JAR=$(mktemp)
+USER_JAR=$(mktemp)
+
+# Colors
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+YELLOW='\033[1;33m'
+NC='\033[0m' # No Color
+
+# --- Helpers ---
+
+assert() {
+  local test_name="$1"
+  local condition="$2"
+  TOTAL=$((TOTAL + 1))
+
+  if eval "$condition" 2>/dev/null; then
+    echo -e "  ${GREEN}PASS${NC} #${TOTAL}: ${test_name}"
+    PASS=$((PASS + 1))
+  else
+    echo -e "  ${RED}FAIL${NC} #${TOTAL}: ${test_name}"
+    FAIL=$((FAIL + 1))
+  fi
+}
+
+# curl wrappers with a session cookie jar: <jar> <path> [json body]
+get() {
+  curl -s -b "$1" "$BASE$2"
+}
+
+post() {
+  curl -s -b "$1" -c "$1" -X POST "$BASE$2" -H 'Content-Type: application/json' -d "$3"
+}
+
+# HTTP status of a request: <jar> <method> <path> [json body]
+status() {
+  curl -s -o /dev/null -w "%{http_code}" -b "$1" -X "$2" "$BASE$3" -H 'Content-Type: application/json' ${4:+-d "$4"}
+}
+
+# Extract JSON field using python
+json_field() {
+  echo "$1" | python3 -c "import sys,json; d=json.load(sys.stdin); print($2)"
+}
+
+# SHA-256 of a password (the client-side hash the login expects)
+sha256() {
+  python3 -c "import hashlib,sys; print(hashlib.sha256(sys.argv[1].encode()).hexdigest())" "$1"
+}
+
+# Check if server is reachable
+echo ""
+echo -e "${YELLOW}=== Row-Level Security Integration Tests ===${NC}"
+echo "Target: $BASE"
+echo ""
+
+if [ -z "$ADMIN_PASSWORD" ]; then
+  echo -e "${RED}ERROR: ADMIN_PASSWORD is not set${NC}"
+  exit 1
+fi
+
+post "$ADMIN_JAR" "/api/auth/login" "{\"role\":\"admin\",\"hash\":\"$(sha256 "$ADMIN_PASSWORD")\"}" > /dev/null
+HEALTH=$(curl -s -o /dev/null -w "%{http_code}" -b "$ADMIN_JAR" "$BASE/api/seed/status")
+if [ "$HEALTH" != "200" ]; then
+  echo -e "${RED}ERROR: Admin login failed or server not reachable at $BASE (HTTP $HEALTH)${NC}"
+  echo "Start the book server first: ./run -s book -p $PORT"
+  exit 1
+fi
+
+echo -e "${GREEN}Server reachable, logged in as admin.${NC}"
+echo ""
+
+# Keep the original data model; restored (and reloaded) on exit
+cp "$BOOK_MD" "$BOOK_MD.orig"
+cp "$PUBLISHER_MD" "$PUBLISHER_MD.orig"
+restore_files() {
+  mv "$BOOK_MD.orig" "$BOOK_MD"
+  mv "$PUBLISHER_MD.orig" "$PUBLISHER_MD"
+  post "$ADMIN_JAR" "/api/seed/reinitialize" '{}' > /dev/null
+  rm -f "$ADMIN_JAR" "$USER_JAR"
+}
+trap restore_files EXIT
+
+# ============================================================================
+# Setup: seed data, row rule, scoped account
+# ============================================================================
+
+echo -e "${YELLOW}--- Setup ---${NC}"
+post "$ADMIN_JAR" "/api/seed/reset-all" '{}' > /dev/null
+
+sed -i 's/^## Constraints$/## Permissions\n\n| Role | Read | Create | Update | Delete | Rows |\n|------|------|--------|--------|--------|------|\n| user | yes  | yes    | yes    | yes    | `publisher = :user.publisher_id` |\n\n## Constraints/' "$BOOK_MD"
+# Publisher is read-only for the role 'user'
+sed -i 's/^## Data Generator$/## Permissions\n\n| Role | Read | Create | Update | Delete |\n|------|------|--------|--------|--------|\n| user | yes  | no     | no     | no     |\n\n## Data Generator/' "$PUBLISHER_MD"
+REINIT=$(post "$ADMIN_JAR" "/api/seed/reinitialize" '{}')
+assert "Reinitialize with row rule succeeds" "[ '$(json_field "$REINIT" "d.get('success', False)")' = 'True' ]"
+
+PUBLISHERS=$(get "$ADMIN_JAR" "/api/entities/Publisher")
+OWN_PUB=$(json_field "$PUBLISHERS" "[p['id'] for p in d['data'] if p['name'] == 'Kodansha'][0]")
+OTHER_PUB=$(json_field "$PUBLISHERS" "[p['id'] for p in d['data'] if p['name'] == 'Penguin Random House'][0]")
+AUTHOR_ID=$(json_field "$(get "$ADMIN_JAR" "/api/entities/Author")" "d['data'][0]['id']")
+
+USERNAME="rls-test-$$"
+post "$ADMIN_JAR" "/api/admin/users" "{\"username\":\"$USERNAME\",\"role\":\"user\",\"hash\":\"$(sha256 secret)\",\"attributes\":{\"publisher_id\":$OWN_PUB}}" > /dev/null
+post "$USER_JAR" "/api/auth/login" "{\"username\":\"$USERNAME\",\"hash\":\"$(sha256 secret)\"}" > /dev/null
+
+BOOKS=$(get "$ADMIN_JAR" "/api/entities/Book")
+BOOK_COUNT=$(json_field "$BOOKS" "d.get('totalCount', 0)")
+OWN_BOOK=$(json_field "$BOOKS" "[b['id'] for b in d['data'] if b['publisher_id'] == $OWN_PUB][0]")
+OTHER_BOOK=$(json_field "$BOOKS" "[b['id'] for b in d['data'] if b['publisher_id'] == $OTHER_PUB][0]")
+
+VISIBLE=$(json_field "$(get "$USER_JAR" "/api/entities/Book")" "{b['publisher_id'] for b in d['data']} == {$OWN_PUB}")
+assert "Scoped user only sees own publisher's books" "[ '$VISIBLE' = 'True' ]"
+echo ""
+
+# ============================================================================
+# Test 1: Create outside the row rule
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 1: Create ---${NC}"
+new_book() {
+  echo "{\"title\":\"RLS Test\",\"isbn\":\"$1\",\"publication_date\":\"2020-01-01\",\"price\":9.99,\"page_count\":100,\"is_available\":true,\"genre\":\"FIC\",\"binding\":\"PB\",\"condition\":1,\"author_id\":$AUTHOR_ID,\"publisher_id\":$2}"
+}
+
+CODE=$(status "$USER_JAR" POST "/api/entities/Book" "$(new_book 978-0-00-000010-0 "$OTHER_PUB")")
+assert "Create outside the row rule returns 404" "[ '$CODE' = '404' ]"
+AFTER=$(json_field "$(get "$ADMIN_JAR" "/api/entities/Book")" "d.get('totalCount', 0)")
+assert "Create outside the row rule is rolled back" "[ '$AFTER' = '$BOOK_COUNT' ]"
+
+CODE=$(status "$USER_JAR" POST "/api/entities/Book" "$(new_book 978-0-00-000011-0 "$OWN_PUB")")
+assert "Create inside the row rule returns 201" "[ '$CODE' = '201' ]"
+
+BATCH="{\"operations\":[{\"op\":\"create\",\"entity\":\"Book\",\"data\":$(new_book 978-0-00-000012-0 "$OTHER_PUB")}]}"
+CODE=$(status "$USER_JAR" POST "/api/entities/_batch" "$BATCH")
+assert "Batch create outside the row rule returns 404" "[ '$CODE' = '404' ]"
+echo ""
+
+# ============================================================================
+# Test 2: Update moving a record out of the row rule
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 2: Update ---${NC}"
+CODE=$(status "$USER_JAR" PUT "/api/entities/Book/$OWN_BOOK" "{\"publisher_id\":$OTHER_PUB}")
+assert "Update out of the row rule returns 404" "[ '$CODE' = '404' ]"
+STORED=$(json_field "$(get "$ADMIN_JAR" "/api/entities/Book/$OWN_BOOK")" "d['publisher_id']")
+assert "Update out of the row rule is rolled back" "[ '$STORED' = '$OWN_PUB' ]"
+
+CODE=$(status "$USER_JAR" PATCH "/api/entities/Book/$OWN_BOOK" "{\"publisher_id\":$OTHER_PUB}")
+assert "Patch out of the row rule returns 404" "[ '$CODE' = '404' ]"
+
+BATCH="{\"operations\":[{\"op\":\"update\",\"entity\":\"Book\",\"id\":$OWN_BOOK,\"data\":{\"publisher_id\":$OTHER_PUB}}]}"
+CODE=$(status "$USER_JAR" POST "/api/entities/_batch" "$BATCH")
+assert "Batch update out of the row rule returns 404" "[ '$CODE' = '404' ]"
+
+CODE=$(status "$USER_JAR" PATCH "/api/entities/Book/$OWN_BOOK" '{"price":19.99}')
+assert "Update inside the row rule returns 200" "[ '$CODE' = '200' ]"
+
+CODE=$(status "$USER_JAR" PATCH "/api/entities/Book/$OTHER_BOOK" '{"price":19.99}')
+assert "Update of an invisible record returns 404" "[ '$CODE' = '404' ]"
+echo ""
+
+# ============================================================================
+# Test 3: Merge patch checks permissions and row rules first
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 3: Merge Patch ---${NC}"
+CODE=$(status "$USER_JAR" PATCH "/api/entities/Book/$OTHER_BOOK" '{"no_such_field":1}')
+assert "Invalid patch of an invisible record returns 404" "[ '$CODE' = '404' ]"
+
+CODE=$(status "$USER_JAR" PATCH "/api/entities/Publisher/$OWN_PUB" '{"no_such_field":1}')
+assert "Invalid patch without update permission returns 403" "[ '$CODE' = '403' ]"
+
+CODE=$(status "$USER_JAR" PATCH "/api/entities/Publisher/999999" '{"no_such_field":1}')
+assert "Patch of a missing record without update permission returns 403" "[ '$CODE' = '403' ]"
+
+CODE=$(status "$USER_JAR" PATCH "/api/entities/Book/$OWN_BOOK" '{"no_such_field":1}')
+assert "Invalid patch of a visible record returns 400" "[ '$CODE' = '400' ]"
+echo ""
+
+# ============================================================================
+# Summary
+# ============================================================================
+
+echo -e "${YELLOW}========================================${NC}"
+echo -e "  Tests: $TOTAL  |  ${GREEN}Pass: $PASS${NC}  |  ${RED}Fail: $FAIL${NC}"
+echo -e "${YELLOW}========================================${NC}"
+echo ""
+
+if [ "$FAIL" -gt 0 ]; then
+  exit 1
+else
+  echo -e "${GREEN}All tests passed!${NC}"
+  exit 0
+fi
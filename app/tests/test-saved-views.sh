@@ -0,0 +1,254 @@
+#!/bin/bash
+#
+# Saved Views Integration Tests
+# Creates user accounts via /api/admin/users and checks who may see and change
+# saved views (/api/saved-views): private views stay with their owner, views
+# shared with a role are read-only for its other users (403 ForbiddenError on
+# change), admins may change every view, and the owner's default wins.
+# The accounts and saved views created here are deleted afterwards.
+#
+# Usage:
+#   ADMIN_PASSWORD=<password> ./app/tests/test-saved-views.sh [port]
+#
+# Prerequisites:
+#   - Book system server running with authentication on the specified port (default: 18349)
+#   - Start with: ./run -s book -p 18349
+#   - Run from the repository root
+#
+
+PORT=${1:-18349}
+BASE="http://localhost:$PORT"
+PASS=0
+FAIL=0
+TOTAL=0
+
+ADMIN_JAR=$(mktemp)
+OWNER_JAR=$(mktemp)
+COLLEAGUE_JAR=$(mktemp)
+GUEST_JAR=$(mktemp)
+PREFIX="sv-test-$$"
+
+# Colors
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+YELLOW='\033[1;33m'
+NC='\033[0m' # No Color
+
+# --- Helpers ---
+
+assert() {
+  local test_name="$1"
+  local condition="$2"
+  TOTAL=$((TOTAL + 1))
+
+  if eval "$condition" 2>/dev/null; then
+    echo -e "  ${GREEN}PASS${NC} #${TOTAL}: ${test_name}"
+    PASS=$((PASS + 1))
+  else
+    echo -e "  ${RED}FAIL${NC} #${TOTAL}: ${test_name}"
+    FAIL=$((FAIL + 1))
+  fi
+}
+
+# curl wrappers with a session cookie jar: <jar> <path> [json body]
+get() {
+  curl -s -b "$1" "$BASE$2"
+}
+
+post() {
+  curl -s -b "$1" -c "$1" -X POST "$BASE$2" -H 'Content-Type: application/json' -d "$3"
+}
+
+# Request with body and HTTP status on the last line: <jar> <method> <path> [json body]
+request() {
+  curl -s -w "\n%{http_code}" -b "$1" -X "$2" "$BASE$3" -H 'Content-Type: application/json' ${4:+-d "$4"}
+}
+
+# HTTP status of a request: <jar> <method> <path> [json body]
+status() {
+  request "$@" | tail -1
+}
+
+# Extract JSON field using python
+json_field() {
+  echo "$1" | python3 -c "import sys,json; d=json.load(sys.stdin); print($2)"
+}
+
+# SHA-256 of a password (the client-side hash the login expects)
+sha256() {
+  python3 -c "import hashlib,sys; print(hashlib.sha256(sys.argv[1].encode()).hexdigest())" "$1"
+}
+
+# Create an account and log it in: <jar> <username> <role>
+account() {
+  post "$ADMIN_JAR" "/api/admin/users" "{\"username\":\"$2\",\"role\":\"$3\",\"hash\":\"$(sha256 secret)\"}" > /dev/null
+  post "$1" "/api/auth/login" "{\"username\":\"$2\",\"hash\":\"$(sha256 secret)\"}" > /dev/null
+}
+
+# Save a Book view: <jar> <name> [extra JSON fields]; prints the new id
+save_view() {
+  json_field "$(post "$1" "/api/saved-views" "{\"targetType\":\"entity\",\"target\":\"Book\",\"name\":\"$2\",\"state\":{\"sort\":[{\"column\":\"price\",\"order\":\"desc\"}],\"filters\":{\"genre\":\"FIC\"}}${3:+,$3}}")" "d.get('id')"
+}
+
+# Ids of the Book views a session can see (space-separated)
+visible_ids() {
+  json_field "$(get "$1" "/api/saved-views?type=entity&target=Book")" "' '.join(str(v['id']) for v in d['data'])"
+}
+
+# Default Book view of a session
+default_id() {
+  json_field "$(get "$1" "/api/saved-views?type=entity&target=Book")" "d['defaultId']"
+}
+
+# Check if server is reachable
+echo ""
+echo -e "${YELLOW}=== Saved Views Integration Tests ===${NC}"
+echo "Target: $BASE"
+echo ""
+
+if [ -z "$ADMIN_PASSWORD" ]; then
+  echo -e "${RED}ERROR: ADMIN_PASSWORD is not set${NC}"
+  exit 1
+fi
+
+post "$ADMIN_JAR" "/api/auth/login" "{\"role\":\"admin\",\"hash\":\"$(sha256 "$ADMIN_PASSWORD")\"}" > /dev/null
+HEALTH=$(curl -s -o /dev/null -w "%{http_code}" -b "$ADMIN_JAR" "$BASE/api/admin/users")
+if [ "$HEALTH" != "200" ]; then
+  echo -e "${RED}ERROR: Admin login failed or server not reachable at $BASE (HTTP $HEALTH)${NC}"
+  echo "Start the book server first: ./run -s book -p $PORT"
+  exit 1
+fi
+
+echo -e "${GREEN}Server reachable, logged in as admin.${NC}"
+echo ""
+
+# Delete the saved views and accounts created by this run on exit
+cleanup() {
+  local ids
+  for id in $PRIVATE_ID $SHARED_ID $OWN_DEFAULT $OTHER_PRIVATE_ID; do
+    curl -s -o /dev/null -b "$ADMIN_JAR" -X DELETE "$BASE/api/saved-views/$id"
+  done
+  ids=$(json_field "$(get "$ADMIN_JAR" "/api/admin/users")" "' '.join(str(u['id']) for u in d['data'] if u['username'].startswith('$PREFIX'))")
+  for id in $ids; do
+    curl -s -o /dev/null -b "$ADMIN_JAR" -X DELETE "$BASE/api/admin/users/$id"
+  done
+  rm -f "$ADMIN_JAR" "$OWNER_JAR" "$COLLEAGUE_JAR" "$GUEST_JAR"
+}
+trap cleanup EXIT
+
+account "$OWNER_JAR" "$PREFIX-owner" user
+account "$COLLEAGUE_JAR" "$PREFIX-colleague" user
+account "$GUEST_JAR" "$PREFIX-guest" guest
+
+# ============================================================================
+# Test 1: Own saved views
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 1: Own Saved Views ---${NC}"
+PRIVATE_ID=$(save_view "$OWNER_JAR" "Private")
+assert "Saved view created" "[ -n '$PRIVATE_ID' ] && [ '$PRIVATE_ID' != 'None' ]"
+VIEW=$(get "$OWNER_JAR" "/api/saved-views/$PRIVATE_ID")
+assert "Owner is the account" "[ '$(json_field "$VIEW" "d['owner'] + ',' + str(d['own'])")' = '$PREFIX-owner,True' ]"
+assert "State is stored" "[ '$(json_field "$VIEW" "d['state']['sort'][0]['column'] + ',' + d['state']['filters']['genre']")' = 'price,FIC' ]"
+assert "Same name for the same target returns 409" \
+  "[ '$(status "$OWNER_JAR" POST "/api/saved-views" '{"targetType":"entity","target":"Book","name":"Private","state":{}}')' = '409' ]"
+RESPONSE=$(request "$COLLEAGUE_JAR" POST "/api/saved-views" '{"targetType":"entity","target":"Book","name":"Private","state":{}}')
+OTHER_PRIVATE_ID=$(json_field "$(echo "$RESPONSE" | sed '$d')" "d.get('id')")
+assert "Same name of another owner is allowed" "[ '$(echo "$RESPONSE" | tail -1)' = '201' ]"
+assert "Unknown target returns 400" \
+  "[ '$(status "$OWNER_JAR" POST "/api/saved-views" '{"targetType":"entity","target":"NoSuchEntity","name":"X","state":{}}')' = '400' ]"
+assert "Unknown shared role returns 400" \
+  "[ '$(status "$OWNER_JAR" POST "/api/saved-views" '{"targetType":"entity","target":"Book","name":"X","state":{},"sharedRoles":["staff"]}')' = '400' ]"
+echo ""
+
+# ============================================================================
+# Test 2: Private saved views
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 2: Private Saved Views ---${NC}"
+assert "Private view is not listed for others" "! echo ' $(visible_ids "$COLLEAGUE_JAR") ' | grep -q ' $PRIVATE_ID '"
+assert "Private view cannot be read by others (404)" "[ '$(status "$COLLEAGUE_JAR" GET "/api/saved-views/$PRIVATE_ID")' = '404' ]"
+assert "Private view cannot be changed by others (404)" \
+  "[ '$(status "$COLLEAGUE_JAR" PUT "/api/saved-views/$PRIVATE_ID" '{"name":"Taken"}')' = '404' ]"
+assert "Private view cannot be deleted by others (404)" "[ '$(status "$COLLEAGUE_JAR" DELETE "/api/saved-views/$PRIVATE_ID")' = '404' ]"
+echo ""
+
+# ============================================================================
+# Test 3: Shared saved views
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 3: Shared Saved Views ---${NC}"
+SHARED_ID=$(save_view "$OWNER_JAR" "Shared" '"sharedRoles":["user"]')
+assert "View shared with the role is listed" "echo ' $(visible_ids "$COLLEAGUE_JAR") ' | grep -q ' $SHARED_ID '"
+VIEW=$(get "$COLLEAGUE_JAR" "/api/saved-views/$SHARED_ID")
+assert "Shared view is readable and marked as not own" \
+  "[ '$(json_field "$VIEW" "d['owner'] + ',' + str(d['own'])")' = '$PREFIX-owner,False' ]"
+
+RESPONSE=$(request "$COLLEAGUE_JAR" PUT "/api/saved-views/$SHARED_ID" '{"name":"Taken"}')
+assert "Shared view cannot be changed by others (403)" "[ '$(echo "$RESPONSE" | tail -1)' = '403' ]"
+assert "Change is refused with ForbiddenError" \
+  "[ '$(json_field "$(echo "$RESPONSE" | sed '$d')" "d['error']['code'] + ': ' + d['error']['message']")' = 'ForbiddenError: Shared saved views can only be changed by their owner' ]"
+assert "Shared view cannot be re-shared by others (403)" \
+  "[ '$(status "$COLLEAGUE_JAR" PUT "/api/saved-views/$SHARED_ID" '{"sharedRoles":["guest"]}')' = '403' ]"
+assert "Shared view cannot be deleted by others (403)" "[ '$(status "$COLLEAGUE_JAR" DELETE "/api/saved-views/$SHARED_ID")' = '403' ]"
+assert "Shared view is unchanged" \
+  "[ '$(json_field "$(get "$OWNER_JAR" "/api/saved-views/$SHARED_ID")" "d['name'] + ',' + ','.join(d['shared_roles'])")' = 'Shared,user' ]"
+
+assert "View is not listed for other roles" "! echo ' $(visible_ids "$GUEST_JAR") ' | grep -q ' $SHARED_ID '"
+assert "Other roles cannot read it (404)" "[ '$(status "$GUEST_JAR" GET "/api/saved-views/$SHARED_ID")' = '404' ]"
+assert "Other roles cannot change it (404)" "[ '$(status "$GUEST_JAR" PUT "/api/saved-views/$SHARED_ID" '{"name":"Taken"}')' = '404' ]"
+
+assert "Owner may share with another role" \
+  "[ '$(status "$OWNER_JAR" PUT "/api/saved-views/$SHARED_ID" '{"sharedRoles":["user","guest"]}')' = '200' ]"
+assert "Newly shared role sees it" "[ '$(status "$GUEST_JAR" GET "/api/saved-views/$SHARED_ID")' = '200' ]"
+assert "Owner may stop sharing" "[ '$(status "$OWNER_JAR" PUT "/api/saved-views/$SHARED_ID" '{"sharedRoles":[]}')' = '200' ]"
+assert "Unshared view is gone for others" "[ '$(status "$COLLEAGUE_JAR" GET "/api/saved-views/$SHARED_ID")' = '404' ]"
+echo ""
+
+# ============================================================================
+# Test 4: Defaults
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 4: Defaults ---${NC}"
+put_default() {
+  status "$1" PUT "/api/saved-views/$2" "{\"isDefault\":true${3:+,\"sharedRoles\":$3}}"
+}
+put_default "$OWNER_JAR" "$SHARED_ID" '["user"]' > /dev/null
+assert "Shared default applies to other users" "[ '$(default_id "$COLLEAGUE_JAR")' = '$SHARED_ID' ]"
+OWN_DEFAULT=$(save_view "$COLLEAGUE_JAR" "Mine" '"isDefault":true')
+assert "Own default wins over a shared one" "[ '$(default_id "$COLLEAGUE_JAR")' = '$OWN_DEFAULT' ]"
+assert "Another user's default leaves the owner's alone" "[ '$(default_id "$OWNER_JAR")' = '$SHARED_ID' ]"
+put_default "$OWNER_JAR" "$PRIVATE_ID" > /dev/null
+assert "New default replaces the owner's previous one" \
+  "[ '$(default_id "$OWNER_JAR")' = '$PRIVATE_ID' ] && [ '$(json_field "$(get "$OWNER_JAR" "/api/saved-views/$SHARED_ID")" "d['is_default']")' = 'False' ]"
+echo ""
+
+# ============================================================================
+# Test 5: Admin
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 5: Admin ---${NC}"
+assert "Admin does not see private views of others" "[ '$(status "$ADMIN_JAR" GET "/api/saved-views/$PRIVATE_ID")' = '404' ]"
+assert "Admin may change any view" "[ '$(status "$ADMIN_JAR" PUT "/api/saved-views/$PRIVATE_ID" '{"name":"Renamed"}')' = '200' ]"
+assert "Admin change keeps the owner" \
+  "[ '$(json_field "$(get "$OWNER_JAR" "/api/saved-views/$PRIVATE_ID")" "d['name'] + ',' + d['owner']")' = 'Renamed,$PREFIX-owner' ]"
+assert "Admin may delete any view" "[ '$(status "$ADMIN_JAR" DELETE "/api/saved-views/$PRIVATE_ID")' = '200' ]"
+assert "Deleted view is gone" "[ '$(status "$OWNER_JAR" GET "/api/saved-views/$PRIVATE_ID")' = '404' ]"
+assert "Owner may delete their own view" "[ '$(status "$OWNER_JAR" DELETE "/api/saved-views/$SHARED_ID")' = '200' ]"
+echo ""
+
+# ============================================================================
+# Summary
+# ============================================================================
+
+echo -e "${YELLOW}========================================${NC}"
+echo -e "  Tests: $TOTAL  |  ${GREEN}Pass: $PASS${NC}  |  ${RED}Fail: $FAIL${NC}"
+echo -e "${YELLOW}========================================${NC}"
+echo ""
+
+if [ "$FAIL" -gt 0 ]; then
+  exit 1
+else
+  echo -e "${GREEN}All tests passed!${NC}"
+  exit 0
+fi
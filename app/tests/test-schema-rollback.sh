@@ -0,0 +1,229 @@
+#!/bin/bash
+#
+# Schema Rollback Integration Tests
+# Renames an attribute twice with [WAS=...] and rolls back across both renames,
+# in place and with recreated tables, and checks that a failing migration leaves
+# the previous schema in place, against the Book system. The data model and seed files are restored afterwards.
+#
+# Usage:
+#   ./app/tests/test-schema-rollback.sh [port]
+#
+# Prerequisites:
+#   - Book system server running on the specified port (default: 18349)
+#   - Start with: ./run -s book -p 18349 --noauth
+#   - Run from the repository root
+#
+
+PORT=${1:-18349}
+BASE="http://localhost:$PORT"
+PASS=0
+FAIL=0
+TOTAL=0
+
+AUTHOR_MD="app/systems/book/docs/classes/Author.md"
+AUTHOR_SEED="app/systems/book/data/seed/Author.json"
+
+# Colors
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+YELLOW='\033[1;33m'
+NC='\033[0m' # No Color
+
+# --- Helpers ---
+
+assert() {
+  local test_name="$1"
+  local condition="$2"
+  TOTAL=$((TOTAL + 1))
+
+  if eval "$condition" 2>/dev/null; then
+    echo -e "  ${GREEN}PASS${NC} #${TOTAL}: ${test_name}"
+    PASS=$((PASS + 1))
+  else
+    echo -e "  ${RED}FAIL${NC} #${TOTAL}: ${test_name}"
+    FAIL=$((FAIL + 1))
+  fi
+}
+
+# curl wrapper: GET
+get() {
+  curl -s "$BASE$1"
+}
+
+# curl wrapper: POST with JSON body
+post() {
+  curl -s -X POST "$BASE$1" -H 'Content-Type: application/json' -d "$2"
+}
+
+# Extract JSON field using python
+json_field() {
+  echo "$1" | python3 -c "import sys,json; d=json.load(sys.stdin); print($2)"
+}
+
+# Number of authors with a value in the given attribute
+authors_with() {
+  json_field "$(get "/api/entities/Author")" "len([a for a in d.get('data', []) if a.get('$1')])"
+}
+
+# Number of Author seed records carrying the given key
+seed_records_with() {
+  python3 -c "import json; print(len([r for r in json.load(open('$AUTHOR_SEED')) if '$1' in r]))"
+}
+
+# Id of the newest schema version
+latest_version() {
+  json_field "$(get "/api/seed/schema-history")" "d['data'][0]['id']"
+}
+
+# Check if server is reachable
+echo ""
+echo -e "${YELLOW}=== Schema Rollback Integration Tests ===${NC}"
+echo "Target: $BASE"
+echo ""
+
+HEALTH=$(curl -s -o /dev/null -w "%{http_code}" "$BASE/api/seed/status")
+if [ "$HEALTH" != "200" ]; then
+  echo -e "${RED}ERROR: Server not reachable at $BASE (HTTP $HEALTH)${NC}"
+  echo "Start the book server first: ./run -s book -p $PORT --noauth"
+  exit 1
+fi
+
+echo -e "${GREEN}Server reachable.${NC}"
+echo ""
+
+# Keep the original data model and seed file; restored on exit
+cp "$AUTHOR_MD" "$AUTHOR_MD.orig"
+cp "$AUTHOR_SEED" "$AUTHOR_SEED.orig"
+restore_files() {
+  mv "$AUTHOR_MD.orig" "$AUTHOR_MD"
+  mv "$AUTHOR_SEED.orig" "$AUTHOR_SEED"
+}
+trap restore_files EXIT
+
+# ============================================================================
+# Setup: seed data on the original schema
+# ============================================================================
+
+echo -e "${YELLOW}--- Setup: Reset All ---${NC}"
+post "/api/seed/reset-all" '{}' > /dev/null
+V1=$(latest_version)
+BIO_COUNT=$(authors_with "bio")
+assert "Authors with bio > 0" "[ '$BIO_COUNT' -gt 0 ]"
+echo ""
+
+# ============================================================================
+# Test 1: Rename bio -> biography -> life
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 1: Renames with [WAS=...] ---${NC}"
+sed -i 's/^| bio | json \[OPTIONAL\] | Structured biographical data |/| biography | json [OPTIONAL] | Structured biographical data [WAS=bio] |/' "$AUTHOR_MD"
+REINIT=$(post "/api/seed/reinitialize" '{}')
+assert "Rename to biography applied in place" "[ '$(json_field "$REINIT" "d.get('strategy')")' = 'incremental' ]"
+assert "Reinitialize reports the renamed seed file" "[ '$(json_field "$REINIT" "'seed/Author.json' in d.get('renamedFiles', [])")' = 'True' ]"
+assert "Reinitialize message names the renamed seed file" "[ '$(json_field "$REINIT" "'renamed in seed/Author.json' in d.get('message', '')")' = 'True' ]"
+
+sed -i 's/^| biography | json \[OPTIONAL\] | Structured biographical data \[WAS=bio\] |/| life | json [OPTIONAL] | Structured biographical data [WAS=biography] |/' "$AUTHOR_MD"
+REINIT=$(post "/api/seed/reinitialize" '{}')
+assert "Rename to life applied in place" "[ '$(json_field "$REINIT" "d.get('strategy')")' = 'incremental' ]"
+
+assert "Values kept under life" "[ '$(authors_with "life")' = '$BIO_COUNT' ]"
+assert "Seed file uses life" "[ '$(seed_records_with "life")' -gt 0 ] && [ '$(seed_records_with "bio")' = '0' ]"
+echo ""
+
+# ============================================================================
+# Test 2: Rollback plan across both renames
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 2: Rollback Plan ---${NC}"
+PLAN=$(get "/api/seed/schema-history/$V1/plan")
+assert "Rollback plan is incremental" "[ '$(json_field "$PLAN" "d.get('strategy')")' = 'incremental' ]"
+assert "Rollback plan renames life back to bio" \
+  "[ '$(json_field "$PLAN" "','.join(o['from'] + ':' + o['column'] for o in d['operations'] if o['action'] == 'renameColumn')")' = 'life:bio' ]"
+assert "Rollback plan has no table rebuild" \
+  "[ '$(json_field "$PLAN" "len([o for o in d['operations'] if o['action'] == 'rebuildTable'])")' = '0' ]"
+echo ""
+
+# ============================================================================
+# Test 3: Rollback keeps the values
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 3: Rollback ---${NC}"
+ROLLBACK=$(post "/api/seed/schema-history/$V1/rollback" '{}')
+assert "Rollback succeeds" "[ '$(json_field "$ROLLBACK" "d.get('success', False)")' = 'True' ]"
+assert "Rollback applied in place" "[ '$(json_field "$ROLLBACK" "d.get('strategy')")' = 'incremental' ]"
+assert "Rollback reports the renamed seed file" "[ '$(json_field "$ROLLBACK" "'seed/Author.json' in d.get('renamedFiles', [])")' = 'True' ]"
+assert "Values back under bio" "[ '$(authors_with "bio")' = '$BIO_COUNT' ]"
+assert "Seed file uses bio again" "[ '$(seed_records_with "bio")' -gt 0 ] && [ '$(seed_records_with "life")' = '0' ]"
+echo ""
+
+# ============================================================================
+# Test 4: Rollback that recreates the tables restores renamed values
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 4: Destructive Rollback ---${NC}"
+cp "$AUTHOR_MD.orig" "$AUTHOR_MD"
+sed -i 's/^| bio | json \[OPTIONAL\] | Structured biographical data |/| biography | json [OPTIONAL] | Structured biographical data [WAS=bio] |/' "$AUTHOR_MD"
+sed -i 's/^| is_active |/| note | string [OPTIONAL] | Internal note | Met at fair |\n| is_active |/' "$AUTHOR_MD"
+REINIT=$(post "/api/seed/reinitialize" '{}')
+assert "Rename plus new attribute applied in place" "[ '$(json_field "$REINIT" "d.get('strategy')")' = 'incremental' ]"
+
+# A value in the new attribute makes the rollback destructive
+AUTHOR_ID=$(json_field "$(get "/api/entities/Author")" "d['data'][0]['id']")
+curl -s -X PATCH "$BASE/api/entities/Author/$AUTHOR_ID" -H 'Content-Type: application/merge-patch+json' -d '{"note":"Met at fair"}' > /dev/null
+PLAN=$(get "/api/seed/schema-history/$V1/plan")
+assert "Rollback plan recreates the tables" "[ '$(json_field "$PLAN" "d.get('strategy')")' = 'rebuild' ]"
+
+ROLLBACK=$(post "/api/seed/schema-history/$V1/rollback" '{"allowDestructive":true}')
+assert "Destructive rollback succeeds" "[ '$(json_field "$ROLLBACK" "d.get('success', False)")' = 'True' ]"
+assert "Values restored under bio" "[ '$(authors_with "bio")' = '$BIO_COUNT' ]"
+echo ""
+
+# ============================================================================
+# Test 5: A failing migration keeps the previous schema
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 5: Failing Migration ---${NC}"
+cp "$AUTHOR_MD.orig" "$AUTHOR_MD"
+cp "$AUTHOR_SEED.orig" "$AUTHOR_SEED"
+post "/api/seed/reinitialize" '{"allowDestructive":true}' > /dev/null
+post "/api/seed/reset-all" '{}' > /dev/null
+# "group" is an SQL keyword: the plan is valid, the ALTER TABLE fails
+sed -i 's/^| bio | json \[OPTIONAL\] | Structured biographical data |/| group | json [OPTIONAL] | Structured biographical data [WAS=bio] |/' "$AUTHOR_MD"
+PLAN=$(get "/api/seed/reinitialize/plan")
+assert "Plan renames bio in place" "[ '$(json_field "$PLAN" "d.get('strategy')")' = 'incremental' ]"
+
+REINIT=$(post "/api/seed/reinitialize" '{}')
+assert "Failing migration is reported" "[ '$(json_field "$REINIT" "d.get('success')")' = 'False' ]"
+assert "Entity list still served with bio" "[ '$(authors_with "bio")' = '$BIO_COUNT' ]"
+CODE=$(curl -s -o /dev/null -w "%{http_code}" -G "$BASE/api/entities/Author" --data-urlencode "where=bio IS NOT NULL")
+assert "Schema still has bio (filter accepted)" "[ '$CODE' = '200' ]"
+
+AUTHOR_ID=$(json_field "$(get "/api/entities/Author")" "d['data'][0]['id']")
+CODE=$(curl -s -o /dev/null -w "%{http_code}" -X PATCH "$BASE/api/entities/Author/$AUTHOR_ID" -H 'Content-Type: application/merge-patch+json' -d '{"home_country":"Japan"}')
+assert "Records can still be updated" "[ '$CODE' = '200' ]"
+
+# Copy of a stored book with a new ISBN and an author that does not exist
+BOOK=$(get "/api/entities/Book" | python3 -c "import sys,json; b=json.load(sys.stdin)['data'][0]; print(json.dumps({**{k: v for k, v in b.items() if not k.startswith('_') and k != 'id'}, 'isbn': '978-0-00-000030-0', 'author_id': 999999}))")
+CODE=$(curl -s -o /dev/null -w "%{http_code}" -X POST "$BASE/api/entities/Book" -H 'Content-Type: application/json' -d "$BOOK")
+assert "Foreign keys are enforced again" "[ '$CODE' = '409' ]"
+
+cp "$AUTHOR_MD.orig" "$AUTHOR_MD"
+REINIT=$(post "/api/seed/reinitialize" '{}')
+assert "Reinitialize with the original model has no changes" "[ '$(json_field "$REINIT" "len([o for o in d.get('operations', []) if o['action'] != 'regenerateViews'])")' = '0' ]"
+echo ""
+
+# ============================================================================
+# Summary
+# ============================================================================
+
+echo -e "${YELLOW}========================================${NC}"
+echo -e "  Tests: $TOTAL  |  ${GREEN}Pass: $PASS${NC}  |  ${RED}Fail: $FAIL${NC}"
+echo -e "${YELLOW}========================================${NC}"
+echo ""
+
+if [ "$FAIL" -gt 0 ]; then
+  exit 1
+else
+  echo -e "${GREEN}All tests passed!${NC}"
+  exit 0
+fi
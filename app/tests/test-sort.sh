@@ -0,0 +1,156 @@
+#!/bin/bash
+#
+# Multi-Key Sort Integration Tests
+# Sorts /api/entities/Book with ?sort= in the comma, space and colon syntax,
+# as repeated parameters, with default orders, unknown and repeated keys, an
+# explicit id key and more than the maximum of 8 keys.
+#
+# Usage:
+#   ./app/tests/test-sort.sh [port]
+#
+# Prerequisites:
+#   - Book system server running on the specified port (default: 18349)
+#   - Start with: ./run -s book -p 18349 --noauth
+#   - Run from the repository root
+#
+
+PORT=${1:-18349}
+BASE="http://localhost:$PORT"
+PASS=0
+FAIL=0
+TOTAL=0
+
+# Colors
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+YELLOW='\033[1;33m'
+NC='\033[0m' # No Color
+
+# --- Helpers ---
+
+assert() {
+  local test_name="$1"
+  local condition="$2"
+  TOTAL=$((TOTAL + 1))
+
+  if eval "$condition" 2>/dev/null; then
+    echo -e "  ${GREEN}PASS${NC} #${TOTAL}: ${test_name}"
+    PASS=$((PASS + 1))
+  else
+    echo -e "  ${RED}FAIL${NC} #${TOTAL}: ${test_name}"
+    FAIL=$((FAIL + 1))
+  fi
+}
+
+# curl wrapper: GET
+get() {
+  curl -s "$BASE$1"
+}
+
+# curl wrapper: POST with JSON body
+post() {
+  curl -s -X POST "$BASE$1" -H 'Content-Type: application/json' -d "$2"
+}
+
+# Extract JSON field using python
+json_field() {
+  echo "$1" | python3 -c "import sys,json; d=json.load(sys.stdin); print($2)"
+}
+
+# Book ids in the returned order: <query string>
+sorted_ids() {
+  json_field "$(get "/api/entities/Book?$1")" "','.join(str(b['id']) for b in d['data'])"
+}
+
+# Book ids ordered by python sort passes, applied last key first: <key:reverse> ...
+# ("genre:0 price:1" = genre ascending, then price descending)
+expected_ids() {
+  json_field "$ALL_BOOKS" "(lambda rows: ','.join(str(b['id']) for b in rows))(__import__('functools').reduce(lambda rows, kr: sorted(rows, key=lambda b: b[kr[0]], reverse=kr[1] == '1'), [k.split(':') for k in reversed('$*'.split())], d['data']))"
+}
+
+# Check if server is reachable
+echo ""
+echo -e "${YELLOW}=== Multi-Key Sort Integration Tests ===${NC}"
+echo "Target: $BASE"
+echo ""
+
+HEALTH=$(curl -s -o /dev/null -w "%{http_code}" "$BASE/api/seed/status")
+if [ "$HEALTH" != "200" ]; then
+  echo -e "${RED}ERROR: Server not reachable at $BASE (HTTP $HEALTH)${NC}"
+  echo "Start the book server first: ./run -s book -p $PORT --noauth"
+  exit 1
+fi
+
+echo -e "${GREEN}Server reachable.${NC}"
+echo ""
+
+# ============================================================================
+# Setup: seed data
+# ============================================================================
+
+echo -e "${YELLOW}--- Setup: Reset All ---${NC}"
+post "/api/seed/reset-all" '{}' > /dev/null
+ALL_BOOKS=$(get "/api/entities/Book")
+assert "Books loaded" "[ '$(json_field "$ALL_BOOKS" "d['totalCount']")' -gt 0 ]"
+echo ""
+
+# ============================================================================
+# Test 1: Syntax
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 1: Syntax ---${NC}"
+# id breaks ties in the direction of the last key
+GENRE_PRICE_DESC=$(expected_ids genre:0 price:1 id:1)
+assert "Space before the direction" "[ '$(sorted_ids "sort=genre,%20price%20DESC")' = '$GENRE_PRICE_DESC' ]"
+assert "Colon before the direction" "[ '$(sorted_ids "sort=genre,price:desc")' = '$GENRE_PRICE_DESC' ]"
+assert "Explicit ascending direction" "[ '$(sorted_ids "sort=genre%20asc,price:desc")' = '$GENRE_PRICE_DESC' ]"
+assert "Direction is case-insensitive" "[ '$(sorted_ids "sort=genre:ASC,price%20desc")' = '$GENRE_PRICE_DESC' ]"
+assert "Repeated sort parameters" "[ '$(sorted_ids "sort=genre&sort=price:desc")' = '$GENRE_PRICE_DESC' ]"
+assert "Three keys" \
+  "[ '$(sorted_ids "sort=is_available:desc,genre,page_count:desc")' = '$(expected_ids is_available:1 genre:0 page_count:1 id:1)' ]"
+echo ""
+
+# ============================================================================
+# Test 2: Default order
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 2: Default Order ---${NC}"
+assert "Keys without a direction use ?order=" \
+  "[ '$(sorted_ids "sort=genre,price&order=desc")' = '$(expected_ids genre:1 price:1 id:1)' ]"
+assert "A direction on the key overrides ?order=" \
+  "[ '$(sorted_ids "sort=genre:asc,price&order=desc")' = '$(expected_ids genre:0 price:1 id:1)' ]"
+echo ""
+
+# ============================================================================
+# Test 3: Ignored keys
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 3: Ignored Keys ---${NC}"
+PRICE_DESC=$(expected_ids price:1 id:1)
+assert "Unknown columns are ignored" "[ '$(sorted_ids "sort=no_such_column,price:desc")' = '$PRICE_DESC' ]"
+assert "Empty keys are ignored" "[ '$(sorted_ids "sort=,%20,price:desc,")' = '$PRICE_DESC' ]"
+assert "A repeated key keeps its first direction" "[ '$(sorted_ids "sort=price:desc,price:asc")' = '$PRICE_DESC' ]"
+assert "An id key ends the sort" \
+  "[ '$(sorted_ids "sort=genre,id:desc,price")' = '$(expected_ids genre:0 id:1)' ]"
+
+# MAX_SORT_KEYS = 8: the ninth key is not applied
+SEVEN=$(seq -s, -f 'no_such_column_%g' 7)
+assert "The eighth key is applied" "[ '$(sorted_ids "sort=$SEVEN,price:desc")' = '$PRICE_DESC' ]"
+assert "Keys after the eighth are ignored" "[ '$(sorted_ids "sort=$SEVEN,no_such_column_8,price:desc")' = '$(expected_ids id:0)' ]"
+echo ""
+
+# ============================================================================
+# Summary
+# ============================================================================
+
+echo -e "${YELLOW}========================================${NC}"
+echo -e "  Tests: $TOTAL  |  ${GREEN}Pass: $PASS${NC}  |  ${RED}Fail: $FAIL${NC}"
+echo -e "${YELLOW}========================================${NC}"
+echo ""
+
+if [ "$FAIL" -gt 0 ]; then
+  exit 1
+else
+  echo -e "${GREEN}All tests passed!${NC}"
+  exit 0
+fi
@@ -0,0 +1,214 @@
+#!/bin/bash
+#
+# Upsert Integration Tests
+# Sends the Book seed records to POST /api/integrate/Book/upsert (natural key
+# isbn, FK labels, nested geo values) and checks the created / updated /
+# unchanged report, DUPLICATE_KEY and MISSING_KEY, the full rollback with
+# 422 UPSERT_FAILED and deleteMissing limited by where.
+#
+# Usage:
+#   ./app/tests/test-upsert.sh [port]
+#
+# Prerequisites:
+#   - Book system server running on the specified port (default: 18349)
+#   - Start with: ./run -s book -p 18349 --noauth
+#   - Run from the repository root
+#
+
+PORT=${1:-18349}
+BASE="http://localhost:$PORT"
+PASS=0
+FAIL=0
+TOTAL=0
+
+BOOK_SEED="app/systems/book/data/seed/Book.json"
+
+# Colors
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+YELLOW='\033[1;33m'
+NC='\033[0m' # No Color
+
+# --- Helpers ---
+
+assert() {
+  local test_name="$1"
+  local condition="$2"
+  TOTAL=$((TOTAL + 1))
+
+  if eval "$condition" 2>/dev/null; then
+    echo -e "  ${GREEN}PASS${NC} #${TOTAL}: ${test_name}"
+    PASS=$((PASS + 1))
+  else
+    echo -e "  ${RED}FAIL${NC} #${TOTAL}: ${test_name}"
+    FAIL=$((FAIL + 1))
+  fi
+}
+
+# curl wrapper: GET
+get() {
+  curl -s "$BASE$1"
+}
+
+# curl wrapper: POST with JSON body
+post() {
+  curl -s -X POST "$BASE$1" -H 'Content-Type: application/json' -d "$2"
+}
+
+# Extract JSON field using python
+json_field() {
+  echo "$1" | python3 -c "import sys,json; d=json.load(sys.stdin); print($2)"
+}
+
+# Seed books, changed by a python statement on the list s: [statement]
+seed_records() {
+  python3 -c "import json; s=json.load(open('$BOOK_SEED')); ${1:-pass}; print(json.dumps(s))"
+}
+
+# Upsert books: <records JSON> [extra body fields]; body and HTTP status on the last line
+upsert() {
+  curl -s -w "\n%{http_code}" -X POST "$BASE/api/integrate/Book/upsert" -H 'Content-Type: application/json' \
+    -d "{\"records\":$1${2:+,$2}}"
+}
+
+book_count() {
+  json_field "$(get "/api/entities/Book")" "d.get('totalCount', 0)"
+}
+
+# Stored field of the book with an ISBN: <isbn> <field>
+book_field() {
+  json_field "$(get "/api/entities/Book?filter=isbn:$1")" "d['data'][0]['$2'] if d['data'] else None"
+}
+
+# Check if server is reachable
+echo ""
+echo -e "${YELLOW}=== Upsert Integration Tests ===${NC}"
+echo "Target: $BASE"
+echo ""
+
+HEALTH=$(curl -s -o /dev/null -w "%{http_code}" "$BASE/api/seed/status")
+if [ "$HEALTH" != "200" ]; then
+  echo -e "${RED}ERROR: Server not reachable at $BASE (HTTP $HEALTH)${NC}"
+  echo "Start the book server first: ./run -s book -p $PORT --noauth"
+  exit 1
+fi
+
+echo -e "${GREEN}Server reachable.${NC}"
+echo ""
+
+# ============================================================================
+# Setup: seed data
+# ============================================================================
+
+echo -e "${YELLOW}--- Setup: Reset All ---${NC}"
+post "/api/seed/reset-all" '{}' > /dev/null
+SEED_COUNT=$(python3 -c "import json; print(len(json.load(open('$BOOK_SEED'))))")
+assert "Seed books loaded" "[ '$(book_count)' = '$SEED_COUNT' ]"
+FIRST_ISBN=$(python3 -c "import json; print(json.load(open('$BOOK_SEED'))[0]['isbn'])")
+NEW_ISBN="978-0-00-000060-0"
+echo ""
+
+# ============================================================================
+# Test 1: created / updated / unchanged
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 1: Classification ---${NC}"
+RESPONSE=$(upsert "$(seed_records)")
+BODY=$(echo "$RESPONSE" | sed '$d')
+assert "Upsert of the seed records succeeds" "[ '$(echo "$RESPONSE" | tail -1)' = '200' ]"
+assert "Key defaults to the only natural key" "[ '$(json_field "$BODY" "d['key']['name']")' = 'isbn' ]"
+assert "Stored records (with FK labels and nested geo values) are unchanged" \
+  "[ '$(json_field "$BODY" "d['summary']['unchanged']")' = '$SEED_COUNT' ]"
+
+RECORDS=$(seed_records "s[0]['price'] = 7.5; s.append({**s[0], 'isbn': '$NEW_ISBN', 'title': 'Upserted Book'})")
+RESPONSE=$(upsert "$RECORDS")
+BODY=$(echo "$RESPONSE" | sed '$d')
+assert "Changed, unchanged and new records" \
+  "[ '$(json_field "$BODY" "(d['summary']['created'], d['summary']['updated'], d['summary']['unchanged'])")' = '(1, 1, $((SEED_COUNT - 1)))' ]"
+assert "Changed record is reported as updated" "[ '$(json_field "$BODY" "d['results'][0]['action']")' = 'updated' ]"
+assert "New record is reported as created" "[ '$(json_field "$BODY" "d['results'][-1]['action']")' = 'created' ]"
+assert "Update is stored" "[ '$(book_field "$FIRST_ISBN" price)' = '7.5' ]"
+assert "New record is stored" "[ '$(book_field "$NEW_ISBN" title)' = 'Upserted Book' ]"
+assert "FK label is resolved" "[ '$(book_field "$NEW_ISBN" author_id)' = '$(book_field "$FIRST_ISBN" author_id)' ]"
+
+VERSION=$(book_field "$NEW_ISBN" _version)
+upsert "$RECORDS" > /dev/null
+assert "Unchanged record keeps its version" "[ '$(book_field "$NEW_ISBN" _version)' = '$VERSION' ]"
+echo ""
+
+# ============================================================================
+# Test 2: DUPLICATE_KEY and MISSING_KEY
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 2: Key Errors ---${NC}"
+COUNT=$(book_count)
+RESPONSE=$(upsert "$(seed_records "s[0]['price'] = 8.5; s.append({**s[1], 'title': 'Same ISBN'})")")
+BODY=$(echo "$RESPONSE" | sed '$d')
+assert "Duplicate key returns 422" "[ '$(echo "$RESPONSE" | tail -1)' = '422' ]"
+assert "Error code is UPSERT_FAILED" "[ '$(json_field "$BODY" "d['error']['code']")' = 'UPSERT_FAILED' ]"
+assert "Second record with the key is DUPLICATE_KEY" \
+  "[ '$(json_field "$BODY" "d['error']['details']['results'][-1]['error']['code']")' = 'DUPLICATE_KEY' ]"
+assert "Duplicate names the first record" \
+  "[ '$(json_field "$BODY" "d['error']['details']['results'][-1]['error']['message']")' = 'Same key as record 1' ]"
+
+RESPONSE=$(upsert "$(seed_records "s[0]['price'] = 8.5; s[1].pop('isbn')")")
+BODY=$(echo "$RESPONSE" | sed '$d')
+assert "Missing key returns 422" "[ '$(echo "$RESPONSE" | tail -1)' = '422' ]"
+assert "Record without the key is MISSING_KEY" \
+  "[ '$(json_field "$BODY" "d['error']['details']['results'][1]['error']['code']")' = 'MISSING_KEY' ]"
+assert "Failed upserts save nothing" "[ '$(book_field "$FIRST_ISBN" price)' = '7.5' ] && [ '$(book_count)' = '$COUNT' ]"
+echo ""
+
+# ============================================================================
+# Test 3: Full rollback
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 3: Full Rollback ---${NC}"
+RESPONSE=$(upsert "$(seed_records "s[0]['price'] = 9.5; s.append({**s[0], 'isbn': '978-0-00-000061-0'}); s[2]['price'] = -1")")
+BODY=$(echo "$RESPONSE" | sed '$d')
+assert "Invalid record returns 422" "[ '$(echo "$RESPONSE" | tail -1)' = '422' ]"
+assert "Message counts the failed records" \
+  "[ '$(json_field "$BODY" "d['error']['message']")' = '1 record(s) failed, nothing was saved' ]"
+assert "Invalid record is a VALIDATION_ERROR" \
+  "[ '$(json_field "$BODY" "d['error']['details']['results'][2]['error']['code']")' = 'VALIDATION_ERROR' ]"
+assert "Report shows what would have happened to the others" \
+  "[ '$(json_field "$BODY" "d['error']['details']['results'][0]['action'] + ',' + d['error']['details']['results'][-1]['action']")' = 'updated,created' ]"
+assert "Update is rolled back" "[ '$(book_field "$FIRST_ISBN" price)' = '7.5' ]"
+assert "Create is rolled back" "[ '$(book_count)' = '$COUNT' ]"
+echo ""
+
+# ============================================================================
+# Test 4: deleteMissing with where
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 4: deleteMissing ---${NC}"
+RESPONSE=$(upsert "$(seed_records)" '"where":"genre = '"'"'FIC'"'"'"')
+assert "where without deleteMissing is rejected" "[ '$(echo "$RESPONSE" | tail -1)' = '400' ]"
+
+NEW_ID=$(book_field "$NEW_ISBN" id)
+GENRE=$(book_field "$NEW_ISBN" genre)
+OTHER_COUNT=$(json_field "$(curl -s -G "$BASE/api/entities/Book" --data-urlencode "where=genre != '$GENRE'")" "d['totalCount']")
+RESPONSE=$(upsert "$(seed_records "s[:] = [b for b in s if b['genre'] == '$GENRE']")" "\"deleteMissing\":true,\"where\":\"genre = '$GENRE'\"")
+BODY=$(echo "$RESPONSE" | sed '$d')
+assert "Upsert with deleteMissing succeeds" "[ '$(echo "$RESPONSE" | tail -1)' = '200' ]"
+assert "Only the missing record in scope is deleted" "[ '$(json_field "$BODY" "[r['id'] for r in d['deleted']]")' = '[$NEW_ID]' ]"
+assert "Records outside the where are kept" \
+  "[ '$(json_field "$(curl -s -G "$BASE/api/entities/Book" --data-urlencode "where=genre != '$GENRE'")" "d['totalCount']")' = '$OTHER_COUNT' ]"
+assert "Deleted record is gone" "[ '$(book_count)' = '$SEED_COUNT' ]"
+echo ""
+
+# ============================================================================
+# Summary
+# ============================================================================
+
+echo -e "${YELLOW}========================================${NC}"
+echo -e "  Tests: $TOTAL  |  ${GREEN}Pass: $PASS${NC}  |  ${RED}Fail: $FAIL${NC}"
+echo -e "${YELLOW}========================================${NC}"
+echo ""
+
+if [ "$FAIL" -gt 0 ]; then
+  exit 1
+else
+  echo -e "${GREEN}All tests passed!${NC}"
+  exit 0
+fi
@@ -0,0 +1,263 @@
+#!/bin/bash
+#
+# User Accounts Integration Tests
+# Creates per-user accounts via /api/admin/users and checks the username login,
+# that open sessions follow role, attribute and active changes immediately,
+# the role login switch (auth.roleLogin) and that the last active admin
+# account can neither be demoted, deactivated nor deleted.
+# The accounts created here are deleted afterwards, except the admin account
+# 'acct-test-admin' (random password) if no admin account existed: the last
+# active admin cannot be deleted, later runs reuse it.
+#
+# Usage:
+#   ADMIN_PASSWORD=<password> ./app/tests/test-user-accounts.sh [port]
+#   ADMIN_USER=<admin account> ADMIN_PASSWORD=<password> ./app/tests/test-user-accounts.sh [port]
+#
+# Prerequisites:
+#   - Book system server running with authentication on the specified port (default: 18349)
+#   - Start with: ./run -s book -p 18349
+#   - Run from the repository root
+#   - With "roleLogin": false in the auth config, the admin logs in with the
+#     account ADMIN_USER; run the script once in each mode
+#
+
+PORT=${1:-18349}
+BASE="http://localhost:$PORT"
+PASS=0
+FAIL=0
+TOTAL=0
+
+ADMIN_JAR=$(mktemp)
+USER_JAR=$(mktemp)
+PREFIX="acct-test-$$"
+
+# Colors
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+YELLOW='\033[1;33m'
+NC='\033[0m' # No Color
+
+# --- Helpers ---
+
+assert() {
+  local test_name="$1"
+  local condition="$2"
+  TOTAL=$((TOTAL + 1))
+
+  if eval "$condition" 2>/dev/null; then
+    echo -e "  ${GREEN}PASS${NC} #${TOTAL}: ${test_name}"
+    PASS=$((PASS + 1))
+  else
+    echo -e "  ${RED}FAIL${NC} #${TOTAL}: ${test_name}"
+    FAIL=$((FAIL + 1))
+  fi
+}
+
+# curl wrappers with a session cookie jar: <jar> <path> [json body]
+get() {
+  curl -s -b "$1" "$BASE$2"
+}
+
+post() {
+  curl -s -b "$1" -c "$1" -X POST "$BASE$2" -H 'Content-Type: application/json' -d "$3"
+}
+
+put() {
+  curl -s -b "$1" -X PUT "$BASE$2" -H 'Content-Type: application/json' -d "$3"
+}
+
+# HTTP status of a request: <jar> <method> <path> [json body]
+status() {
+  curl -s -o /dev/null -w "%{http_code}" -b "$1" -c "$1" -X "$2" "$BASE$3" -H 'Content-Type: application/json' ${4:+-d "$4"}
+}
+
+# Extract JSON field using python
+json_field() {
+  echo "$1" | python3 -c "import sys,json; d=json.load(sys.stdin); print($2)"
+}
+
+# SHA-256 of a password (the client-side hash the login expects)
+sha256() {
+  python3 -c "import hashlib,sys; print(hashlib.sha256(sys.argv[1].encode()).hexdigest())" "$1"
+}
+
+# Create an account: <username> <role> <password>; prints the new id
+create_user() {
+  json_field "$(post "$ADMIN_JAR" "/api/admin/users" "{\"username\":\"$1\",\"role\":\"$2\",\"hash\":\"$(sha256 "$3")\"}")" "d['id']"
+}
+
+# Username login into a cookie jar: <jar> <username> <password>; prints the HTTP status
+login() {
+  status "$1" POST "/api/auth/login" "{\"username\":\"$2\",\"hash\":\"$(sha256 "$3")\"}"
+}
+
+# Average seconds of three username logins: <username> <password>
+login_time() {
+  local total=0 t
+  for _ in 1 2 3; do
+    t=$(curl -s -o /dev/null -w "%{time_total}" -X POST "$BASE/api/auth/login" -H 'Content-Type: application/json' \
+      -d "{\"username\":\"$1\",\"hash\":\"$(sha256 "$2")\"}")
+    total=$(python3 -c "print($total + $t)")
+  done
+  python3 -c "print($total / 3)"
+}
+
+# Check if server is reachable
+echo ""
+echo -e "${YELLOW}=== User Accounts Integration Tests ===${NC}"
+echo "Target: $BASE"
+echo ""
+
+if [ -z "$ADMIN_PASSWORD" ]; then
+  echo -e "${RED}ERROR: ADMIN_PASSWORD is not set${NC}"
+  exit 1
+fi
+
+if [ -n "$ADMIN_USER" ]; then
+  login "$ADMIN_JAR" "$ADMIN_USER" "$ADMIN_PASSWORD" > /dev/null
+else
+  post "$ADMIN_JAR" "/api/auth/login" "{\"role\":\"admin\",\"hash\":\"$(sha256 "$ADMIN_PASSWORD")\"}" > /dev/null
+fi
+HEALTH=$(curl -s -o /dev/null -w "%{http_code}" -b "$ADMIN_JAR" "$BASE/api/admin/users")
+if [ "$HEALTH" != "200" ]; then
+  echo -e "${RED}ERROR: Admin login failed or server not reachable at $BASE (HTTP $HEALTH)${NC}"
+  echo "Start the book server first: ./run -s book -p $PORT"
+  exit 1
+fi
+
+echo -e "${GREEN}Server reachable, logged in as admin.${NC}"
+echo ""
+
+# Delete the accounts created by this run on exit
+cleanup() {
+  local ids
+  ids=$(json_field "$(get "$ADMIN_JAR" "/api/admin/users")" "' '.join(str(u['id']) for u in d['data'] if u['username'].startswith('$PREFIX'))")
+  for id in $ids; do
+    curl -s -o /dev/null -b "$ADMIN_JAR" -X DELETE "$BASE/api/admin/users/$id"
+  done
+  rm -f "$ADMIN_JAR" "$USER_JAR"
+}
+trap cleanup EXIT
+
+# The only active admin account: ADMIN_USER, an existing one or a new one.
+# With one in place, the test account below can be promoted and demoted again.
+ADMIN_IDS=$(json_field "$(get "$ADMIN_JAR" "/api/admin/users")" "' '.join(str(u['id']) for u in d['data'] if u['role'] == 'admin' and u['active'])")
+if [ -z "$ADMIN_IDS" ]; then
+  LAST_ID=$(create_user acct-test-admin admin "$(head -c 32 /dev/urandom | base64)")
+elif [ "$(echo "$ADMIN_IDS" | wc -w)" = "1" ]; then
+  LAST_ID=$ADMIN_IDS
+fi
+
+# ============================================================================
+# Test 1: Username login
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 1: Username Login ---${NC}"
+USERNAME="$PREFIX-user"
+USER_ID=$(create_user "$USERNAME" user secret)
+assert "Account created" "[ -n '$USER_ID' ] && [ '$USER_ID' != 'None' ]"
+assert "Duplicate username returns 409" \
+  "[ '$(status "$ADMIN_JAR" POST "/api/admin/users" "{\"username\":\"$USERNAME\",\"role\":\"user\",\"hash\":\"$(sha256 other)\"}")' = '409' ]"
+assert "Plain password instead of a hash returns 400" \
+  "[ '$(status "$ADMIN_JAR" POST "/api/admin/users" "{\"username\":\"$PREFIX-plain\",\"role\":\"user\",\"hash\":\"secret\"}")' = '400' ]"
+assert "Password hash is not listed" \
+  "[ '$(json_field "$(get "$ADMIN_JAR" "/api/admin/users")" "any('password_hash' in u for u in d['data'])")' = 'False' ]"
+
+assert "Wrong password returns 401" "[ '$(login "$USER_JAR" "$USERNAME" wrong)' = '401' ]"
+assert "Unknown username returns 401" "[ '$(login "$USER_JAR" "$PREFIX-nobody" secret)' = '401' ]"
+WRONG_TIME=$(login_time "$USERNAME" wrong)
+UNKNOWN_TIME=$(login_time "$PREFIX-nobody" secret)
+assert "Unknown username takes about as long as a wrong password" \
+  "[ '$(python3 -c "print($UNKNOWN_TIME >= 0.5 * $WRONG_TIME)")' = 'True' ]"
+
+assert "Correct password returns 200" "[ '$(login "$USER_JAR" "$USERNAME" secret)' = '200' ]"
+ME=$(get "$USER_JAR" "/api/auth/me")
+assert "Session names the account" "[ '$(json_field "$ME" "d['username'] == '$USERNAME' and d['role'] == 'user' and d['userId'] == $USER_ID")' = 'True' ]"
+assert "Last login is recorded" \
+  "[ '$(json_field "$(get "$ADMIN_JAR" "/api/admin/users")" "[u for u in d['data'] if u['id'] == $USER_ID][0]['last_login_at'] is not None")' = 'True' ]"
+echo ""
+
+# ============================================================================
+# Test 2: Open sessions follow account changes
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 2: Session Re-Resolution ---${NC}"
+assert "User role cannot open the admin API" "[ '$(status "$USER_JAR" GET "/api/admin/users")' = '403' ]"
+
+put "$ADMIN_JAR" "/api/admin/users/$USER_ID" '{"role":"admin"}' > /dev/null
+assert "Promotion applies to the open session" "[ '$(json_field "$(get "$USER_JAR" "/api/auth/me")" "d['role']")' = 'admin' ]"
+assert "Promoted session opens the admin API" "[ '$(status "$USER_JAR" GET "/api/admin/users")' = '200' ]"
+
+put "$ADMIN_JAR" "/api/admin/users/$USER_ID" '{"role":"guest","attributes":{"publisher_id":3}}' > /dev/null
+ME=$(get "$USER_JAR" "/api/auth/me")
+assert "Demotion applies to the open session" "[ '$(json_field "$ME" "d['role']")' = 'guest' ]"
+assert "Attributes apply to the open session" "[ '$(json_field "$ME" "d['attributes']['publisher_id']")' = '3' ]"
+assert "Demoted session is locked out of the admin API" "[ '$(status "$USER_JAR" GET "/api/admin/users")' = '403' ]"
+
+put "$ADMIN_JAR" "/api/admin/users/$USER_ID" '{"active":false}' > /dev/null
+assert "Deactivated account's session is rejected" "[ '$(status "$USER_JAR" GET "/api/entities/Book")' = '401' ]"
+assert "Deactivated account cannot log in" "[ '$(login "$USER_JAR" "$USERNAME" secret)' = '401' ]"
+
+put "$ADMIN_JAR" "/api/admin/users/$USER_ID" "{\"active\":true,\"hash\":\"$(sha256 changed)\"}" > /dev/null
+assert "Old password fails after a reset" "[ '$(login "$USER_JAR" "$USERNAME" secret)' = '401' ]"
+assert "New password works after a reset" "[ '$(login "$USER_JAR" "$USERNAME" changed)' = '200' ]"
+
+curl -s -o /dev/null -b "$ADMIN_JAR" -X DELETE "$BASE/api/admin/users/$USER_ID"
+assert "Deleted account's session is rejected" "[ '$(status "$USER_JAR" GET "/api/auth/me")' = '401' ]"
+echo ""
+
+# ============================================================================
+# Test 3: Role login switch
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 3: Role Login ---${NC}"
+AUTH_CONFIG=$(curl -s "$BASE/api/auth/config")
+assert "Config reports that accounts exist" "[ '$(json_field "$AUTH_CONFIG" "d['users']")' = 'True' ]"
+ROLE_LOGIN=$(json_field "$AUTH_CONFIG" "d['roleLogin']")
+ROLE_RESPONSE=$(curl -s -w "\n%{http_code}" -X POST "$BASE/api/auth/login" -H 'Content-Type: application/json' \
+  -d "{\"role\":\"admin\",\"hash\":\"$(sha256 "$ADMIN_PASSWORD")\"}")
+if [ "$ROLE_LOGIN" = "False" ]; then
+  assert "roleLogin false: role login is rejected" "[ '$(echo "$ROLE_RESPONSE" | tail -1)' = '400' ]"
+  assert "roleLogin false: a username is required" \
+    "[ '$(json_field "$(echo "$ROLE_RESPONSE" | sed '$d')" "d['error']")' = 'Username required' ]"
+else
+  assert "roleLogin on: role login still works" "[ '$(echo "$ROLE_RESPONSE" | tail -1)' = '200' ]"
+fi
+echo ""
+
+# ============================================================================
+# Test 4: Last active admin
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 4: Last Active Admin ---${NC}"
+if [ -z "$LAST_ID" ]; then
+  echo "  (skipped: several active admin accounts exist)"
+else
+  assert "Last admin cannot be demoted" "[ '$(status "$ADMIN_JAR" PUT "/api/admin/users/$LAST_ID" '{"role":"user"}')' = '409' ]"
+  assert "Last admin cannot be deactivated" "[ '$(status "$ADMIN_JAR" PUT "/api/admin/users/$LAST_ID" '{"active":false}')' = '409' ]"
+  assert "Last admin cannot be deleted" "[ '$(status "$ADMIN_JAR" DELETE "/api/admin/users/$LAST_ID")' = '409' ]"
+  assert "Last admin can change other fields" "[ '$(status "$ADMIN_JAR" PUT "/api/admin/users/$LAST_ID" '{"displayName":"Last Admin"}')' = '200' ]"
+
+  SECOND_ID=$(create_user "$PREFIX-admin2" admin secret)
+  assert "Inactive admins do not count" \
+    "[ '$(status "$ADMIN_JAR" PUT "/api/admin/users/$SECOND_ID" '{"active":false}')' = '200' ] && [ '$(status "$ADMIN_JAR" PUT "/api/admin/users/$LAST_ID" '{"role":"user"}')' = '409' ]"
+  put "$ADMIN_JAR" "/api/admin/users/$SECOND_ID" '{"active":true}' > /dev/null
+  assert "Second active admin allows demotion" "[ '$(status "$ADMIN_JAR" PUT "/api/admin/users/$SECOND_ID" '{"role":"user"}')' = '200' ]"
+fi
+echo ""
+
+# ============================================================================
+# Summary
+# ============================================================================
+
+echo -e "${YELLOW}========================================${NC}"
+echo -e "  Tests: $TOTAL  |  ${GREEN}Pass: $PASS${NC}  |  ${RED}Fail: $FAIL${NC}"
+echo -e "${YELLOW}========================================${NC}"
+echo ""
+
+if [ "$FAIL" -gt 0 ]; then
+  exit 1
+else
+  echo -e "${GREEN}All tests passed!${NC}"
+  exit 0
+fi
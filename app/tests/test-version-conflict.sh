@@ -0,0 +1,143 @@
+#!/bin/bash
+#
+# Version Conflict (OCC) Integration Tests
+# Updates a record with an outdated version (If-Match / _version) via PUT, PATCH
+# and batch, and checks the 409 response against the Book system.
+#
+# Usage:
+#   ./app/tests/test-version-conflict.sh [port]
+#
+# Prerequisites:
+#   - Book system server running on the specified port (default: 18349)
+#   - Start with: ./run -s book -p 18349 --noauth
+#   - Run from the repository root
+#
+
+PORT=${1:-18349}
+BASE="http://localhost:$PORT"
+PASS=0
+FAIL=0
+TOTAL=0
+
+# Colors
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+YELLOW='\033[1;33m'
+NC='\033[0m' # No Color
+
+# --- Helpers ---
+
+assert() {
+  local test_name="$1"
+  local condition="$2"
+  TOTAL=$((TOTAL + 1))
+
+  if eval "$condition" 2>/dev/null; then
+    echo -e "  ${GREEN}PASS${NC} #${TOTAL}: ${test_name}"
+    PASS=$((PASS + 1))
+  else
+    echo -e "  ${RED}FAIL${NC} #${TOTAL}: ${test_name}"
+    FAIL=$((FAIL + 1))
+  fi
+}
+
+# curl wrapper: GET
+get() {
+  curl -s "$BASE$1"
+}
+
+# curl wrapper: POST with JSON body
+post() {
+  curl -s -X POST "$BASE$1" -H 'Content-Type: application/json' -d "$2"
+}
+
+# curl wrapper: PUT/PATCH with If-Match: <method> <path> <etag> <json body>
+write_if_match() {
+  local type='application/json'
+  [ "$1" = "PATCH" ] && type='application/merge-patch+json'
+  curl -s -w "\n%{http_code}" -X "$1" "$BASE$2" -H "Content-Type: $type" -H "If-Match: $3" -d "$4"
+}
+
+# Extract JSON field using python
+json_field() {
+  echo "$1" | python3 -c "import sys,json; d=json.load(sys.stdin); print($2)"
+}
+
+# Check if server is reachable
+echo ""
+echo -e "${YELLOW}=== Version Conflict Integration Tests ===${NC}"
+echo "Target: $BASE"
+echo ""
+
+HEALTH=$(curl -s -o /dev/null -w "%{http_code}" "$BASE/api/seed/status")
+if [ "$HEALTH" != "200" ]; then
+  echo -e "${RED}ERROR: Server not reachable at $BASE (HTTP $HEALTH)${NC}"
+  echo "Start the book server first: ./run -s book -p $PORT --noauth"
+  exit 1
+fi
+
+echo -e "${GREEN}Server reachable.${NC}"
+echo ""
+
+# ============================================================================
+# Setup: seed data, one update to advance the version
+# ============================================================================
+
+echo -e "${YELLOW}--- Setup: Reset All ---${NC}"
+post "/api/seed/reset-all" '{}' > /dev/null
+AUTHOR=$(get "/api/entities/Author")
+AUTHOR_ID=$(json_field "$AUTHOR" "d['data'][0]['id']")
+OLD_VERSION=$(json_field "$(get "/api/entities/Author/$AUTHOR_ID")" "d['_version']")
+STALE="\"Author:$AUTHOR_ID:$OLD_VERSION\""
+
+RESPONSE=$(write_if_match PATCH "/api/entities/Author/$AUTHOR_ID" "$STALE" '{"home_country":"Japan"}')
+assert "Update with the current version succeeds" "[ '$(echo "$RESPONSE" | tail -1)' = '200' ]"
+CURRENT_VERSION=$(json_field "$(get "/api/entities/Author/$AUTHOR_ID")" "d['_version']")
+assert "Update advances the version" "[ '$CURRENT_VERSION' -gt '$OLD_VERSION' ]"
+echo ""
+
+# ============================================================================
+# Test 1: Outdated version via PUT and PATCH
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 1: Outdated If-Match ---${NC}"
+for METHOD in PUT PATCH; do
+  RESPONSE=$(write_if_match "$METHOD" "/api/entities/Author/$AUTHOR_ID" "$STALE" '{"home_country":"Spain"}')
+  BODY=$(echo "$RESPONSE" | sed '$d')
+  assert "$METHOD with an outdated version returns 409" "[ '$(echo "$RESPONSE" | tail -1)' = '409' ]"
+  assert "$METHOD conflict names the expected and current version" \
+    "[ '$(json_field "$BODY" "d['error']['message'].endswith('(expected version $OLD_VERSION, current $CURRENT_VERSION)')")' = 'True' ]"
+  assert "$METHOD conflict returns the current record" \
+    "[ '$(json_field "$BODY" "d['error']['details']['currentRecord']['_version']")' = '$CURRENT_VERSION' ]"
+done
+
+STORED=$(json_field "$(get "/api/entities/Author/$AUTHOR_ID")" "d.get('home_country')")
+assert "Conflicting updates are not stored" "[ '$STORED' = 'Japan' ]"
+echo ""
+
+# ============================================================================
+# Test 2: Outdated version in a batch
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 2: Outdated Version in Batch ---${NC}"
+BATCH="{\"operations\":[{\"op\":\"update\",\"entity\":\"Author\",\"id\":$AUTHOR_ID,\"ifMatch\":\"$(echo "$STALE" | sed 's/"/\\"/g')\",\"data\":{\"home_country\":\"Spain\"}}]}"
+RESULT=$(post "/api/entities/_batch" "$BATCH")
+assert "Batch conflict names the current version" \
+  "[ '$(json_field "$RESULT" "d['error']['message'].endswith('current $CURRENT_VERSION)')")' = 'True' ]"
+echo ""
+
+# ============================================================================
+# Summary
+# ============================================================================
+
+echo -e "${YELLOW}========================================${NC}"
+echo -e "  Tests: $TOTAL  |  ${GREEN}Pass: $PASS${NC}  |  ${RED}Fail: $FAIL${NC}"
+echo -e "${YELLOW}========================================${NC}"
+echo ""
+
+if [ "$FAIL" -gt 0 ]; then
+  exit 1
+else
+  echo -e "${GREEN}All tests passed!${NC}"
+  exit 0
+fi
@@ -0,0 +1,258 @@
+#!/bin/bash
+#
+# Webhook Integration Tests
+# Starts app/tools/webhook-stub.js, updates an Author and checks the signed
+# delivery, the retries with exponential backoff, dead-lettering after
+# maxAttempts and the retry endpoint of the delivery log.
+#
+# Usage:
+#   ./app/tests/test-webhooks.sh [port]
+#
+# Prerequisites:
+#   - Book system server running on the specified port (default: 18349)
+#   - Start with: ./run -s book -p 18349 --noauth
+#   - Run from the repository root
+#   - Port 9500 free for the webhook stub
+#   - Subscriptions in app/systems/book/config.json (restart the server after adding them):
+#       "webhooks": [
+#         { "name": "stub", "url": "http://localhost:9500/hook", "secret": "test-secret",
+#           "events": ["entity:update:after"], "entities": ["Author"],
+#           "retryDelay": 2, "maxRetryDelay": 3, "maxAttempts": 4 },
+#         { "name": "stub-wrong-secret", "url": "http://localhost:9500/hook", "secret": "other-secret",
+#           "events": ["export:complete"], "enabled": false }
+#       ]
+#
+
+PORT=${1:-18349}
+BASE="http://localhost:$PORT"
+PASS=0
+FAIL=0
+TOTAL=0
+
+STUB_PORT=9500
+STUB_LOG=$(mktemp)
+STUB_PID=
+
+# Colors
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+YELLOW='\033[1;33m'
+NC='\033[0m' # No Color
+
+# --- Helpers ---
+
+assert() {
+  local test_name="$1"
+  local condition="$2"
+  TOTAL=$((TOTAL + 1))
+
+  if eval "$condition" 2>/dev/null; then
+    echo -e "  ${GREEN}PASS${NC} #${TOTAL}: ${test_name}"
+    PASS=$((PASS + 1))
+  else
+    echo -e "  ${RED}FAIL${NC} #${TOTAL}: ${test_name}"
+    FAIL=$((FAIL + 1))
+  fi
+}
+
+# curl wrapper: GET
+get() {
+  curl -s "$BASE$1"
+}
+
+# curl wrapper: POST with JSON body
+post() {
+  curl -s -X POST "$BASE$1" -H 'Content-Type: application/json' -d "$2"
+}
+
+# Extract JSON field using python
+json_field() {
+  echo "$1" | python3 -c "import sys,json; d=json.load(sys.stdin); print($2)"
+}
+
+# (Re)start the webhook stub: [number of requests to fail]
+start_stub() {
+  stop_stub
+  : > "$STUB_LOG"
+  node app/tools/webhook-stub.js "$STUB_PORT" --secret test-secret --fail "${1:-0}" > "$STUB_LOG" 2>&1 &
+  STUB_PID=$!
+  for _ in $(seq 1 20); do
+    grep -q "listening" "$STUB_LOG" && return
+    sleep 0.25
+  done
+}
+
+stop_stub() {
+  if [ -n "$STUB_PID" ]; then
+    kill "$STUB_PID" 2>/dev/null
+    wait "$STUB_PID" 2>/dev/null
+    STUB_PID=
+  fi
+}
+
+cleanup() {
+  stop_stub
+  rm -f "$STUB_LOG"
+}
+trap cleanup EXIT
+
+# Fields of a JSON object joined with commas: <json> <python tuple on d>
+fields() {
+  json_field "$1" "','.join(str(v) for v in ($2))"
+}
+
+# Newest delivery of the stub subscription (JSON)
+latest_delivery() {
+  json_field "$(get "/api/admin/webhooks/deliveries?webhook=stub&limit=1")" "json.dumps(d['data'][0] if d['data'] else None)"
+}
+
+# Wait until a python condition on the delivery d holds: <id> <condition> [seconds]
+wait_delivery() {
+  local delivery
+  for _ in $(seq 1 $((${3:-10} * 4))); do
+    delivery=$(get "/api/admin/webhooks/deliveries/$1")
+    [ "$(json_field "$delivery" "$2")" = "True" ] && break
+    sleep 0.25
+  done
+  echo "$delivery"
+}
+
+# Whole seconds until the next attempt of a delivery (next_attempt_at is UTC): <delivery JSON>
+next_attempt_in() {
+  echo "$1" | python3 -c "import sys,json,datetime; d=json.load(sys.stdin); \
+print(round((datetime.datetime.fromisoformat(d['next_attempt_at'] + '+00:00') - datetime.datetime.now(datetime.timezone.utc)).total_seconds()))"
+}
+
+# Change the home country of the first author
+touch_author() {
+  curl -s -o /dev/null -X PATCH "$BASE/api/entities/Author/$AUTHOR_ID" \
+    -H 'Content-Type: application/merge-patch+json' -d "{\"home_country\":\"$1\"}"
+}
+
+# Check if server is reachable
+echo ""
+echo -e "${YELLOW}=== Webhook Integration Tests ===${NC}"
+echo "Target: $BASE"
+echo ""
+
+HEALTH=$(curl -s -o /dev/null -w "%{http_code}" "$BASE/api/seed/status")
+if [ "$HEALTH" != "200" ]; then
+  echo -e "${RED}ERROR: Server not reachable at $BASE (HTTP $HEALTH)${NC}"
+  echo "Start the book server first: ./run -s book -p $PORT --noauth"
+  exit 1
+fi
+
+SUBSCRIPTIONS=$(json_field "$(get "/api/admin/webhooks")" "' '.join(sorted(s['name'] for s in d['data']))")
+if [ "$SUBSCRIPTIONS" != "stub stub-wrong-secret" ]; then
+  echo -e "${RED}ERROR: Webhook subscriptions 'stub' and 'stub-wrong-secret' not configured${NC}"
+  echo "Add them to app/systems/book/config.json (see the header of this script) and restart the server"
+  exit 1
+fi
+
+echo -e "${GREEN}Server reachable.${NC}"
+echo ""
+
+# ============================================================================
+# Setup: seed data, webhook stub
+# ============================================================================
+
+echo -e "${YELLOW}--- Setup ---${NC}"
+post "/api/seed/reset-all" '{}' > /dev/null
+AUTHOR_ID=$(json_field "$(get "/api/entities/Author")" "d['data'][0]['id']")
+start_stub 0
+assert "Webhook stub started" "grep -q 'listening' '$STUB_LOG'"
+echo ""
+
+# ============================================================================
+# Test 1: Signed delivery
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 1: Signed Delivery ---${NC}"
+BEFORE=$(json_field "$(latest_delivery)" "d['id'] if d else 0")
+touch_author "Norway"
+DELIVERY_ID=$(json_field "$(latest_delivery)" "d['id'] if d else 0")
+assert "Update queues a delivery" "[ '$DELIVERY_ID' -gt '$BEFORE' ]"
+
+DELIVERY=$(wait_delivery "$DELIVERY_ID" "d['status'] == 'delivered'")
+assert "Delivery is delivered" "[ '$(fields "$DELIVERY" "d['status'], d['attempts'], d['last_status']")' = 'delivered,1,200' ]"
+assert "Payload names event, entity and record" \
+  "[ '$(fields "$DELIVERY" "d['payload']['event'], d['payload']['entity'], d['payload']['entityId'] == $AUTHOR_ID, d['payload']['data']['home_country']")' = 'entity:update:after,Author,True,Norway' ]"
+assert "Stub receives the event and delivery id" "grep -q 'event=entity:update:after delivery=$DELIVERY_ID ' '$STUB_LOG'"
+assert "HMAC-SHA256 signature matches the shared secret" "grep -q 'delivery=$DELIVERY_ID signature=valid' '$STUB_LOG'"
+
+WRONG_ID=$(json_field "$(post "/api/admin/webhooks/stub-wrong-secret/test" '{}')" "d['id']")
+wait_delivery "$WRONG_ID" "d['status'] == 'delivered'" > /dev/null
+assert "Signature with another secret does not match" "grep -q 'event=webhook:test delivery=$WRONG_ID signature=INVALID' '$STUB_LOG'"
+
+BEFORE=$(json_field "$(latest_delivery)" "d['id']")
+post "/api/entities/_batch" "{\"operations\":[{\"op\":\"update\",\"entity\":\"Author\",\"id\":$AUTHOR_ID,\"data\":{\"home_country\":\"Peru\"}},{\"op\":\"delete\",\"entity\":\"Author\",\"id\":999999}]}" > /dev/null
+assert "Rolled-back update queues no delivery" "[ '$(json_field "$(latest_delivery)" "d['id']")' = '$BEFORE' ]"
+echo ""
+
+# ============================================================================
+# Test 2: Retries with backoff, dead letter
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 2: Retries and Dead Letter ---${NC}"
+# retryDelay 2s doubling per attempt, capped at maxRetryDelay 3s; dead after 4 attempts
+start_stub 4
+touch_author "Chile"
+DELIVERY_ID=$(json_field "$(latest_delivery)" "d['id']")
+
+# Delay until the next attempt, observed right after each failed attempt
+DELAYS=''
+for ATTEMPT in 1 2 3; do
+  DELIVERY=$(wait_delivery "$DELIVERY_ID" "d['attempts'] >= $ATTEMPT" 10)
+  DELAYS="$DELAYS $(next_attempt_in "$DELIVERY")"
+  if [ "$ATTEMPT" = 1 ]; then
+    assert "Failed attempt keeps the delivery pending" \
+      "[ '$(fields "$DELIVERY" "d['status'], d['last_status'], d['last_error']")' = 'pending,500,HTTP 500 Internal Server Error' ]"
+  fi
+done
+read -r DELAY1 DELAY2 DELAY3 <<< "$DELAYS"
+assert "First retry after retryDelay (2s)" "[ '$DELAY1' -ge 1 ] && [ '$DELAY1' -le 2 ]"
+assert "Second retry after twice the delay, capped at maxRetryDelay (3s)" "[ '$DELAY2' -ge 2 ] && [ '$DELAY2' -le 3 ]"
+assert "Third retry stays at maxRetryDelay (3s)" "[ '$DELAY3' -ge 2 ] && [ '$DELAY3' -le 3 ]"
+
+DELIVERY=$(wait_delivery "$DELIVERY_ID" "d['status'] != 'pending'" 10)
+assert "Delivery is dead after maxAttempts" "[ '$(fields "$DELIVERY" "d['status'], d['attempts']")' = 'dead,4' ]"
+assert "Stub saw four attempts" "[ '$(grep -c "delivery=$DELIVERY_ID .*-> 500" "$STUB_LOG")' = '4' ]"
+assert "Subscription counts the dead delivery" \
+  "[ '$(json_field "$(get "/api/admin/webhooks")" "[s for s in d['data'] if s['name'] == 'stub'][0]['stats']['dead']")' = '1' ]"
+assert "Delivery log filters by status" \
+  "[ '$(json_field "$(get "/api/admin/webhooks/deliveries?status=dead")" "[x['id'] for x in d['data']]")' = '[$DELIVERY_ID]' ]"
+echo ""
+
+# ============================================================================
+# Test 3: Retry endpoint
+# ============================================================================
+
+echo -e "${YELLOW}--- Test 3: Retry Endpoint ---${NC}"
+RETRIED=$(post "/api/admin/webhooks/deliveries/$DELIVERY_ID/retry" '{}')
+assert "Retry re-queues with a fresh attempt budget" "[ '$(fields "$RETRIED" "d['status'], d['attempts']")' = 'pending,0' ]"
+
+DELIVERY=$(wait_delivery "$DELIVERY_ID" "d['status'] == 'delivered'")
+assert "Retried delivery is delivered" "[ '$(fields "$DELIVERY" "d['status'], d['attempts'], d['last_error']")' = 'delivered,1,None' ]"
+assert "Retried delivery is signed" "grep -q 'delivery=$DELIVERY_ID signature=valid$' '$STUB_LOG'"
+
+RETRIED=$(post "/api/admin/webhooks/deliveries/$DELIVERY_ID/retry" '{}')
+assert "Retry leaves a delivered delivery alone" "[ '$(fields "$RETRIED" "d['status'], d['attempts']")' = 'delivered,1' ]"
+CODE=$(curl -s -o /dev/null -w "%{http_code}" -X POST "$BASE/api/admin/webhooks/deliveries/999999/retry")
+assert "Retry of an unknown delivery returns 404" "[ '$CODE' = '404' ]"
+echo ""
+
+# ============================================================================
+# Summary
+# ============================================================================
+
+echo -e "${YELLOW}========================================${NC}"
+echo -e "  Tests: $TOTAL  |  ${GREEN}Pass: $PASS${NC}  |  ${RED}Fail: $FAIL${NC}"
+echo -e "${YELLOW}========================================${NC}"
+echo ""
+
+if [ "$FAIL" -gt 0 ]; then
+  exit 1
+else
+  echo -e "${GREEN}All tests passed!${NC}"
+  exit 0
+fi
@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+/**
+ * Minimal OpenID Connect provider for testing the OIDC login locally
+ *
+ * NOT for production: it logs in anyone with whatever groups they type in.
+ *
+ * Usage:
+ *   node app/tools/oidc-stub-idp.js [port]      (default port: 9400)
+ *
+ * config.json of the system:
+ *   {
+ *     "auth": {
+ *       "enabled": true,
+ *       "oidc": {
+ *         "issuer": "http://localhost:9400",
+ *         "clientId": "aide-rap",
+ *         "roles": { "admin": ["rap-admins"], "user": ["rap-users"], "guest": ["*"] },
+ *         "label": "Stub IdP"
+ *       }
+ *     }
+ *   }
+ *
+ * The login form asks for a username and a comma-separated group list.
+ * Supports discovery, authorization code flow with PKCE (S256), RS256 ID tokens,
+ * JWKS and userinfo. Codes are single-use and expire after 60 seconds.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const port = parseInt(process.argv[2], 10) || 9400;
+const issuer = `http://localhost:${port}`;
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'stub-key', use: 'sig', alg: 'RS256' };
+
+const codes = new Map();    // code -> { clientId, redirectUri, challenge, nonce, claims, expires }
+const tokens = new Map();   // access token -> claims
+
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+function sign(claims) {
+  const encode = obj => Buffer.from(JSON.stringify(obj)).toString('base64url');
+  const input = `${encode({ alg: 'RS256', typ: 'JWT', kid: jwk.kid })}.${encode(claims)}`;
+  return `${input}.${crypto.sign('sha256', Buffer.from(input), privateKey).toString('base64url')}`;
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+function readBody(req) {
+  return new Promise(resolve => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(new URLSearchParams(body)));
+  });
+}
+
+function loginForm(params) {
+  const hidden = [...params].map(([k, v]) => `<input type="hidden" name="${escapeHtml(k)}" value="${escapeHtml(v)}">`).join('');
+  return `<!DOCTYPE html><html><body style="font-family: sans-serif; max-width: 320px; margin: 60px auto">
+<h2>Stub IdP</h2>
+<form method="post" action="/authorize">${hidden}
+<p><label>Username<br><input name="username" value="alice" autofocus></label></p>
+<p><label>Groups (comma-separated)<br><input name="groups" value="rap-users"></label></p>
+<p><button type="submit">Sign in</button></p>
+</form></body></html>`;
+}
+
+async function handle(req, res) {
+  const url = new URL(req.url, issuer);
+
+  if (url.pathname === '/.well-known/openid-configuration') {
+    return sendJson(res, 200, {
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256']
+    });
+  }
+
+  if (url.pathname === '/jwks') {
+    return sendJson(res, 200, { keys: [jwk] });
+  }
+
+  if (url.pathname === '/authorize' && req.method === 'GET') {
+    if (url.searchParams.get('code_challenge_method') !== 'S256' || !url.searchParams.get('code_challenge')) {
+      return sendJson(res, 400, { error: 'invalid_request', error_description: 'PKCE (S256) required' });
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    return res.end(loginForm(url.searchParams));
+  }
+
+  if (url.pathname === '/authorize' && req.method === 'POST') {
+    const form = await readBody(req);
+    const username = form.get('username') || 'anonymous';
+    const code = crypto.randomBytes(16).toString('base64url');
+    codes.set(code, {
+      clientId: form.get('client_id'),
+      redirectUri: form.get('redirect_uri'),
+      challenge: form.get('code_challenge'),
+      nonce: form.get('nonce'),
+      claims: {
+        sub: `stub|${username}`,
+        preferred_username: username,
+        name: username,
+        groups: (form.get('groups') || '').split(',').map(g => g.trim()).filter(Boolean)
+      },
+      expires: Date.now() + 60000
+    });
+
+    const target = new URL(form.get('redirect_uri'));
+    target.searchParams.set('code', code);
+    target.searchParams.set('state', form.get('state') || '');
+    res.writeHead(302, { Location: target.toString() });
+    return res.end();
+  }
+
+  if (url.pathname === '/token' && req.method === 'POST') {
+    const form = await readBody(req);
+    const entry = codes.get(form.get('code'));
+    codes.delete(form.get('code'));
+
+    const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+    if (!entry || entry.expires < Date.now() || entry.clientId !== form.get('client_id') ||
+        entry.redirectUri !== form.get('redirect_uri') || entry.challenge !== challenge) {
+      return sendJson(res, 400, { error: 'invalid_grant' });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const accessToken = crypto.randomBytes(16).toString('base64url');
+    tokens.set(accessToken, entry.claims);
+    return sendJson(res, 200, {
+      token_type: 'Bearer',
+      access_token: accessToken,
+      expires_in: 3600,
+      id_token: sign({ ...entry.claims, iss: issuer, aud: entry.clientId, iat: now, exp: now + 300, nonce: entry.nonce })
+    });
+  }
+
+  if (url.pathname === '/userinfo') {
+    const claims = tokens.get((req.headers.authorization || '').replace(/^Bearer /, ''));
+    return claims ? sendJson(res, 200, claims) : sendJson(res, 401, { error: 'invalid_token' });
+  }
+
+  sendJson(res, 404, { error: 'not_found' });
+}
+
+http.createServer((req, res) => {
+  handle(req, res).catch(err => sendJson(res, 500, { error: 'server_error', error_description: err.message }));
+}).listen(port, () => {
+  console.log(`Stub OIDC provider listening on ${issuer}`);
+});
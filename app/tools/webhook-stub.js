@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+/**
+ * Minimal webhook receiver for testing outbound webhooks locally
+ *
+ * Usage:
+ *   node app/tools/webhook-stub.js [port] [--secret <secret>] [--fail <n>]
+ *
+ *   port       Listen port (default: 9500)
+ *   --secret   Verify X-RAP-Signature with this secret
+ *   --fail     Answer the first n requests with HTTP 500 (to watch retries and dead-lettering)
+ *
+ * config.json of the system:
+ *   {
+ *     "webhooks": [
+ *       { "name": "stub", "url": "http://localhost:9500/hook", "secret": "test",
+ *         "events": ["entity:create:after", "entity:update:after", "entity:delete:after"] }
+ *     ]
+ *   }
+ *
+ * Every request is printed with its event, delivery id, signature check and payload.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const args = process.argv.slice(2);
+const option = (name) => {
+  const i = args.indexOf(name);
+  return i >= 0 ? args.splice(i, 2)[1] : null;
+};
+const secret = option('--secret');
+let failCount = parseInt(option('--fail'), 10) || 0;
+const port = parseInt(args[0], 10) || 9500;
+
+let received = 0;
+
+http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    received++;
+    const signature = req.headers['x-rap-signature'] || '';
+    let check = 'not checked';
+    if (secret) {
+      const expected = 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+      const valid = signature.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+      check = valid ? 'valid' : 'INVALID';
+    }
+
+    const failing = failCount > 0;
+    if (failing) failCount--;
+
+    console.log(`#${received} ${req.method} ${req.url} event=${req.headers['x-rap-event']} delivery=${req.headers['x-rap-delivery']} signature=${check}${failing ? ' -> 500' : ''}`);
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch {
+      console.log(body);
+    }
+
+    res.writeHead(failing ? 500 : 200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ received: !failing }));
+  });
+}).listen(port, () => {
+  console.log(`Webhook stub listening on http://localhost:${port}`);
+});